@@ -8,6 +8,12 @@ function addVendorsTab() {
         // Read existing Excel file
         const workbook = XLSX.readFile('Dashboard Clone.xlsx');
         
+        // Running this twice would add a second Vendors sheet; add vendors from the dashboard instead
+        if (workbook.Sheets['Vendors']) {
+            console.log('ℹ️ Vendors tab already exists - add or edit vendors from the Vendors page.');
+            return;
+        }
+        
         // Sample vendor data with categories for hospice/end-of-life services
         const vendorsData = [
             // Headers
@@ -6,6 +6,47 @@ let isLoading = false;
 let dataCache = new Map();
 const CACHE_DURATION = 30000; // 30 seconds
 
+/**
+ * Display name of the signed-in team member
+ */
+function getCurrentUserName() {
+    const user = window.GoogleAuth && window.GoogleAuth.getCurrentUser();
+    return user ? user.displayName : 'Unknown';
+}
+
+/**
+ * Check whether the signed-in user's role grants a permission (e.g. 'patients:delete')
+ */
+function hasPermission(permission) {
+    const user = window.GoogleAuth && window.GoogleAuth.getCurrentUser();
+    return Boolean(user && user.permissions && user.permissions.includes(permission));
+}
+
+/**
+ * Escape text typed by users (sheet cells, chat, notes) for use in HTML and
+ * attribute values. Anything a user can save goes through this before innerHTML.
+ */
+function escapeHtml(text) {
+    return String(text === undefined || text === null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Patient detail fields that need billing permission to see or edit
+const BILLING_FIELDS = ['invoiceAmount', 'paymentStatus'];
+
+/**
+ * Hide sidebar entries and other elements marked data-permission that the user's role lacks
+ */
+function applyRolePermissions() {
+    document.querySelectorAll('[data-permission]').forEach(el => {
+        el.style.display = hasPermission(el.dataset.permission) ? '' : 'none';
+    });
+}
+
 /**
  * Set status message (make available globally)
  */
@@ -81,47 +122,6 @@ function refreshAllTaskStatuses() {
         
         if (tasks) {
             tasks.forEach((task, taskIndex) => {
-                // Recalculate status for each task
-                let completedSubtasks = 0;
-                let totalSubtasks = 0;
-                
-                if (task.id === 'invoice') {
-                    // Special logic for Quickbooks Invoice
-                    const sentInvoice = task.subtasks.find(s => s.name === 'Sent Invoice')?.complete || false;
-                    const paymentReceived = task.subtasks.find(s => s.name === 'Payment Received');
-                    const paidViaQuickbooks = paymentReceived?.subSubtasks?.find(s => s.name === 'Paid via Quickbooks')?.complete || false;
-                    const paidViaCheck = paymentReceived?.subSubtasks?.find(s => s.name === 'Paid via Check')?.complete || false;
-                    
-                    totalSubtasks = task.subtasks.length;
-                    
-                    if (sentInvoice && (paidViaQuickbooks || paidViaCheck)) {
-                        completedSubtasks = totalSubtasks;
-                    } else if (sentInvoice) {
-                        completedSubtasks = 1;
-                    } else {
-                        completedSubtasks = 0;
-                    }
-                } else {
-                    // Standard logic for other tasks
-                    task.subtasks.forEach(subtask => {
-                        totalSubtasks++;
-                        
-                        if (subtask.subSubtasks && subtask.subSubtasks.length > 0) {
-                            let allSubSubtasksComplete = true;
-                            subtask.subSubtasks.forEach(subSubtask => {
-                                if (!subSubtask.complete) {
-                                    allSubSubtasksComplete = false;
-                                }
-                            });
-                            if (allSubSubtasksComplete) {
-                                completedSubtasks++;
-                            }
-                        } else {
-                            if (subtask.complete) completedSubtasks++;
-                        }
-                    });
-                }
-                
                 // Update task number color based on completion status
                 updateTaskNumberColor(patientId, taskIndex);
             });
@@ -166,7 +166,9 @@ function initMainApp() {
     loadPersistedData();
     
     setupEventListeners();
+    applyRolePermissions();
     loadPinnedPatient();
+    connectChatStream();
     
     // Load dashboard by default
     setTimeout(() => {
@@ -228,6 +230,40 @@ function migrateTaskCompletionData() {
     }
 }
 
+/**
+ * Re-key local patients to the IDs the server assigned in the `ti` column.
+ * Task progress stored under a locally invented ID moves to the server ID.
+ * Returns true when any local patient was changed.
+ */
+function adoptServerPatientIds(localPatients, serverPatients) {
+    const serverIdsByName = new Map();
+    serverPatients.forEach(patient => {
+        const name = patient['Patient Name'] || patient.patientName;
+        if (name && patient.id && !serverIdsByName.has(name)) {
+            serverIdsByName.set(name, patient.id);
+        }
+    });
+    
+    let changed = false;
+    localPatients.forEach(patient => {
+        const serverId = serverIdsByName.get(patient['Patient Name'] || patient.patientName);
+        if (!serverId || patient.id === serverId) return;
+        
+        const oldId = patient.id;
+        if (oldId && window.taskCompletionData && window.taskCompletionData[oldId] && !window.taskCompletionData[serverId]) {
+            window.taskCompletionData[serverId] = window.taskCompletionData[oldId];
+            delete window.taskCompletionData[oldId];
+            localStorage.setItem('taskCompletionData', JSON.stringify(window.taskCompletionData));
+        }
+        
+        patient.id = serverId;
+        patient.ti = serverId;
+        changed = true;
+    });
+    
+    return changed;
+}
+
 /**
  * Load all persisted data from localStorage
  */
@@ -242,6 +278,12 @@ function loadPersistedData() {
             window.taskCompletionData = {};
         }
         
+        // Load the last workflow template fetched from the server (used offline)
+        window.activeWorkflow = JSON.parse(localStorage.getItem('activeWorkflow') || 'null');
+        
+        // Load when each patient's task progress last changed locally
+        window.taskCompletionUpdatedAt = JSON.parse(localStorage.getItem('taskCompletionUpdatedAt') || '{}');
+        
         // Migrate any old task completion data
         migrateTaskCompletionData();
         
@@ -497,48 +539,8 @@ function switchToArchived() {
  * Auto-archive patient when they reach 100% completion
  */
 function autoArchivePatient(patientId) {
-    try {
-        const patients = JSON.parse(localStorage.getItem('activePatients') || '[]');
-        const archivedPatients = JSON.parse(localStorage.getItem('archivedPatients') || '[]');
-        
-        // Find the patient in active patients
-        const patientIndex = patients.findIndex(p => p.id === patientId);
-        if (patientIndex === -1) return; // Patient not found in active list
-        
-        const patient = patients[patientIndex];
-        const archivedDate = new Date().toLocaleDateString();
-        
-        // Add archive metadata
-        patient.archivedDate = archivedDate;
-        patient.archivedBy = 'Auto-Archive (100% Complete)';
-        patient.archivedReason = 'All tasks completed';
-        
-        // Move to archived
-        archivedPatients.push(patient);
-        patients.splice(patientIndex, 1);
-        
-        // Save both arrays
-        localStorage.setItem('activePatients', JSON.stringify(patients));
-        localStorage.setItem('archivedPatients', JSON.stringify(archivedPatients));
-        
-        // Show success message
-        setStatus(`Patient ${patient.name} has been automatically archived (100% complete)`, 'success');
-        
-        // Refresh the current view if we're on timelines or active-data
-        if (currentTab === 'timelines') {
-            loadPatientTimelines();
-        } else if (currentTab === 'active-data') {
-            loadActivePatients();
-        } else if (currentTab === 'dashboard') {
-            loadDashboard();
-        }
-        
-        console.log(`Auto-archived patient ${patient.name} (${patientId})`);
-        
-    } catch (error) {
-        console.error('Error auto-archiving patient:', error);
-        setStatus('Error auto-archiving patient', 'error');
-    }
+    if (!hasPermission('patients:archive')) return;
+    archivePatient(patientId, 'All tasks completed (auto-archived)');
 }
 
 /**
@@ -582,22 +584,22 @@ function switchTab(tabName, tabElement) {
             loadCalendar();
             break;
         case 'outstanding':
-            showPlaceholder('Outstanding Cases', 'This will show pending/outstanding items');
+            loadOutstandingCases();
             break;
         case 'outreach':
-            showPlaceholder('Past Patient Outreach', 'This will show outreach to past patients\' contacts');
+            loadOutreach();
             break;
         case 'docs':
-            showPlaceholder('Consulting Docs', 'This will show the consulting doctors directory');
+            loadConsultingDocs();
             break;
         case 'calllog':
-            showPlaceholder('Call Log', 'This will show interaction logs');
+            loadCallLog();
             break;
         case 'vendors':
             loadVendors();
             break;
         case 'chat':
-            loadChat('Alyssa'); // Load chat from Alyssa's perspective
+            loadChat(); // The signed-in user's messages
             break;
         case 'alyssa-notes':
             loadUserTasks('Alyssa');
@@ -611,12 +613,18 @@ function switchTab(tabName, tabElement) {
         case 'amber-notes':
             loadUserTasks('Amber');
             break;
+        case 'donnie-notes':
+            loadUserTasks('Donnie');
+            break;
         case 'notes':
             loadAllNotes();
             break;
         case 'timelines':
             loadPatientTimelines();
             break;
+        case 'workflows':
+            loadWorkflowEditor();
+            break;
         case 'archived':
             loadArchivedPatients();
             break;
@@ -663,7 +671,7 @@ function generatePatientTable(data) {
             } else if (col === 'Check list' && value === 'complete') {
                 value = '✅ Complete';
             } else if (col === 'Phone Number' && value !== '-') {
-                value = `<a href="tel:${value}" class="contact-link">📞 ${value}</a>`;
+                value = `<a href="tel:${value}" class="contact-link">📞 ${value}</a>${phoneFlag(value)}`;
             } else if (col === 'Email' && value !== '-') {
                 value = `<a href="mailto:${value}" class="contact-link">✉️ ${value}</a>`;
             }
@@ -873,6 +881,9 @@ async function loadDashboard() {
         
         // Merge with localStorage data to include newly added patients
         let localPatients = JSON.parse(localStorage.getItem('activePatients') || '[]');
+        if (adoptServerPatientIds(localPatients, data)) {
+            localStorage.setItem('activePatients', JSON.stringify(localPatients));
+        }
         const patientNames = new Set(data.map(p => p['Patient Name'] || p.patientName));
         localPatients.forEach(patient => {
             const name = patient['Patient Name'] || patient.patientName;
@@ -888,8 +899,8 @@ async function loadDashboard() {
         const avgAge = calculateAverageAge(data);
         const paidCount = countPaidInvoices(data);
         
-        // Get actual archived patients count from localStorage
-        const archivedPatients = JSON.parse(localStorage.getItem('archivedPatients') || '[]');
+        // Get actual archived patients count from the Closed sheet
+        const archivedPatients = await fetchArchivedPatients();
         const archivedCount = archivedPatients.length;
         
         // Get 5 most recently added patients
@@ -956,7 +967,7 @@ async function loadActivePatients() {
         let needsUpdate = false;
         localPatients.forEach((patient, index) => {
             if (!patient.id) {
-                patient.id = 'PAT-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+                patient.id = 'LOCAL-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
                 needsUpdate = true;
             }
             
@@ -988,14 +999,15 @@ async function loadActivePatients() {
                 
                 // Merge server data with local data, avoiding duplicates
                 if (serverData && serverData.length > 0) {
+                    // Local copies of server patients take the server-assigned ID
+                    if (adoptServerPatientIds(localPatients, serverData)) {
+                        localStorage.setItem('activePatients', JSON.stringify(localPatients));
+                    }
+                    
                     const patientNames = new Set(localPatients.map(p => p['Patient Name'] || p.patientName));
                     serverData.forEach(patient => {
                         const name = patient['Patient Name'] || patient.patientName;
                         if (!patientNames.has(name)) {
-                            // Ensure server data patients have unique IDs
-                            if (!patient.id) {
-                                patient.id = 'PAT-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
-                            }
                             localPatients.push(patient);
                         }
                     });
@@ -1024,6 +1036,7 @@ async function loadActivePatients() {
                     <button class="btn-secondary" onclick="switchToTableView()">Table</button>
                     <button class="btn-primary" onclick="switchToCardView()">Cards</button>
                     <button class="btn-secondary" onclick="switchToSectionView()">Sections</button>
+                    ${hasPermission('patients:delete') ? '<button class="btn-secondary" onclick="loadDuplicatePatients()">🔍 Find Duplicates</button>' : ''}
                 </div>
             </div>
             ${localPatients.length > 0 ? generateActivePatientCards(localPatients) : '<p>No active patients. Add a patient using the Patient Intake form.</p>'}
@@ -1054,6 +1067,7 @@ async function loadActivePatients() {
                     <button class="btn-secondary" onclick="switchToTableView()">Table</button>
                     <button class="btn-primary" onclick="switchToCardView()">Cards</button>
                     <button class="btn-secondary" onclick="switchToSectionView()">Sections</button>
+                    ${hasPermission('patients:delete') ? '<button class="btn-secondary" onclick="loadDuplicatePatients()">🔍 Find Duplicates</button>' : ''}
                 </div>
             </div>
             ${localPatients.length > 0 ? generateActivePatientCards(localPatients) : '<p>No active patients. Add a patient using the Patient Intake form.</p>'}
@@ -1501,7 +1515,8 @@ function addTask(userName) {
         link: link,
         completed: false,
         createdAt: new Date().toISOString(),
-        user: userName
+        user: userName,
+        createdBy: getCurrentUserName()
     };
     
     // Save to localStorage
@@ -1570,6 +1585,7 @@ function renderTaskItem(task) {
             <div class="task-meta">
                 <span class="task-priority ${task.priority}">${task.priority.toUpperCase()}</span>
                 <span>${date}</span>
+                ${task.createdBy && task.createdBy !== task.user ? `<span>from ${task.createdBy}</span>` : ''}
             </div>
             ${linkHtml ? `<div class="note-links">${linkHtml}</div>` : ''}
             <div class="task-actions">
@@ -1869,87 +1885,8 @@ function updateTaskNumberColor(patientId, taskIndex) {
         return;
     }
     
-    // Calculate completion status
-    let completedSubtasks = 0;
-    let totalSubtasks = 0;
-    
-    if (task.id === 'invoice') {
-        // Special logic for Quickbooks Invoice
-        const sentInvoice = task.subtasks.find(s => s.name === 'Sent Invoice')?.complete || false;
-        const paymentReceived = task.subtasks.find(s => s.name === 'Payment Received');
-        const paidViaQuickbooks = paymentReceived?.subSubtasks?.find(s => s.name === 'Paid via Quickbooks')?.complete || false;
-        const paidViaCheck = paymentReceived?.subSubtasks?.find(s => s.name === 'Paid via Check')?.complete || false;
-        
-        totalSubtasks = task.subtasks.length;
-        
-        // Task is complete if: Sent Invoice + (Paid via Quickbooks OR Paid via Check)
-        if (sentInvoice && (paidViaQuickbooks || paidViaCheck)) {
-            completedSubtasks = totalSubtasks;
-        } else if (sentInvoice) {
-            completedSubtasks = 1; // Partial completion
-        }
-    } else if (task.id === 'written-request') {
-        // Special logic for Written Request - main task can be checked independently
-        const mainTaskComplete = task.complete;
-        const subtaskComplete = task.subtasks[0]?.complete || false;
-        
-        totalSubtasks = 2; // Main task + 1 subtask
-        
-        if (mainTaskComplete && subtaskComplete) {
-            completedSubtasks = 2; // Both complete
-        } else if (mainTaskComplete || subtaskComplete) {
-            completedSubtasks = 1; // Partial completion
-        } else {
-            completedSubtasks = 0; // Neither complete
-        }
-    } else if (task.id === 'adobe-forms') {
-        // Special logic for Send Adobe Forms - reflects Written Request completion
-        const writtenRequestTask = window.taskCompletionData[patientId].find(t => t.id === 'written-request');
-        if (writtenRequestTask) {
-            const writtenRequestComplete = writtenRequestTask.complete;
-            const completedByPatientComplete = writtenRequestTask.subtasks[0]?.complete || false;
-            
-            totalSubtasks = 2; // Written Request + Completed by Patient
-            
-            if (writtenRequestComplete && completedByPatientComplete) {
-                completedSubtasks = 2; // Both complete
-            } else if (writtenRequestComplete) {
-                completedSubtasks = 1; // Partial completion (Written Request checked)
-            } else {
-                completedSubtasks = 0; // Not started
-            }
-        } else {
-            totalSubtasks = 1;
-            completedSubtasks = 0;
-        }
-    } else {
-        // Standard logic for other tasks
-        if (task.subtasks.length === 0) {
-            // For tasks with no subtasks, check if the task itself is marked as complete
-            totalSubtasks = 1;
-            completedSubtasks = task.complete ? 1 : 0;
-        } else {
-            totalSubtasks = task.subtasks.length;
-            task.subtasks.forEach(subtask => {
-                // Check if subtask is complete (including sub-subtasks)
-                if (subtask.subSubtasks && subtask.subSubtasks.length > 0) {
-                    // For subtasks with sub-subtasks, check if all sub-subtasks are complete
-                    let allSubSubtasksComplete = true;
-                    subtask.subSubtasks.forEach(subSubtask => {
-                        if (!subSubtask.complete) {
-                            allSubSubtasksComplete = false;
-                        }
-                    });
-                    if (allSubSubtasksComplete) {
-                        completedSubtasks++;
-                    }
-                } else {
-                    // For regular subtasks without sub-subtasks
-                    if (subtask.complete) completedSubtasks++;
-                }
-            });
-        }
-    }
+    // Calculate completion status from the workflow's completion rules
+    const { completed: completedSubtasks, total: totalSubtasks } = getTaskCompletionCounts(task, window.taskCompletionData[patientId]);
     
     // Find the task element and update its color
     const taskItem = document.querySelector(`#${patientId} .task-item[data-task-index="${taskIndex}"]`);
@@ -1963,17 +1900,7 @@ function updateTaskNumberColor(patientId, taskIndex) {
     taskNumber.classList.remove('not-started', 'partial', 'complete');
     
     // Determine new status and color
-    let statusClass, statusText;
-    if (completedSubtasks === 0) {
-        statusClass = 'not-started'; // Orange
-        statusText = 'Not Started';
-    } else if (completedSubtasks === totalSubtasks) {
-        statusClass = 'complete'; // Green
-        statusText = 'Complete';
-    } else {
-        statusClass = 'partial'; // Yellow
-        statusText = `${completedSubtasks}/${totalSubtasks} Complete`;
-    }
+    const { statusClass, statusText } = getTaskStatus(completedSubtasks, totalSubtasks);
     
     // Apply new classes
     taskItem.classList.add(statusClass);
@@ -2036,6 +1963,15 @@ async function loadPatientTimelines() {
             }
         }
         
+        // Pull the workflow template and saved progress so every machine sees the same state
+        await loadWorkflowTemplates();
+        await syncTaskCompletionFromServer();
+        
+        // Bring saved task trees in line with the current template
+        Object.keys(window.taskCompletionData).forEach(patientId => {
+            window.taskCompletionData[patientId] = applyWorkflowToTasks(window.taskCompletionData[patientId]);
+        });
+        
         const content = document.getElementById('content');
         let html = '<h1>Patient Timelines</h1>' +
             '<div class="timeline-header">' +
@@ -2089,16 +2025,18 @@ async function loadPatientTimelines() {
             // Use a stable ID based on patient name and index to ensure consistency across page refreshes
             const patientId = patient.id || `patient-${patientName.replace(/\s+/g, '-').toLowerCase()}-${index}`;
             
-            // Migrate task completion data from old index-based IDs to new unique IDs
-            const oldPatientId = `patient-${index}`;
-            if (window.taskCompletionData && window.taskCompletionData[oldPatientId] && !window.taskCompletionData[patientId]) {
-                // Copy task data from old ID to new ID
-                window.taskCompletionData[patientId] = window.taskCompletionData[oldPatientId];
-                // Remove old ID data
-                delete window.taskCompletionData[oldPatientId];
-                // Save the migrated data
-                localStorage.setItem('taskCompletionData', JSON.stringify(window.taskCompletionData));
-            }
+            // Migrate task completion data from old index- and name-based IDs to the server ID
+            const oldPatientIds = [`patient-${index}`, `patient-${patientName.replace(/\s+/g, '-').toLowerCase()}-${index}`];
+            oldPatientIds.forEach(oldPatientId => {
+                if (oldPatientId !== patientId && window.taskCompletionData && window.taskCompletionData[oldPatientId] && !window.taskCompletionData[patientId]) {
+                    // Copy task data from old ID to new ID
+                    window.taskCompletionData[patientId] = window.taskCompletionData[oldPatientId];
+                    // Remove old ID data
+                    delete window.taskCompletionData[oldPatientId];
+                    // Save the migrated data
+                    localStorage.setItem('taskCompletionData', JSON.stringify(window.taskCompletionData));
+                }
+            });
             
             // Initialize patient tasks if not exists
             if (!window.taskCompletionData[patientId]) {
@@ -2124,7 +2062,7 @@ async function loadPatientTimelines() {
                             </div>
                         </div>
                         <div class="patient-actions">
-                            ${isComplete ? `<button class="archive-btn" onclick="event.stopPropagation(); archivePatient(${index})" title="Archive completed patient">📦 Archive</button>` : ''}
+                            ${isComplete && hasPermission('patients:archive') ? `<button class="archive-btn" onclick="event.stopPropagation(); archivePatient('${patientId}')" title="Archive completed patient">📦 Archive</button>` : ''}
                             <div class="collapse-indicator">▼</div>
                         </div>
                     </div>
@@ -2236,44 +2174,63 @@ function exportPatientData() {
     }
 }
 
-// Archive a completed patient
-function archivePatient(patientIndex) {
+// Move a patient into the archive. Server patients move from the Active to the
+// Closed sheet; patients that only exist locally move between localStorage lists.
+// The server records the signed-in user as the one who archived it.
+async function archivePatient(patientId, archivedReason = '') {
     try {
-        const patients = JSON.parse(localStorage.getItem('activePatients') || '[]');
-        const archivedPatients = JSON.parse(localStorage.getItem('archivedPatients') || '[]');
+        let patient = null;
         
-        if (patientIndex >= 0 && patientIndex < patients.length) {
-            const patient = patients[patientIndex];
-            const archivedDate = new Date().toLocaleDateString();
-            
-            // Add archive date to patient data
-            patient.archivedDate = archivedDate;
-            patient.archivedBy = 'System'; // Could be enhanced to track user
-            
-            // Move to archived
-            archivedPatients.push(patient);
-            patients.splice(patientIndex, 1);
-            
-            // Save both arrays
+        if (isServerPatientId(patientId)) {
+            const response = await fetch(`/api/patients/${encodeURIComponent(patientId)}/archive`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ archivedReason })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || `Server error: ${response.status}`);
+            }
+            patient = result.patient;
+        }
+        
+        // Drop (or, for local-only patients, move) the local copy
+        const patients = JSON.parse(localStorage.getItem('activePatients') || '[]');
+        const patientIndex = patients.findIndex(p => p.id === patientId);
+        if (patientIndex !== -1) {
+            const [localPatient] = patients.splice(patientIndex, 1);
             localStorage.setItem('activePatients', JSON.stringify(patients));
-            localStorage.setItem('archivedPatients', JSON.stringify(archivedPatients));
             
-            // Remove task completion data for this patient
-            const patientName = patients[patientIndex]['Patient Name'] || 'Unknown';
-            const patientId = patients[patientIndex].id || `patient-${patientName.replace(/\s+/g, '-').toLowerCase()}-${patientIndex}`;
-            if (window.taskCompletionData && window.taskCompletionData[patientId]) {
-                delete window.taskCompletionData[patientId];
+            if (!patient) {
+                patient = {
+                    ...localPatient,
+                    archivedDate: new Date().toISOString(),
+                    archivedBy: getCurrentUserName(),
+                    archivedReason
+                };
+                const archivedPatients = JSON.parse(localStorage.getItem('archivedPatients') || '[]');
+                archivedPatients.push(patient);
+                localStorage.setItem('archivedPatients', JSON.stringify(archivedPatients));
             }
-            
-            showNotification(`Patient ${patient['Patient Name'] || 'Unknown'} archived successfully!`, 'success');
-            
-            // Reload the timeline to reflect changes
-            setTimeout(() => {
-                loadPatientTimelines();
-            }, 1000);
-            
-        } else {
-            showNotification('Invalid patient index', 'error');
+        }
+        
+        if (!patient) {
+            showNotification('Patient not found', 'error');
+            return;
+        }
+        
+        // Task progress stays in taskCompletionData under the same ID, ready for a restore
+        showNotification(`Patient ${patient['Patient Name'] || 'Unknown'} archived successfully!`, 'success');
+        
+        // Refresh the current view
+        if (currentTab === 'timelines') {
+            loadPatientTimelines();
+        } else if (currentTab === 'active-data') {
+            loadActivePatients();
+        } else if (currentTab === 'dashboard') {
+            loadDashboard();
         }
         
     } catch (error) {
@@ -2283,10 +2240,10 @@ function archivePatient(patientIndex) {
 }
 
 // Load archived patients
-function loadArchivedPatients() {
+async function loadArchivedPatients() {
     try {
         const content = document.getElementById('content');
-        const archivedPatients = JSON.parse(localStorage.getItem('archivedPatients') || '[]');
+        const archivedPatients = await fetchArchivedPatients();
         
         if (archivedPatients.length === 0) {
             content.innerHTML = `
@@ -2310,9 +2267,9 @@ function loadArchivedPatients() {
             <div class="archived-patients-container">
         `;
         
-        archivedPatients.forEach((patient, index) => {
+        archivedPatients.forEach(patient => {
             const patientName = patient['Patient Name'] || 'Unknown';
-            const archivedDate = patient.archivedDate || 'Unknown';
+            const archivedDate = patient.archivedDate ? new Date(patient.archivedDate).toLocaleDateString() : 'Unknown';
             
             html += `
                 <div class="archived-patient-card">
@@ -2324,13 +2281,14 @@ function loadArchivedPatients() {
                             <span>Hospice: ${patient['Hospice'] || 'N/A'}</span>
                         </div>
                         <div class="archived-meta">
-                            <span class="archived-date">Archived: ${archivedDate}</span>
+                            <span class="archived-date">Archived: ${archivedDate}${patient.archivedBy ? ` by ${patient.archivedBy}` : ''}</span>
                             <span class="dose-level">Dose: ${patient.doseLevel || 'Regular'}</span>
+                            ${patient.archivedReason ? `<span class="archived-reason">Reason: ${patient.archivedReason}</span>` : ''}
                         </div>
                     </div>
                     <div class="archived-actions">
-                        <button class="restore-btn" onclick="restorePatient(${index})" title="Restore to active patients">↩️ Restore</button>
-                        <button class="delete-btn" onclick="deleteArchivedPatient(${index})" title="Permanently delete">🗑️ Delete</button>
+                        ${hasPermission('patients:archive') ? `<button class="restore-btn" onclick="restorePatient('${patient.id}')" title="Restore to active patients">↩️ Restore</button>` : ''}
+                        ${hasPermission('patients:delete') ? `<button class="delete-btn" onclick="deleteArchivedPatient('${patient.id}')" title="Permanently delete">🗑️ Delete</button>` : ''}
                     </div>
                 </div>
             `;
@@ -2347,38 +2305,68 @@ function loadArchivedPatients() {
     }
 }
 
+// Fetch archived patients from the Closed sheet, plus any archived only in this browser
+async function fetchArchivedPatients() {
+    const localArchived = JSON.parse(localStorage.getItem('archivedPatients') || '[]');
+    
+    try {
+        const response = await fetch('/api/read-closed');
+        if (!response.ok) {
+            throw new Error(`Server error: ${response.status} ${response.statusText}`);
+        }
+        const serverArchived = await response.json();
+        
+        // Keep saved task progress available for timelines after a restore
+        serverArchived.forEach(patient => {
+            if (patient.tasks && !window.taskCompletionData[patient.id]) {
+                window.taskCompletionData[patient.id] = patient.tasks;
+            }
+        });
+        
+        const serverIds = new Set(serverArchived.map(p => p.id));
+        return serverArchived.concat(localArchived.filter(p => !serverIds.has(p.id)));
+    } catch (error) {
+        console.log('Server fetch failed, using local archive only:', error);
+        return localArchived;
+    }
+}
+
 // Restore a patient from archive
-function restorePatient(archivedIndex) {
+async function restorePatient(patientId) {
     try {
         const archivedPatients = JSON.parse(localStorage.getItem('archivedPatients') || '[]');
-        const activePatients = JSON.parse(localStorage.getItem('activePatients') || '[]');
+        const localIndex = archivedPatients.findIndex(p => p.id === patientId);
+        let patient = null;
         
-        if (archivedIndex >= 0 && archivedIndex < archivedPatients.length) {
-            const patient = archivedPatients[archivedIndex];
-            
-            // Remove archive metadata
+        if (localIndex !== -1) {
+            // Archived only in this browser: move it back to the local active list
+            patient = archivedPatients[localIndex];
             delete patient.archivedDate;
             delete patient.archivedBy;
+            delete patient.archivedReason;
             
-            // Move back to active
+            const activePatients = JSON.parse(localStorage.getItem('activePatients') || '[]');
             activePatients.push(patient);
-            archivedPatients.splice(archivedIndex, 1);
+            archivedPatients.splice(localIndex, 1);
             
-            // Save both arrays
             localStorage.setItem('activePatients', JSON.stringify(activePatients));
             localStorage.setItem('archivedPatients', JSON.stringify(archivedPatients));
-            
-            showNotification(`Patient ${patient['Patient Name'] || 'Unknown'} restored to active patients!`, 'success');
-            
-            // Reload archived patients
-            setTimeout(() => {
-                loadArchivedPatients();
-            }, 1000);
-            
         } else {
-            showNotification('Invalid patient index', 'error');
+            const response = await fetch(`/api/archived-patients/${encodeURIComponent(patientId)}/restore`, { method: 'POST' });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || `Server error: ${response.status}`);
+            }
+            patient = result.patient;
         }
         
+        showNotification(`Patient ${patient['Patient Name'] || 'Unknown'} restored to active patients!`, 'success');
+        
+        // Reload archived patients
+        setTimeout(() => {
+            loadArchivedPatients();
+        }, 1000);
+        
     } catch (error) {
         console.error('Restore error:', error);
         showNotification('Failed to restore patient. Please try again.', 'error');
@@ -2386,28 +2374,37 @@ function restorePatient(archivedIndex) {
 }
 
 // Delete an archived patient permanently
-function deleteArchivedPatient(archivedIndex) {
+async function deleteArchivedPatient(patientId) {
     if (confirm('Are you sure you want to permanently delete this patient? This action cannot be undone.')) {
         try {
             const archivedPatients = JSON.parse(localStorage.getItem('archivedPatients') || '[]');
+            const localIndex = archivedPatients.findIndex(p => p.id === patientId);
+            let patient = null;
             
-            if (archivedIndex >= 0 && archivedIndex < archivedPatients.length) {
-                const patient = archivedPatients[archivedIndex];
-                archivedPatients.splice(archivedIndex, 1);
-                
+            if (localIndex !== -1) {
+                [patient] = archivedPatients.splice(localIndex, 1);
                 localStorage.setItem('archivedPatients', JSON.stringify(archivedPatients));
-                
-                showNotification(`Patient ${patient['Patient Name'] || 'Unknown'} permanently deleted!`, 'success');
-                
-                // Reload archived patients
-                setTimeout(() => {
-                    loadArchivedPatients();
-                }, 1000);
-                
             } else {
-                showNotification('Invalid patient index', 'error');
+                const response = await fetch(`/api/archived-patients/${encodeURIComponent(patientId)}`, { method: 'DELETE' });
+                const result = await response.json();
+                if (!response.ok) {
+                    throw new Error(result.error || `Server error: ${response.status}`);
+                }
+                patient = result.patient;
+            }
+            
+            if (window.taskCompletionData && window.taskCompletionData[patientId]) {
+                delete window.taskCompletionData[patientId];
+                localStorage.setItem('taskCompletionData', JSON.stringify(window.taskCompletionData));
             }
             
+            showNotification(`Patient ${patient['Patient Name'] || 'Unknown'} permanently deleted!`, 'success');
+            
+            // Reload archived patients
+            setTimeout(() => {
+                loadArchivedPatients();
+            }, 1000);
+            
         } catch (error) {
             console.error('Delete error:', error);
             showNotification('Failed to delete patient. Please try again.', 'error');
@@ -2468,7 +2465,7 @@ function generateActivePatientSections(patients) {
                             <h4>Contact Information</h4>
                             <div class="info-item">
                                 <span class="info-label">Phone:</span>
-                                <span class="info-value">${phone}</span>
+                                <span class="info-value">${phone}${phoneFlag(phone)}</span>
                             </div>
                             <div class="info-item">
                                 <span class="info-label">Email:</span>
@@ -2625,6 +2622,8 @@ function markAllTasksComplete(patientName) {
         // Mark all tasks and subtasks as complete
         const tasks = window.taskCompletionData[patientId];
         tasks.forEach(task => {
+            task.complete = true;
+            
             // Mark all subtasks as complete
             task.subtasks.forEach(subtask => {
                 subtask.complete = true;
@@ -2639,7 +2638,7 @@ function markAllTasksComplete(patientName) {
         });
         
         // Save the updated task completion data
-        localStorage.setItem('taskCompletionData', JSON.stringify(window.taskCompletionData));
+        persistPatientTasks(patientId);
         
         showNotification(`All tasks marked as complete for ${patientName}!`, 'success');
         
@@ -2654,280 +2653,234 @@ function markAllTasksComplete(patientName) {
     }
 }
 
-// Initialize patient tasks with subtasks and sub-subtasks
-function initializePatientTasks() {
-    return [
-        { 
-            id: 'written-request', 
-            name: 'Written Request', 
-            complete: false,
-            subtasks: [
-                { 
-                    name: 'Completed by Patient', 
-                    complete: false
-                }
-            ]
-        },
-        { 
-            id: 'payment-schedule', 
-            name: 'Payment Schedule Form', 
-            subtasks: []
-        },
-        { 
-            id: 'adobe-forms', 
-            name: 'Send Adobe Forms', 
-            subtasks: []
-        },
-        { 
-            id: 'invoice', 
-            name: 'Quickbooks Invoice', 
-            subtasks: [
-                { name: 'Sent Invoice', complete: false },
-                { 
-                    name: 'Payment Received', 
-                    complete: false,
-                    subSubtasks: [
-                        { name: 'Paid via Quickbooks', complete: false },
-                        { name: 'Paid via Check', complete: false }
-                    ]
-                }
-            ]
-        },
-        { 
-            id: 'records', 
-            name: 'Medical Records', 
-            subtasks: [
-                { 
-                    name: 'Request Medical Records', 
-                    complete: false,
-                    subSubtasks: [
-                        { name: 'Hospice/Doctor Name', type: 'input', value: '', complete: false },
-                        { name: 'Request Method (Email/Doximity)', type: 'input', value: '', complete: false }
-                    ]
-                },
-                { name: 'Medical Records Received', complete: false }
-            ]
-        },
-        { 
-            id: 'visit1', 
-            name: 'Visit 1', 
-            subtasks: [
-                { 
-                    name: 'Scheduled', 
-                    complete: false,
-                    subSubtasks: [
-                        { name: 'Visit 1 Date', type: 'input', value: '', complete: false }
-                    ]
-                },
-                { name: 'Complete', complete: false }
-            ]
-        },
-        { 
-            id: 'visit2', 
-            name: 'Visit 2', 
-            subtasks: [
-                { 
-                    name: 'Scheduled', 
-                    complete: false,
-                    subSubtasks: [
-                        { name: 'Visit 2 Date', type: 'input', value: '', complete: false }
-                    ]
-                },
-                { name: 'Complete', complete: false }
-            ]
-        },
-        { 
-            id: 'attending', 
-            name: 'Attending Form', 
-            subtasks: [
-                { name: 'Started', complete: false },
-                { name: 'Complete', complete: false },
-                { name: 'In Emails Drafts', complete: false }
-            ]
-        },
-        { 
-            id: 'consulting', 
-            name: 'Consulting Form', 
-            subtasks: [
-                { 
-                    name: 'Received', 
-                    complete: false,
-                    subSubtasks: [
-                        { name: 'CP Name', type: 'input', value: '', complete: false }
-                    ]
-                }
-            ]
-        },
-        { 
-            id: 'rxnt', 
-            name: 'RXNT', 
-            subtasks: [
-                { name: 'Patient Information Inputted', complete: false },
-                { 
-                    name: 'Prescription', 
-                    complete: false,
-                    subSubtasks: [
-                        { name: 'Pending', complete: false },
-                        { name: 'Sent', complete: false }
-                    ],
-                    note: 'Dose Type: ${patient.doseLevel || "Not specified"}'
-                }
-            ]
-        },
-        { 
-            id: 'pharmacy', 
-            name: 'Pharmacy Coordination', 
-            subtasks: [
-                { name: 'Email Drafted', complete: false },
-                { name: 'Email Sent', complete: false }
-            ]
-        },
-        { 
-            id: 'ingestion', 
-            name: 'Ingestion', 
-            subtasks: [
-                { name: 'Ingestion Date', complete: false, subSubtasks: [{ name: 'Date', complete: false, type: 'input' }] },
-                { name: 'Medication Received by Patient', complete: false },
-                { name: 'Medication Taken by Patient', complete: false }
-            ]
-        },
-        { 
-            id: 'followup', 
-            name: 'Follow up Form', 
-            subtasks: [
-                { name: 'Completed', complete: false },
-                { name: 'Sent to EOLOA', complete: false }
-            ]
-        }
-    ];
+// Pending Timeline writes, keyed by patient ID
+const taskSyncTimers = {};
+
+// Only patients with a server-assigned ID (PAT-<base36 time>-<hex>, see
+// generatePatientId in sync.js) have a row in the Timeline sheet
+const SERVER_PATIENT_ID = /^PAT-[0-9a-z]+-[0-9a-f]+$/i;
+
+function isServerPatientId(patientId) {
+    return typeof patientId === 'string' && SERVER_PATIENT_ID.test(patientId);
 }
 
-// Helper to generate improved timeline steps
-function generateImprovedTimelineSteps(patient, index) {
-    const patientName = patient['Patient Name'] || 'Unknown';
-    const patientId = patient.id || `patient-${patientName.replace(/\s+/g, '-').toLowerCase()}-${index}`;
-    const tasks = window.taskCompletionData[patientId] || initializePatientTasks();
+// Save a patient's task progress locally and write it through to the Timeline sheet
+function persistPatientTasks(patientId) {
+    localStorage.setItem('taskCompletionData', JSON.stringify(window.taskCompletionData));
     
+    window.taskCompletionUpdatedAt = window.taskCompletionUpdatedAt || {};
+    window.taskCompletionUpdatedAt[patientId] = new Date().toISOString();
+    localStorage.setItem('taskCompletionUpdatedAt', JSON.stringify(window.taskCompletionUpdatedAt));
     
-    let html = '<div class="task-list">';
+    // Only roles that edit patients may change task progress on the server
+    if (!isServerPatientId(patientId) || !hasPermission('patients:edit')) return;
     
-    tasks.forEach((task, taskIndex) => {
-        let completedSubtasks, totalSubtasks, statusClass, statusText;
+    // Debounce so typing into an input sub-subtask doesn't send a request per keystroke
+    clearTimeout(taskSyncTimers[patientId]);
+    taskSyncTimers[patientId] = setTimeout(() => {
+        savePatientTasksToServer(patientId);
+    }, 500);
+}
+
+// Send a patient's task tree to the server
+async function savePatientTasksToServer(patientId) {
+    try {
+        const response = await fetch(`/api/patients/${encodeURIComponent(patientId)}/tasks`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ tasks: window.taskCompletionData[patientId] })
+        });
         
-        // Special logic for Quickbooks Invoice task
-        if (task.id === 'invoice') {
-            const sentInvoice = task.subtasks.find(s => s.name === 'Sent Invoice')?.complete || false;
-            const paidInvoice = task.subtasks.find(s => s.name === 'Paid Invoice')?.complete || false;
-            const paidViaCheck = task.subtasks.find(s => s.name === 'Paid via Check')?.complete || false;
-            
-            totalSubtasks = task.subtasks.length;
-            
-            // Task is complete if: Sent Invoice + (Paid Invoice OR Paid via Check)
-            if (sentInvoice && (paidInvoice || paidViaCheck)) {
-                completedSubtasks = totalSubtasks;
-                statusClass = 'complete';
-                statusText = 'Complete';
-            } else if (sentInvoice) {
-                completedSubtasks = 1;
-                statusClass = 'partial';
-                statusText = 'Partially Complete';
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const result = await response.json();
+        // Adopt the server timestamp so the next sync doesn't re-upload the same state
+        window.taskCompletionUpdatedAt[patientId] = result.lastModified;
+        localStorage.setItem('taskCompletionUpdatedAt', JSON.stringify(window.taskCompletionUpdatedAt));
+        return result;
+        
+    } catch (error) {
+        console.error('Error saving task progress to server:', error);
+        setStatus('Task progress saved locally only', 'error');
+    }
+}
+
+// Merge Timeline sheet progress into local task data (last write wins)
+async function syncTaskCompletionFromServer() {
+    try {
+        const response = await fetch('/api/read-timeline');
+        if (!response.ok) {
+            throw new Error(`Server error: ${response.status} ${response.statusText}`);
+        }
+        const timelines = await response.json();
+        
+        window.taskCompletionUpdatedAt = window.taskCompletionUpdatedAt || {};
+        const serverIds = new Set();
+        
+        timelines.forEach(({ patientId, tasks, lastModified }) => {
+            serverIds.add(patientId);
+            const localUpdatedAt = window.taskCompletionUpdatedAt[patientId];
+            if (!window.taskCompletionData[patientId] || !localUpdatedAt || (lastModified && lastModified >= localUpdatedAt)) {
+                window.taskCompletionData[patientId] = tasks;
+                window.taskCompletionUpdatedAt[patientId] = lastModified;
             } else {
-                completedSubtasks = 0;
-                statusClass = 'not-started';
-                statusText = 'Not Started';
+                // Local copy changed while offline - push it back up
+                savePatientTasksToServer(patientId);
             }
-        } else if (task.id === 'written-request') {
-            // Special logic for Written Request - main task can be checked independently
-            const mainTaskComplete = task.complete;
-            const subtaskComplete = task.subtasks[0]?.complete || false;
-            
-            totalSubtasks = 2; // Main task + 1 subtask
-            
-            if (mainTaskComplete && subtaskComplete) {
-                completedSubtasks = 2;
-                statusClass = 'complete';
-                statusText = 'Complete';
-            } else if (mainTaskComplete || subtaskComplete) {
-                completedSubtasks = 1;
-                statusClass = 'partial';
-                statusText = 'Partially Complete';
-            } else {
-                completedSubtasks = 0;
-                statusClass = 'not-started';
-                statusText = 'Not Started';
-            }
-        } else if (task.id === 'adobe-forms') {
-            // Special logic for Send Adobe Forms - reflects Written Request completion
-            const writtenRequestTask = tasks.find(t => t.id === 'written-request');
-            if (writtenRequestTask) {
-                const writtenRequestComplete = writtenRequestTask.complete;
-                const completedByPatientComplete = writtenRequestTask.subtasks[0]?.complete || false;
-                
-                totalSubtasks = 2; // Written Request + Completed by Patient
-                
-                if (writtenRequestComplete && completedByPatientComplete) {
-                    completedSubtasks = 2;
-                    statusClass = 'complete';
-                    statusText = 'Complete';
-                } else if (writtenRequestComplete) {
-                    completedSubtasks = 1;
-                    statusClass = 'partial';
-                    statusText = 'Partially Complete';
-                } else {
-                    completedSubtasks = 0;
-                    statusClass = 'not-started';
-                    statusText = 'Not Started';
-                }
-            } else {
-                totalSubtasks = 1;
-                completedSubtasks = 0;
-                statusClass = 'not-started';
-                statusText = 'Not Started';
-            }
-        } else {
-            // Standard logic for other tasks
-            if (task.subtasks.length === 0) {
-                // For tasks with no subtasks, check if the task itself is marked as complete
-                totalSubtasks = 1;
-                completedSubtasks = task.complete ? 1 : 0;
-                
-                if (completedSubtasks === 0) {
-                    statusClass = 'not-started';
-                    statusText = 'Not Started';
-                } else {
-                    statusClass = 'complete';
-                    statusText = 'Complete';
-                }
-            } else {
-                completedSubtasks = task.subtasks.filter(s => s.complete).length;
-                totalSubtasks = task.subtasks.length;
-        
-        if (completedSubtasks === 0) {
-            statusClass = 'not-started';
-            statusText = 'Not Started';
-        } else if (completedSubtasks === totalSubtasks) {
-            statusClass = 'complete';
-            statusText = 'Complete';
-        } else {
-            statusClass = 'partial';
-            statusText = `${completedSubtasks}/${totalSubtasks} Complete`;
-                }
+        });
+        
+        // Upload progress that has never reached the server
+        Object.keys(window.taskCompletionData).forEach(patientId => {
+            if (isServerPatientId(patientId) && !serverIds.has(patientId)) {
+                savePatientTasksToServer(patientId);
             }
+        });
+        
+        localStorage.setItem('taskCompletionData', JSON.stringify(window.taskCompletionData));
+        localStorage.setItem('taskCompletionUpdatedAt', JSON.stringify(window.taskCompletionUpdatedAt));
+        
+    } catch (error) {
+        console.log('Timeline sync failed, using local task data only:', error);
+    }
+}
+
+// Initialize patient tasks from the default workflow template
+function initializePatientTasks() {
+    return createTasksFromWorkflow(window.activeWorkflow);
+}
+
+// Build a fresh, unchecked task tree from a workflow template
+function createTasksFromWorkflow(workflow) {
+    if (!workflow || !Array.isArray(workflow.steps)) return [];
+    
+    return workflow.steps.map(step => ({
+        ...step,
+        complete: false,
+        subtasks: (step.subtasks || []).map(subtask => ({
+            ...subtask,
+            complete: false,
+            ...(subtask.subSubtasks ? {
+                subSubtasks: subtask.subSubtasks.map(item => ({
+                    ...item,
+                    complete: false,
+                    ...(item.type === 'input' ? { value: '' } : {})
+                }))
+            } : {})
+        }))
+    }));
+}
+
+// Rebuild a saved task tree on the current template, keeping progress for steps that still exist
+function applyWorkflowToTasks(tasks) {
+    if (!window.activeWorkflow || !Array.isArray(tasks)) return tasks;
+    
+    const savedById = new Map(tasks.map(task => [task.id, task]));
+    
+    return createTasksFromWorkflow(window.activeWorkflow).map(task => {
+        const saved = savedById.get(task.id);
+        if (!saved) return task;
+        
+        task.complete = Boolean(saved.complete);
+        task.subtasks.forEach(subtask => {
+            const savedSubtask = (saved.subtasks || []).find(s => s.name === subtask.name);
+            if (!savedSubtask) return;
+            
+            subtask.complete = Boolean(savedSubtask.complete);
+            (subtask.subSubtasks || []).forEach(item => {
+                const savedItem = (savedSubtask.subSubtasks || []).find(s => s.name === item.name);
+                if (!savedItem) return;
+                item.complete = Boolean(savedItem.complete);
+                if (item.type === 'input') item.value = savedItem.value || '';
+            });
+        });
+        return task;
+    });
+}
+
+// Whether a subtask is done, honouring its completion rule for nested items
+function isSubtaskComplete(subtask) {
+    const items = subtask.subSubtasks || [];
+    if (items.length === 0) return Boolean(subtask.complete);
+    return subtask.completion === 'any-of'
+        ? items.some(item => item.complete)
+        : items.every(item => item.complete);
+}
+
+// Count completed vs. total checklist items for one step of a patient's workflow
+function getTaskCompletionCounts(task, tasks) {
+    // Mirroring steps report the progress of the step they follow
+    if (task.mirrors) {
+        const mirrored = (tasks || []).find(t => t.id === task.mirrors);
+        return mirrored && !mirrored.mirrors ? getTaskCompletionCounts(mirrored, tasks) : { completed: 0, total: 1 };
+    }
+    
+    let completed = 0;
+    let total = 0;
+    
+    // A step with no subtasks, or its own checkbox, counts as an item itself
+    if (task.checkable || task.subtasks.length === 0) {
+        total++;
+        if (task.complete) completed++;
+    }
+    
+    task.subtasks.forEach(subtask => {
+        total++;
+        if (isSubtaskComplete(subtask)) completed++;
+    });
+    
+    return { completed, total };
+}
+
+// Map completion counts to the orange/yellow/green status used on timelines
+function getTaskStatus(completed, total) {
+    if (completed === 0) {
+        return { statusClass: 'not-started', statusText: 'Not Started' };
+    }
+    if (completed === total) {
+        return { statusClass: 'complete', statusText: 'Complete' };
+    }
+    return { statusClass: 'partial', statusText: `${completed}/${total} Complete` };
+}
+
+// Refresh the colors of any steps that mirror the given one
+function refreshMirroringTasks(patientId, task) {
+    window.taskCompletionData[patientId].forEach((other, otherIndex) => {
+        if (other.mirrors === task.id) {
+            updateTaskNumberColor(patientId, otherIndex);
         }
+    });
+}
+
+// Helper to generate improved timeline steps
+function generateImprovedTimelineSteps(patient, index) {
+    const patientName = patient['Patient Name'] || 'Unknown';
+    const patientId = patient.id || `patient-${patientName.replace(/\s+/g, '-').toLowerCase()}-${index}`;
+    const tasks = window.taskCompletionData[patientId] || initializePatientTasks();
+    
+    
+    let html = '<div class="task-list">';
+    
+    tasks.forEach((task, taskIndex) => {
+        const { completed: completedSubtasks, total: totalSubtasks } = getTaskCompletionCounts(task, tasks);
+        const { statusClass, statusText } = getTaskStatus(completedSubtasks, totalSubtasks);
         
         console.log(`Initial task ${taskIndex} status: ${statusClass} (${completedSubtasks}/${totalSubtasks})`);
         
         html += `
             <div class="task-item ${statusClass}" data-task-index="${taskIndex}">
-                <div class="task-header" onclick="${task.subtasks.length === 0 ? `toggleMainTask('${patientId}', ${taskIndex})` : `toggleTaskDetails('${patientId}', ${taskIndex})`}">
+                <div class="task-header" onclick="${task.subtasks.length === 0 && !task.checkable ? `toggleMainTask('${patientId}', ${taskIndex})` : `toggleTaskDetails('${patientId}', ${taskIndex})`}">
                     <div class="task-number ${statusClass}">${taskIndex + 1}</div>
                     <div class="task-info">
                         <div class="task-name">${task.name}</div>
                         <div class="task-status">${statusText}</div>
                     </div>
-                    <div class="task-expand">${task.subtasks.length === 0 ? '' : '▼'}</div>
+                    <div class="task-expand">${task.subtasks.length === 0 && !task.checkable ? '' : '▼'}</div>
                 </div>
-                ${task.subtasks.length > 0 ? `
+                ${task.subtasks.length > 0 || task.checkable ? `
                 <div class="task-subtasks" id="subtasks-${patientId}-${taskIndex}" style="display: none;">
                     ${generateSubtasks(task, patientId, taskIndex)}
                 </div>
@@ -2946,48 +2899,49 @@ function generateSubtasks(task, patientId, taskIndex) {
     const patient = window.patientsData?.[patientId] || {};
     let html = '<ul class="subtask-list">';
     
-    // Special handling for Written Request task - show main task checkbox
-    if (task.id === 'written-request') {
+    // Steps with their own checkbox show it above their subtasks
+    if (task.checkable) {
         html += `
             <li class="subtask-item main-task-item">
                 <input type="checkbox" 
                     id="main-task-${patientId}-${taskIndex}"
                     ${task.complete ? 'checked' : ''}
                     onchange="toggleMainTask('${patientId}', ${taskIndex})">
-                <label for="main-task-${patientId}-${taskIndex}">Written Request</label>
+                <label for="main-task-${patientId}-${taskIndex}">${task.name}</label>
             </li>
         `;
-        
-        // Add the subtask
-        task.subtasks.forEach((subtask, subIndex) => {
-            html += `
-                <li class="subtask-item">
-                    <input type="checkbox" 
-                        id="subtask-${patientId}-${taskIndex}-${subIndex}"
-                        ${subtask.complete ? 'checked' : ''}
-                        onchange="toggleSubtask('${patientId}', ${taskIndex}, ${subIndex})">
-                    <label for="subtask-${patientId}-${taskIndex}-${subIndex}">${subtask.name}</label>
-                </li>
-            `;
-        });
     }
-    // Special handling for Quickbooks Invoice task to add "or" between payment options
-    else if (task.id === 'invoice') {
+    
     task.subtasks.forEach((subtask, subIndex) => {
         html += `
             <li class="subtask-item">
                 <input type="checkbox" 
                     id="subtask-${patientId}-${taskIndex}-${subIndex}"
                     ${subtask.complete ? 'checked' : ''}
-                        onchange="toggleSubtask('${patientId}', ${taskIndex}, ${subIndex})">
+                    onchange="toggleSubtask('${patientId}', ${taskIndex}, ${subIndex})">
                 <label for="subtask-${patientId}-${taskIndex}-${subIndex}">${subtask.name}</label>
             </li>
         `;
-            
-            // Add sub-subtasks if they exist (like payment options under "Payment Received")
-            if (subtask.subSubtasks && subtask.subSubtasks.length > 0) {
-                html += '<ul class="sub-subtask-list">';
-                subtask.subSubtasks.forEach((subSubtask, subSubIndex) => {
+        
+        // Add sub-subtasks if they exist (like payment options under "Payment Received")
+        if (subtask.subSubtasks && subtask.subSubtasks.length > 0) {
+            html += '<ul class="sub-subtask-list">';
+            subtask.subSubtasks.forEach((subSubtask, subSubIndex) => {
+                if (subSubtask.type === 'input') {
+                    // Input field sub-subtask
+                    html += `
+                        <li class="sub-subtask-item input-subtask">
+                            <label for="sub-subtask-${patientId}-${taskIndex}-${subIndex}-${subSubIndex}">${subSubtask.name}:</label>
+                            <input type="text" 
+                                id="sub-subtask-${patientId}-${taskIndex}-${subIndex}-${subSubIndex}"
+                                value="${subSubtask.value || ''}"
+                                placeholder="Type here..."
+                                onchange="updateSubSubtaskInput('${patientId}', ${taskIndex}, ${subIndex}, ${subSubIndex}, this.value)"
+                                onblur="updateSubSubtaskInput('${patientId}', ${taskIndex}, ${subIndex}, ${subSubIndex}, this.value)">
+                        </li>
+                    `;
+                } else {
+                    // Regular checkbox sub-subtask
                     html += `
                         <li class="sub-subtask-item">
                             <input type="checkbox" 
@@ -2997,73 +2951,26 @@ function generateSubtasks(task, patientId, taskIndex) {
                             <label for="sub-subtask-${patientId}-${taskIndex}-${subIndex}-${subSubIndex}">${subSubtask.name}</label>
                         </li>
                     `;
-                    
-                    // Add "or" separator between "Paid via Quickbooks" and "Paid via Check"
-                    if (subSubtask.name === 'Paid via Quickbooks') {
-                        html += '<li class="subtask-separator">or</li>';
-                    }
-                });
-                html += '</ul>';
-            }
-        });
-    } else {
-        // Standard handling for other tasks
-        task.subtasks.forEach((subtask, subIndex) => {
-            html += `
-                <li class="subtask-item">
-                    <input type="checkbox" 
-                        id="subtask-${patientId}-${taskIndex}-${subIndex}"
-                        ${subtask.complete ? 'checked' : ''}
-                        onchange="toggleSubtask('${patientId}', ${taskIndex}, ${subIndex})">
-                    <label for="subtask-${patientId}-${taskIndex}-${subIndex}">${subtask.name}</label>
-                </li>
-            `;
-            
-            // Add sub-subtasks if they exist (like "Completed by Patient" under "Written Request")
-            if (subtask.subSubtasks && subtask.subSubtasks.length > 0) {
-                html += '<ul class="sub-subtask-list">';
-                subtask.subSubtasks.forEach((subSubtask, subSubIndex) => {
-                    if (subSubtask.type === 'input') {
-                        // Input field sub-subtask
-                        html += `
-                            <li class="sub-subtask-item input-subtask">
-                                <label for="sub-subtask-${patientId}-${taskIndex}-${subIndex}-${subSubIndex}">${subSubtask.name}:</label>
-                                <input type="text" 
-                                    id="sub-subtask-${patientId}-${taskIndex}-${subIndex}-${subSubIndex}"
-                                    value="${subSubtask.value || ''}"
-                                    placeholder="Type here..."
-                                    onchange="updateSubSubtaskInput('${patientId}', ${taskIndex}, ${subIndex}, ${subSubIndex}, this.value)"
-                                    onblur="updateSubSubtaskInput('${patientId}', ${taskIndex}, ${subIndex}, ${subSubIndex}, this.value)">
-                            </li>
-                        `;
-                    } else {
-                        // Regular checkbox sub-subtask
-                        html += `
-                            <li class="sub-subtask-item">
-                                <input type="checkbox" 
-                                    id="sub-subtask-${patientId}-${taskIndex}-${subIndex}-${subSubIndex}"
-                                    ${subSubtask.complete ? 'checked' : ''}
-                                    onchange="toggleSubSubtask('${patientId}', ${taskIndex}, ${subIndex}, ${subSubIndex})">
-                                <label for="sub-subtask-${patientId}-${taskIndex}-${subIndex}-${subSubIndex}">${subSubtask.name}</label>
-
-                            </li>
-                        `;
-                    }
-                });
-                html += '</ul>';
-            }
-            
-            // Add note if it exists (like dose type information)
-            if (subtask.note) {
-                // Evaluate template strings in notes (like ${patient.doseLevel})
-                const evaluatedNote = subtask.note.replace(/\${([^}]+)}/g, (match, path) => {
-                    const value = path.split('.').reduce((obj, key) => obj?.[key], patient);
-                    return value || 'Not specified';
-                });
-                html += `<div class="task-note">${evaluatedNote}</div>`;
-            }
-        });
-    }
+                }
+                
+                // "any-of" items are alternatives - separate them with "or"
+                if (subtask.completion === 'any-of' && subSubIndex < subtask.subSubtasks.length - 1) {
+                    html += '<li class="subtask-separator">or</li>';
+                }
+            });
+            html += '</ul>';
+        }
+        
+        // Add note if it exists (like dose type information)
+        if (subtask.note) {
+            // Evaluate template strings in notes (like ${doseLevel})
+            const evaluatedNote = subtask.note.replace(/\${([^}]+)}/g, (match, path) => {
+                const value = path.split('.').reduce((obj, key) => obj?.[key], patient);
+                return value || 'Not specified';
+            });
+            html += `<div class="task-note">${evaluatedNote}</div>`;
+        }
+    });
     
     html += '</ul>';
     return html;
@@ -3083,78 +2990,9 @@ function calculateProgress(patientId) {
     let completedItems = 0;
     
     tasks.forEach(task => {
-        // Special logic for Quickbooks Invoice task
-        if (task.id === 'invoice') {
-            const sentInvoice = task.subtasks.find(s => s.name === 'Sent Invoice')?.complete || false;
-            const paymentReceived = task.subtasks.find(s => s.name === 'Payment Received');
-            const paidViaQuickbooks = paymentReceived?.subSubtasks?.find(s => s.name === 'Paid via Quickbooks')?.complete || false;
-            const paidViaCheck = paymentReceived?.subSubtasks?.find(s => s.name === 'Paid via Check')?.complete || false;
-            
-            // Count subtasks for total
-            totalItems += task.subtasks.length;
-            
-            // Count completed items with special logic
-            if (sentInvoice) {
-                completedItems++; // Sent Invoice counts
-                if (paidViaQuickbooks || paidViaCheck) {
-                    completedItems++; // Either payment method counts
-                }
-            }
-        } else if (task.id === 'written-request') {
-            // Special logic for Written Request - main task can be checked independently
-            const mainTaskComplete = task.complete;
-            const subtaskComplete = task.subtasks[0]?.complete || false;
-            
-            totalItems += 2; // Main task + 1 subtask
-            
-            if (mainTaskComplete) completedItems++;
-            if (subtaskComplete) completedItems++;
-        } else if (task.id === 'adobe-forms') {
-            // Special logic for Send Adobe Forms - reflects Written Request completion
-            const writtenRequestTask = tasks.find(t => t.id === 'written-request');
-            if (writtenRequestTask) {
-                const writtenRequestComplete = writtenRequestTask.complete;
-                const completedByPatientComplete = writtenRequestTask.subtasks[0]?.complete || false;
-                
-                totalItems += 2; // Written Request + Completed by Patient
-                
-                if (writtenRequestComplete && completedByPatientComplete) {
-                    completedItems += 2; // Both complete
-                } else if (writtenRequestComplete) {
-                    completedItems += 1; // Partial completion (Written Request checked)
-                }
-            } else {
-                totalItems += 1;
-            }
-        } else {
-            // Standard logic for other tasks
-            if (task.subtasks.length === 0) {
-                // For tasks with no subtasks, check if the task itself is marked as complete
-                totalItems++;
-                if (task.complete) completedItems++;
-            } else {
-                task.subtasks.forEach(subtask => {
-                    totalItems++;
-                    
-                    // Check if subtask is complete (including sub-subtasks)
-                    if (subtask.subSubtasks && subtask.subSubtasks.length > 0) {
-                        // For subtasks with sub-subtasks, check if all sub-subtasks are complete
-                        let allSubSubtasksComplete = true;
-                        subtask.subSubtasks.forEach(subSubtask => {
-                            if (!subSubtask.complete) {
-                                allSubSubtasksComplete = false;
-                            }
-                        });
-                        if (allSubSubtasksComplete) {
-                            completedItems++;
-                        }
-                    } else {
-                        // For regular subtasks without sub-subtasks
-                        if (subtask.complete) completedItems++;
-                    }
-                });
-            }
-        }
+        const { completed, total } = getTaskCompletionCounts(task, tasks);
+        completedItems += completed;
+        totalItems += total;
     });
     
     // Ensure we return a valid percentage
@@ -3211,13 +3049,8 @@ function toggleMainTask(patientId, taskIndex) {
     // Update task number color based on completion status
     updateTaskNumberColor(patientId, taskIndex);
     
-    // If this is the Written Request task, also update the Send Adobe Forms task
-    if (task.id === 'written-request') {
-        const adobeFormsTaskIndex = window.taskCompletionData[patientId].findIndex(t => t.id === 'adobe-forms');
-        if (adobeFormsTaskIndex !== -1) {
-            updateTaskNumberColor(patientId, adobeFormsTaskIndex);
-        }
-    }
+    // Steps that mirror this one need their colors refreshed too
+    refreshMirroringTasks(patientId, task);
     
     console.log('Current task data after toggle:', window.taskCompletionData[patientId][taskIndex]);
     
@@ -3228,9 +3061,9 @@ function toggleMainTask(patientId, taskIndex) {
     progressText.textContent = `${progress}% Complete`;
     progressFill.style.width = `${progress}%`;
     
-    // Save to localStorage
-    localStorage.setItem('taskCompletionData', JSON.stringify(window.taskCompletionData));
-    console.log('Task completion data saved to localStorage in toggleMainTask');
+    // Save to localStorage and the Timeline sheet
+    persistPatientTasks(patientId);
+    console.log('Task completion data saved in toggleMainTask');
     
     // Auto-archive if 100% complete
     if (progress === 100) {
@@ -3250,61 +3083,11 @@ function toggleSubtask(patientId, taskIndex, subtaskIndex) {
     
     console.log(`Toggled subtask ${subtaskIndex} to ${checked} for patient ${patientId}, task ${taskIndex}`);
     
-    // Recalculate task completion status with special logic for Quickbooks Invoice
-    let completedSubtasks = 0;
-    let totalSubtasks = 0;
-    
-    if (task.id === 'invoice') {
-        // Special logic for Quickbooks Invoice
-        const sentInvoice = task.subtasks.find(s => s.name === 'Sent Invoice')?.complete || false;
-        const paymentReceived = task.subtasks.find(s => s.name === 'Payment Received');
-        const paidViaQuickbooks = paymentReceived?.subSubtasks?.find(s => s.name === 'Paid via Quickbooks')?.complete || false;
-        const paidViaCheck = paymentReceived?.subSubtasks?.find(s => s.name === 'Paid via Check')?.complete || false;
-        
-        totalSubtasks = task.subtasks.length;
-        
-        // Task is complete if: Sent Invoice + (Paid via Quickbooks OR Paid via Check)
-        if (sentInvoice && (paidViaQuickbooks || paidViaCheck)) {
-            completedSubtasks = totalSubtasks; // Mark as fully complete
-        } else if (sentInvoice) {
-            completedSubtasks = 1; // Partially complete
-    } else {
-            completedSubtasks = 0; // Not started
-        }
-    } else {
-        // Standard logic for other tasks
-        task.subtasks.forEach(subtask => {
-            totalSubtasks++;
-            
-            // Check if subtask is complete (including sub-subtasks)
-            if (subtask.subSubtasks && subtask.subSubtasks.length > 0) {
-                // For subtasks with sub-subtasks, check if all sub-subtasks are complete
-                let allSubSubtasksComplete = true;
-                subtask.subSubtasks.forEach(subSubtask => {
-                    if (!subSubtask.complete) {
-                        allSubSubtasksComplete = false;
-                    }
-                });
-                if (allSubSubtasksComplete) {
-                    completedSubtasks++;
-                }
-            } else {
-                // For regular subtasks without sub-subtasks
-                if (subtask.complete) completedSubtasks++;
-            }
-        });
-    }
-    
     // Update task number color based on completion status
     updateTaskNumberColor(patientId, taskIndex);
     
-    // If this is the Written Request task's subtask, also update the Send Adobe Forms task
-    if (task.id === 'written-request') {
-        const adobeFormsTaskIndex = window.taskCompletionData[patientId].findIndex(t => t.id === 'adobe-forms');
-        if (adobeFormsTaskIndex !== -1) {
-            updateTaskNumberColor(patientId, adobeFormsTaskIndex);
-        }
-    }
+    // Steps that mirror this one need their colors refreshed too
+    refreshMirroringTasks(patientId, task);
     
     console.log('Current task data after toggle:', window.taskCompletionData[patientId][taskIndex]);
     
@@ -3315,9 +3098,9 @@ function toggleSubtask(patientId, taskIndex, subtaskIndex) {
     progressText.textContent = `${progress}% Complete`;
     progressFill.style.width = `${progress}%`;
     
-    // Save to localStorage
-    localStorage.setItem('taskCompletionData', JSON.stringify(window.taskCompletionData));
-    console.log('Task completion data saved to localStorage in toggleSubtask');
+    // Save to localStorage and the Timeline sheet
+    persistPatientTasks(patientId);
+    console.log('Task completion data saved in toggleSubtask');
     
     // Auto-archive if 100% complete
     if (progress === 100) {
@@ -3338,55 +3121,14 @@ function toggleSubSubtask(patientId, taskIndex, subtaskIndex, subSubtaskIndex) {
     
     console.log(`Toggled sub-subtask ${subSubtaskIndex} to ${checked} for patient ${patientId}, task ${taskIndex}, subtask ${subtaskIndex}`);
     
-    // Recalculate subtask completion status
-    let completedSubSubtasks = 0;
-    let totalSubSubtasks = subtask.subSubtasks.length;
-    
-    subtask.subSubtasks.forEach(subSubtask => {
-        if (subSubtask.complete) completedSubSubtasks++;
-    });
-    
-    // Update subtask completion based on sub-subtasks
-    if (completedSubSubtasks === totalSubSubtasks) {
-        subtask.complete = true;
-    } else if (completedSubSubtasks > 0) {
-        subtask.complete = false; // Partially complete
-    } else {
-        subtask.complete = false; // Not started
-    }
-    
-    // Recalculate overall task completion
-    let completedSubtasks = 0;
-    let totalSubtasks = 0;
-    
-    if (task.id === 'invoice') {
-        // Special logic for Quickbooks Invoice
-        const sentInvoice = task.subtasks.find(s => s.name === 'Sent Invoice')?.complete || false;
-        const paymentReceived = task.subtasks.find(s => s.name === 'Payment Received');
-        const paidViaQuickbooks = paymentReceived?.subSubtasks?.find(s => s.name === 'Paid via Quickbooks')?.complete || false;
-        const paidViaCheck = paymentReceived?.subSubtasks?.find(s => s.name === 'Paid via Check')?.complete || false;
-        
-        totalSubtasks = task.subtasks.length;
-        
-        // Task is complete if: Sent Invoice + (Paid via Quickbooks OR Paid via Check)
-        if (sentInvoice && (paidViaQuickbooks || paidViaCheck)) {
-            completedSubtasks = totalSubtasks; // Mark as fully complete
-        } else if (sentInvoice) {
-            completedSubtasks = 1; // Partially complete
-        } else {
-            completedSubtasks = 0; // Not started
-        }
-    } else {
-        // Standard logic for other tasks
-        task.subtasks.forEach(subtask => {
-            totalSubtasks++;
-            if (subtask.complete) completedSubtasks++;
-        });
-    }
+    // Subtask completion follows its rule ("all" or "any-of" of its items)
+    subtask.complete = isSubtaskComplete(subtask);
     
     // Update task number color based on completion status
     updateTaskNumberColor(patientId, taskIndex);
     
+    // Steps that mirror this one need their colors refreshed too
+    refreshMirroringTasks(patientId, task);
     
     // Update overall progress
     const progressText = document.querySelector(`#${patientId} .progress-text`);
@@ -3395,9 +3137,9 @@ function toggleSubSubtask(patientId, taskIndex, subtaskIndex, subSubtaskIndex) {
     progressText.textContent = `${progress}% Complete`;
     progressFill.style.width = `${progress}%`;
     
-    // Save to localStorage
-    localStorage.setItem('taskCompletionData', JSON.stringify(window.taskCompletionData));
-    console.log('Task completion data saved to localStorage in toggleSubSubtask');
+    // Save to localStorage and the Timeline sheet
+    persistPatientTasks(patientId);
+    console.log('Task completion data saved in toggleSubSubtask');
     
     // Auto-archive if 100% complete
     if (progress === 100) {
@@ -3418,55 +3160,14 @@ function updateSubSubtaskInput(patientId, taskIndex, subtaskIndex, subSubtaskInd
     // Mark as complete if there's a value, incomplete if empty
     subtask.subSubtasks[subSubtaskIndex].complete = value.trim().length > 0;
     
-    // Recalculate subtask completion status
-    let completedSubSubtasks = 0;
-    let totalSubSubtasks = subtask.subSubtasks.length;
-    
-    subtask.subSubtasks.forEach(subSubtask => {
-        if (subSubtask.complete) completedSubSubtasks++;
-    });
-    
-    // Update subtask completion based on sub-subtasks
-    if (completedSubSubtasks === totalSubSubtasks) {
-        subtask.complete = true;
-    } else if (completedSubSubtasks > 0) {
-        subtask.complete = false; // Partially complete
-    } else {
-        subtask.complete = false; // Not started
-    }
-    
-    // Recalculate overall task completion
-    let completedSubtasks = 0;
-    let totalSubtasks = 0;
-    
-    if (task.id === 'invoice') {
-        // Special logic for Quickbooks Invoice
-        const sentInvoice = task.subtasks.find(s => s.name === 'Sent Invoice')?.complete || false;
-        const paymentReceived = task.subtasks.find(s => s.name === 'Payment Received');
-        const paidViaQuickbooks = paymentReceived?.subSubtasks?.find(s => s.name === 'Paid via Quickbooks')?.complete || false;
-        const paidViaCheck = paymentReceived?.subSubtasks?.find(s => s.name === 'Paid via Check')?.complete || false;
-        
-        totalSubtasks = task.subtasks.length;
-        
-        // Task is complete if: Sent Invoice + (Paid via Quickbooks OR Paid via Check)
-        if (sentInvoice && (paidViaQuickbooks || paidViaCheck)) {
-            completedSubtasks = totalSubtasks; // Mark as fully complete
-        } else if (sentInvoice) {
-            completedSubtasks = 1; // Partially complete
-        } else {
-            completedSubtasks = 0; // Not started
-        }
-    } else {
-        // Standard logic for other tasks
-        task.subtasks.forEach(subtask => {
-            totalSubtasks++;
-            if (subtask.complete) completedSubtasks++;
-        });
-    }
+    // Subtask completion follows its rule ("all" or "any-of" of its items)
+    subtask.complete = isSubtaskComplete(subtask);
     
     // Update task number color based on completion status
     updateTaskNumberColor(patientId, taskIndex);
     
+    // Steps that mirror this one need their colors refreshed too
+    refreshMirroringTasks(patientId, task);
     
     // Update overall progress
     const progressText = document.querySelector(`#${patientId} .progress-text`);
@@ -3475,9 +3176,9 @@ function updateSubSubtaskInput(patientId, taskIndex, subtaskIndex, subSubtaskInd
     progressText.textContent = `${progress}% Complete`;
     progressFill.style.width = `${progress}%`;
     
-    // Save to localStorage
-    localStorage.setItem('taskCompletionData', JSON.stringify(window.taskCompletionData));
-    console.log('Task completion data saved to localStorage in updateSubSubtaskInput');
+    // Save to localStorage and the Timeline sheet
+    persistPatientTasks(patientId);
+    console.log('Task completion data saved in updateSubSubtaskInput');
     
     // Auto-archive if 100% complete
     if (progress === 100) {
@@ -3487,77 +3188,396 @@ function updateSubSubtaskInput(patientId, taskIndex, subtaskIndex, subSubtaskInd
     }
 }
 
-// Toggle individual timeline card
-function toggleTimelineCard(patientId) {
-    const card = document.getElementById(patientId);
-    const indicator = card.querySelector('.collapse-indicator');
-    
-    if (card.classList.contains('collapsed')) {
-        card.classList.remove('collapsed');
-        indicator.style.transform = 'none';
-    } else {
-        card.classList.add('collapsed');
+// Fetch workflow templates and pick the default one for timelines
+async function loadWorkflowTemplates() {
+    try {
+        const response = await fetch('/api/workflows');
+        if (!response.ok) {
+            throw new Error(`Server error: ${response.status} ${response.statusText}`);
+        }
+        window.workflowTemplates = await response.json();
+        window.activeWorkflow = window.workflowTemplates.find(w => w.isDefault) || window.workflowTemplates[0] || null;
+        localStorage.setItem('activeWorkflow', JSON.stringify(window.activeWorkflow));
+    } catch (error) {
+        console.log('Workflow fetch failed, using cached template:', error);
+        window.workflowTemplates = window.activeWorkflow ? [window.activeWorkflow] : [];
     }
+    return window.workflowTemplates;
 }
 
-// Expand all patient timeline cards
-function expandAllPatientTimelines() {
-    const cards = document.querySelectorAll('.patient-timeline-card');
-    cards.forEach(card => {
-        card.classList.remove('collapsed');
-        const indicator = card.querySelector('.collapse-indicator');
-        if (indicator) indicator.style.transform = 'none';
-        
-        // Update collapse state
-        const patientId = card.id;
-        if (window.timelineCollapseState) {
-            window.timelineCollapseState[patientId] = false;
+/**
+ * Convert a step's subtasks to the editor's outline text:
+ *   Payment Received [any-of]
+ *     - Paid via Quickbooks
+ *     - Visit Date [input]
+ *     > Note shown under the subtask
+ */
+function subtasksToOutline(subtasks) {
+    const lines = [];
+    (subtasks || []).forEach(subtask => {
+        lines.push(subtask.completion === 'any-of' ? `${subtask.name} [any-of]` : subtask.name);
+        (subtask.subSubtasks || []).forEach(item => {
+            lines.push(item.type === 'input' ? `  - ${item.name} [input]` : `  - ${item.name}`);
+        });
+        if (subtask.note) {
+            lines.push(`  > ${subtask.note}`);
         }
     });
-}
-
-// Collapse all patient timeline cards
-function collapseAllPatientTimelines() {
-    const cards = document.querySelectorAll('.patient-timeline-card');
-    cards.forEach(card => {
-        card.classList.add('collapsed');
-        const indicator = card.querySelector('.collapse-indicator');
-        if (indicator) indicator.style.transform = 'rotate(-90deg)';
-        
-        // Update collapse state
-        const patientId = card.id;
-        if (window.timelineCollapseState) {
-            window.timelineCollapseState[patientId] = true;
+    return lines.join('\n');
+}
+
+// Parse the editor's outline text back into subtasks
+function outlineToSubtasks(text) {
+    const subtasks = [];
+    (text || '').split('\n').forEach(rawLine => {
+        const line = rawLine.trim();
+        if (!line) return;
+        
+        const current = subtasks[subtasks.length - 1];
+        if (line.startsWith('>') && current) {
+            current.note = line.slice(1).trim();
+        } else if (line.startsWith('-') && current) {
+            const name = line.slice(1).trim();
+            const isInput = /\[input\]$/i.test(name);
+            current.subSubtasks = current.subSubtasks || [];
+            current.subSubtasks.push(isInput
+                ? { name: name.replace(/\s*\[input\]$/i, ''), type: 'input' }
+                : { name });
+        } else {
+            const isAnyOf = /\[any-of\]$/i.test(line);
+            const subtask = { name: line.replace(/\s*\[any-of\]$/i, '') };
+            if (isAnyOf) subtask.completion = 'any-of';
+            subtasks.push(subtask);
         }
     });
+    return subtasks;
 }
 
-// Expand all task subtasks within timelines
-function expandAllTimelines() {
-    // Expand all patient timeline cards
-    expandAllPatientTimelines();
-    
-    // Also expand all task subtasks
-    document.querySelectorAll('.task-subtasks').forEach(subtasks => {
-        subtasks.style.display = 'block';
-        subtasks.parentElement.classList.add('expanded');
-        subtasks.parentElement.querySelector('.task-expand').textContent = '▲';
-    });
+// Turn a step name into an ID like "waiting-period"
+function slugifyStepName(name) {
+    return (name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
 }
 
-// Collapse all task subtasks within timelines
-function collapseAllTimelines() {
-    // Collapse all patient timeline cards
-    collapseAllPatientTimelines();
+// Load the workflow template editor
+async function loadWorkflowEditor(workflowId = null) {
+    showLoading();
     
-    // Also collapse all task subtasks
-    document.querySelectorAll('.task-subtasks').forEach(subtasks => {
-        subtasks.style.display = 'none';
-        subtasks.parentElement.classList.remove('expanded');
-        subtasks.parentElement.querySelector('.task-expand').textContent = '▼';
-    });
-}
-
+    const templates = await loadWorkflowTemplates();
+    const selected = templates.find(w => w.id === workflowId) || window.activeWorkflow || templates[0];
+    
+    // Edit a copy so nothing changes until the template is saved
+    window.workflowDraft = selected
+        ? JSON.parse(JSON.stringify(selected))
+        : { id: '', name: '', isDefault: true, steps: [] };
+    
+    renderWorkflowEditor();
+}
+
+// Render the workflow editor from window.workflowDraft
+function renderWorkflowEditor() {
+    const draft = window.workflowDraft;
+    const templates = window.workflowTemplates || [];
+    
+    let stepsHtml = '';
+    draft.steps.forEach((step, index) => {
+        const mirrorOptions = draft.steps
+            .filter((other, otherIndex) => otherIndex !== index && other.id)
+            .map(other => `<option value="${escapeHtml(other.id)}" ${step.mirrors === other.id ? 'selected' : ''}>${escapeHtml(other.name)}</option>`)
+            .join('');
+        
+        stepsHtml += `
+            <div class="form-section workflow-step-editor">
+                <div class="workflow-step-editor-header">
+                    <h3>${index + 1}. ${escapeHtml(step.name || 'New Step')}</h3>
+                    <div class="workflow-step-editor-actions">
+                        <button type="button" class="btn-secondary" onclick="moveWorkflowStep(${index}, -1)" ${index === 0 ? 'disabled' : ''}>↑</button>
+                        <button type="button" class="btn-secondary" onclick="moveWorkflowStep(${index}, 1)" ${index === draft.steps.length - 1 ? 'disabled' : ''}>↓</button>
+                        <button type="button" class="btn-secondary" onclick="removeWorkflowStep(${index})">🗑 Remove</button>
+                    </div>
+                </div>
+                <div class="form-grid">
+                    <div class="form-group">
+                        <label>Step Name</label>
+                        <input type="text" value="${escapeHtml(step.name || '')}" onchange="updateWorkflowStep(${index}, 'name', this.value)">
+                    </div>
+                    <div class="form-group">
+                        <label>Step ID</label>
+                        <input type="text" value="${escapeHtml(step.id || '')}" placeholder="generated from name" onchange="updateWorkflowStep(${index}, 'id', this.value)">
+                    </div>
+                    <div class="form-group">
+                        <label>Mirrors Step</label>
+                        <select onchange="updateWorkflowStep(${index}, 'mirrors', this.value)">
+                            <option value="">— None —</option>
+                            ${mirrorOptions}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label>
+                            <input type="checkbox" ${step.checkable ? 'checked' : ''} onchange="updateWorkflowStep(${index}, 'checkable', this.checked)">
+                            Step has its own checkbox
+                        </label>
+                    </div>
+                    <div class="form-group full-width">
+                        <label>Subtasks</label>
+                        <textarea rows="${Math.max(3, (step.subtasks || []).length + 2)}" onchange="updateWorkflowStep(${index}, 'subtasks', this.value)">${escapeHtml(subtasksToOutline(step.subtasks))}</textarea>
+                    </div>
+                </div>
+            </div>
+        `;
+    });
+    
+    const content = document.getElementById('content');
+    content.innerHTML = `
+        <div class="patient-intake-container">
+            <h1>Workflow Templates</h1>
+            <p class="intake-description">
+                Steps shown on every patient timeline. One subtask per line; indent items with "- ".
+                Add [any-of] after a subtask when any one of its items completes it, [input] after an item
+                that takes a typed value, and "> text" for a note.
+            </p>
+            
+            <div class="intake-form">
+                <div class="form-section">
+                    <div class="form-grid">
+                        <div class="form-group">
+                            <label>Template</label>
+                            <select onchange="loadWorkflowEditor(this.value)">
+                                ${templates.map(w => `<option value="${escapeHtml(w.id)}" ${w.id === draft.id ? 'selected' : ''}>${escapeHtml(w.name)}${w.isDefault ? ' (default)' : ''}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label>Template Name</label>
+                            <input type="text" value="${escapeHtml(draft.name || '')}" onchange="window.workflowDraft.name = this.value">
+                        </div>
+                        <div class="form-group">
+                            <label>
+                                <input type="checkbox" ${draft.isDefault ? 'checked' : ''} onchange="window.workflowDraft.isDefault = this.checked">
+                                Use for patient timelines
+                            </label>
+                        </div>
+                    </div>
+                </div>
+                
+                ${stepsHtml}
+                
+                <div id="workflow-errors"></div>
+                
+                ${hasPermission('workflows:edit') ? `
+                <div class="form-actions">
+                    <button type="button" class="btn-secondary" onclick="newWorkflowTemplate()">New Template</button>
+                    <button type="button" class="btn-secondary" onclick="deleteWorkflowTemplate()">Delete Template</button>
+                    <button type="button" class="btn-secondary" onclick="addWorkflowStep()">+ Add Step</button>
+                    <button type="button" class="btn-primary" onclick="saveWorkflowTemplate()">💾 Save Template</button>
+                </div>` : '<p class="intake-description">Your role can view workflow templates but not change them.</p>'}
+            </div>
+        </div>
+    `;
+    
+    setStatus('Workflow templates loaded', 'success');
+}
+
+// Update one field of a step in the draft template
+function updateWorkflowStep(index, field, value) {
+    const step = window.workflowDraft.steps[index];
+    if (!step) return;
+    
+    if (field === 'subtasks') {
+        step.subtasks = outlineToSubtasks(value);
+    } else if (field === 'mirrors') {
+        if (value) {
+            step.mirrors = value;
+        } else {
+            delete step.mirrors;
+        }
+    } else {
+        step[field] = value;
+    }
+    
+    // Names and IDs appear in other steps' "Mirrors" lists
+    if (field === 'name' || field === 'id') {
+        renderWorkflowEditor();
+    }
+}
+
+// Add an empty step at the end of the draft template
+function addWorkflowStep() {
+    window.workflowDraft.steps.push({ id: '', name: '', subtasks: [] });
+    renderWorkflowEditor();
+}
+
+// Remove a step from the draft template
+function removeWorkflowStep(index) {
+    const step = window.workflowDraft.steps[index];
+    if (!confirm(`Remove "${step.name || 'this step'}" from the template? Progress recorded on it will be dropped from timelines.`)) return;
+    
+    window.workflowDraft.steps.splice(index, 1);
+    window.workflowDraft.steps.forEach(other => {
+        if (other.mirrors === step.id) delete other.mirrors;
+    });
+    renderWorkflowEditor();
+}
+
+// Move a step up (-1) or down (+1) in the draft template
+function moveWorkflowStep(index, direction) {
+    const steps = window.workflowDraft.steps;
+    const target = index + direction;
+    if (target < 0 || target >= steps.length) return;
+    
+    [steps[index], steps[target]] = [steps[target], steps[index]];
+    renderWorkflowEditor();
+}
+
+// Start a new template based on the one being edited
+function newWorkflowTemplate() {
+    const name = prompt('Name for the new workflow template:');
+    if (!name) return;
+    
+    window.workflowDraft = {
+        ...JSON.parse(JSON.stringify(window.workflowDraft)),
+        id: slugifyStepName(name),
+        name,
+        isDefault: false,
+        isNew: true
+    };
+    renderWorkflowEditor();
+}
+
+// Save the draft template to the Workflows sheet
+async function saveWorkflowTemplate() {
+    const draft = window.workflowDraft;
+    draft.steps.forEach(step => {
+        if (!step.id) step.id = slugifyStepName(step.name);
+    });
+    if (!draft.id) {
+        draft.id = slugifyStepName(draft.name) || 'standard';
+        draft.isNew = true;
+    }
+    
+    try {
+        const response = await fetch(`/api/workflows/${encodeURIComponent(draft.id)}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(draft)
+        });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            const errors = document.getElementById('workflow-errors');
+            if (errors) {
+                errors.innerHTML = `
+                    <div class="form-section">
+                        <strong>${escapeHtml(result.error)}</strong>
+                        <ul>${(result.details || []).map(d => `<li>${escapeHtml(d)}</li>`).join('')}</ul>
+                    </div>
+                `;
+            }
+            throw new Error(result.error);
+        }
+        
+        delete draft.isNew;
+        showNotification(`Workflow "${draft.name}" saved`, 'success');
+        loadWorkflowEditor(draft.id);
+        
+    } catch (error) {
+        console.error('Error saving workflow template:', error);
+        showNotification('Failed to save workflow template', 'error');
+    }
+}
+
+// Delete the template being edited
+async function deleteWorkflowTemplate() {
+    const draft = window.workflowDraft;
+    if (!draft.id || !confirm(`Delete the "${draft.name}" workflow template?`)) return;
+    
+    try {
+        const response = await fetch(`/api/workflows/${encodeURIComponent(draft.id)}`, { method: 'DELETE' });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error);
+        }
+        
+        showNotification(`Workflow "${draft.name}" deleted`, 'success');
+        loadWorkflowEditor();
+        
+    } catch (error) {
+        console.error('Error deleting workflow template:', error);
+        showNotification(`Failed to delete workflow template: ${error.message}`, 'error');
+    }
+}
+
+// Toggle individual timeline card
+function toggleTimelineCard(patientId) {
+    const card = document.getElementById(patientId);
+    const indicator = card.querySelector('.collapse-indicator');
+    
+    if (card.classList.contains('collapsed')) {
+        card.classList.remove('collapsed');
+        indicator.style.transform = 'none';
+    } else {
+        card.classList.add('collapsed');
+    }
+}
+
+// Expand all patient timeline cards
+function expandAllPatientTimelines() {
+    const cards = document.querySelectorAll('.patient-timeline-card');
+    cards.forEach(card => {
+        card.classList.remove('collapsed');
+        const indicator = card.querySelector('.collapse-indicator');
+        if (indicator) indicator.style.transform = 'none';
+        
+        // Update collapse state
+        const patientId = card.id;
+        if (window.timelineCollapseState) {
+            window.timelineCollapseState[patientId] = false;
+        }
+    });
+}
+
+// Collapse all patient timeline cards
+function collapseAllPatientTimelines() {
+    const cards = document.querySelectorAll('.patient-timeline-card');
+    cards.forEach(card => {
+        card.classList.add('collapsed');
+        const indicator = card.querySelector('.collapse-indicator');
+        if (indicator) indicator.style.transform = 'rotate(-90deg)';
+        
+        // Update collapse state
+        const patientId = card.id;
+        if (window.timelineCollapseState) {
+            window.timelineCollapseState[patientId] = true;
+        }
+    });
+}
+
+// Expand all task subtasks within timelines
+function expandAllTimelines() {
+    // Expand all patient timeline cards
+    expandAllPatientTimelines();
+    
+    // Also expand all task subtasks
+    document.querySelectorAll('.task-subtasks').forEach(subtasks => {
+        subtasks.style.display = 'block';
+        subtasks.parentElement.classList.add('expanded');
+        subtasks.parentElement.querySelector('.task-expand').textContent = '▲';
+    });
+}
+
+// Collapse all task subtasks within timelines
+function collapseAllTimelines() {
+    // Collapse all patient timeline cards
+    collapseAllPatientTimelines();
+    
+    // Also collapse all task subtasks
+    document.querySelectorAll('.task-subtasks').forEach(subtasks => {
+        subtasks.style.display = 'none';
+        subtasks.parentElement.classList.remove('expanded');
+        subtasks.parentElement.querySelector('.task-expand').textContent = '▼';
+    });
+}
+
 
 
 // Navigate to a specific patient's timeline from other tabs
@@ -3587,132 +3607,927 @@ function navigateToPatientTimeline(patientName, patientIndex) {
     }, 300);
 }
 
-// Filter timelines
-function filterTimelines(filter) {
-    const cards = document.querySelectorAll('.patient-timeline-card');
-    cards.forEach(card => {
-        if (filter === 'all') {
-            card.style.display = 'block';
-        } else if (filter === 'incomplete') {
-            // Check if this patient has any incomplete tasks (yellow or red)
-            const hasIncompleteTasks = hasIncompleteTasksForPatient(card.id);
-            card.style.display = hasIncompleteTasks ? 'block' : 'none';
-        }
-    });
+// Filter timelines
+function filterTimelines(filter) {
+    const cards = document.querySelectorAll('.patient-timeline-card');
+    cards.forEach(card => {
+        if (filter === 'all') {
+            card.style.display = 'block';
+        } else if (filter === 'incomplete') {
+            // Check if this patient has any incomplete tasks (yellow or red)
+            const hasIncompleteTasks = hasIncompleteTasksForPatient(card.id);
+            card.style.display = hasIncompleteTasks ? 'block' : 'none';
+        }
+    });
+}
+
+// Check if a patient has any incomplete tasks (yellow or red status)
+function hasIncompleteTasksForPatient(patientId) {
+    const tasks = window.taskCompletionData[patientId];
+    if (!tasks) return false;
+    
+    // Check each task for incomplete status
+    for (let taskIndex = 0; taskIndex < tasks.length; taskIndex++) {
+        const task = tasks[taskIndex];
+        const taskItem = document.querySelector(`#${patientId} .task-item[data-task-index="${taskIndex}"]`);
+        
+        if (taskItem) {
+            // Check if task has yellow (partial) or red (not-started) status
+            if (taskItem.classList.contains('partial') || taskItem.classList.contains('not-started')) {
+                return true; // Found an incomplete task
+            }
+        }
+    }
+    
+    return false; // All tasks are complete (green)
+}
+
+// Toggle subtasks or details
+function toggleStepDetails(patientIndex, stepIndex) {
+    const stepElement = document.querySelectorAll('.timeline')[patientIndex].querySelectorAll('.timeline-step')[stepIndex];
+    const subtasks = stepElement.querySelector('.subtasks');
+    if (subtasks) {
+        subtasks.style.display = subtasks.style.display === 'none' ? 'block' : 'none';
+    } else {
+        const patientName = currentData.active[patientIndex]['Patient Name'];
+        const stepName = steps[stepIndex].name; // Assume steps array is accessible or define it
+        showModal(`Details for ${patientName} - ${stepName}`, patientIndex, stepIndex);
+    }
+}
+
+// Simple modal function
+function showModal(message, patientIndex, stepIndex) {
+    const fakeNotes = [
+        'Follow up on patient consent form.',
+        'Waiting for medical records from hospice.',
+        'Invoice sent - awaiting payment confirmation.',
+        'Prescription details verified.',
+        'Visit scheduled for next week.'
+    ];
+    const fakeAttachments = [
+        'consent_form.pdf',
+        'medical_records.zip',
+        'invoice_123.png',
+        'rx_details.doc'
+    ];
+    
+    // Randomize for variety
+    const randomNote = fakeNotes[Math.floor(Math.random() * fakeNotes.length)];
+    const randomAttachment = Math.random() < 0.5 ? fakeAttachments[Math.floor(Math.random() * fakeAttachments.length)] : null;
+    
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    let content = `
+        <div class=\"modal-content\">
+            <span class=\"close\" onclick=\"this.parentElement.parentElement.remove()\">&times;</span>
+            <h3>${message}</h3>
+            <p><strong>Note:</strong> ${randomNote}</p>
+    `;
+    if (randomAttachment) {
+        content += `<p><strong>Attachment:</strong> <a href=\"#\" class=\"fake-link\">${randomAttachment}</a></p>`;
+    }
+    content += '</div>';
+    modal.innerHTML = content;
+    document.body.appendChild(modal);
+}
+
+// Placeholder update functions
+function updateStepStatus(patientIndex, stepIndex, checked) {
+    console.log(`Updated step ${stepIndex + 1} for patient ${patientIndex} to ${checked ? 'complete' : 'pending'}`);
+    // TODO: Save to data
+}
+
+function updateSubtask(patientIndex, stepIndex, subIndex, checked) {
+    console.log(`Updated subtask ${subIndex + 1} for step ${stepIndex + 1}, patient ${patientIndex}`);
+    // TODO: Save to data
+} 
+
+// Add dark mode toggle
+function toggleDarkMode() {
+    document.body.classList.toggle('dark-mode');
+    localStorage.setItem('darkMode', document.body.classList.contains('dark-mode') ? 'enabled' : 'disabled');
+}
+
+// Initialize dark mode on load
+window.addEventListener('load', () => {
+    if (localStorage.getItem('darkMode') === 'enabled') {
+        document.body.classList.add('dark-mode');
+    }
+});
+
+/**
+ * Load the call log with its filters and the "log a call" form
+ */
+async function loadCallLog() {
+    try {
+        showLoading();
+        
+        const response = await fetch('/api/call-log');
+        if (!response.ok) {
+            throw new Error('Failed to fetch call log');
+        }
+        window.callLogEntries = await response.json();
+        
+        // Calls link to active patients, so make sure the patient list is loaded
+        await ensureActivePatientsLoaded();
+        const patients = (currentData.active || [])
+            .filter(p => p.ti && (p['Patient Name'] || p.patientName))
+            .sort((a, b) => (a['Patient Name'] || a.patientName).localeCompare(b['Patient Name'] || b.patientName));
+        const patientOptions = patients.map(p => `<option value="${escapeHtml(p.ti)}">${escapeHtml(p['Patient Name'] || p.patientName)}</option>`).join('');
+        
+        const content = document.getElementById('content');
+        content.innerHTML = `
+            <h1>📋 Call Log</h1>
+            
+            <form id="call-log-form" class="call-log-form" onsubmit="submitCallLogEntry(event)" ${hasPermission('patients:edit') ? '' : 'style="display:none;"'}>
+                <h3>📞 Log a Call</h3>
+                <div class="call-log-form-grid">
+                    <input type="text" name="personContact" placeholder="Who was on the call">
+                    <input type="tel" name="number" placeholder="Phone number">
+                    <select name="direction">
+                        <option value="incoming">Incoming</option>
+                        <option value="outgoing">Outgoing</option>
+                    </select>
+                    <select name="patientId">
+                        <option value="">No patient</option>
+                        ${patientOptions}
+                    </select>
+                    <input type="text" name="outcome" placeholder="Outcome">
+                    <input type="text" name="source" placeholder="Source">
+                    <input type="date" name="date">
+                    <input type="time" name="time">
+                    <label class="call-log-referral"><input type="checkbox" name="referral"> Referral</label>
+                </div>
+                <button type="submit" class="btn-primary">Log Call</button>
+            </form>
+            
+            <div class="call-log-filters">
+                <input type="text" id="call-log-search" placeholder="Search contact, number or outcome..." oninput="renderCallLogTable()">
+                <select id="call-log-direction" onchange="renderCallLogTable()">
+                    <option value="">All directions</option>
+                    <option value="incoming">Incoming</option>
+                    <option value="outgoing">Outgoing</option>
+                </select>
+                <select id="call-log-patient" onchange="renderCallLogTable()">
+                    <option value="">All patients</option>
+                    ${patientOptions}
+                </select>
+                <label><input type="checkbox" id="call-log-referrals" onchange="renderCallLogTable()"> Referrals only</label>
+            </div>
+            
+            <div id="call-log-table"></div>
+        `;
+        
+        renderCallLogTable();
+        setStatus('Call log loaded', 'success');
+        
+    } catch (error) {
+        console.error('Error loading call log:', error);
+        showError('Failed to load call log: ' + error.message);
+    }
+}
+
+/**
+ * Normalize the free-text In / Out column ("incominmg", "Out", ...) to incoming/outgoing
+ */
+function callDirection(value) {
+    const text = (value || '').toLowerCase();
+    if (text.startsWith('in')) return 'incoming';
+    if (text.startsWith('out')) return 'outgoing';
+    return text;
+}
+
+/**
+ * Render the call log table using the current filter values
+ */
+function renderCallLogTable() {
+    const container = document.getElementById('call-log-table');
+    if (!container) return;
+    
+    const search = (document.getElementById('call-log-search').value || '').toLowerCase();
+    const direction = document.getElementById('call-log-direction').value;
+    const patientId = document.getElementById('call-log-patient').value;
+    const referralsOnly = document.getElementById('call-log-referrals').checked;
+    
+    const calls = (window.callLogEntries || []).filter(call => {
+        if (direction && callDirection(call.direction) !== direction) return false;
+        if (patientId && call.patientId !== patientId) return false;
+        if (referralsOnly && call.referral.toLowerCase() !== 'yes') return false;
+        if (search) {
+            const haystack = [call.personContact, call.number, call.outcome, call.patient, call.source].join(' ').toLowerCase();
+            if (!haystack.includes(search)) return false;
+        }
+        return true;
+    });
+    
+    if (calls.length === 0) {
+        container.innerHTML = '<p class="empty-state">No calls match these filters.</p>';
+        return;
+    }
+    
+    container.innerHTML = `
+        <p class="call-log-count">${calls.length} of ${window.callLogEntries.length} calls</p>
+        <table class="data-table call-log-table">
+            <thead>
+                <tr>
+                    <th>Date</th><th>Time</th><th>Contact</th><th>Number</th><th>In / Out</th>
+                    <th>Patient</th><th>Outcome</th><th>Referral</th><th>Source</th><th>Logged By</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${calls.map(call => `
+                    <tr>
+                        <td>${escapeHtml(call.date)}</td>
+                        <td>${escapeHtml(call.time)}</td>
+                        <td>${escapeHtml(call.personContact)}</td>
+                        <td>${call.number ? `<a href="tel:${escapeHtml(call.number)}" class="contact-link">${escapeHtml(call.number)}</a>` : ''}</td>
+                        <td><span class="call-direction ${escapeHtml(callDirection(call.direction))}">${callDirection(call.direction) === 'outgoing' ? '↗️ Out' : '↙️ In'}</span></td>
+                        <td>${call.patientId
+                            ? `<a href="#" class="patient-name-link" data-patient-id="${escapeHtml(call.patientId)}" onclick="openPatientById(this.dataset.patientId); return false;">${escapeHtml(call.patient || call.patientId)}</a>`
+                            : escapeHtml(call.patient)}</td>
+                        <td>${escapeHtml(call.outcome)}</td>
+                        <td>${escapeHtml(call.referral)}</td>
+                        <td>${escapeHtml(call.source)}</td>
+                        <td>${escapeHtml(call.loggedBy)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Save the "log a call" form and refresh the call log
+ */
+async function submitCallLogEntry(event) {
+    event.preventDefault();
+    const form = event.target;
+    const entry = Object.fromEntries(new FormData(form));
+    entry.referral = form.elements.referral.checked ? 'yes' : 'no';
+    
+    if (!entry.personContact && !entry.number) {
+        showNotification('Enter who was on the call or their number', 'warning');
+        return;
+    }
+    
+    // Store the patient's name alongside the ID so the sheet stays readable
+    if (entry.patientId) {
+        const patient = (currentData.active || []).find(p => p.ti === entry.patientId);
+        entry.patient = patient ? (patient['Patient Name'] || patient.patientName) : '';
+    }
+    
+    try {
+        const response = await fetch('/api/call-log', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(entry)
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP error! status: ${response.status}`);
+        }
+        showNotification('Call logged', 'success');
+        loadCallLog();
+    } catch (error) {
+        console.error('Error logging call:', error);
+        showNotification('Failed to log call: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Load the active patient list from the server if no view has loaded it yet
+ */
+async function ensureActivePatientsLoaded() {
+    if (currentData.active && currentData.active.length > 0) return;
+    const response = await fetch('/api/read-active?spreadsheetId=local');
+    if (response.ok) {
+        currentData.active = await response.json();
+    }
+}
+
+/**
+ * Open the detail view for an active patient by their server ID
+ */
+async function openPatientById(patientId) {
+    await ensureActivePatientsLoaded();
+    const index = (currentData.active || []).findIndex(p => p.ti === patientId);
+    if (index === -1) {
+        showNotification('That patient is no longer active', 'info');
+        return;
+    }
+    showPatientDetail(index);
+}
+
+/**
+ * Load the consulting doctors directory
+ */
+async function loadConsultingDocs() {
+    try {
+        showLoading();
+        
+        const response = await fetch('/api/consulting-docs');
+        if (!response.ok) {
+            throw new Error('Failed to fetch consulting doctors');
+        }
+        window.consultingDocs = await response.json();
+        
+        const activeCount = window.consultingDocs.filter(d => d.active).length;
+        const content = document.getElementById('content');
+        content.innerHTML = `
+            <div class="docs-header">
+                <div>
+                    <h1>👨‍⚕️ Consulting Docs</h1>
+                    <p>${activeCount} active of ${window.consultingDocs.length} consulting physicians</p>
+                </div>
+                ${hasPermission('docs:edit') ? '<button class="btn-primary" onclick="showDoctorForm()">➕ Add Doctor</button>' : ''}
+            </div>
+            
+            <div id="doctor-form-container"></div>
+            
+            <div class="docs-filters">
+                <input type="text" id="docs-search" placeholder="Search name, company, license or phone..." oninput="renderDoctorDirectory()">
+                <label><input type="checkbox" id="docs-show-inactive" onchange="renderDoctorDirectory()"> Show inactive</label>
+            </div>
+            
+            <div id="doctor-list"></div>
+        `;
+        
+        renderDoctorDirectory();
+        setStatus('Consulting doctors loaded', 'success');
+        
+    } catch (error) {
+        console.error('Error loading consulting doctors:', error);
+        showError('Failed to load consulting doctors: ' + error.message);
+    }
+}
+
+/**
+ * Render the doctor table using the current search and inactive filter
+ */
+function renderDoctorDirectory() {
+    const container = document.getElementById('doctor-list');
+    if (!container) return;
+    
+    const search = (document.getElementById('docs-search').value || '').toLowerCase();
+    const showInactive = document.getElementById('docs-show-inactive').checked;
+    const canEdit = hasPermission('docs:edit');
+    
+    const doctors = (window.consultingDocs || []).filter(doctor => {
+        if (!showInactive && !doctor.active) return false;
+        if (search) {
+            const haystack = [doctor.name, doctor.company, doctor.licenseNumber, doctor.phoneNumber].join(' ').toLowerCase();
+            if (!haystack.includes(search)) return false;
+        }
+        return true;
+    });
+    
+    if (doctors.length === 0) {
+        container.innerHTML = '<p class="empty-state">No consulting doctors match this search.</p>';
+        return;
+    }
+    
+    container.innerHTML = `
+        <table class="data-table docs-table">
+            <thead>
+                <tr>
+                    <th>Name</th><th>Company</th><th>License #</th><th>Phone</th>
+                    <th>Active Patients</th><th>Status</th>${canEdit ? '<th></th>' : ''}
+                </tr>
+            </thead>
+            <tbody>
+                ${doctors.map(doctor => `
+                    <tr class="${doctor.active ? '' : 'doctor-inactive'}">
+                        <td><a href="#" class="patient-name-link" onclick="showDoctorProfile('${doctor.licenseNumber}'); return false;">${doctor.name}</a></td>
+                        <td>${doctor.company}</td>
+                        <td>${doctor.licenseNumber}</td>
+                        <td>${doctor.phoneNumber ? `<a href="tel:${doctor.phoneNumber}" class="contact-link">${doctor.phoneNumber}</a>` : ''}</td>
+                        <td>${doctor.patientCount}</td>
+                        <td><span class="status-badge ${doctor.active ? 'active' : 'inactive'}">${doctor.active ? 'Active' : 'Inactive'}</span></td>
+                        ${canEdit ? `
+                            <td class="docs-actions">
+                                <button class="btn-secondary" onclick="showDoctorForm('${doctor.licenseNumber}')">✏️ Edit</button>
+                                <button class="btn-secondary" onclick="setDoctorActive('${doctor.licenseNumber}', ${!doctor.active})">${doctor.active ? '🚫 Deactivate' : '✅ Reactivate'}</button>
+                            </td>
+                        ` : ''}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Show the add/edit doctor form; pass a license number to edit that doctor
+ */
+function showDoctorForm(licenseNumber) {
+    const container = document.getElementById('doctor-form-container');
+    if (!container) return;
+    
+    const doctor = (window.consultingDocs || []).find(d => d.licenseNumber === licenseNumber) || {};
+    const value = (field) => doctor[field] || '';
+    
+    container.innerHTML = `
+        <form class="doctor-form" onsubmit="saveDoctorForm(event, '${licenseNumber || ''}')">
+            <h3>${licenseNumber ? `Edit ${doctor.name}` : 'Add Consulting Doctor'}</h3>
+            <div class="doctor-form-grid">
+                <label>Name<input type="text" name="name" value="${value('name')}" required></label>
+                <label>Company<input type="text" name="company" value="${value('company')}"></label>
+                <label>License Number<input type="text" name="licenseNumber" value="${value('licenseNumber')}" required></label>
+                <label>Phone Number<input type="tel" name="phoneNumber" value="${value('phoneNumber')}"></label>
+                <label class="doctor-form-wide">Address<input type="text" name="address" value="${value('address')}"></label>
+            </div>
+            <div class="doctor-form-actions">
+                <button type="button" class="btn-secondary" onclick="document.getElementById('doctor-form-container').innerHTML = ''">Cancel</button>
+                <button type="submit" class="btn-primary">Save Doctor</button>
+            </div>
+        </form>
+    `;
+    container.querySelector('input[name="name"]').focus();
+}
+
+/**
+ * Save the add/edit doctor form
+ */
+async function saveDoctorForm(event, originalLicense) {
+    event.preventDefault();
+    const doctor = Object.fromEntries(new FormData(event.target));
+    
+    try {
+        const response = await fetch(originalLicense ? `/api/consulting-docs/${encodeURIComponent(originalLicense)}` : '/api/consulting-docs', {
+            method: originalLicense ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(doctor)
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP error! status: ${response.status}`);
+        }
+        showNotification(`${result.doctor.name} saved`, 'success');
+        await loadConsultingDocs();
+    } catch (error) {
+        console.error('Error saving consulting doctor:', error);
+        showNotification('Failed to save doctor: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Deactivate or reactivate a doctor. Inactive doctors stay in the sheet so past
+ * patients still resolve to them.
+ */
+async function setDoctorActive(licenseNumber, active) {
+    const doctor = (window.consultingDocs || []).find(d => d.licenseNumber === licenseNumber);
+    if (!active && doctor && doctor.patientCount > 0 &&
+        !confirm(`${doctor.name} is still the CP doctor for ${doctor.patientCount} active patient(s). Deactivate anyway?`)) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/consulting-docs/${encodeURIComponent(licenseNumber)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ active })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP error! status: ${response.status}`);
+        }
+        showNotification(`${result.doctor.name} ${active ? 'reactivated' : 'deactivated'}`, 'success');
+        await loadConsultingDocs();
+    } catch (error) {
+        console.error('Error updating consulting doctor:', error);
+        showNotification('Failed to update doctor: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Show a doctor's profile with their license details and assigned patients
+ */
+function showDoctorProfile(licenseNumber) {
+    const doctor = (window.consultingDocs || []).find(d => d.licenseNumber === licenseNumber);
+    if (!doctor) {
+        showNotification('Doctor not found in the directory', 'warning');
+        return;
+    }
+    
+    const content = document.getElementById('content');
+    content.innerHTML = `
+        <button class="btn-secondary" onclick="loadConsultingDocs()">← All Consulting Docs</button>
+        <div class="doctor-profile">
+            <div class="docs-header">
+                <div>
+                    <h1>${doctor.name}</h1>
+                    <p>${doctor.company || 'No company listed'}</p>
+                </div>
+                <span class="status-badge ${doctor.active ? 'active' : 'inactive'}">${doctor.active ? 'Active' : 'Inactive'}</span>
+            </div>
+            <div class="detail-grid">
+                <div class="detail-item"><label>License Number:</label><span>${doctor.licenseNumber}</span></div>
+                <div class="detail-item"><label>Phone:</label><span>${doctor.phoneNumber ? `<a href="tel:${doctor.phoneNumber}" class="contact-link">${doctor.phoneNumber}</a>` : '-'}</span></div>
+                <div class="detail-item"><label>Address:</label><span>${doctor.address || '-'}</span></div>
+            </div>
+            ${hasPermission('docs:edit') ? `
+                <div class="docs-actions">
+                    <button class="btn-secondary" onclick="loadConsultingDocs().then(() => showDoctorForm('${doctor.licenseNumber}'))">✏️ Edit</button>
+                </div>
+            ` : ''}
+            <h3>Active Patients (${doctor.patientCount})</h3>
+            ${doctor.patients.length > 0 ? `
+                <ul class="doctor-patients">
+                    ${doctor.patients.map(p => `
+                        <li><a href="#" class="patient-name-link" onclick="openPatientById('${p.id}'); return false;">${p.name || p.id}</a></li>
+                    `).join('')}
+                </ul>
+            ` : '<p class="empty-state">No active patients list this doctor as their CP Doctor.</p>'}
+        </div>
+    `;
+}
+
+/**
+ * Jump from a patient's CP Doctor field to that doctor's profile
+ */
+async function openDoctorProfile(cpDoctor, patientId) {
+    closePatientDetail();
+    
+    const docsTab = document.querySelector('#sidebar li[data-tab="docs"]');
+    document.querySelectorAll('#sidebar li').forEach(t => t.classList.remove('active'));
+    if (docsTab) docsTab.classList.add('active');
+    currentTab = 'docs';
+    await loadConsultingDocs();
+    
+    // Prefer the server's CP Doctor match for this patient, then an exact name match
+    const plainName = (name) => (name || '').toLowerCase().replace(/^\s*dr\.?\s+/, '').trim();
+    const doctor = (window.consultingDocs || []).find(d => patientId && d.patients.some(p => p.id === patientId)) ||
+        (window.consultingDocs || []).find(d => plainName(d.name) === plainName(cpDoctor));
+    
+    if (doctor) {
+        showDoctorProfile(doctor.licenseNumber);
+    } else {
+        document.getElementById('docs-search').value = cpDoctor;
+        document.getElementById('docs-show-inactive').checked = true;
+        renderDoctorDirectory();
+        showNotification(`${cpDoctor} is not in the Consulting Docs directory yet`, 'info');
+    }
+}
+/**
+ * Load the past patient outreach queue. Families whose last contact is older
+ * than the chosen interval (kept in localStorage) are listed first.
+ */
+async function loadOutreach() {
+    try {
+        showLoading();
+        
+        const savedInterval = localStorage.getItem('outreachIntervalDays');
+        const response = await fetch(savedInterval ? `/api/outreach?intervalDays=${encodeURIComponent(savedInterval)}` : '/api/outreach');
+        if (!response.ok) {
+            throw new Error('Failed to fetch outreach data');
+        }
+        const { intervalDays, entries } = await response.json();
+        window.outreachEntries = entries;
+        
+        const due = entries.filter(e => e.due)
+            .sort((a, b) => (b.daysSinceContact ?? Infinity) - (a.daysSinceContact ?? Infinity));
+        const awaiting = entries.filter(e => !e.due && e.dateSent && !e.response);
+        const contacted = entries.filter(e => !e.due && !(e.dateSent && !e.response));
+        
+        const content = document.getElementById('content');
+        content.innerHTML = `
+            <div class="outreach-header">
+                <h1>💌 Past Patient Outreach</h1>
+                <label class="outreach-interval">
+                    Reach out again after
+                    <input type="number" id="outreach-interval" min="1" value="${intervalDays}" onchange="setOutreachInterval(this.value)">
+                    days
+                </label>
+            </div>
+            
+            <datalist id="outreach-response-options">
+                <option value="positive"></option>
+                <option value="no response"></option>
+                <option value="declined further contact"></option>
+                <option value="wrong contact info"></option>
+            </datalist>
+            
+            <h2>Due for outreach (${due.length})</h2>
+            ${due.length > 0
+                ? `<div class="outreach-cards">${due.map(generateOutreachCard).join('')}</div>`
+                : '<p class="empty-state">Every family has been contacted within the interval.</p>'}
+            
+            <h2>Awaiting response (${awaiting.length})</h2>
+            ${awaiting.length > 0
+                ? `<div class="outreach-cards">${awaiting.map(generateOutreachCard).join('')}</div>`
+                : '<p class="empty-state">No messages waiting on a reply.</p>'}
+            
+            <h2>Recently contacted (${contacted.length})</h2>
+            ${contacted.length > 0 ? generateOutreachTable(contacted) : '<p class="empty-state">Nothing here yet.</p>'}
+        `;
+        
+        setStatus('Outreach loaded', 'success');
+        
+    } catch (error) {
+        console.error('Error loading outreach:', error);
+        showError('Failed to load outreach: ' + error.message);
+    }
+}
+
+/**
+ * Describe how long ago a family was last contacted
+ */
+function outreachAge(entry) {
+    if (entry.daysSinceContact === null) return 'Never contacted';
+    if (entry.daysSinceContact === 0) return 'Contacted today';
+    return `Last contact ${entry.daysSinceContact} day${entry.daysSinceContact === 1 ? '' : 's'} ago (${entry.lastContact})`;
 }
 
-// Check if a patient has any incomplete tasks (yellow or red status)
-function hasIncompleteTasksForPatient(patientId) {
-    const tasks = window.taskCompletionData[patientId];
-    if (!tasks) return false;
+/**
+ * Generate an outreach card with send/response actions
+ */
+function generateOutreachCard(entry) {
+    const canEdit = hasPermission('patients:edit');
+    const subject = encodeURIComponent(`Thinking of you and ${entry.patientName}`);
     
-    // Check each task for incomplete status
-    for (let taskIndex = 0; taskIndex < tasks.length; taskIndex++) {
-        const task = tasks[taskIndex];
-        const taskItem = document.querySelector(`#${patientId} .task-item[data-task-index="${taskIndex}"]`);
-        
-        if (taskItem) {
-            // Check if task has yellow (partial) or red (not-started) status
-            if (taskItem.classList.contains('partial') || taskItem.classList.contains('not-started')) {
-                return true; // Found an incomplete task
-            }
-        }
+    return `
+        <div class="outreach-card ${entry.due ? 'due' : ''}">
+            <div class="outreach-card-header">
+                <h4>${escapeHtml(entry.recipient || 'Unknown recipient')}</h4>
+                <span class="outreach-relationship">${escapeHtml(entry.relationship)}${entry.patientName ? ` of ${escapeHtml(entry.patientName)}` : ''}</span>
+            </div>
+            <p class="outreach-age">${escapeHtml(outreachAge(entry))}</p>
+            ${entry.notes ? `<p class="outreach-notes">💭 ${escapeHtml(entry.notes)}</p>` : ''}
+            <p>
+                ${entry.contactEmail ? `<a href="mailto:${escapeHtml(entry.contactEmail)}?subject=${subject}" class="contact-link">📧 ${escapeHtml(entry.contactEmail)}</a>` : ''}
+                ${entry.contactNumber ? `<a href="tel:${escapeHtml(entry.contactNumber)}" class="contact-link">📞 ${escapeHtml(entry.contactNumber)}</a>` : ''}
+            </p>
+            ${entry.dateSent ? `<p class="outreach-sent">Sent ${escapeHtml(entry.dateSent)}${entry.response ? ` · Response: ${escapeHtml(entry.response)}` : ' · No response yet'}</p>` : ''}
+            ${canEdit ? `
+                <div class="outreach-actions">
+                    <button class="btn-secondary" onclick="markOutreachSent('${entry.id}')">✉️ Mark Sent</button>
+                    <button class="btn-secondary" onclick="showOutreachResponseForm('${entry.id}')">💬 Record Response</button>
+                </div>
+                <form class="outreach-response-form" id="outreach-response-${entry.id}" style="display: none;" onsubmit="recordOutreachResponse(event, '${entry.id}')">
+                    <input type="text" name="response" list="outreach-response-options" placeholder="How did they respond?" required>
+                    <button type="submit" class="btn-primary">Save</button>
+                </form>
+            ` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Generate a compact table of families that are not due yet
+ */
+function generateOutreachTable(entries) {
+    return `
+        <table class="data-table">
+            <thead>
+                <tr><th>Recipient</th><th>Patient</th><th>Relationship</th><th>Last Contact</th><th>Date Sent</th><th>Response</th></tr>
+            </thead>
+            <tbody>
+                ${entries.map(entry => `
+                    <tr>
+                        <td>${escapeHtml(entry.recipient)}</td>
+                        <td>${escapeHtml(entry.patientName)}</td>
+                        <td>${escapeHtml(entry.relationship)}</td>
+                        <td>${escapeHtml(entry.lastContact)}</td>
+                        <td>${escapeHtml(entry.dateSent)}</td>
+                        <td>${escapeHtml(entry.response)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Save the outreach interval and reload the queue
+ */
+function setOutreachInterval(days) {
+    const interval = parseInt(days, 10);
+    if (!interval || interval < 1) {
+        showNotification('Enter a number of days (1 or more)', 'warning');
+        return;
     }
-    
-    return false; // All tasks are complete (green)
+    localStorage.setItem('outreachIntervalDays', interval);
+    loadOutreach();
 }
 
-// Toggle subtasks or details
-function toggleStepDetails(patientIndex, stepIndex) {
-    const stepElement = document.querySelectorAll('.timeline')[patientIndex].querySelectorAll('.timeline-step')[stepIndex];
-    const subtasks = stepElement.querySelector('.subtasks');
-    if (subtasks) {
-        subtasks.style.display = subtasks.style.display === 'none' ? 'block' : 'none';
-    } else {
-        const patientName = currentData.active[patientIndex]['Patient Name'];
-        const stepName = steps[stepIndex].name; // Assume steps array is accessible or define it
-        showModal(`Details for ${patientName} - ${stepName}`, patientIndex, stepIndex);
+/**
+ * Mark an outreach message as sent today
+ */
+async function markOutreachSent(outreachId) {
+    try {
+        const response = await fetch(`/api/outreach/${encodeURIComponent(outreachId)}/sent`, { method: 'POST' });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP error! status: ${response.status}`);
+        }
+        showNotification(`Outreach to ${result.entry.recipient} marked sent`, 'success');
+        loadOutreach();
+    } catch (error) {
+        console.error('Error marking outreach sent:', error);
+        showNotification('Failed to mark outreach sent: ' + error.message, 'error');
     }
 }
 
-// Simple modal function
-function showModal(message, patientIndex, stepIndex) {
-    const fakeNotes = [
-        'Follow up on patient consent form.',
-        'Waiting for medical records from hospice.',
-        'Invoice sent - awaiting payment confirmation.',
-        'Prescription details verified.',
-        'Visit scheduled for next week.'
-    ];
-    const fakeAttachments = [
-        'consent_form.pdf',
-        'medical_records.zip',
-        'invoice_123.png',
-        'rx_details.doc'
-    ];
-    
-    // Randomize for variety
-    const randomNote = fakeNotes[Math.floor(Math.random() * fakeNotes.length)];
-    const randomAttachment = Math.random() < 0.5 ? fakeAttachments[Math.floor(Math.random() * fakeAttachments.length)] : null;
+/**
+ * Show the inline response form on an outreach card
+ */
+function showOutreachResponseForm(outreachId) {
+    const form = document.getElementById(`outreach-response-${outreachId}`);
+    if (!form) return;
+    form.style.display = 'flex';
+    form.querySelector('input').focus();
+}
+
+/**
+ * Save a family's response from the inline form
+ */
+async function recordOutreachResponse(event, outreachId) {
+    event.preventDefault();
+    const responseText = event.target.elements.response.value;
     
-    const modal = document.createElement('div');
-    modal.className = 'modal';
-    let content = `
-        <div class=\"modal-content\">
-            <span class=\"close\" onclick=\"this.parentElement.parentElement.remove()\">&times;</span>
-            <h3>${message}</h3>
-            <p><strong>Note:</strong> ${randomNote}</p>
-    `;
-    if (randomAttachment) {
-        content += `<p><strong>Attachment:</strong> <a href=\"#\" class=\"fake-link\">${randomAttachment}</a></p>`;
+    try {
+        const response = await fetch(`/api/outreach/${encodeURIComponent(outreachId)}/response`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ response: responseText })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP error! status: ${response.status}`);
+        }
+        showNotification(`Response from ${result.entry.recipient} recorded`, 'success');
+        loadOutreach();
+    } catch (error) {
+        console.error('Error recording outreach response:', error);
+        showNotification('Failed to record response: ' + error.message, 'error');
     }
-    content += '</div>';
-    modal.innerHTML = content;
-    document.body.appendChild(modal);
 }
+// Open items checked for every active patient on the Outstanding Cases tab.
+// Each test gets the patient row and returns a detail string when the item is open.
+const OUTSTANDING_BLOCKERS = [
+    { id: 'consent', label: '📝 Consent not received', test: p => isOpenSheetValue(p['Consent Received']) && 'No consent on file' },
+    { id: 'records', label: '📁 Medical records missing', test: p => isOpenSheetValue(p['Medical Records']) && 'Records not received' },
+    { id: 'unpaid', label: '💵 Invoice unpaid', test: p => !/^(yes|y|paid)$/i.test(String(p['PAID'] || '').trim()) && (p['invoice amount'] ? `Invoice $${p['invoice amount']}` : 'Not marked paid') },
+    { id: 'death-certificate', label: '📄 Death certificate missing', test: p => isOpenSheetValue(p['Death Certificate'], true) && 'Death certificate not recorded' },
+    { id: 'drc', label: '🗄️ Records not in DRC', test: p => isOpenSheetValue(p['All Recodrs in DRC'] ?? p['All Records in DRC'], true) && 'Not all records filed in DRC' },
+    { id: 'tasks', label: '✅ Timeline tasks unfinished', test: (p, tasks) => describeOpenTimelineSteps(tasks) }
+];
 
-// Placeholder update functions
-function updateStepStatus(patientIndex, stepIndex, checked) {
-    console.log(`Updated step ${stepIndex + 1} for patient ${patientIndex} to ${checked ? 'complete' : 'pending'}`);
-    // TODO: Save to data
+/**
+ * Whether a sheet cell still needs something: blank, or "no"/"pending" unless onlyBlank
+ */
+function isOpenSheetValue(value, onlyBlank = false) {
+    const text = value === null || value === undefined ? '' : String(value).trim();
+    if (!text) return true;
+    return !onlyBlank && /^(no|n|pending)$/i.test(text);
 }
 
-function updateSubtask(patientIndex, stepIndex, subIndex, checked) {
-    console.log(`Updated subtask ${subIndex + 1} for step ${stepIndex + 1}, patient ${patientIndex}`);
-    // TODO: Save to data
-} 
+/**
+ * List the timeline steps a patient hasn't finished, or '' when all are done
+ */
+function describeOpenTimelineSteps(tasks) {
+    if (!tasks || tasks.length === 0) return 'Timeline not started';
+    const open = tasks.filter(task => {
+        const { completed, total } = getTaskCompletionCounts(task, tasks);
+        return completed < total;
+    });
+    return open.length > 0 ? open.map(task => task.name).join(', ') : '';
+}
 
-// Add dark mode toggle
-function toggleDarkMode() {
-    document.body.classList.toggle('dark-mode');
-    localStorage.setItem('darkMode', document.body.classList.contains('dark-mode') ? 'enabled' : 'disabled');
+/**
+ * Read a sheet date that may be an Excel serial ("45523") or a typed date ("8/26/2025")
+ */
+function parseSheetDate(value) {
+    const text = value === null || value === undefined ? '' : String(value).trim();
+    if (/^\d{5}$/.test(text)) {
+        return new Date(Math.round((Number(text) - 25569) * 86400000));
+    }
+    const date = new Date(text);
+    return text && !isNaN(date) ? date : null;
 }
 
-// Initialize dark mode on load
-window.addEventListener('load', () => {
-    if (localStorage.getItem('darkMode') === 'enabled') {
-        document.body.classList.add('dark-mode');
+/**
+ * Load the Outstanding Cases tab: every open item per active patient, grouped by blocker
+ */
+async function loadOutstandingCases() {
+    try {
+        showLoading();
+        
+        const [patientsResponse, timelineResponse] = await Promise.all([
+            fetch('/api/read-active?spreadsheetId=local'),
+            fetch('/api/read-timeline')
+        ]);
+        if (!patientsResponse.ok || !timelineResponse.ok) {
+            throw new Error('Failed to fetch patient data');
+        }
+        const patients = await patientsResponse.json();
+        const timelines = await timelineResponse.json();
+        const tasksByPatient = {};
+        timelines.forEach(t => { tasksByPatient[t.patientId] = t.tasks; });
+        
+        const today = new Date();
+        window.outstandingGroups = OUTSTANDING_BLOCKERS.map(blocker => ({ ...blocker, cases: [] }));
+        const openPatients = new Set();
+        
+        patients.filter(p => p.ti && p['Patient Name']).forEach(patient => {
+            const caseDate = parseSheetDate(patient['Date']);
+            const ageDays = caseDate ? Math.floor((today - caseDate) / 86400000) : null;
+            
+            window.outstandingGroups.forEach(group => {
+                const detail = group.test(patient, tasksByPatient[patient.ti]);
+                if (!detail) return;
+                group.cases.push({
+                    id: patient.ti,
+                    name: patient['Patient Name'],
+                    caseDate: caseDate ? caseDate.toLocaleDateString() : 'Unknown',
+                    ageDays,
+                    detail
+                });
+                openPatients.add(patient.ti);
+            });
+        });
+        
+        const content = document.getElementById('content');
+        content.innerHTML = `
+            <div class="outstanding-header">
+                <div>
+                    <h1>⏳ Outstanding Cases</h1>
+                    <p>${openPatients.size} active patients with open items</p>
+                </div>
+                <label>
+                    Sort by case age
+                    <select id="outstanding-sort" onchange="renderOutstandingCases()">
+                        <option value="oldest">Oldest first</option>
+                        <option value="newest">Newest first</option>
+                    </select>
+                </label>
+            </div>
+            <div id="outstanding-groups"></div>
+        `;
+        
+        renderOutstandingCases();
+        setStatus('Outstanding cases loaded', 'success');
+        
+    } catch (error) {
+        console.error('Error loading outstanding cases:', error);
+        showError('Failed to load outstanding cases: ' + error.message);
     }
-});
+}
 
 /**
- * Load call log data
+ * Render the blocker groups in the selected age order. Cases with no readable
+ * Date sort last either way.
  */
-function loadCallLog() {
-    showPlaceholder('Call Log', 'Call log functionality coming soon...');
+function renderOutstandingCases() {
+    const container = document.getElementById('outstanding-groups');
+    if (!container) return;
+    
+    const direction = document.getElementById('outstanding-sort').value === 'newest' ? -1 : 1;
+    const byAge = (a, b) => {
+        if (a.ageDays === null) return 1;
+        if (b.ageDays === null) return -1;
+        return (b.ageDays - a.ageDays) * direction;
+    };
+    
+    container.innerHTML = window.outstandingGroups
+        .filter(group => group.cases.length > 0)
+        .map(group => `
+            <div class="outstanding-group">
+                <h2>${group.label} <span class="outstanding-count">${group.cases.length}</span></h2>
+                <table class="data-table">
+                    <thead>
+                        <tr><th>Patient</th><th>Case Opened</th><th>Age</th><th>Open Item</th></tr>
+                    </thead>
+                    <tbody>
+                        ${group.cases.slice().sort(byAge).map(c => `
+                            <tr>
+                                <td><a href="#" class="patient-name-link" onclick="openPatientById('${c.id}'); return false;">${c.name}</a></td>
+                                <td>${c.caseDate}</td>
+                                <td>${c.ageDays === null ? '-' : `${c.ageDays} days`}</td>
+                                <td>${c.detail}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `).join('') || '<p class="empty-state">Nothing outstanding. Every active case is complete.</p>';
 }
 
+
+
 /**
- * Load chat data and display in UI
+ * Load the signed-in user's chat messages and display them in the UI.
+ * With a thread ID only that conversation is shown.
  */
-async function loadChat(currentUser = null) {
+async function loadChat(thread = null) {
     try {
         showLoading();
         
-        // Fetch chat data from the API
-        const url = currentUser 
-            ? `/api/read-chat?spreadsheetId=local&user=${encodeURIComponent(currentUser)}`
-            : '/api/read-chat?spreadsheetId=local';
+        // Fetch chat data from the API; the server only returns the signed-in user's messages
+        let url = '/api/read-chat?spreadsheetId=local';
+        if (thread) {
+            url += `&thread=${encodeURIComponent(thread)}`;
+        }
             
         const response = await fetch(url);
         if (!response.ok) {
@@ -3720,7 +4535,7 @@ async function loadChat(currentUser = null) {
         }
         
         const messages = await response.json();
-        displayChat(messages, currentUser);
+        displayChat(messages, thread);
         
     } catch (error) {
         console.error('Error loading chat:', error);
@@ -3728,11 +4543,32 @@ async function loadChat(currentUser = null) {
     }
 }
 
+/**
+ * Open one conversation of the signed-in user
+ */
+function loadChatThread(threadId) {
+    loadChat(threadId);
+}
+
+/**
+ * Names to show for a conversation: everyone but the signed-in user
+ */
+function chatThreadTitle(threadId) {
+    const me = getCurrentUserName();
+    const others = String(threadId || '').split(',').filter(name => name && name !== me);
+    return others.length ? others.join(', ') : 'My notes';
+}
+
 /**
  * Display chat messages in the UI
  */
-function displayChat(messages, currentUser = null) {
+function displayChat(messages, thread = null) {
     const content = document.getElementById('content');
+    window.currentChatThread = thread;
+    window.chatReplyTo = null;
+    // Replies quote the message they answer, looked up by Message ID
+    window.chatMessagesById = {};
+    messages.forEach(m => { if (m['Message ID']) window.chatMessagesById[m['Message ID']] = m; });
     
     // User roster and colors (lightweight, no extra deps)
     const CHAT_USERS = [
@@ -3744,6 +4580,9 @@ function displayChat(messages, currentUser = null) {
     ];
     window.__CHAT_USERS__ = CHAT_USERS;
     
+    // Messages are always sent as the signed-in user
+    const sender = getCurrentUserName();
+    
     // Helper for saved recipients per sender
     function getSavedRecipients(sender) {
         try {
@@ -3757,23 +4596,16 @@ function displayChat(messages, currentUser = null) {
     }
     
     const chatHTML = `
+        <div class="chat-layout">
+        <aside class="chat-threads" id="chat-threads"></aside>
         <div class="chat-container">
             <div class="chat-header">
-                <h2>💬 Team Chat - ${currentUser || 'All Messages'} View</h2>
+                <h2>💬 Team Chat - ${thread ? chatThreadTitle(thread) : 'All Messages'}</h2>
                 <p>Internal mail system with DM/Group messages and @mentions</p>
-                <div class="chat-controls">
-                    <select id="user-perspective-select" onchange="switchUserPerspective(this.value)" class="user-perspective-select">
-                        <option value="Alyssa" ${currentUser === 'Alyssa' ? 'selected' : ''}>👩‍💼 Alyssa's View</option>
-                        <option value="Dr. Moore" ${currentUser === 'Dr. Moore' ? 'selected' : ''}>👨‍⚕️ Dr. Moore's View</option>
-                        <option value="Christa" ${currentUser === 'Christa' ? 'selected' : ''}>👩‍⚕️ Christa's View</option>
-                        <option value="Amber" ${currentUser === 'Amber' ? 'selected' : ''}>👩‍💼 Amber's View</option>
-                        <option value="" ${!currentUser ? 'selected' : ''}>👥 All Messages</option>
-                    </select>
-                </div>
                 <div class="chat-stats">
                     <span class="stat">${messages.length} messages</span>
                     <span class="stat">${new Set(messages.map(m => m.Sender)).size} team members</span>
-                    <span class="stat">${currentUser ? `${currentUser}'s Inbox` : 'All Messages'}</span>
+                    <span class="stat">${thread ? 'Conversation' : `${getCurrentUserName()}'s Inbox`}</span>
                 </div>
             </div>
             
@@ -3782,16 +4614,16 @@ function displayChat(messages, currentUser = null) {
             </div>
             
             <div class="chat-input-container">
+                <div id="chat-reply-bar" class="chat-reply-bar" style="display:none;"></div>
                 <div class="chat-input-wrapper">
-                    <select id="chat-user-select" class="chat-user-select">
-                        ${CHAT_USERS.map(u => `<option value="${u.name}" ${currentUser===u.name?'selected':''}>${u.name}</option>`).join('')}
-                    </select>
-                    <select id="chat-type-select" class="chat-type-select">
+                    <span id="chat-sender" class="chat-user-select" style="color:${getUserColor(sender)}">${sender}</span>
+                    ${thread ? `<span class="chat-thread-to">${parseParticipants(thread.split(',').map(name => `<${name}>`).join(''))}</span>` : ''}
+                    <select id="chat-type-select" class="chat-type-select" ${thread ? 'style="display:none;"' : ''}>
                         <option value="GM">Group Message (GM)</option>
                         <option value="DM">Direct Message (DM)</option>
                         <option value="NOTE">Personal Note (NOTE)</option>
                     </select>
-                    <div class="chat-recipients">
+                    <div class="chat-recipients" ${thread ? 'style="display:none;"' : ''}>
                         <div id="recipient-chips" class="chips"></div>
                         <button type="button" class="recipients-btn" onclick="toggleRecipientsPanel()">Recipients ▾</button>
                         <div id="recipients-panel" class="recipients-panel" style="display:none;">
@@ -3812,35 +4644,25 @@ function displayChat(messages, currentUser = null) {
                 </div>
             </div>
         </div>
+        </div>
     `;
     
     content.innerHTML = chatHTML;
     
     // Initialize recipients from saved or defaults
-    const senderSelect = document.getElementById('chat-user-select');
     const typeSelect = document.getElementById('chat-type-select');
-    let selectedRecipients = getSavedRecipients(senderSelect.value);
+    let selectedRecipients = getSavedRecipients(sender);
     if (!selectedRecipients.length) {
         // default: for GM -> everyone except sender, for DM -> first other user
-        const others = CHAT_USERS.map(u=>u.name).filter(n => n !== senderSelect.value);
+        const others = CHAT_USERS.map(u=>u.name).filter(n => n !== sender);
         selectedRecipients = typeSelect.value === 'DM' ? [others[0]] : others;
     }
     window.__CHAT_SELECTED_RECIPIENTS__ = selectedRecipients;
     updateRecipientsUI();
     
-    // React to sender/type changes to adjust defaults
-    senderSelect.addEventListener('change', () => {
-        const saved = getSavedRecipients(senderSelect.value);
-        if (saved.length) {
-            window.__CHAT_SELECTED_RECIPIENTS__ = saved;
-        } else {
-            const others = CHAT_USERS.map(u=>u.name).filter(n => n !== senderSelect.value);
-            window.__CHAT_SELECTED_RECIPIENTS__ = typeSelect.value === 'DM' ? [others[0]] : others;
-        }
-        updateRecipientsUI();
-    });
+    // React to type changes to adjust defaults
     typeSelect.addEventListener('change', () => {
-        const others = CHAT_USERS.map(u=>u.name).filter(n => n !== senderSelect.value);
+        const others = CHAT_USERS.map(u=>u.name).filter(n => n !== sender);
         if (typeSelect.value === 'DM' && window.__CHAT_SELECTED_RECIPIENTS__.length !== 1) {
             window.__CHAT_SELECTED_RECIPIENTS__ = [others[0]];
         }
@@ -3856,6 +4678,13 @@ function displayChat(messages, currentUser = null) {
         chatMessages.scrollTop = chatMessages.scrollHeight;
     }
     
+    // Opening a conversation reads it; the list is refreshed either way
+    if (thread) {
+        markChatThreadRead(thread);
+    } else {
+        refreshChatUnreadCount();
+    }
+    
     // Helpers exposed globally for button handlers
     window.toggleRecipientsPanel = function toggleRecipientsPanel() {
         const panel = document.getElementById('recipients-panel');
@@ -3868,7 +4697,6 @@ function displayChat(messages, currentUser = null) {
     window.applyRecipients = function applyRecipients() {
         const boxes = Array.from(document.querySelectorAll('.recipient-checkbox'));
         const picked = boxes.filter(b => b.checked).map(b => b.value);
-        const sender = document.getElementById('chat-user-select').value;
         if (document.getElementById('chat-type-select').value === 'DM' && picked.length !== 1) {
             alert('Direct Message requires exactly 1 recipient.');
             return;
@@ -3903,15 +4731,18 @@ function createChatMessageHTML(message) {
     const mentionClass = isMention ? 'mention' : '';
     const typeClass = message.Type?.toLowerCase() || 'gm';
     const color = getUserColor(message.Sender);
+    const parent = message['Parent ID'] ? (window.chatMessagesById || {})[message['Parent ID']] : null;
     
     return `
-        <div class="chat-message ${mentionClass} message-type-${typeClass}">
+        <div class="chat-message ${mentionClass} message-type-${typeClass}" data-chat-key="${encodeURIComponent(chatMessageKey(message))}">
             <div class="chat-message-header">
                 <span class="chat-user" style="color:${color}">${message.Sender}</span>
                 <span class="chat-timestamp">${timestamp}</span>
                 <span class="chat-type ${typeClass}">${messageType}</span>
+                ${message['Message ID'] ? `<button type="button" class="chat-reply-btn" data-message-id="${message['Message ID']}" onclick="startChatReply(this.dataset.messageId)">↩ Reply</button>` : ''}
             </div>
             <div class="chat-participants">${participants}</div>
+            ${message['Parent ID'] ? `<div class="chat-reply-quote">↪ ${parent ? escapeHtml(`${parent.Sender}: ${parent.Message}`) : 'Reply to an earlier message'}</div>` : ''}
             <div class="chat-message-content">
                 ${formatChatMessage(message.Message)}
             </div>
@@ -3990,7 +4821,7 @@ function getMessageTypeIcon(type) {
 function formatChatMessage(message) {
     // Color known @mentions
     const users = (window.__CHAT_USERS__ || []).reduce((m,u)=>{m[u.name.toLowerCase()] = u.color; return m;},{});
-    return message.replace(/@(\w[\w\.\-]*)/g, (m, p1) => {
+    return escapeHtml(message).replace(/@(\w[\w\.\-]*)/g, (m, p1) => {
         const key = p1.toLowerCase();
         const color = users[key] || '#e74c3c';
         return `<span class="mention" style="color:${color}">@${p1}</span>`;
@@ -4004,41 +4835,40 @@ function getUserColor(name) {
     return u ? u.color : '#667eea';
 }
 
-/**
- * Switch user perspective in chat
- */
-function switchUserPerspective(user) {
-    if (user) {
-        loadChat(user);
-    } else {
-        loadChat(); // Load all messages
-    }
-}
-
 /**
  * Send a new chat message
  */
 async function sendChatMessage() {
-    const userSelect = document.getElementById('chat-user-select');
     const messageInput = document.getElementById('chat-message-input');
     const typeSelect = document.getElementById('chat-type-select');
     
-    const user = userSelect.value;
+    const user = getCurrentUserName();
     const message = messageInput.value.trim();
-    const type = typeSelect.value;
-    const recipients = (window.__CHAT_SELECTED_RECIPIENTS__ || []).slice();
+    const replyTo = window.chatReplyTo;
+    const thread = window.currentChatThread;
+    let type = typeSelect.value;
+    let recipients = (window.__CHAT_SELECTED_RECIPIENTS__ || []).slice();
     
     if (!message) {
         alert('Please enter a message');
         return;
     }
-    if (type === 'DM' && recipients.length !== 1) {
-        alert('Direct Message requires exactly 1 recipient');
-        return;
-    }
-    if (!recipients.length && type !== 'NOTE') {
-        alert('Please choose at least one recipient');
-        return;
+    if (replyTo) {
+        // The server sends a reply to the parent message's participants
+        type = replyTo.Type || type;
+    } else if (thread) {
+        // Inside a conversation, messages go to its participants
+        recipients = thread.split(',').filter(name => name !== user);
+        type = recipients.length === 0 ? 'NOTE' : recipients.length === 1 ? 'DM' : 'GM';
+    } else {
+        if (type === 'DM' && recipients.length !== 1) {
+            alert('Direct Message requires exactly 1 recipient');
+            return;
+        }
+        if (!recipients.length && type !== 'NOTE') {
+            alert('Please choose at least one recipient');
+            return;
+        }
     }
     const participants = [`<${user}>`].concat(recipients.map(r=>`<${r}>`)).join('');
     
@@ -4049,26 +4879,209 @@ async function sendChatMessage() {
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
-                sender: user,
                 message,
                 type,
                 participants,
-                tags: ''
+                tags: '',
+                parentId: replyTo ? replyTo['Message ID'] : undefined
             })
         });
         
         if (!response.ok) {
             throw new Error('Failed to send message');
         }
+        const result = await response.json();
         
-        // Clear input and reload chat
+        // Show it straight away; the copy pushed back over the chat stream is skipped
         messageInput.value = '';
-        await loadChat(user);
+        cancelChatReply();
+        if (chatMatchesView(result.message)) {
+            appendChatMessage(result.message);
+        }
+        
+    } catch (error) {
+        console.error('Error sending message:', error);
+        alert('Failed to send message. Please try again.');
+    }
+}
+
+/**
+ * Reply to a message: the next message sent answers it, in its conversation
+ */
+function startChatReply(messageId) {
+    const parent = (window.chatMessagesById || {})[messageId];
+    const bar = document.getElementById('chat-reply-bar');
+    if (!parent || !bar) return;
+    
+    window.chatReplyTo = parent;
+    // Built with textContent so message text can never be read as markup
+    const label = document.createElement('span');
+    const sender = document.createElement('strong');
+    sender.textContent = parent.Sender;
+    label.append('Replying to ', sender, `: ${parent.Message}`);
+    const cancel = document.createElement('button');
+    cancel.type = 'button';
+    cancel.className = 'chat-reply-cancel';
+    cancel.textContent = '✕';
+    cancel.onclick = cancelChatReply;
+    bar.replaceChildren(label, cancel);
+    bar.style.display = 'flex';
+    document.getElementById('chat-message-input').focus();
+}
+
+/**
+ * Stop replying; the next message is a new one again
+ */
+function cancelChatReply() {
+    window.chatReplyTo = null;
+    const bar = document.getElementById('chat-reply-bar');
+    if (bar) {
+        bar.style.display = 'none';
+        bar.innerHTML = '';
+    }
+}
+
+/**
+ * Key that identifies a chat message, so one delivered twice is only shown once
+ */
+function chatMessageKey(message) {
+    return message['Message ID'] || `${message.Timestamp}|${message.Sender}|${message.Message}`;
+}
+
+/**
+ * Whether a message belongs in the chat view on screen (a conversation or the signed-in user's inbox)
+ */
+function chatMatchesView(message) {
+    if (currentTab !== 'chat' || !document.getElementById('chat-messages')) return false;
+    if (window.currentChatThread && message.threadId !== window.currentChatThread) return false;
+    return String(message.Participants || '').includes(`<${getCurrentUserName()}>`);
+}
+
+/**
+ * Add a message to the bottom of the open chat, keeping the view scrolled to
+ * the newest message unless the user has scrolled up to read older ones
+ */
+function appendChatMessage(message) {
+    const list = document.getElementById('chat-messages');
+    const key = encodeURIComponent(chatMessageKey(message));
+    if (!list || list.querySelector(`[data-chat-key="${CSS.escape(key)}"]`)) return;
+    
+    if (message['Message ID']) {
+        window.chatMessagesById = window.chatMessagesById || {};
+        window.chatMessagesById[message['Message ID']] = message;
+    }
+    const atBottom = list.scrollHeight - list.scrollTop - list.clientHeight < 80;
+    list.insertAdjacentHTML('beforeend', createChatMessageHTML(message));
+    if (atBottom || message.Sender === getCurrentUserName()) {
+        list.scrollTop = list.scrollHeight;
+    }
+}
+
+/**
+ * Listen for chat messages pushed by the server. The browser reconnects by
+ * itself if the stream drops, and the unread count is recounted each time.
+ */
+function connectChatStream() {
+    if (!window.EventSource || window.chatStream) return;
+    window.chatStream = new EventSource('/api/chat/stream');
+    window.chatStream.addEventListener('open', refreshChatUnreadCount);
+    window.chatStream.addEventListener('message', event => handleIncomingChatMessage(JSON.parse(event.data)));
+}
+
+/**
+ * Show a pushed message in the open chat, and recount unread conversations
+ */
+function handleIncomingChatMessage(message) {
+    const me = getCurrentUserName();
+    if (chatMatchesView(message)) {
+        appendChatMessage(message);
+    }
+    if (message.Sender === me) return;
+    
+    // Already reading this conversation: it stays read
+    if (chatMatchesView(message) && window.currentChatThread && document.visibilityState === 'visible') {
+        markChatThreadRead(window.currentChatThread);
+    } else {
+        refreshChatUnreadCount();
+    }
+}
+
+/**
+ * Mark a conversation read for the signed-in user, then recount unread messages
+ */
+async function markChatThreadRead(threadId) {
+    try {
+        await fetch(`/api/chat/threads/${encodeURIComponent(threadId)}/read`, { method: 'POST' });
+    } catch (error) {
+        console.error('Error marking chat thread read:', error);
+    }
+    await refreshChatUnreadCount();
+}
+
+/**
+ * Fetch the signed-in user's conversations: the unread total goes on the
+ * sidebar badge and the conversation list is redrawn if chat is open
+ */
+async function refreshChatUnreadCount() {
+    try {
+        const response = await fetch('/api/chat/threads');
+        if (!response.ok) return;
+        window.chatThreads = await response.json();
         
+        window.chatUnreadCount = window.chatThreads.reduce((sum, thread) => sum + thread.unreadCount, 0);
+        updateChatBadge();
+        renderChatThreads();
     } catch (error) {
-        console.error('Error sending message:', error);
-        alert('Failed to send message. Please try again.');
+        console.error('Error counting unread chat messages:', error);
+    }
+}
+
+/**
+ * Draw the conversation list beside the chat: each DM pair and group with its
+ * last message and unread count, most recent first
+ */
+function renderChatThreads() {
+    const list = document.getElementById('chat-threads');
+    if (!list) return;
+    
+    const current = window.currentChatThread;
+    list.innerHTML = `
+        <div class="chat-thread ${!current ? 'active' : ''}" onclick="loadChat()">
+            <div class="chat-thread-title">📥 All messages</div>
+        </div>
+        ${(window.chatThreads || []).map(thread => `
+            <div class="chat-thread ${thread.threadId === current ? 'active' : ''} ${thread.unreadCount ? 'unread' : ''}"
+                 data-thread="${thread.threadId}" onclick="loadChatThread(this.dataset.thread)">
+                <div class="chat-thread-title">
+                    <span>${getMessageTypeIcon(thread.type)} ${chatThreadTitle(thread.threadId)}</span>
+                    ${thread.unreadCount ? `<span class="chat-thread-unread">${thread.unreadCount}</span>` : ''}
+                </div>
+                <div class="chat-thread-last">${escapeHtml(`${thread.lastMessage.Sender}: ${thread.lastMessage.Message}`)}</div>
+                <div class="chat-thread-time">${formatChatTimestamp(String(thread.lastMessage.Timestamp || ''))}</div>
+            </div>
+        `).join('') || '<p class="empty-state">No conversations yet.</p>'}
+    `;
+}
+
+/**
+ * Show the unread count on the Team Chat sidebar item
+ */
+function updateChatBadge() {
+    const item = document.querySelector('#sidebar li[data-tab="chat"]');
+    if (!item) return;
+    
+    let badge = item.querySelector('.unread-badge');
+    const count = window.chatUnreadCount || 0;
+    if (count === 0) {
+        if (badge) badge.remove();
+        return;
+    }
+    if (!badge) {
+        badge = document.createElement('span');
+        badge.className = 'unread-badge';
+        item.appendChild(badge);
     }
+    badge.textContent = count > 99 ? '99+' : String(count);
 }
 
 /**
@@ -4085,11 +5098,8 @@ async function loadVendors() {
         }
         
         const vendors = await response.json();
-        
-        if (vendors.length === 0) {
-            showPlaceholder('Vendors', 'No vendors found. Add some service partners to get started.');
-            return;
-        }
+        window.vendorsList = vendors;
+        const view = localStorage.getItem('vendorView') || 'cards';
         
         // Group vendors by category
         const vendorsByCategory = {};
@@ -4112,32 +5122,129 @@ async function loadVendors() {
                         <span class="stat">📊 ${vendors.length} Total Vendors</span>
                         <span class="stat">🏷️ ${Object.keys(vendorsByCategory).length} Categories</span>
                     </div>
+                    ${hasPermission('vendors:edit') ? '<button class="btn-primary" onclick="showVendorForm()">➕ Add Vendor</button>' : ''}
                 </div>
                 
-                <div class="vendors-grid">
-                    ${Object.entries(vendorsByCategory).map(([category, categoryVendors]) => `
-                        <div class="vendor-category">
-                            <h3>${getCategoryIcon(category)} ${category}</h3>
-                            <div class="vendor-cards">
-                                ${categoryVendors.map(vendor => generateVendorCard(vendor)).join('')}
-                            </div>
-                        </div>
-                    `).join('')}
+                <div id="vendor-form-container"></div>
+                
+                ${vendors.length === 0 ? '<p class="empty-state">No vendors found. Add some service partners to get started.</p>' : ''}
+                
+                <div class="vendor-view-toggle">
+                    <button class="${view === 'cards' ? 'btn-primary' : 'btn-secondary'}" onclick="setVendorView('cards')">🗂️ Cards</button>
+                    <button class="${view === 'scorecard' ? 'btn-primary' : 'btn-secondary'}" onclick="setVendorView('scorecard')">📊 Scorecard</button>
                 </div>
+                
+                ${view === 'scorecard' ? '<div id="vendor-scorecard"></div>' : `
+                    <div class="vendors-grid">
+                        ${Object.entries(vendorsByCategory).map(([category, categoryVendors]) => `
+                            <div class="vendor-category">
+                                <h3>${getCategoryIcon(category)} ${category}</h3>
+                                <div class="vendor-cards">
+                                    ${categoryVendors.map(vendor => generateVendorCard(vendor)).join('')}
+                                </div>
+                            </div>
+                        `).join('')}
+                    </div>
+                `}
             </div>
         `;
         
+        if (view === 'scorecard') {
+            renderVendorScorecard();
+        }
+        
     } catch (error) {
         console.error('Error loading vendors:', error);
         showError('Failed to load vendors data: ' + error.message);
     }
 }
 
+/**
+ * Switch the Vendors page between cards and the scorecard table
+ */
+function setVendorView(view) {
+    localStorage.setItem('vendorView', view);
+    loadVendors();
+}
+
+// Scorecard columns: [sort key, heading, value to sort by]
+const VENDOR_SCORECARD_COLUMNS = [
+    ['company', 'Vendor', v => (v['Company Name'] || '').toLowerCase()],
+    ['category', 'Category', v => (v['Category'] || 'Other').toLowerCase()],
+    ['rating', 'Rating', v => Number(v['Rating']) || 0],
+    ['ratingCount', 'Ratings', v => v.ratingCount || 0],
+    ['contactCount', 'Contacts', v => v.contactCount || 0],
+    ['lastContact', 'Last Contact', v => Date.parse(v['Last Contact']) || 0],
+    ['openServices', 'Open Services', v => v.openServices || 0],
+    ['completedServices', 'Completed', v => v.completedServices || 0],
+    ['status', 'Status', v => (v['Status'] || 'Active').toLowerCase()]
+];
+
+/**
+ * Render the vendor scorecard, sorted by the column picked last (best rated first by default)
+ */
+function renderVendorScorecard() {
+    const container = document.getElementById('vendor-scorecard');
+    if (!container) return;
+    
+    const sort = window.vendorScorecardSort || { key: 'rating', descending: true };
+    const [, , sortValue] = VENDOR_SCORECARD_COLUMNS.find(([key]) => key === sort.key);
+    const vendors = (window.vendorsList || []).slice().sort((a, b) => {
+        const x = sortValue(a);
+        const y = sortValue(b);
+        const order = x < y ? -1 : x > y ? 1 : 0;
+        return sort.descending ? -order : order;
+    });
+    
+    container.innerHTML = `
+        <table class="data-table vendor-scorecard">
+            <thead>
+                <tr>
+                    ${VENDOR_SCORECARD_COLUMNS.map(([key, heading]) => `
+                        <th class="sortable" onclick="sortVendorScorecard('${key}')">
+                            ${heading}${key === sort.key ? (sort.descending ? ' ▼' : ' ▲') : ''}
+                        </th>
+                    `).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${vendors.map(v => `
+                    <tr class="${(v['Status'] || 'Active') === 'Inactive' ? 'doctor-inactive' : ''}">
+                        <td><a href="#" class="patient-name-link" onclick="viewVendorDetails('${v['Vendor ID']}'); return false;">${v['Company Name'] || v['Vendor ID']}</a></td>
+                        <td>${getCategoryIcon(v['Category'] || 'Other')} ${v['Category'] || 'Other'}</td>
+                        <td>${v['Rating'] ? `⭐ ${v['Rating']}` : '-'}</td>
+                        <td>${v.ratingCount || 0}</td>
+                        <td>${v.contactCount || 0}</td>
+                        <td>${v['Last Contact'] || '-'}</td>
+                        <td>${v.openServices || 0}</td>
+                        <td>${v.completedServices || 0}</td>
+                        <td><span class="status-badge ${(v['Status'] || 'Active').toLowerCase()}">${v['Status'] || 'Active'}</span></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Sort the scorecard by a column; clicking the same column again reverses the order
+ */
+function sortVendorScorecard(key) {
+    const current = window.vendorScorecardSort || { key: 'rating', descending: true };
+    const [, , sortValue] = VENDOR_SCORECARD_COLUMNS.find(([column]) => column === key);
+    // Numbers start highest first, text A to Z
+    const numeric = typeof sortValue({}) === 'number';
+    window.vendorScorecardSort = current.key === key
+        ? { key, descending: !current.descending }
+        : { key, descending: numeric };
+    renderVendorScorecard();
+}
+
 /**
  * Generate vendor card HTML
  */
 function generateVendorCard(vendor) {
-    const rating = vendor['Rating'] || 'N/A';
+    const rating = vendor['Rating'] ? `${vendor['Rating']}${vendor.ratingCount ? ` (${vendor.ratingCount})` : ''}` : 'N/A';
     const status = vendor['Status'] || 'Active';
     const lastContact = vendor['Last Contact'] || 'N/A';
     
@@ -4181,9 +5288,11 @@ function generateVendorCard(vendor) {
                 <button class="vendor-action-btn" onclick="viewVendorDetails('${vendor['Vendor ID']}')" title="View details">
                     👁️ Details
                 </button>
-                <button class="vendor-action-btn" onclick="editVendor('${vendor['Vendor ID']}')" title="Edit vendor">
-                    ✏️ Edit
-                </button>
+                ${hasPermission('vendors:edit') ? `
+                    <button class="vendor-action-btn" onclick="editVendor('${vendor['Vendor ID']}')" title="Edit vendor">
+                        ✏️ Edit
+                    </button>
+                ` : ''}
             </div>
         </div>
     `;
@@ -4205,32 +5314,331 @@ function getCategoryIcon(category) {
     return icons[category] || '🏢';
 }
 
+// Vendor form fields: [field name, sheet header, input type]
+const VENDOR_FORM_FIELDS = [
+    ['companyName', 'Company Name', 'text'],
+    ['category', 'Category', 'text'],
+    ['serviceType', 'Service Type', 'text'],
+    ['contactPerson', 'Contact Person', 'text'],
+    ['phone', 'Phone', 'tel'],
+    ['email', 'Email', 'email'],
+    ['website', 'Website', 'text'],
+    ['address', 'Address', 'text'],
+    ['notes', 'Notes', 'textarea']
+];
+
+/**
+ * Find a loaded vendor by Vendor ID
+ */
+function findVendor(vendorId) {
+    return (window.vendorsList || []).find(v => v['Vendor ID'] === vendorId);
+}
+
 /**
- * Contact vendor function
+ * Open the vendor's page with the contact form ready, so the call or email gets logged
  */
 function contactVendor(vendorId) {
-    // Find vendor data and open contact options
-    console.log('Contacting vendor:', vendorId);
-    // TODO: Implement contact functionality
-    alert('Contact functionality coming soon for vendor: ' + vendorId);
+    if (!findVendor(vendorId)) {
+        showNotification('Vendor not found', 'warning');
+        return;
+    }
+    viewVendorDetails(vendorId);
+    if (hasPermission('vendors:edit')) {
+        showVendorContactForm(vendorId);
+    }
 }
 
 /**
- * View vendor details function
+ * Show a vendor's detail page
  */
 function viewVendorDetails(vendorId) {
-    console.log('Viewing details for vendor:', vendorId);
-    // TODO: Implement detailed view
-    alert('Detailed view coming soon for vendor: ' + vendorId);
+    const vendor = findVendor(vendorId);
+    if (!vendor) {
+        showNotification('Vendor not found', 'warning');
+        return;
+    }
+    
+    const status = vendor['Status'] || 'Active';
+    const active = status !== 'Inactive';
+    const detail = (label, value) => `<div class="detail-item"><label>${label}:</label><span>${value || '-'}</span></div>`;
+    const website = vendor['Website'] ? `<a href="${/^https?:\/\//i.test(vendor['Website']) ? '' : 'https://'}${vendor['Website']}" target="_blank" rel="noopener" class="contact-link">${vendor['Website']}</a>` : '';
+    
+    const content = document.getElementById('content');
+    content.innerHTML = `
+        <button class="btn-secondary" onclick="loadVendors()">← All Vendors</button>
+        <div class="vendor-profile">
+            <div class="docs-header">
+                <div>
+                    <h1>${getCategoryIcon(vendor['Category'] || 'Other')} ${vendor['Company Name'] || 'Unknown Company'}</h1>
+                    <p>${vendor['Vendor ID']} · ${vendor['Category'] || 'Other'}${vendor['Service Type'] ? ` · ${vendor['Service Type']}` : ''}</p>
+                </div>
+                <span class="status-badge ${status.toLowerCase()}">${status}</span>
+            </div>
+            <div class="detail-grid">
+                ${detail('Contact Person', vendor['Contact Person'])}
+                ${detail('Phone', vendor['Phone'] ? `<a href="tel:${vendor['Phone']}" class="contact-link">${vendor['Phone']}</a>` : '')}
+                ${detail('Email', vendor['Email'] ? `<a href="mailto:${vendor['Email']}" class="contact-link">${vendor['Email']}</a>` : '')}
+                ${detail('Website', website)}
+                ${detail('Address', vendor['Address'])}
+                ${detail('Rating', vendor['Rating'] ? `⭐ ${vendor['Rating']} ${vendor.ratingCount ? `from ${vendor.ratingCount} rated service(s)` : '(not yet rated by the team)'}` : '')}
+                ${detail('Last Contact', vendor['Last Contact'])}
+                ${detail('Notes', vendor['Notes'])}
+            </div>
+            ${hasPermission('vendors:edit') ? `
+                <div class="docs-actions">
+                    <button class="btn-secondary" onclick="editVendor('${vendor['Vendor ID']}')">✏️ Edit</button>
+                    <button class="btn-secondary" onclick="setVendorActive('${vendor['Vendor ID']}', ${!active})">${active ? '🚫 Deactivate' : '✅ Reactivate'}</button>
+                </div>
+            ` : ''}
+            <h3>Patients Served</h3>
+            <div id="vendor-patients" data-vendor-id="${vendor['Vendor ID']}"></div>
+            <h3>Contact History</h3>
+            ${hasPermission('vendors:edit') ? `
+                <div id="vendor-contact-form">
+                    <button class="btn-secondary" onclick="showVendorContactForm('${vendor['Vendor ID']}')">📝 Log Contact</button>
+                </div>
+            ` : ''}
+            <div id="vendor-contacts"></div>
+        </div>
+    `;
+    loadVendorPatients(vendor['Vendor ID']);
+    loadVendorContacts(vendor['Vendor ID']);
+}
+
+/**
+ * List a vendor's logged calls, emails and orders on the vendor detail page
+ */
+async function loadVendorContacts(vendorId) {
+    const container = document.getElementById('vendor-contacts');
+    if (!container) return;
+    
+    try {
+        const response = await fetch(`/api/vendors/${encodeURIComponent(vendorId)}/contacts`);
+        if (!response.ok) {
+            throw new Error(`Server error: ${response.status} ${response.statusText}`);
+        }
+        const contacts = await response.json();
+        container.innerHTML = contacts.length > 0 ? `
+            <table class="data-table vendor-contacts-table">
+                <thead>
+                    <tr><th>Date</th><th>Type</th><th>Summary</th><th>Logged By</th></tr>
+                </thead>
+                <tbody>
+                    ${contacts.map(c => `
+                        <tr>
+                            <td>${c.date || '-'}</td>
+                            <td>${c.type}</td>
+                            <td>${c.summary || '-'}</td>
+                            <td>${c.loggedBy || '-'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : '<p class="empty-state">No contacts logged yet.</p>';
+    } catch (error) {
+        console.error('Error loading vendor contacts:', error);
+        container.innerHTML = '<p class="empty-state">Failed to load contact history.</p>';
+    }
+}
+
+/**
+ * Show the form for logging a call, email or meeting with a vendor
+ */
+function showVendorContactForm(vendorId) {
+    const container = document.getElementById('vendor-contact-form');
+    if (!container) return;
+    
+    const vendor = findVendor(vendorId) || {};
+    container.innerHTML = `
+        <form class="doctor-form" onsubmit="saveVendorContact(event, '${vendorId}')">
+            <div class="doctor-form-grid">
+                <label>Type
+                    <select name="type">
+                        ${['Call', 'Email', 'Meeting', 'Order', 'Other'].map(type => `<option value="${type}">${type}</option>`).join('')}
+                    </select>
+                </label>
+                <label>Date<input type="text" name="date" class="sheet-date-input" placeholder="MM/DD/YYYY" maxlength="10" value="${new Date().toLocaleDateString('en-US', { month: '2-digit', day: '2-digit', year: 'numeric' })}"></label>
+                <label class="doctor-form-wide">Summary<input type="text" name="summary" placeholder="What was discussed or ordered"></label>
+            </div>
+            <div class="doctor-form-actions">
+                ${vendor['Phone'] ? `<a href="tel:${vendor['Phone']}" class="btn-secondary">📞 Call ${vendor['Phone']}</a>` : ''}
+                ${vendor['Email'] ? `<a href="mailto:${vendor['Email']}" class="btn-secondary">📧 Email</a>` : ''}
+                <button type="button" class="btn-secondary" onclick="viewVendorDetails('${vendorId}')">Cancel</button>
+                <button type="submit" class="btn-primary">Log Contact</button>
+            </div>
+        </form>
+    `;
+    container.querySelectorAll('.sheet-date-input').forEach(input => input.addEventListener('input', formatDateInput));
+    container.querySelector('input[name="summary"]').focus();
+}
+
+/**
+ * Save the log contact form; the vendor's Last Contact follows from it
+ */
+async function saveVendorContact(event, vendorId) {
+    event.preventDefault();
+    const form = event.target;
+    const contact = Object.fromEntries(new FormData(form));
+    clearFieldErrors(form);
+    
+    try {
+        const response = await fetch(`/api/vendors/${encodeURIComponent(vendorId)}/contacts`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(contact)
+        });
+        const result = await response.json();
+        if (response.status === 422) {
+            showFieldErrors(form, result.errors || []);
+            return;
+        }
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP error! status: ${response.status}`);
+        }
+        showNotification(`${result.contact.type} logged`, 'success');
+        // Reload so Last Contact reflects the new entry
+        await loadVendors();
+        viewVendorDetails(vendorId);
+    } catch (error) {
+        console.error('Error logging vendor contact:', error);
+        showNotification('Failed to log contact: ' + error.message, 'error');
+    }
+}
+
+/**
+ * List the patients a vendor is serving on the vendor detail page
+ */
+async function loadVendorPatients(vendorId) {
+    const container = document.getElementById('vendor-patients');
+    if (!container) return;
+    
+    try {
+        const response = await fetch(`/api/vendors/${encodeURIComponent(vendorId)}/patients`);
+        if (!response.ok) {
+            throw new Error(`Server error: ${response.status} ${response.statusText}`);
+        }
+        const assignments = await response.json();
+        container.innerHTML = assignments.length > 0
+            ? vendorServicesTable(assignments, 'patient')
+            : '<p class="empty-state">No patients have been assigned to this vendor yet.</p>';
+    } catch (error) {
+        console.error('Error loading vendor patients:', error);
+        container.innerHTML = '<p class="empty-state">Failed to load this vendor\'s patients.</p>';
+    }
+}
+
+/**
+ * Jump from a patient's vendor list to the vendor's detail page
+ */
+async function openVendorDetails(vendorId) {
+    closePatientDetail();
+    
+    const vendorsTab = document.querySelector('#sidebar li[data-tab="vendors"]');
+    document.querySelectorAll('#sidebar li').forEach(t => t.classList.remove('active'));
+    if (vendorsTab) vendorsTab.classList.add('active');
+    currentTab = 'vendors';
+    await loadVendors();
+    viewVendorDetails(vendorId);
+}
+
+/**
+ * Open the edit form for a vendor, going back to the vendor list first if needed
+ */
+async function editVendor(vendorId) {
+    if (!document.getElementById('vendor-form-container')) {
+        await loadVendors();
+    }
+    showVendorForm(vendorId);
+}
+
+/**
+ * Show the add/edit vendor form; pass a Vendor ID to edit that vendor
+ */
+function showVendorForm(vendorId) {
+    const container = document.getElementById('vendor-form-container');
+    if (!container) return;
+    
+    const vendor = (vendorId && findVendor(vendorId)) || {};
+    const value = (header) => String(vendor[header] ?? '').replace(/"/g, '&quot;');
+    const active = (vendor['Status'] || 'Active') !== 'Inactive';
+    
+    container.innerHTML = `
+        <form class="doctor-form vendor-form" onsubmit="saveVendorForm(event, '${vendorId || ''}')">
+            <h3>${vendorId ? `Edit ${vendor['Company Name']} (${vendorId})` : 'Add Vendor'}</h3>
+            <div class="doctor-form-grid">
+                ${VENDOR_FORM_FIELDS.map(([field, header, type]) => type === 'textarea' ? `
+                    <label class="doctor-form-wide">${header}<textarea name="${field}" rows="3">${vendor[header] || ''}</textarea></label>
+                ` : `
+                    <label class="${field === 'address' ? 'doctor-form-wide' : ''}">${header}<input type="${type}" name="${field}" value="${value(header)}"${field === 'companyName' ? ' required' : ''}></label>
+                `).join('')}
+            </div>
+            <div class="doctor-form-actions">
+                ${vendorId ? `<button type="button" class="btn-secondary" onclick="setVendorActive('${vendorId}', ${!active})">${active ? '🚫 Deactivate' : '✅ Reactivate'}</button>` : ''}
+                <button type="button" class="btn-secondary" onclick="document.getElementById('vendor-form-container').innerHTML = ''">Cancel</button>
+                <button type="submit" class="btn-primary">Save Vendor</button>
+            </div>
+        </form>
+    `;
+    container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    container.querySelector('input[name="companyName"]').focus();
+}
+
+/**
+ * Save the add/edit vendor form
+ */
+async function saveVendorForm(event, vendorId) {
+    event.preventDefault();
+    const form = event.target;
+    const vendor = Object.fromEntries(new FormData(form));
+    clearFieldErrors(form);
+    
+    try {
+        const response = await fetch(vendorId ? `/api/vendors/${encodeURIComponent(vendorId)}` : '/api/vendors', {
+            method: vendorId ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(vendor)
+        });
+        const result = await response.json();
+        if (response.status === 422) {
+            showFieldErrors(form, result.errors || []);
+            return;
+        }
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP error! status: ${response.status}`);
+        }
+        showNotification(`${result.vendor['Company Name']} saved`, 'success');
+        await loadVendors();
+    } catch (error) {
+        console.error('Error saving vendor:', error);
+        showNotification('Failed to save vendor: ' + error.message, 'error');
+    }
 }
 
 /**
- * Edit vendor function
+ * Deactivate or reactivate a vendor. Inactive vendors stay in the sheet.
  */
-function editVendor(vendorId) {
-    console.log('Editing vendor:', vendorId);
-    // TODO: Implement edit functionality
-    alert('Edit functionality coming soon for vendor: ' + vendorId);
+async function setVendorActive(vendorId, active) {
+    const vendor = findVendor(vendorId);
+    if (!active && !confirm(`Deactivate ${vendor ? vendor['Company Name'] : vendorId}?`)) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/vendors/${encodeURIComponent(vendorId)}`, active ? {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ status: 'Active' })
+        } : { method: 'DELETE' });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP error! status: ${response.status}`);
+        }
+        showNotification(`${result.vendor['Company Name']} ${active ? 'reactivated' : 'deactivated'}`, 'success');
+        await loadVendors();
+    } catch (error) {
+        console.error('Error updating vendor:', error);
+        showNotification('Failed to update vendor: ' + error.message, 'error');
+    }
 }
 
 /**
@@ -4332,6 +5740,7 @@ function loadPatientIntake() {
         <div class="patient-intake-container">
             <h2>📋 New Patient Intake Form</h2>
             <p class="intake-description">Enter new patient information below. This data will automatically populate to relevant tabs and sheets.</p>
+            ${hasPermission('patients:edit') ? '<button type="button" class="btn-secondary" onclick="loadImportWizard()">📥 Import from Excel/CSV</button>' : ''}
             
             <form id="patient-intake-form" class="intake-form">
                 <!-- Basic Information Section -->
@@ -4520,12 +5929,12 @@ function loadPatientIntake() {
                         
                         <div class="form-group">
                             <label for="invoice-amount">Invoice Amount</label>
-                            <input type="number" id="invoice-amount" name="invoiceAmount" min="0" step="0.01" placeholder="0.00">
+                            <input type="number" id="invoice-amount" name="invoiceAmount" min="0" step="0.01" placeholder="0.00" ${hasPermission('billing:edit') ? '' : 'disabled'}>
                         </div>
                         
                         <div class="form-group">
                             <label for="payment-status">Payment Status</label>
-                            <select id="payment-status" name="paymentStatus">
+                            <select id="payment-status" name="paymentStatus" ${hasPermission('billing:edit') ? '' : 'disabled'}>
                                 <option value="Pending">Pending</option>
                                 <option value="Paid">Paid</option>
                                 <option value="Insurance Processing">Insurance Processing</option>
@@ -4535,6 +5944,108 @@ function loadPatientIntake() {
                     </div>
                 </div>
                 
+                <!-- Case Tracking Section (the remaining Active sheet columns) -->
+                <div class="form-section">
+                    <h3>Case Tracking</h3>
+                    <div class="form-grid">
+                        <div class="form-group">
+                            <label for="first-request">1st Request</label>
+                            <input type="text" id="first-request" name="firstRequest" class="sheet-date-input" placeholder="MM/DD/YYYY" maxlength="10">
+                        </div>
+                        
+                        <div class="form-group">
+                            <label for="second-request">2nd Request</label>
+                            <input type="text" id="second-request" name="secondRequest" class="sheet-date-input" placeholder="MM/DD/YYYY" maxlength="10">
+                        </div>
+                        
+                        <div class="form-group">
+                            <label for="cp-completed">CP Completed</label>
+                            <input type="text" id="cp-completed" name="cpCompleted" class="sheet-date-input" placeholder="MM/DD/YYYY" maxlength="10">
+                        </div>
+                        
+                        <div class="form-group">
+                            <label for="rxnt-info">RXNT Info</label>
+                            <input type="text" id="rxnt-info" name="rxntInfo">
+                        </div>
+                        
+                        <div class="form-group">
+                            <label for="wr">WR</label>
+                            <input type="text" id="wr" name="wr">
+                        </div>
+                        
+                        <div class="form-group">
+                            <label for="prescription-submit">Prescription Submitted</label>
+                            <input type="text" id="prescription-submit" name="prescriptionSubmit" class="sheet-date-input" placeholder="MM/DD/YYYY" maxlength="10">
+                        </div>
+                        
+                        <div class="form-group">
+                            <label for="ingestion-location">Ingestion Location</label>
+                            <input type="text" id="ingestion-location" name="ingestionLocation" placeholder="e.g. residence">
+                        </div>
+                        
+                        <div class="form-group">
+                            <label for="tts-minutes">TTS (Minutes)</label>
+                            <input type="number" id="tts-minutes" name="ttsMinutes" min="0" step="1">
+                        </div>
+                        
+                        <div class="form-group">
+                            <label for="ttd-minutes">TTD (Minutes)</label>
+                            <input type="number" id="ttd-minutes" name="ttdMinutes" min="0" step="1">
+                        </div>
+                        
+                        <div class="form-group">
+                            <label for="consent-received">Consent Received</label>
+                            <select id="consent-received" name="consentReceived">
+                                <option value="">Not yet</option>
+                                <option value="yes">Yes</option>
+                                <option value="no">No</option>
+                            </select>
+                        </div>
+                        
+                        <div class="form-group">
+                            <label for="medical-records">Medical Records</label>
+                            <select id="medical-records" name="medicalRecords">
+                                <option value="">Not yet</option>
+                                <option value="yes">Yes</option>
+                                <option value="no">No</option>
+                            </select>
+                        </div>
+                        
+                        <div class="form-group">
+                            <label for="physician-follow-up">Physician Follow-up Form</label>
+                            <input type="text" id="physician-follow-up" name="physicianFollowUp" class="sheet-date-input" placeholder="MM/DD/YYYY" maxlength="10">
+                        </div>
+                        
+                        <div class="form-group">
+                            <label for="eoloa-state">EOLOA State</label>
+                            <input type="text" id="eoloa-state" name="eoloaState">
+                        </div>
+                        
+                        <div class="form-group">
+                            <label for="death-certificate">Death Certificate</label>
+                            <select id="death-certificate" name="deathCertificate">
+                                <option value="">Not yet</option>
+                                <option value="yes">Yes</option>
+                                <option value="no">No</option>
+                            </select>
+                        </div>
+                        
+                        <div class="form-group">
+                            <label for="all-records-in-drc">All Records in DRC</label>
+                            <select id="all-records-in-drc" name="allRecordsInDrc">
+                                <option value="">Not yet</option>
+                                <option value="yes">Yes</option>
+                                <option value="no">No</option>
+                            </select>
+                        </div>
+                        
+                        <div class="form-group">
+                            <label for="riverside-eoloa">Riverside EOLOA</label>
+                            <input type="text" id="riverside-eoloa" name="riversideEoloa">
+                        </div>
+                    </div>
+                </div>
+                
                 <!-- Additional Information Section -->
                 <div class="form-section">
                     <h3>Additional Information</h3>
@@ -4639,35 +6150,226 @@ function loadPatientIntake() {
         }
     }
     
-    // Format phone numbers
-    document.getElementById('phone').addEventListener('input', formatPhoneNumber);
-    document.getElementById('primary-contact-phone').addEventListener('input', formatPhoneNumber);
-    
-    // Format intake date input
-    document.getElementById('intake-date').addEventListener('input', function(e) {
-        let value = e.target.value.replace(/\D/g, ''); // Remove non-digits
-        
-        if (value.length >= 5) {
-            value = value.slice(0, 2) + '/' + value.slice(2, 4) + '/' + value.slice(4, 8);
-        } else if (value.length >= 3) {
-            value = value.slice(0, 2) + '/' + value.slice(2, 4);
-        } else if (value.length >= 1) {
-            value = value.slice(0, 2);
+    // Format phone numbers
+    document.getElementById('phone').addEventListener('input', formatPhoneNumber);
+    document.getElementById('primary-contact-phone').addEventListener('input', formatPhoneNumber);
+    
+    // Format intake and case tracking date inputs
+    document.getElementById('intake-date').addEventListener('input', formatDateInput);
+    document.querySelectorAll('#patient-intake-form .sheet-date-input').forEach(input => {
+        input.addEventListener('input', formatDateInput);
+    });
+    
+    // Handle form submission
+    document.getElementById('patient-intake-form').addEventListener('submit', handleIntakeSubmit);
+    
+    // Load any saved draft
+    loadDraft();
+    
+    // Load dummy data for testing (remove this in production)
+    loadDummyData();
+    
+    hideLoading();
+}
+
+/**
+ * Show the import wizard: pick an .xlsx or .csv file, check how its columns map
+ * to the Active sheet, then import the rows that pass. Nothing is saved until
+ * "Import selected rows" is clicked.
+ */
+function loadImportWizard() {
+    window.importState = null;
+    
+    const content = document.getElementById('content');
+    content.innerHTML = `
+        <button class="btn-secondary" onclick="loadPatientIntake()">← Patient Intake</button>
+        <div class="import-wizard">
+            <h1>📥 Import Patients</h1>
+            <p class="intake-description">Upload an Excel (.xlsx) or CSV file with a header row and one patient per row.</p>
+            <input type="file" id="import-file" accept=".xlsx,.xls,.csv" onchange="previewImportFile()">
+            <div id="import-preview"></div>
+        </div>
+    `;
+}
+
+/**
+ * Build the query string for an import request from the wizard's current state
+ */
+function importQuery(extra = {}) {
+    const { file, preview } = window.importState;
+    const params = new URLSearchParams({ fileName: file.name, ...extra });
+    if (preview) {
+        params.set('mapping', JSON.stringify(preview.mapping));
+        if (preview.sheetName) params.set('sheet', preview.sheetName);
+    }
+    return params;
+}
+
+/**
+ * Upload the chosen file for a preview. Pass a mapping or sheet name to redo
+ * the preview after changing them.
+ */
+async function previewImportFile(mapping, sheetName) {
+    const file = document.getElementById('import-file').files[0];
+    if (!file) return;
+    
+    const container = document.getElementById('import-preview');
+    container.innerHTML = '<p class="empty-state">Checking file...</p>';
+    
+    const params = new URLSearchParams({ fileName: file.name });
+    if (mapping) params.set('mapping', JSON.stringify(mapping));
+    if (sheetName) params.set('sheet', sheetName);
+    
+    try {
+        const response = await fetch(`/api/import/preview?${params}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/octet-stream' },
+            body: file
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP error! status: ${response.status}`);
+        }
+        window.importState = { file, preview: result };
+        renderImportPreview();
+    } catch (error) {
+        console.error('Error previewing import:', error);
+        container.innerHTML = `<p class="empty-state">${error.message}</p>`;
+    }
+}
+
+/**
+ * Show the column mapping and each row's validation result
+ */
+function renderImportPreview() {
+    const { preview } = window.importState;
+    const fields = PatientModel.PATIENT_FIELDS.filter(def => def.field !== 'id' && def.field !== 'version');
+    const labelFor = (field) => fields.find(def => def.field === field)?.headers[0] || field;
+    const mappedColumns = preview.mapping.map((field, i) => ({ field, i })).filter(column => column.field);
+    const isReady = (row) => row.errors.length === 0 && row.duplicates.length === 0;
+    
+    const mappingRows = preview.headers.map((header, i) => `
+        <tr>
+            <td>${header === null || header === '' ? `<em>Column ${i + 1}</em>` : header}</td>
+            <td>
+                <select class="import-mapping" data-column="${i}" onchange="changeImportMapping()">
+                    <option value="">Don't import</option>
+                    ${fields.map(def => `<option value="${def.field}" ${preview.mapping[i] === def.field ? 'selected' : ''}>${def.headers[0]}</option>`).join('')}
+                </select>
+            </td>
+        </tr>
+    `).join('');
+    
+    const statusFor = (row) => {
+        if (row.errors.length > 0) {
+            return `<span class="import-invalid">❌ ${row.errors.map(e => e.message).join('; ')}</span>`;
         }
-        
-        e.target.value = value;
-    });
+        if (row.duplicates.length > 0) {
+            return `<span class="import-duplicate">⚠️ May duplicate ${row.duplicates.map(d => `${d.name || d.id} (${d.row ? `row ${d.row}` : 'active patient'}: ${d.reasons.join(', ')})`).join('; ')}</span>`;
+        }
+        return '<span class="import-ready">✅ Ready</span>';
+    };
     
-    // Handle form submission
-    document.getElementById('patient-intake-form').addEventListener('submit', handleIntakeSubmit);
+    const dataRows = preview.rows.map(row => `
+        <tr>
+            <td><input type="checkbox" class="import-row" value="${row.rowNumber}" ${isReady(row) ? 'checked' : ''} ${row.errors.length > 0 ? 'disabled' : ''}></td>
+            <td>${row.rowNumber}</td>
+            <td>${statusFor(row)}</td>
+            ${mappedColumns.map(({ field }) => `<td>${row.values[field] ?? ''}</td>`).join('')}
+        </tr>
+    `).join('');
     
-    // Load any saved draft
-    loadDraft();
+    const readyCount = preview.rows.filter(isReady).length;
+    const container = document.getElementById('import-preview');
+    container.innerHTML = `
+        ${preview.sheetNames.length > 1 ? `
+            <p>
+                <label for="import-sheet">Sheet:</label>
+                <select id="import-sheet" onchange="previewImportFile(null, this.value)">
+                    ${preview.sheetNames.map(name => `<option value="${name}" ${name === preview.sheetName ? 'selected' : ''}>${name}</option>`).join('')}
+                </select>
+            </p>
+        ` : ''}
+        <h3>Column Mapping</h3>
+        <table class="conflict-table import-mapping-table">
+            <thead><tr><th>Column in file</th><th>Active sheet column</th></tr></thead>
+            <tbody>${mappingRows}</tbody>
+        </table>
+        <h3>Rows (${readyCount} of ${preview.rows.length} ready)</h3>
+        <p class="intake-description">Rows with errors can't be imported. Possible duplicates are left unticked; tick one to import it anyway.</p>
+        <div class="import-rows">
+            <table class="conflict-table">
+                <thead>
+                    <tr><th></th><th>Row</th><th>Status</th>${mappedColumns.map(({ field }) => `<th>${labelFor(field)}</th>`).join('')}</tr>
+                </thead>
+                <tbody>${dataRows}</tbody>
+            </table>
+        </div>
+        <div class="conflict-actions">
+            <button class="btn-primary" onclick="importSelectedRows()">Import selected rows</button>
+        </div>
+    `;
+}
+
+/**
+ * Redo the preview with the mapping chosen in the dropdowns
+ */
+function changeImportMapping() {
+    const mapping = Array.from(document.querySelectorAll('.import-mapping')).map(select => select.value || null);
+    previewImportFile(mapping, window.importState.preview.sheetName);
+}
+
+/**
+ * Import the ticked rows. Ticked rows flagged as possible duplicates were
+ * chosen deliberately, so they are sent as confirmed.
+ */
+async function importSelectedRows() {
+    const { file, preview } = window.importState;
+    const rows = Array.from(document.querySelectorAll('.import-row:checked')).map(box => Number(box.value));
+    if (rows.length === 0) {
+        showNotification('Tick at least one row to import', 'warning');
+        return;
+    }
+    const confirmedDuplicates = preview.rows
+        .filter(row => rows.includes(row.rowNumber) && row.duplicates.length > 0)
+        .map(row => row.rowNumber);
     
-    // Load dummy data for testing (remove this in production)
-    loadDummyData();
+    const params = importQuery({ rows: rows.join(','), confirmedDuplicates: confirmedDuplicates.join(',') });
     
-    hideLoading();
+    try {
+        const response = await fetch(`/api/import?${params}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/octet-stream' },
+            body: file
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP error! status: ${response.status}`);
+        }
+        
+        // The Active list is stale now; the next view reloads it from the server
+        currentData.active = null;
+        
+        const container = document.getElementById('import-preview');
+        container.innerHTML = `
+            <h3>Imported ${result.imported.length} patient(s)</h3>
+            ${result.skipped.length > 0 ? `
+                <p>Skipped:</p>
+                <ul class="duplicate-list">
+                    ${result.skipped.map(row => `
+                        <li>Row ${row.rowNumber}: ${row.reason === 'invalid'
+                            ? row.errors.map(e => e.message).join('; ')
+                            : `may duplicate ${row.duplicates.map(d => d.name || d.id).join(', ')}`}</li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+            <button class="btn-primary" onclick="switchTab('active-data', document.querySelector('[data-tab=&quot;active-data&quot;]'))">View Active Patients</button>
+        `;
+        showNotification(`Imported ${result.imported.length} patient(s)`, 'success');
+    } catch (error) {
+        console.error('Error importing patients:', error);
+        showNotification(`Import failed: ${error.message}`, 'error');
+    }
 }
 
 /**
@@ -4730,18 +6432,49 @@ function loadDummyData() {
 }
 
 /**
- * Format phone number input
+ * Format a date input as MM/DD/YYYY while typing
  */
-function formatPhoneNumber(e) {
-    let value = e.target.value.replace(/\D/g, '');
-    if (value.length >= 6) {
-        value = `(${value.slice(0,3)}) ${value.slice(3,6)}-${value.slice(6,10)}`;
+function formatDateInput(e) {
+    let value = e.target.value.replace(/\D/g, ''); // Remove non-digits
+    
+    if (value.length >= 5) {
+        value = value.slice(0, 2) + '/' + value.slice(2, 4) + '/' + value.slice(4, 8);
     } else if (value.length >= 3) {
-        value = `(${value.slice(0,3)}) ${value.slice(3)}`;
+        value = value.slice(0, 2) + '/' + value.slice(2, 4);
+    } else if (value.length >= 1) {
+        value = value.slice(0, 2);
     }
+    
     e.target.value = value;
 }
 
+/**
+ * Format phone number input as (555) 123-4567 once it has exactly 10 digits.
+ * Shorter local numbers and numbers with an extension are left as typed.
+ */
+function formatPhoneNumber(e) {
+    const value = e.target.value.replace(/\D/g, '');
+    if (value.length === 10 && !/[a-z#]/i.test(e.target.value)) {
+        e.target.value = `(${value.slice(0,3)}) ${value.slice(3,6)}-${value.slice(6)}`;
+    }
+}
+
+/**
+ * Whether a saved phone number lacks an area code (fewer than 10 digits
+ * before any extension). Such numbers are kept but flagged in the UI.
+ */
+function isUnusualPhone(value) {
+    if (!value || value === '-' || value === 'N/A') return false;
+    return String(value).replace(/\s*(ext\.?|x|#)\s*\d+$/i, '').replace(/\D/g, '').length < 10;
+}
+
+/**
+ * Warning mark to show after a phone number without an area code ('' otherwise)
+ */
+function phoneFlag(value) {
+    return isUnusualPhone(value) ? ' <span class="unusual-value" title="No area code - check this number">⚠️</span>' : '';
+}
+
 /**
  * Handle intake form submission
  */
@@ -4768,17 +6501,38 @@ async function handleIntakeSubmit(e) {
     }
     patientData.lastModified = new Date().toISOString();
     
+    // Warn before saving someone who looks like an existing patient
+    if (window.skipDuplicateCheck) {
+        window.skipDuplicateCheck = false;
+    } else {
+        const matches = await checkForDuplicatePatients(patientData);
+        if (matches.length > 0) {
+            showDuplicateWarning(matches);
+            return;
+        }
+    }
+    
     try {
-        // Save to localStorage first
-        savePatientToLocal(patientData);
-        
-        // Always try to save to Excel file
+        // Save to Excel first so the local copy carries the server-assigned ID
         try {
-            await savePatientToSheets(patientData);
+            const result = await savePatientToSheets(patientData);
+            if (result && result.id) {
+                patientData.id = result.id;
+                patientData.ti = result.id;
+            }
         } catch (error) {
-            console.log('Excel save failed, but local save successful');
+            // Invalid fields are shown on the form; nothing is saved until they're fixed
+            if (error.validationErrors) {
+                showFieldErrors(e.target, error.validationErrors);
+                showNotification('Please fix the highlighted fields', 'error');
+                return;
+            }
+            console.log('Excel save failed, saving locally only');
         }
         
+        // Save to localStorage
+        savePatientToLocal(patientData);
+        
         // Show success message
         showNotification(`Patient ${patientData.patientName} added successfully to Active Patients!`, 'success');
         
@@ -4801,24 +6555,14 @@ async function handleIntakeSubmit(e) {
  * Save patient to localStorage
  */
 function savePatientToLocal(patientData) {
-    // Add unique ID
-    patientData.id = 'PAT-' + Date.now();
+    // Use the server-assigned ID; fall back to a temporary local one when offline
+    if (!patientData.id) {
+        patientData.id = 'LOCAL-' + Date.now();
+    }
     
     // Format the data to match the expected structure for display
     const formattedPatientData = {
-        ...patientData,
-        'Patient Name': patientData.patientName,
-        'Age': patientData.age,
-        'City': patientData.city,
-        'CP Doctor': patientData.cpDoctor,
-        'Hospice': patientData.hospice,
-        'Phone Number': patientData.phone,
-        'Email': patientData.email,
-        'DOB': patientData.dob,
-        'Ingestion Date': patientData.intakeDate,
-        'Invoice amount': patientData.invoiceAmount,
-        'PAID': patientData.paymentStatus === 'Paid' ? 'yes' : 'no',
-        'Check list': 'In Progress',
+        ...normalizePatientData(patientData),
         'Date Submitted': patientData.dateSubmittedFormatted,
         'Dose Level': patientData.doseLevel
     };
@@ -4870,6 +6614,13 @@ async function savePatientToSheets(patientData) {
             body: JSON.stringify(patientData)
         });
         
+        if (response.status === 422) {
+            const result = await response.json();
+            const error = new Error(result.error);
+            error.validationErrors = result.errors || [];
+            throw error;
+        }
+        
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
@@ -4880,17 +6631,112 @@ async function savePatientToSheets(patientData) {
         return result;
         
     } catch (error) {
-        console.error('Error saving to Excel:', error);
-        showNotification('Failed to save to Excel file. Data saved locally.', 'warning');
+        if (!error.validationErrors) {
+            console.error('Error saving to Excel:', error);
+            showNotification('Failed to save to Excel file. Data saved locally.', 'warning');
+        }
+        throw error;
+    }
+}
+
+/**
+ * Update an existing patient row in the Excel file.
+ * Pass the version the edit was based on; if a colleague saved the row since,
+ * nothing is written and { conflict: true, current } is returned instead.
+ * Fields the server rejects come back as { invalid: true, errors }.
+ */
+async function updatePatientOnServer(patientId, changes, version) {
+    try {
+        const response = await fetch(`/api/patients/${encodeURIComponent(patientId)}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ ...changes, version })
+        });
+        
+        if (response.status === 409) {
+            const result = await response.json();
+            return { conflict: true, current: result.current };
+        }
+        
+        // A local copy from before versioning: compare against the saved patient like a conflict
+        if (response.status === 428) {
+            const current = await fetch(`/api/patients/${encodeURIComponent(patientId)}`);
+            if (current.ok) {
+                return { conflict: true, current: await current.json() };
+            }
+        }
+        
+        if (response.status === 422) {
+            const result = await response.json();
+            return { invalid: true, errors: result.errors || [] };
+        }
+        
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({}));
+            throw new Error(result.error || `HTTP error! status: ${response.status}`);
+        }
+        
+        const result = await response.json();
+        console.log('Patient updated in Excel:', result);
+        return result;
+        
+    } catch (error) {
+        console.error('Error updating patient in Excel:', error);
+        showNotification(`Changes not saved: ${error.message}`, 'error');
         throw error;
     }
 }
 
+/**
+ * Mark the inputs named in server validation errors ({ field, message }) and show
+ * each message under its input. Inputs are matched by name or data-field; the
+ * marks clear as soon as the input is edited.
+ */
+function showFieldErrors(container, errors) {
+    clearFieldErrors(container);
+    
+    const unmatched = [];
+    errors.forEach(({ field, message }) => {
+        const selector = `[name="${CSS.escape(field)}"], [data-field="${CSS.escape(field)}"]`;
+        const input = container.querySelector(selector);
+        if (!input) {
+            unmatched.push(message);
+            return;
+        }
+        input.classList.add('input-error');
+        const note = document.createElement('div');
+        note.className = 'field-error';
+        note.textContent = message;
+        input.insertAdjacentElement('afterend', note);
+        input.addEventListener('input', () => {
+            input.classList.remove('input-error');
+            if (note.parentNode) note.remove();
+        }, { once: true });
+    });
+    
+    const first = container.querySelector('.input-error');
+    if (first) first.focus();
+    if (unmatched.length > 0) {
+        showNotification(unmatched.join('; '), 'error');
+    }
+}
+
+/**
+ * Remove validation marks left by showFieldErrors
+ */
+function clearFieldErrors(container) {
+    container.querySelectorAll('.field-error').forEach(note => note.remove());
+    container.querySelectorAll('.input-error').forEach(input => input.classList.remove('input-error'));
+}
+
 /**
  * Clear intake form
  */
 function clearIntakeForm() {
     document.getElementById('patient-intake-form').reset();
+    clearFieldErrors(document.getElementById('patient-intake-form'));
     document.getElementById('age').value = '';
     localStorage.removeItem('intakeDraft');
     localStorage.removeItem('formData_patient-intake');
@@ -4952,34 +6798,13 @@ function showNotification(message, type = 'info') {
 }
 
 /**
- * Normalize patient data to ensure consistent field names
+ * Normalize patient data to ensure consistent field names.
+ * Field names and sheet headers come from the shared PatientModel (patient-model.js).
  */
 function normalizePatientData(patient) {
-    // Create a normalized object with all possible fields
-    return {
-        ...patient,
-        // Ensure both formats are available
-        'Patient Name': patient['Patient Name'] || patient.patientName,
-        patientName: patient.patientName || patient['Patient Name'],
-        'Age': patient['Age'] || patient.age,
-        age: patient.age || patient['Age'],
-        'DOB': patient['DOB'] || patient.dob,
-        dob: patient.dob || patient['DOB'],
-        'Phone Number': patient['Phone Number'] || patient.phone,
-        phone: patient.phone || patient['Phone Number'],
-        'Email': patient['Email'] || patient.email,
-        email: patient.email || patient['Email'],
-        'CP Doctor': patient['CP Doctor'] || patient.cpDoctor,
-        cpDoctor: patient.cpDoctor || patient['CP Doctor'],
-        'Hospice': patient['Hospice'] || patient.hospice,
-        hospice: patient.hospice || patient['Hospice'],
-        'Ingestion Date': patient['Ingestion Date'] || patient.intakeDate,
-        intakeDate: patient.intakeDate || patient['Ingestion Date'],
-        'Invoice amount': patient['Invoice amount'] || patient.invoiceAmount,
-        invoiceAmount: patient.invoiceAmount || patient['Invoice amount'],
-        'PAID': patient['PAID'] || (patient.paymentStatus === 'Paid' ? 'yes' : patient.paymentStatus === 'Pending' ? 'no' : patient['PAID']),
-        'Check list': patient['Check list'] || patient.checklistStatus || 'In Progress'
-    };
+    const normalized = PatientModel.normalizePatient(patient);
+    normalized['Check list'] = normalized['Check list'] || patient.checklistStatus || 'In Progress';
+    return normalized;
 }
 
 /**
@@ -5079,7 +6904,7 @@ function showPatientDetail(index) {
                         </div>
                         <div class="detail-item">
                             <label>Phone:</label>
-                            <span class="editable-field" data-field="phone">${patient['Phone Number'] || patient.phone || '-'}</span>
+                            <span class="editable-field" data-field="phone">${patient['Phone Number'] || patient.phone || '-'}</span>${phoneFlag(patient['Phone Number'] || patient.phone)}
                         </div>
                         <div class="detail-item">
                             <label>Email:</label>
@@ -5091,7 +6916,7 @@ function showPatientDetail(index) {
                         </div>
                         <div class="detail-item">
                             <label>Contact Phone:</label>
-                            <span class="editable-field" data-field="primaryContactPhone">${patient.primaryContactPhone || '-'}</span>
+                            <span class="editable-field" data-field="primaryContactPhone">${patient.primaryContactPhone || '-'}</span>${phoneFlag(patient.primaryContactPhone)}
                         </div>
                         <div class="detail-item">
                             <label>Relationship:</label>
@@ -5141,7 +6966,9 @@ function showPatientDetail(index) {
                     <div class="detail-grid">
                         <div class="detail-item">
                             <label>CP Doctor:</label>
-                            <span class="editable-field" data-field="cpDoctor">${patient['CP Doctor'] || patient.cpDoctor || '-'}</span>
+                            <span class="editable-field" data-field="cpDoctor">${(patient['CP Doctor'] || patient.cpDoctor)
+                                ? `<a href="#" class="patient-name-link" title="View doctor profile" onclick="openDoctorProfile(this.textContent, '${patient.ti || ''}'); return false;">${patient['CP Doctor'] || patient.cpDoctor}</a>`
+                                : '-'}</span>
                         </div>
                         <div class="detail-item">
                             <label>Referring Physician:</label>
@@ -5167,6 +6994,12 @@ function showPatientDetail(index) {
                     </div>
                 </div>
                 
+                <!-- Vendors & Services -->
+                <div class="detail-section">
+                    <h3>🏢 Vendors & Services</h3>
+                    <div id="patient-vendors" data-patient-id="${patient.id || ''}"></div>
+                </div>
+                
                 <!-- Insurance & Financial -->
                 <div class="detail-section">
                     <h3>💰 Insurance & Financial</h3>
@@ -5175,6 +7008,7 @@ function showPatientDetail(index) {
                             <label>Medi-Cal ID Number:</label>
                             <span class="editable-field" data-field="medicalId">${patient.medicalId || '-'}</span>
                         </div>
+                        ${hasPermission('billing:edit') ? `
                         <div class="detail-item">
                             <label>Invoice Amount:</label>
                             <span class="editable-field" data-field="invoiceAmount">${patient['Invoice amount'] || patient.invoiceAmount || '-'}</span>
@@ -5182,7 +7016,7 @@ function showPatientDetail(index) {
                         <div class="detail-item">
                             <label>Payment Status:</label>
                             <span class="editable-field" data-field="paymentStatus" data-type="select" data-options="Pending,Paid,Insurance Processing,Denied">${patient.paymentStatus || 'Pending'}</span>
-                        </div>
+                        </div>` : ''}
                     </div>
                 </div>
                 
@@ -5220,36 +7054,386 @@ function showPatientDetail(index) {
                         </div>
                     </div>
                 </div>
+                
+                <!-- Change History -->
+                <div class="detail-section">
+                    <h3>📜 History</h3>
+                    <div id="patient-history">
+                        <button class="btn-secondary" onclick="loadPatientHistory('${patient.id || ''}')">Show History</button>
+                    </div>
+                </div>
+            </div>
+            
+            <div class="patient-detail-footer" id="patient-detail-footer">
+                <button class="btn-secondary" onclick="closePatientDetail()">Close</button>
+                ${hasPermission('patients:edit') || hasPermission('billing:edit') ? `<button class="btn-secondary" id="edit-mode-btn" onclick="toggleEditMode(${index})">✏️ Edit</button>` : ''}
+                <button class="btn-primary" id="save-btn" style="display:none;" onclick="saveInlineChanges(${index})">💾 Save Changes</button>
+                <button class="btn-secondary" id="cancel-btn" style="display:none;" onclick="cancelEditMode(${index})">Cancel</button>
+                <button class="btn-primary" id="pin-btn" onclick="pinPatientFromDetail(${index})">📌 Pin Patient</button>
+                <button class="btn-primary" id="task-btn" onclick="createTaskFromDetail(${index})">📝 Create Task</button>
+                <button class="btn-primary" id="event-btn" onclick="createEventFromDetail(${index})">📅 Create Event</button>
+            </div>
+        </div>
+    `;
+    
+    document.body.appendChild(modal);
+    loadPatientVendors(patient.id);
+    
+    // Add click outside to close
+    modal.addEventListener('click', function(e) {
+        if (e.target === modal) {
+            closePatientDetail();
+        }
+    });
+    
+    // Add escape key to close
+    document.addEventListener('keydown', function escapeHandler(e) {
+        if (e.key === 'Escape') {
+            closePatientDetail();
+            document.removeEventListener('keydown', escapeHandler);
+        }
+    });
+}
+
+/**
+ * Load a patient's field change history from the AuditLog sheet into the detail modal
+ */
+async function loadPatientHistory(patientId) {
+    const container = document.getElementById('patient-history');
+    if (!container) return;
+    
+    if (!isServerPatientId(patientId)) {
+        container.innerHTML = '<p class="history-empty">History is recorded once the patient is saved to the server.</p>';
+        return;
+    }
+    
+    container.innerHTML = '<p class="history-empty">Loading history...</p>';
+    
+    try {
+        const response = await fetch(`/api/patients/${encodeURIComponent(patientId)}/history`);
+        if (!response.ok) {
+            throw new Error(`Server error: ${response.status} ${response.statusText}`);
+        }
+        const history = await response.json();
+        
+        if (history.length === 0) {
+            container.innerHTML = '<p class="history-empty">No changes recorded yet.</p>';
+            return;
+        }
+        
+        // Most recent change first
+        const rows = history.slice().reverse().map(entry => `
+            <tr>
+                <td>${new Date(entry.timestamp).toLocaleString()}</td>
+                <td>${escapeHtml(entry.user || 'Unknown')}</td>
+                <td>${escapeHtml(entry.action)}</td>
+                <td>${escapeHtml(entry.field)}</td>
+                <td>${escapeHtml(entry.oldValue || '-')}</td>
+                <td>${escapeHtml(entry.newValue || '-')}</td>
+            </tr>
+        `).join('');
+        
+        container.innerHTML = `
+            <table class="data-table history-table">
+                <thead>
+                    <tr>
+                        <th>When</th>
+                        <th>User</th>
+                        <th>Action</th>
+                        <th>Field</th>
+                        <th>Old Value</th>
+                        <th>New Value</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+        
+    } catch (error) {
+        console.error('Error loading patient history:', error);
+        container.innerHTML = '<p class="history-empty">Failed to load history.</p>';
+    }
+}
+
+const VENDOR_SERVICE_STATUSES = ['Requested', 'Scheduled', 'In Progress', 'Completed', 'Cancelled'];
+
+/**
+ * Table of vendor assignments. `linkTo` picks the column shown first: the
+ * 'vendor' (on a patient) or the 'patient' (on a vendor's page).
+ */
+function vendorServicesTable(assignments, linkTo) {
+    const canEdit = hasPermission('patients:edit');
+    const formatCost = (cost) => cost === '' ? '-' : `$${Number(cost).toFixed(2)}`;
+    
+    return `
+        <table class="data-table vendor-services-table">
+            <thead>
+                <tr>
+                    <th>${linkTo === 'vendor' ? 'Vendor' : 'Patient'}</th><th>Service</th><th>Status</th>
+                    <th>Ordered</th><th>Service Date</th><th>Completed</th><th>Cost</th><th>Rating</th>${canEdit ? '<th></th>' : ''}
+                </tr>
+            </thead>
+            <tbody>
+                ${assignments.map(a => `
+                    <tr class="vendor-service-${a.status.toLowerCase().replace(/\s+/g, '-')}" title="${escapeHtml(a.notes || '')}">
+                        <td>${linkTo === 'vendor'
+                            ? `<a href="#" class="patient-name-link" data-vendor-id="${escapeHtml(a.vendorId)}" onclick="openVendorDetails(this.dataset.vendorId); return false;">${escapeHtml(a.vendorName || a.vendorId)}</a>`
+                            : (a.patientName
+                                ? `<a href="#" class="patient-name-link" data-patient-id="${escapeHtml(a.patientId)}" onclick="openPatientById(this.dataset.patientId); return false;">${escapeHtml(a.patientName)}</a>`
+                                : `${escapeHtml(a.patientId)} <span class="history-empty">(no longer active)</span>`)}</td>
+                        <td>${escapeHtml(a.serviceType || '-')}</td>
+                        <td>${canEdit ? `
+                            <select onchange="changeVendorServiceStatus('${a.id}', this.value)">
+                                ${VENDOR_SERVICE_STATUSES.map(s => `<option value="${s}" ${s === a.status ? 'selected' : ''}>${s}</option>`).join('')}
+                            </select>
+                        ` : escapeHtml(a.status || '-')}</td>
+                        <td>${escapeHtml(a.orderDate || '-')}</td>
+                        <td>${escapeHtml(a.serviceDate || '-')}</td>
+                        <td>${escapeHtml(a.completedDate || '-')}</td>
+                        <td>${formatCost(a.cost)}</td>
+                        <td title="${escapeHtml(a.feedback || '')}">${a.rating ? '⭐'.repeat(a.rating) : '-'}</td>
+                        ${canEdit ? `<td><button class="btn-secondary" onclick="removeVendorService('${a.id}')" title="Remove assignment">🗑️</button></td>` : ''}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Load the vendors assigned to a patient into the detail modal
+ */
+async function loadPatientVendors(patientId) {
+    const container = document.getElementById('patient-vendors');
+    if (!container) return;
+    
+    if (!isServerPatientId(patientId)) {
+        container.innerHTML = '<p class="history-empty">Vendors can be assigned once the patient is saved to the server.</p>';
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/patients/${encodeURIComponent(patientId)}/vendors`);
+        if (!response.ok) {
+            throw new Error(`Server error: ${response.status} ${response.statusText}`);
+        }
+        const assignments = await response.json();
+        
+        container.innerHTML = `
+            ${assignments.length > 0 ? vendorServicesTable(assignments, 'vendor') : '<p class="history-empty">No vendors assigned yet.</p>'}
+            ${hasPermission('patients:edit') ? `
+                <div id="assign-vendor-form">
+                    <button class="btn-secondary" onclick="showAssignVendorForm('${patientId}')">➕ Assign Vendor</button>
+                </div>
+            ` : ''}
+        `;
+    } catch (error) {
+        console.error('Error loading patient vendors:', error);
+        container.innerHTML = '<p class="history-empty">Failed to load vendors.</p>';
+    }
+}
+
+/**
+ * Reload whichever vendor service list is on screen after a change
+ */
+function refreshVendorServices() {
+    const patientVendors = document.getElementById('patient-vendors');
+    if (patientVendors) loadPatientVendors(patientVendors.dataset.patientId);
+    const vendorPatients = document.getElementById('vendor-patients');
+    if (vendorPatients) loadVendorPatients(vendorPatients.dataset.vendorId);
+}
+
+/**
+ * Show the form for assigning a vendor (pharmacy, funeral home, doula...) to a patient
+ */
+async function showAssignVendorForm(patientId) {
+    const container = document.getElementById('assign-vendor-form');
+    if (!container) return;
+    
+    try {
+        const response = await fetch('/api/read-vendors?spreadsheetId=local');
+        if (!response.ok) {
+            throw new Error('Failed to fetch vendors data');
+        }
+        window.vendorsList = await response.json();
+    } catch (error) {
+        console.error('Error loading vendors:', error);
+        showNotification('Failed to load vendors: ' + error.message, 'error');
+        return;
+    }
+    
+    const vendors = window.vendorsList.filter(v => v['Vendor ID'] && v['Status'] !== 'Inactive');
+    if (vendors.length === 0) {
+        showNotification('Add a vendor on the Vendors page first', 'info');
+        return;
+    }
+    
+    container.innerHTML = `
+        <form class="doctor-form assign-vendor-form" onsubmit="saveVendorAssignment(event, '${patientId}')">
+            <div class="doctor-form-grid">
+                <label>Vendor
+                    <select name="vendorId" required onchange="this.form.serviceType.value = (findVendor(this.value) || {})['Service Type'] || ''">
+                        <option value="">Choose a vendor...</option>
+                        ${vendors.map(v => `<option value="${v['Vendor ID']}">${v['Company Name']} (${v['Category'] || 'Other'})</option>`).join('')}
+                    </select>
+                </label>
+                <label>Service Type<input type="text" name="serviceType"></label>
+                <label>Status
+                    <select name="status">
+                        ${VENDOR_SERVICE_STATUSES.map(s => `<option value="${s}">${s}</option>`).join('')}
+                    </select>
+                </label>
+                <label>Cost<input type="number" name="cost" min="0" step="0.01"></label>
+                <label>Order Date<input type="text" name="orderDate" class="sheet-date-input" placeholder="MM/DD/YYYY" maxlength="10" value="${new Date().toLocaleDateString('en-US', { month: '2-digit', day: '2-digit', year: 'numeric' })}"></label>
+                <label>Service Date<input type="text" name="serviceDate" class="sheet-date-input" placeholder="MM/DD/YYYY" maxlength="10"></label>
+                <label class="doctor-form-wide">Notes<input type="text" name="notes"></label>
+            </div>
+            <div class="doctor-form-actions">
+                <button type="button" class="btn-secondary" onclick="loadPatientVendors('${patientId}')">Cancel</button>
+                <button type="submit" class="btn-primary">Assign Vendor</button>
+            </div>
+        </form>
+    `;
+    container.querySelectorAll('.sheet-date-input').forEach(input => input.addEventListener('input', formatDateInput));
+}
+
+/**
+ * Save the assign vendor form
+ */
+async function saveVendorAssignment(event, patientId) {
+    event.preventDefault();
+    const form = event.target;
+    const assignment = Object.fromEntries(new FormData(form));
+    clearFieldErrors(form);
+    
+    try {
+        const response = await fetch(`/api/patients/${encodeURIComponent(patientId)}/vendors`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(assignment)
+        });
+        const result = await response.json();
+        if (response.status === 422) {
+            showFieldErrors(form, result.errors || []);
+            return;
+        }
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP error! status: ${response.status}`);
+        }
+        showNotification(`${result.assignment.vendorName} assigned`, 'success');
+        loadPatientVendors(patientId);
+    } catch (error) {
+        console.error('Error assigning vendor:', error);
+        showNotification('Failed to assign vendor: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Handle a status change from a vendor service list. Closing a service asks
+ * for a rating and feedback first.
+ */
+function changeVendorServiceStatus(assignmentId, status) {
+    if (status === 'Completed' || status === 'Cancelled') {
+        showServiceFeedbackForm(assignmentId, status);
+    } else {
+        updateVendorServiceStatus(assignmentId, { status });
+    }
+}
+
+/**
+ * Ask how a vendor did when their service is closed; the vendor's rating is
+ * the average of these
+ */
+function showServiceFeedbackForm(assignmentId, status) {
+    closeServiceFeedbackForm();
+    
+    const modal = document.createElement('div');
+    modal.className = 'feedback-modal';
+    modal.innerHTML = `
+        <form class="conflict-container" onsubmit="submitServiceFeedback(event, '${assignmentId}', '${status}')">
+            <div class="patient-detail-header">
+                <h2>${status === 'Completed' ? '✅ Service completed' : '🚫 Service cancelled'}</h2>
+                <button type="button" class="close-detail" onclick="closeServiceFeedbackForm(); refreshVendorServices()">✕</button>
             </div>
-            
-            <div class="patient-detail-footer" id="patient-detail-footer">
-                <button class="btn-secondary" onclick="closePatientDetail()">Close</button>
-                <button class="btn-secondary" id="edit-mode-btn" onclick="toggleEditMode(${index})">✏️ Edit</button>
-                <button class="btn-primary" id="save-btn" style="display:none;" onclick="saveInlineChanges(${index})">💾 Save Changes</button>
-                <button class="btn-secondary" id="cancel-btn" style="display:none;" onclick="cancelEditMode(${index})">Cancel</button>
-                <button class="btn-primary" id="pin-btn" onclick="pinPatientFromDetail(${index})">📌 Pin Patient</button>
-                <button class="btn-primary" id="task-btn" onclick="createTaskFromDetail(${index})">📝 Create Task</button>
-                <button class="btn-primary" id="event-btn" onclick="createEventFromDetail(${index})">📅 Create Event</button>
+            <div class="conflict-body doctor-form-grid">
+                <label>How did the vendor do?
+                    <select name="rating">
+                        <option value="">No rating</option>
+                        ${[5, 4, 3, 2, 1].map(n => `<option value="${n}">${'⭐'.repeat(n)} (${n})</option>`).join('')}
+                    </select>
+                </label>
+                <label class="doctor-form-wide">Feedback<textarea name="feedback" rows="3" placeholder="Timeliness, communication, anything the team should know"></textarea></label>
             </div>
-        </div>
+            <div class="conflict-actions">
+                <button type="button" class="btn-secondary" onclick="closeServiceFeedbackForm(); refreshVendorServices()">Cancel</button>
+                <button type="submit" class="btn-primary">Close Service</button>
+            </div>
+        </form>
     `;
-    
     document.body.appendChild(modal);
-    
-    // Add click outside to close
-    modal.addEventListener('click', function(e) {
-        if (e.target === modal) {
-            closePatientDetail();
+}
+
+/**
+ * Close the service feedback form
+ */
+function closeServiceFeedbackForm() {
+    const modal = document.querySelector('.feedback-modal');
+    if (modal) modal.remove();
+}
+
+/**
+ * Close a vendor service with the rating and feedback entered
+ */
+function submitServiceFeedback(event, assignmentId, status) {
+    event.preventDefault();
+    const { rating, feedback } = Object.fromEntries(new FormData(event.target));
+    closeServiceFeedbackForm();
+    updateVendorServiceStatus(assignmentId, { status, rating, feedback });
+}
+
+/**
+ * Update a vendor service's status, rating or feedback (Completed fills in
+ * today's date on the server)
+ */
+async function updateVendorServiceStatus(assignmentId, updates) {
+    try {
+        const response = await fetch(`/api/patient-vendors/${encodeURIComponent(assignmentId)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(updates)
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP error! status: ${response.status}`);
         }
-    });
+        showNotification(`Service marked ${updates.status}`, 'success');
+    } catch (error) {
+        console.error('Error updating vendor service:', error);
+        showNotification('Failed to update service: ' + error.message, 'error');
+    }
+    refreshVendorServices();
+}
+
+/**
+ * Remove a vendor assignment entered by mistake
+ */
+async function removeVendorService(assignmentId) {
+    if (!confirm('Remove this vendor assignment?')) {
+        return;
+    }
     
-    // Add escape key to close
-    document.addEventListener('keydown', function escapeHandler(e) {
-        if (e.key === 'Escape') {
-            closePatientDetail();
-            document.removeEventListener('keydown', escapeHandler);
+    try {
+        const response = await fetch(`/api/patient-vendors/${encodeURIComponent(assignmentId)}`, { method: 'DELETE' });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP error! status: ${response.status}`);
         }
-    });
+        showNotification('Vendor assignment removed', 'success');
+        refreshVendorServices();
+    } catch (error) {
+        console.error('Error removing vendor service:', error);
+        showNotification('Failed to remove assignment: ' + error.message, 'error');
+    }
 }
 
 /**
@@ -5273,16 +7457,22 @@ function toggleEditMode(index) {
         const fieldName = field.dataset.field;
         const fieldType = field.dataset.type;
         const isReadonly = field.dataset.readonly === 'true';
-        
-        if (isReadonly) return;
+        const requiredPermission = BILLING_FIELDS.includes(fieldName) ? 'billing:edit' : 'patients:edit';
         
         const currentValue = field.textContent === '-' ? '' : field.textContent;
+        // Saving sends only the fields that differ from what was shown
+        field.dataset.original = currentValue;
+        
+        if (isReadonly || !hasPermission(requiredPermission)) return;
         
         if (fieldType === 'select') {
             const options = field.dataset.options.split(',');
+            // Keep a value that isn't one of the options (or blank) selected until it is changed
+            if (!options.includes(currentValue)) options.unshift(currentValue);
             const select = document.createElement('select');
             select.className = 'detail-input';
             select.dataset.field = fieldName;
+            select.dataset.original = currentValue;
             
             options.forEach(opt => {
                 const option = document.createElement('option');
@@ -5298,6 +7488,7 @@ function toggleEditMode(index) {
             input.type = 'text';
             input.className = 'detail-input';
             input.dataset.field = fieldName;
+            input.dataset.original = currentValue;
             input.value = currentValue;
             input.placeholder = 'MM/DD/YYYY';
             input.maxLength = 10;
@@ -5324,18 +7515,11 @@ function toggleEditMode(index) {
             input.type = 'tel';
             input.className = 'detail-input';
             input.dataset.field = fieldName;
+            input.dataset.original = currentValue;
             input.value = currentValue;
             
             // Add phone formatting
-            input.addEventListener('input', function(e) {
-                let value = e.target.value.replace(/\D/g, '');
-                if (value.length >= 6) {
-                    value = `(${value.slice(0,3)}) ${value.slice(3,6)}-${value.slice(6,10)}`;
-                } else if (value.length >= 3) {
-                    value = `(${value.slice(0,3)}) ${value.slice(3)}`;
-                }
-                e.target.value = value;
-            });
+            input.addEventListener('input', formatPhoneNumber);
             
             field.parentNode.replaceChild(input, field);
         } else if (fieldName === 'symptoms' || fieldName === 'secondaryDiagnosis' || fieldName === 'medicalHistory' || 
@@ -5343,6 +7527,7 @@ function toggleEditMode(index) {
             const textarea = document.createElement('textarea');
             textarea.className = 'detail-input detail-textarea';
             textarea.dataset.field = fieldName;
+            textarea.dataset.original = currentValue;
             textarea.value = currentValue;
             textarea.rows = 3;
             
@@ -5352,6 +7537,7 @@ function toggleEditMode(index) {
             input.type = 'text';
             input.className = 'detail-input';
             input.dataset.field = fieldName;
+            input.dataset.original = currentValue;
             input.value = currentValue;
             
             field.parentNode.replaceChild(input, field);
@@ -5395,27 +7581,70 @@ function updateAgeFromDOB(dateString) {
 /**
  * Save inline changes
  */
-function saveInlineChanges(index) {
+async function saveInlineChanges(index) {
     const modal = document.querySelector('.patient-detail-modal');
     if (!modal) return;
     
-    // Collect all edited values
+    // Collect the values that were changed. Untouched fields are left out so
+    // cells the detail view can't show exactly (e.g. Check list "yes") keep their value.
     const editedData = {};
     const inputs = modal.querySelectorAll('.detail-input');
     
     inputs.forEach(input => {
         const fieldName = input.dataset.field;
-        const value = input.value || input.textContent;
-        editedData[fieldName] = value;
+        if (input.value !== input.dataset.original) editedData[fieldName] = input.value;
     });
     
-    // Also get readonly fields
-    const readonlyFields = modal.querySelectorAll('[data-readonly="true"]');
+    // Also get readonly fields that changed, such as Age after a new DOB
+    // (part of the patient record, so only for roles that edit it)
+    const readonlyFields = hasPermission('patients:edit') ? modal.querySelectorAll('[data-readonly="true"]') : [];
     readonlyFields.forEach(field => {
         const fieldName = field.dataset.field;
-        editedData[fieldName] = field.textContent;
+        const value = field.textContent === '-' ? '' : field.textContent;
+        if (value !== field.dataset.original) editedData[fieldName] = value;
     });
     
+    if (Object.keys(editedData).length === 0) {
+        showNotification('No changes to save', 'info');
+        closePatientDetail();
+        showPatientDetail(index);
+        return;
+    }
+    
+    // Write the change through to the Excel file when the patient has a server ID,
+    // based on the version this edit started from so a colleague's save isn't overwritten
+    const editedPatient = (currentData.active && currentData.active[index]) || window.currentEditingPatient;
+    if (editedPatient && editedPatient.ti) {
+        try {
+            const result = await updatePatientOnServer(editedPatient.ti, editedData, editedPatient.version);
+            if (result.conflict) {
+                showConflictDialog(index, editedPatient, editedData, result.current);
+                return;
+            }
+            if (result.invalid) {
+                showFieldErrors(modal, result.errors);
+                showNotification('Please fix the highlighted fields', 'error');
+                return;
+            }
+            if (result.patient) editedData.version = result.patient.version;
+        } catch (error) {
+            // Nothing was saved, so local data stays as it was and the edit stays open
+            return;
+        }
+    }
+    
+    applyInlineChanges(index, editedData);
+    showNotification('Patient information updated successfully across all sections!', 'success');
+    
+    // Refresh the patient detail view
+    closePatientDetail();
+    showPatientDetail(index);
+}
+
+/**
+ * Merge saved patient fields into every local copy of the patient
+ */
+function applyInlineChanges(index, editedData) {
     // Get the patient's name to find all instances
     const patientName = editedData.patientName || editedData['Patient Name'] || '';
     
@@ -5443,12 +7672,406 @@ function saveInlineChanges(index) {
     
     // Update any tasks or notes associated with this patient
     updatePatientReferences(patientName, editedData);
+}
+
+/**
+ * Compare values the way the detail view shows them ('-' means empty)
+ */
+function conflictValue(value) {
+    if (value === undefined || value === null || value === '-') return '';
+    return String(value).trim();
+}
+
+/**
+ * Show a side-by-side dialog when a colleague saved this patient while it was
+ * being edited, so each conflicting field can keep either version.
+ */
+function showConflictDialog(index, original, mine, current) {
+    const detailModal = document.querySelector('.patient-detail-modal');
+    const theirs = normalizePatientData(current);
+    const before = normalizePatientData(original);
+    
+    // Only fields the sheet holds can conflict; the rest are kept as edited
+    const fields = Object.keys(mine).filter(field =>
+        theirs[field] !== undefined && conflictValue(mine[field]) !== conflictValue(theirs[field])
+    );
     
-    showNotification('Patient information updated successfully across all sections!', 'success');
+    const labelFor = (field) => {
+        const label = detailModal && detailModal.querySelector(`[data-field="${field}"]`)?.closest('.detail-item')?.querySelector('label');
+        return label ? label.textContent.replace(/:$/, '') : field;
+    };
     
-    // Refresh the patient detail view
+    window.pendingConflict = { index, mine, current, fields };
+    
+    const rows = fields.map(field => {
+        // Default to the colleague's value when this edit left the field untouched
+        const keepTheirs = conflictValue(mine[field]) === conflictValue(before[field]);
+        return `
+            <tr>
+                <td class="conflict-field">${escapeHtml(labelFor(field))}</td>
+                <td class="conflict-original">${escapeHtml(conflictValue(before[field]) || '-')}</td>
+                <td>
+                    <label><input type="radio" name="conflict-${field}" value="mine" ${keepTheirs ? '' : 'checked'}>
+                    ${escapeHtml(conflictValue(mine[field]) || '-')}</label>
+                </td>
+                <td>
+                    <label><input type="radio" name="conflict-${field}" value="theirs" ${keepTheirs ? 'checked' : ''}>
+                    ${escapeHtml(conflictValue(theirs[field]) || '-')}</label>
+                </td>
+            </tr>
+        `;
+    }).join('');
+    
+    const modal = document.createElement('div');
+    modal.className = 'conflict-modal';
+    modal.innerHTML = `
+        <div class="conflict-container">
+            <div class="patient-detail-header">
+                <h2>⚠️ Someone else changed this patient</h2>
+                <button class="close-detail" onclick="closeConflictDialog()">✕</button>
+            </div>
+            <div class="conflict-body">
+                <p>This record was saved by a colleague while you were editing it. Choose which value to keep for each field.</p>
+                ${fields.length > 0 ? `
+                    <table class="conflict-table">
+                        <thead>
+                            <tr><th>Field</th><th>Before you edited</th><th>Your change</th><th>Their change</th></tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                ` : '<p class="conflict-none">None of your fields clash with theirs.</p>'}
+            </div>
+            <div class="conflict-actions">
+                <button class="btn-secondary" onclick="discardConflictChanges()">Discard my changes</button>
+                <button class="btn-primary" onclick="resolveConflict()">Save my choices</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
+
+/**
+ * Close the conflict dialog without saving anything
+ */
+function closeConflictDialog() {
+    const modal = document.querySelector('.conflict-modal');
+    if (modal) modal.remove();
+    window.pendingConflict = null;
+}
+
+/**
+ * Save the field choices from the conflict dialog on top of the colleague's version
+ */
+async function resolveConflict() {
+    const conflict = window.pendingConflict;
+    const modal = document.querySelector('.conflict-modal');
+    if (!conflict || !modal) return;
+    
+    const theirs = normalizePatientData(conflict.current);
+    const resolved = { ...conflict.mine };
+    conflict.fields.forEach(field => {
+        const choice = modal.querySelector(`input[name="conflict-${field}"]:checked`);
+        if (choice && choice.value === 'theirs') resolved[field] = theirs[field];
+    });
+    
+    closeConflictDialog();
+    
+    try {
+        const result = await updatePatientOnServer(conflict.current.ti, resolved, conflict.current.version);
+        if (result.conflict) {
+            // Another save landed while choosing; compare against that one instead
+            showConflictDialog(conflict.index, conflict.current, resolved, result.current);
+            return;
+        }
+        if (result.invalid) {
+            showNotification(result.errors.map(e => e.message).join('; ') || 'Some fields are invalid', 'error');
+            return;
+        }
+        resolved.version = result.patient.version;
+    } catch (error) {
+        return;
+    }
+    
+    applyInlineChanges(conflict.index, resolved);
+    showNotification('Patient information updated with your choices', 'success');
     closePatientDetail();
-    showPatientDetail(index);
+    showPatientDetail(conflict.index);
+}
+
+/**
+ * Drop this edit and take the colleague's saved version
+ */
+function discardConflictChanges() {
+    const conflict = window.pendingConflict;
+    if (!conflict) return;
+    
+    closeConflictDialog();
+    applyInlineChanges(conflict.index, normalizePatientData(conflict.current));
+    showNotification('Your changes were discarded; showing the latest saved version', 'info');
+    closePatientDetail();
+    showPatientDetail(conflict.index);
+}
+
+/**
+ * Ask the server for Active patients that look like the one being entered.
+ * Returns [] when nothing matches or the check can't be made.
+ */
+async function checkForDuplicatePatients(patientData) {
+    const params = new URLSearchParams();
+    ['patientName', 'dob', 'phone'].forEach(field => {
+        if (patientData[field]) params.set(field, patientData[field]);
+    });
+    if ([...params.keys()].length === 0) return [];
+    
+    try {
+        const response = await fetch(`/api/duplicates/check?${params}`);
+        if (!response.ok) return [];
+        const result = await response.json();
+        return result.matches || [];
+    } catch (error) {
+        console.log('Duplicate check failed, continuing without it:', error);
+        return [];
+    }
+}
+
+/**
+ * Warn that an intake looks like an existing patient before it is saved
+ */
+function showDuplicateWarning(matches) {
+    closeDuplicateWarning();
+    
+    const modal = document.createElement('div');
+    modal.className = 'duplicate-modal';
+    modal.innerHTML = `
+        <div class="conflict-container">
+            <div class="patient-detail-header">
+                <h2>⚠️ This patient may already exist</h2>
+                <button class="close-detail" onclick="closeDuplicateWarning()">✕</button>
+            </div>
+            <div class="conflict-body">
+                <p>These active patients look like the one you're entering. Open one to check, or save the intake anyway.</p>
+                <ul class="duplicate-list">
+                    ${matches.map(({ patient, reasons }) => `
+                        <li>
+                            <div>
+                                <strong>${patient['Patient Name'] || 'Unnamed patient'}</strong>
+                                <span class="duplicate-details">DOB ${patient['DOB'] || '-'} · ${patient['Phone Number'] || 'no phone'}</span>
+                                <span class="duplicate-reasons">${reasons.join(', ')}</span>
+                            </div>
+                            <button class="btn-secondary" onclick="closeDuplicateWarning(); openPatientById('${patient.ti}')">Open</button>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+            <div class="conflict-actions">
+                <button class="btn-secondary" onclick="closeDuplicateWarning()">Go back</button>
+                <button class="btn-primary" onclick="saveIntakeDespiteDuplicates()">Save anyway</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
+
+/**
+ * Close the duplicate warning
+ */
+function closeDuplicateWarning() {
+    const modal = document.querySelector('.duplicate-modal');
+    if (modal) modal.remove();
+}
+
+/**
+ * Submit the intake form again, skipping the duplicate check once
+ */
+function saveIntakeDespiteDuplicates() {
+    closeDuplicateWarning();
+    window.skipDuplicateCheck = true;
+    document.getElementById('patient-intake-form').requestSubmit();
+}
+
+/**
+ * List pairs of active patients that look like the same person
+ */
+async function loadDuplicatePatients() {
+    try {
+        showLoading();
+        
+        const response = await fetch('/api/duplicates');
+        if (!response.ok) {
+            throw new Error('Failed to fetch duplicate patients');
+        }
+        const { pairs } = await response.json();
+        window.duplicatePairs = pairs;
+        
+        const content = document.getElementById('content');
+        content.innerHTML = `
+            <button class="btn-secondary" onclick="loadActivePatients()">← Active Patients</button>
+            <div class="active-header">
+                <h1>Possible Duplicates (${pairs.length})</h1>
+            </div>
+            <p class="intake-description">Patients are paired by similar names, matching dates of birth and matching phone numbers.</p>
+            ${pairs.length > 0 ? `
+                <ul class="duplicate-list">
+                    ${pairs.map((pair, index) => `
+                        <li>
+                            <div>
+                                <strong>${pair.patients[0]['Patient Name'] || pair.patients[0].ti}</strong> and
+                                <strong>${pair.patients[1]['Patient Name'] || pair.patients[1].ti}</strong>
+                                <span class="duplicate-reasons">${pair.reasons.join(', ')}</span>
+                            </div>
+                            <button class="btn-primary" onclick="showMergeScreen(${index})">Review &amp; Merge</button>
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : '<p class="empty-state">No likely duplicates among active patients.</p>'}
+        `;
+        
+        setStatus('Duplicate check complete', 'success');
+    } catch (error) {
+        console.error('Error loading duplicate patients:', error);
+        showError('Failed to check for duplicate patients');
+    }
+}
+
+/**
+ * Show two possible duplicates side by side. The user picks which record
+ * survives and, for each field where they differ, which value to keep.
+ */
+function showMergeScreen(pairIndex) {
+    const pair = (window.duplicatePairs || [])[pairIndex];
+    if (!pair) return;
+    
+    const [first, second] = pair.patients;
+    const hidden = ['ti', 'id', 'version', 'Version'];
+    const text = (value) => (value === null || value === undefined ? '' : String(value).trim());
+    const fields = [...new Set([...Object.keys(first), ...Object.keys(second)])]
+        .filter(field => !hidden.includes(field) && text(first[field]) !== text(second[field]));
+    
+    window.pendingMerge = { pairIndex, fields };
+    
+    const rows = fields.map((field, i) => {
+        // Default to whichever record has a value, preferring the first
+        const pickSecond = text(first[field]) === '';
+        return `
+            <tr>
+                <td class="conflict-field"><span data-field="${escapeHtml(field)}">${escapeHtml(field)}</span></td>
+                <td><label><input type="radio" name="merge-field-${i}" value="0" ${pickSecond ? '' : 'checked'}> ${escapeHtml(text(first[field]) || '-')}</label></td>
+                <td><label><input type="radio" name="merge-field-${i}" value="1" ${pickSecond ? 'checked' : ''}> ${escapeHtml(text(second[field]) || '-')}</label></td>
+                <td>${PatientModel.findField(field)?.field === 'notes' ? `<label><input type="radio" name="merge-field-${i}" value="both"> Both</label>` : ''}</td>
+            </tr>
+        `;
+    }).join('');
+    
+    const content = document.getElementById('content');
+    content.innerHTML = `
+        <button class="btn-secondary" onclick="loadDuplicatePatients()">← Possible Duplicates</button>
+        <div class="merge-screen" id="merge-screen">
+            <h1>Merge Patients</h1>
+            <p class="intake-description">One record survives with the values you pick; the other is removed. Its timeline progress, chat tags, call log entries and vendor services move to the surviving record.</p>
+            <div class="merge-keep">
+                <label><input type="radio" name="merge-keep" value="0" checked> Keep ${escapeHtml(first['Patient Name'] || 'first')} (${escapeHtml(first.ti)})</label>
+                <label><input type="radio" name="merge-keep" value="1"> Keep ${escapeHtml(second['Patient Name'] || 'second')} (${escapeHtml(second.ti)})</label>
+            </div>
+            ${fields.length > 0 ? `
+                <table class="conflict-table">
+                    <thead>
+                        <tr><th>Field</th><th>${escapeHtml(first['Patient Name'] || first.ti)}</th><th>${escapeHtml(second['Patient Name'] || second.ti)}</th><th></th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            ` : '<p class="conflict-none">The two records hold the same values.</p>'}
+            <div class="conflict-actions">
+                <button class="btn-secondary" onclick="loadDuplicatePatients()">Cancel</button>
+                <button class="btn-primary" onclick="submitMerge()">Merge</button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Send the merge picked on the merge screen to the server
+ */
+async function submitMerge() {
+    const merge = window.pendingMerge;
+    const pair = merge && (window.duplicatePairs || [])[merge.pairIndex];
+    if (!pair) return;
+    
+    const screen = document.getElementById('merge-screen');
+    const keepIndex = Number(screen.querySelector('input[name="merge-keep"]:checked').value);
+    const kept = pair.patients[keepIndex];
+    const merged = pair.patients[1 - keepIndex];
+    const text = (value) => (value === null || value === undefined ? '' : String(value).trim());
+    
+    // Only send fields where the surviving record takes something from the other one
+    const values = {};
+    merge.fields.forEach((field, i) => {
+        const choice = screen.querySelector(`input[name="merge-field-${i}"]:checked`)?.value;
+        if (choice === 'both') {
+            values[field] = [text(kept[field]), text(merged[field])].filter(Boolean).join('\n');
+        } else if (choice !== undefined && Number(choice) !== keepIndex) {
+            values[field] = pair.patients[Number(choice)][field];
+        }
+    });
+    
+    if (!confirm(`Merge ${merged['Patient Name'] || merged.ti} into ${kept['Patient Name'] || kept.ti}? The duplicate record will be removed.`)) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/patients/${encodeURIComponent(kept.ti)}/merge`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ mergeId: merged.ti, values })
+        });
+        const result = await response.json();
+        if (response.status === 422) {
+            showFieldErrors(screen, result.errors || []);
+            showNotification('Please pick valid values for the highlighted fields', 'error');
+            return;
+        }
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP error! status: ${response.status}`);
+        }
+        
+        applyMergeLocally(merged, result.patient);
+        const { timeline, chatMessages, calls, vendorServices } = result.repointed;
+        const moved = [timeline ? 'timeline progress' : '', chatMessages ? `${chatMessages} chat message(s)` : '', calls ? `${calls} call(s)` : '', vendorServices ? `${vendorServices} vendor service(s)` : ''].filter(Boolean);
+        showNotification(`Patients merged${moved.length ? `; moved ${moved.join(', ')}` : ''}`, 'success');
+        loadDuplicatePatients();
+    } catch (error) {
+        console.error('Error merging patients:', error);
+        showNotification(`Failed to merge patients: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Bring local copies in line with a merge: drop the removed patient, store the
+ * surviving record, and move local task progress, tasks and notes to it
+ */
+function applyMergeLocally(merged, kept) {
+    const mergedName = merged['Patient Name'] || merged.patientName;
+    const isMerged = (p) => p.ti === merged.ti || p.id === merged.ti;
+    const isKept = (p) => p.ti === kept.ti || p.id === kept.ti;
+    
+    ['activePatients', 'patients'].forEach(key => {
+        const patients = JSON.parse(localStorage.getItem(key) || '[]')
+            .filter(p => !isMerged(p))
+            .map(p => (isKept(p) ? { ...p, ...kept } : p));
+        localStorage.setItem(key, JSON.stringify(patients));
+    });
+    if (currentData.active) {
+        currentData.active = currentData.active.filter(p => !isMerged(p)).map(p => (isKept(p) ? { ...p, ...kept } : p));
+    }
+    
+    if (window.taskCompletionData && window.taskCompletionData[merged.ti]) {
+        if (!window.taskCompletionData[kept.ti]) {
+            window.taskCompletionData[kept.ti] = window.taskCompletionData[merged.ti];
+        }
+        delete window.taskCompletionData[merged.ti];
+        localStorage.setItem('taskCompletionData', JSON.stringify(window.taskCompletionData));
+    }
+    
+    updatePatientReferences(mergedName, { patientName: kept['Patient Name'] });
 }
 
 /**
@@ -5632,41 +8255,20 @@ function editPatient(index) {
             // Fill the intake form with patient data
             const form = document.getElementById('patient-intake-form');
             if (form) {
-                // Map the data to form fields
-                form.elements['patientName'].value = patient['Patient Name'] || patient.patientName || '';
-                form.elements['dob'].value = patient['DOB'] || patient.dob || '';
-                form.elements['age'].value = patient['Age'] || patient.age || '';
-                form.elements['gender'].value = patient.gender || '';
-                form.elements['address'].value = patient.address || '';
-                form.elements['city'].value = patient.city || '';
-                form.elements['state'].value = patient.state || '';
-                form.elements['zip'].value = patient.zip || '';
-                form.elements['phone'].value = patient['Phone Number'] || patient.phone || '';
-                form.elements['email'].value = patient['Email'] || patient.email || '';
-                form.elements['primaryContact'].value = patient.primaryContact || '';
-                form.elements['primaryContactPhone'].value = patient.primaryContactPhone || '';
-                form.elements['primaryContactRelation'].value = patient.primaryContactRelation || '';
-                form.elements['diagnosis'].value = patient.diagnosis || '';
-                form.elements['secondaryDiagnosis'].value = patient.secondaryDiagnosis || '';
-                form.elements['symptoms'].value = patient.symptoms || '';
-                form.elements['medicalHistory'].value = patient.medicalHistory || '';
-                form.elements['medications'].value = patient.medications || '';
-                form.elements['allergies'].value = patient.allergies || '';
-                form.elements['prognosis'].value = patient.prognosis || '';
-                form.elements['cpDoctor'].value = patient['CP Doctor'] || patient.cpDoctor || '';
-                form.elements['referringPhysician'].value = patient.referringPhysician || '';
-                form.elements['hospice'].value = patient['Hospice'] || patient.hospice || '';
-                form.elements['hospiceNurse'].value = patient.hospiceNurse || '';
-                form.elements['socialWorker'].value = patient.socialWorker || '';
-                form.elements['doula'].value = patient.doula || '';
-                form.elements['medicalId'].value = patient.medicalId || '';
-                form.elements['invoiceAmount'].value = patient['Invoice amount'] || patient.invoiceAmount || '';
-                form.elements['paymentStatus'].value = patient.paymentStatus || 'Pending';
-                form.elements['intakeDate'].value = patient['Ingestion Date'] || patient.intakeDate || '';
-                form.elements['intakeStaff'].value = patient.intakeStaff || '';
-                form.elements['priority'].value = patient.priority || 'Standard';
-                form.elements['specialNeeds'].value = patient.specialNeeds || '';
-                form.elements['notes'].value = patient.notes || '';
+                // Map the data to form fields by name; sheet headers are translated by the PatientModel
+                const values = normalizePatientData(patient);
+                Array.from(form.elements).forEach(element => {
+                    if (!element.name) return;
+                    const value = values[element.name];
+                    if (value === undefined || value === null || value === '') {
+                        if (element.tagName === 'SELECT') element.selectedIndex = 0;
+                        else element.value = '';
+                        return;
+                    }
+                    element.value = value;
+                });
+                form.elements['paymentStatus'].value = values.paymentStatus || 'Pending';
+                form.elements['priority'].value = values.priority || 'Standard';
                 
                 showNotification('Patient data loaded for editing', 'info');
             }
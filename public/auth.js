@@ -1,16 +1,152 @@
 // auth.js - Local mode only (no Google APIs)
 
 let authMode = 'local'; // Always local mode
+let currentUser = null; // { username, displayName } of the signed-in team member
+let sessionExpired = false; // the app was already running when the session ran out
 
 /**
  * Initialize authentication (local mode only)
  */
 async function initializeGoogleAuth() {
-    console.log('Initializing in local mode - no Google Auth needed');
+    console.log('Initializing in local mode - checking for a session');
     authMode = 'local';
-    showLocalModeInterface();
+    
+    try {
+        const response = await fetch('/api/session');
+        if (response.ok) {
+            const data = await response.json();
+            currentUser = data.user;
+            showLocalModeInterface();
+            return;
+        }
+    } catch (error) {
+        console.error('Session check failed:', error);
+    }
+    
+    showLoginForm();
+}
+
+/**
+ * Show the sign-in form with the team roster
+ */
+async function showLoginForm(message = '') {
+    const authContainer = document.getElementById('auth-container');
+    const mainApp = document.getElementById('main-app');
+    const loginForm = document.getElementById('login-form');
+    const authError = document.getElementById('auth-error');
+    
+    if (mainApp) mainApp.style.display = 'none';
+    if (authContainer) authContainer.style.display = 'flex';
+    if (loginForm) loginForm.style.display = 'block';
+    if (authError) authError.textContent = message;
+    
+    try {
+        const response = await fetch('/api/users');
+        if (!response.ok) {
+            throw new Error(`Server error: ${response.status}`);
+        }
+        const users = await response.json();
+        const lastUser = localStorage.getItem('lastLoginUser');
+        
+        const select = document.getElementById('login-user');
+        select.innerHTML = users.map(u =>
+            `<option value="${u.username}" data-has-pin="${u.hasPin}" ${u.username === lastUser ? 'selected' : ''}>${u.displayName}</option>`
+        ).join('');
+        
+        // Accounts without a PIN can't sign in until an admin sets one
+        const updateHint = () => {
+            const option = select.options[select.selectedIndex];
+            document.getElementById('login-hint').textContent = option && option.dataset.hasPin === 'false'
+                ? 'No PIN has been set for this user yet. Ask an admin to set one.'
+                : '';
+        };
+        select.onchange = updateHint;
+        updateHint();
+        
+        const pinInput = document.getElementById('login-pin');
+        pinInput.value = '';
+        pinInput.onkeydown = (e) => {
+            if (e.key === 'Enter') signIn();
+        };
+        pinInput.focus();
+    } catch (error) {
+        console.error('Failed to load users:', error);
+        if (authError) authError.textContent = 'Could not reach the server. Is it running?';
+    }
+}
+
+/**
+ * Sign in with the selected user and PIN
+ */
+async function signIn() {
+    const username = document.getElementById('login-user').value;
+    const pin = document.getElementById('login-pin').value;
+    const authError = document.getElementById('auth-error');
+    
+    try {
+        const response = await fetch('/api/login', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ username, pin })
+        });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            authError.textContent = result.error || 'Sign-in failed';
+            return;
+        }
+        
+        currentUser = result.user;
+        localStorage.setItem('lastLoginUser', currentUser.username);
+        authError.textContent = '';
+        
+        // The app is already initialized after an expired session; start it fresh
+        if (sessionExpired) {
+            window.location.reload();
+            return;
+        }
+        showLocalModeInterface();
+    } catch (error) {
+        console.error('Sign-in error:', error);
+        authError.textContent = 'Sign-in failed. Please try again.';
+    }
 }
 
+/**
+ * Sign out and return to the sign-in form
+ */
+async function signOut() {
+    try {
+        await fetch('/api/logout', { method: 'POST' });
+    } catch (error) {
+        console.error('Sign-out error:', error);
+    }
+    currentUser = null;
+    // Reload so no state from the previous user is left in memory
+    window.location.reload();
+}
+
+/**
+ * The signed-in team member, or null
+ */
+function getCurrentUser() {
+    return currentUser;
+}
+
+// Send anyone whose session expired back to the sign-in form
+const nativeFetch = window.fetch.bind(window);
+window.fetch = async (...args) => {
+    const response = await nativeFetch(...args);
+    if (response.status === 401 && currentUser) {
+        currentUser = null;
+        sessionExpired = true;
+        showLoginForm('Your session has expired. Please sign in again.');
+    }
+    return response;
+};
+
 /**
  * Show local mode interface
  */
@@ -28,7 +164,7 @@ function showLocalModeInterface() {
     const userInfo = document.getElementById('user-info');
     const sheetsInfo = document.getElementById('sheets-info');
     
-    if (userInfo) userInfo.innerHTML = 'Local Mode';
+    if (userInfo) userInfo.textContent = currentUser ? `👤 ${currentUser.displayName}` : 'Local Mode';
     if (sheetsInfo) {
         sheetsInfo.innerHTML = `
             <span style="font-size: 12px; color: #666;">
@@ -103,7 +239,8 @@ async function createTaskForPatient(patientData, taskTitle, dueDate = null) {
         title: taskTitle || `Follow up with ${patientData['Patient Name']}`,
         notes: `Patient: ${patientData['Patient Name']}\nAge: ${patientData['Age']}\nCity: ${patientData['City'] || patientData.city}`,
         due: (dueDate || new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)).toISOString(),
-        created: new Date().toISOString()
+        created: new Date().toISOString(),
+        createdBy: currentUser ? currentUser.displayName : null
     };
     tasks.push(task);
     localStorage.setItem('google-tasks', JSON.stringify(tasks));
@@ -111,10 +248,10 @@ async function createTaskForPatient(patientData, taskTitle, dueDate = null) {
 }
 
 /**
- * Check if signed in (always true in local mode)
+ * Check if a team member is signed in
  */
 function isSignedIn() {
-    return true;
+    return currentUser !== null;
 }
 
 // Export functions for use in main app
@@ -123,5 +260,8 @@ window.GoogleAuth = {
     readSheetData: readSheetData,
     createCalendarEvent: createCalendarEvent,
     createTaskForPatient: createTaskForPatient,
-    isSignedIn: isSignedIn
+    isSignedIn: isSignedIn,
+    signIn: signIn,
+    signOut: signOut,
+    getCurrentUser: getCurrentUser
 }; 
\ No newline at end of file
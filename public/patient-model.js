@@ -0,0 +1,219 @@
+// patient-model.js - The one mapping between patient form fields and Active sheet headers
+//
+// Loaded by the browser as a plain script (window.PatientModel) and required by
+// sync.js on the server, so both sides translate patients the same way.
+// Columns are always found by header name, never by position: reordering
+// columns in the workbook, or the blank separator columns, can't shift data.
+
+(function (root) {
+    // Each patient field and the Active headers it is stored under. The first
+    // header is the one used when a column has to be named; the rest are other
+    // spellings the same column goes by (including the workbook's typo).
+    const PATIENT_FIELDS = [
+        { field: 'id', headers: ['ti'] },
+        { field: 'date', headers: ['Date'] },
+        { field: 'patientName', headers: ['Patient Name', 'Name'] },
+        { field: 'dob', headers: ['DOB', 'Date of Birth'] },
+        { field: 'age', headers: ['Age'] },
+        { field: 'city', headers: ['Area', 'City'] },
+        { field: 'phone', headers: ['Phone Number'] },
+        { field: 'email', headers: ['Email'] },
+        { field: 'firstRequest', headers: ['1st request'] },
+        { field: 'secondRequest', headers: ['2nd request'] },
+        { field: 'cpDoctor', headers: ['CP Doctor'] },
+        { field: 'cpCompleted', headers: ['CP Completed'] },
+        { field: 'rxntInfo', headers: ['RXNT Info'] },
+        { field: 'wr', headers: ['WR'] },
+        { field: 'hospice', headers: ['Hospice'] },
+        { field: 'prescriptionSubmit', headers: ['Prescription Submit'] },
+        { field: 'invoiceAmount', headers: ['invoice amount', 'Invoice amount'] },
+        { field: 'paid', headers: ['PAID'] },
+        { field: 'checklist', headers: ['Check list'] },
+        { field: 'intakeDate', headers: ['Ingestion Date'] },
+        { field: 'ingestionLocation', headers: ['Ingestion Location'] },
+        { field: 'ttsMinutes', headers: ['TTS (Minutes)'] },
+        { field: 'ttdMinutes', headers: ['TTD (Minutes)'] },
+        { field: 'consentReceived', headers: ['Consent Received'] },
+        { field: 'medicalRecords', headers: ['Medical Records'] },
+        { field: 'physicianFollowUp', headers: ['Physician follow up form'] },
+        { field: 'eoloaState', headers: ['EOLOA State'] },
+        { field: 'deathCertificate', headers: ['Death Certificate'] },
+        { field: 'allRecordsInDrc', headers: ['All Recodrs in DRC', 'All Records in DRC'] },
+        { field: 'riversideEoloa', headers: ['Riverside EOLOA'] },
+        { field: 'referringPhysician', headers: ['Referred From'] },
+        { field: 'version', headers: ['Version'] },
+        // Intake details; their columns are added to the sheet the first time one is filled in
+        { field: 'gender', headers: ['Gender'] },
+        { field: 'address', headers: ['Address'] },
+        { field: 'state', headers: ['State'] },
+        { field: 'zip', headers: ['Zip'] },
+        { field: 'primaryContact', headers: ['Primary Contact'] },
+        { field: 'primaryContactPhone', headers: ['Primary Contact Phone'] },
+        { field: 'primaryContactRelation', headers: ['Primary Contact Relation'] },
+        { field: 'diagnosis', headers: ['Diagnosis'] },
+        { field: 'secondaryDiagnosis', headers: ['Secondary Diagnosis'] },
+        { field: 'symptoms', headers: ['Symptoms'] },
+        { field: 'medicalHistory', headers: ['Medical History'] },
+        { field: 'medications', headers: ['Medications'] },
+        { field: 'allergies', headers: ['Allergies'] },
+        { field: 'prognosis', headers: ['Prognosis'] },
+        { field: 'hospiceNurse', headers: ['Hospice Nurse'] },
+        { field: 'socialWorker', headers: ['Social Worker'] },
+        { field: 'doula', headers: ['Doula'] },
+        { field: 'medicalId', headers: ['Medi-Cal ID'] },
+        { field: 'intakeStaff', headers: ['Intake Staff'] },
+        { field: 'priority', headers: ['Priority'] },
+        { field: 'doseLevel', headers: ['Dose Level'] },
+        { field: 'specialNeeds', headers: ['Special Needs'] },
+        { field: 'notes', headers: ['Notes'] }
+    ];
+
+    /**
+     * Compare headers loosely: case, spacing and punctuation don't matter
+     */
+    function headerKey(header) {
+        return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    const byKey = Object.create(null);
+    PATIENT_FIELDS.forEach(def => {
+        byKey[def.field] = def;
+        def.headers.forEach(header => { byKey[headerKey(header)] = def; });
+    });
+
+    /**
+     * Find the field definition for a form field name or any of its headers
+     */
+    function findField(key) {
+        return byKey[key] || byKey[headerKey(key)] || null;
+    }
+
+    /**
+     * The payment and checklist selects on the intake form are stored as the
+     * PAID and Check list columns
+     */
+    function derivedValues(key, value) {
+        if (key === 'paymentStatus') return { paid: value === 'Paid' ? 'yes' : 'no' };
+        if (key === 'checklistStatus') return { checklist: value === 'Complete' ? 'complete' : '' };
+        return null;
+    }
+
+    /**
+     * Turn patient data keyed by form field names or sheet headers into values
+     * keyed by field name. Keys the model doesn't know are kept as they are.
+     */
+    function toFieldValues(data) {
+        const values = {};
+        Object.entries(data || {}).forEach(([key, value]) => {
+            const derived = derivedValues(key, value);
+            if (derived) {
+                Object.assign(values, derived);
+                return;
+            }
+            const def = findField(key);
+            values[def ? def.field : key] = value;
+        });
+        return values;
+    }
+
+    /**
+     * Index of each known field's column in a header row. Blank headers and
+     * fields without a column are left out.
+     */
+    function columnIndexes(headers) {
+        const columns = Object.create(null);
+        (headers || []).forEach((header, i) => {
+            if (header === null || header === undefined || String(header).trim() === '') return;
+            const def = findField(header);
+            if (def && !(def.field in columns)) columns[def.field] = i;
+        });
+        return columns;
+    }
+
+    /**
+     * Translate patient data into { header: value } for the headers actually
+     * in the sheet. Unknown keys that exactly match a header are kept too.
+     */
+    function toSheetValues(headers, data) {
+        const columns = columnIndexes(headers);
+        const mapped = Object.create(null);
+        Object.entries(toFieldValues(data)).forEach(([key, value]) => {
+            if (key in columns) {
+                mapped[headers[columns[key]]] = value;
+            } else if (key && !findField(key) && headers.includes(key)) {
+                mapped[key] = value;
+            }
+        });
+        return mapped;
+    }
+
+    /**
+     * Headers to add so every filled-in field in `data` has a column. The ID
+     * and version columns are managed by the server and never listed.
+     */
+    function missingHeaders(headers, data) {
+        const columns = columnIndexes(headers);
+        const missing = [];
+        Object.entries(toFieldValues(data)).forEach(([key, value]) => {
+            const def = findField(key);
+            if (!def || def.field !== key || key === 'id' || key === 'version' || key in columns) return;
+            if (value === undefined || value === null || String(value).trim() === '') return;
+            if (!missing.includes(def.headers[0])) missing.push(def.headers[0]);
+        });
+        return missing;
+    }
+
+    /**
+     * Build a sheet row for the given header row; columns with no value
+     * (including blank separator columns) are left empty
+     */
+    function buildSheetRow(headers, data) {
+        const mapped = toSheetValues(headers, data);
+        return (headers || []).map(header =>
+            header in mapped && mapped[header] !== undefined && mapped[header] !== null ? mapped[header] : ''
+        );
+    }
+
+    /**
+     * Patient data with every known field under its form field name and all of
+     * its header spellings, so code written against either can read it.
+     * The ID and version are left as they are; only the server assigns those.
+     */
+    function normalizePatient(patient) {
+        const normalized = { ...patient };
+        const values = toFieldValues(patient);
+        PATIENT_FIELDS.forEach(({ field, headers }) => {
+            if (field === 'id' || field === 'version') return;
+            // Prefer a filled-in value over an empty one under another name
+            const value = [field, ...headers]
+                .map(key => patient[key])
+                .find(v => v !== undefined && v !== null && v !== '');
+            const resolved = value !== undefined ? value : values[field];
+            if (resolved === undefined) return;
+            normalized[field] = resolved;
+            headers.forEach(header => { normalized[header] = resolved; });
+        });
+        if (!normalized.paymentStatus && normalized.paid) {
+            normalized.paymentStatus = String(normalized.paid).toLowerCase() === 'yes' ? 'Paid' : 'Pending';
+        }
+        return normalized;
+    }
+
+    const PatientModel = {
+        PATIENT_FIELDS,
+        headerKey,
+        findField,
+        toFieldValues,
+        columnIndexes,
+        toSheetValues,
+        missingHeaders,
+        buildSheetRow,
+        normalizePatient
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PatientModel;
+    } else {
+        root.PatientModel = PatientModel;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,325 @@
+// schema.js - Column definitions for the workbook tabs
+//
+// Each column has a sheet header `name`, a `type`, and optionally `required`,
+// `values` (for enums), `min` and `max` (for numbers) and `aliases` - other keys the same
+// column is sent or read under, such as intake form field names.
+//
+// Types: string, date, number, integer, enum, email, phone.
+// Dates are stored and returned as MM/DD/YYYY; Excel serials are converted on read.
+
+const PatientModel = require('./public/patient-model');
+
+/**
+ * Give Active columns the field names and spellings the patient model knows them by
+ */
+function withPatientAliases(columns) {
+    return columns.map(column => {
+        const def = PatientModel.findField(column.name);
+        if (!def) return column;
+        return { ...column, aliases: [def.field, ...def.headers.filter(h => h !== column.name)] };
+    });
+}
+
+const SHEET_SCHEMAS = {
+    // Form field names and other header spellings come from public/patient-model.js
+    'Active': withPatientAliases([
+        { name: 'ti', type: 'string' },
+        { name: 'Date', type: 'date' },
+        { name: 'Patient Name', type: 'string', required: true },
+        { name: 'DOB', type: 'date' },
+        { name: 'Age', type: 'integer', min: 0 },
+        { name: 'Area', type: 'string' },
+        { name: 'Phone Number', type: 'phone' },
+        { name: 'Email', type: 'email' },
+        { name: '1st request', type: 'date' },
+        { name: '2nd request', type: 'date' },
+        { name: 'CP Doctor', type: 'string' },
+        { name: 'CP Completed', type: 'date' },
+        { name: 'RXNT Info', type: 'string' },
+        { name: 'WR', type: 'string' },
+        { name: 'Hospice', type: 'string' },
+        { name: 'Prescription Submit', type: 'date' },
+        { name: 'invoice amount', type: 'number', min: 0 },
+        { name: 'PAID', type: 'enum', values: ['yes', 'no'] },
+        { name: 'Check list', type: 'string' },
+        { name: 'Ingestion Date', type: 'date' },
+        { name: 'Ingestion Location', type: 'string' },
+        { name: 'TTS (Minutes)', type: 'number', min: 0 },
+        { name: 'TTD (Minutes)', type: 'number', min: 0 },
+        { name: 'Consent Received', type: 'string' },
+        { name: 'Medical Records', type: 'string' },
+        { name: 'Physician follow up form', type: 'date' },
+        { name: 'EOLOA State', type: 'string' },
+        { name: 'Death Certificate', type: 'string' },
+        { name: 'All Recodrs in DRC', type: 'string' },
+        { name: 'Riverside EOLOA', type: 'string' },
+        { name: 'Referred From', type: 'string' },
+        { name: 'Version', type: 'integer', min: 1 },
+        { name: 'Gender', type: 'string' },
+        { name: 'Address', type: 'string' },
+        { name: 'State', type: 'string' },
+        { name: 'Zip', type: 'string' },
+        { name: 'Primary Contact', type: 'string' },
+        { name: 'Primary Contact Phone', type: 'phone' },
+        { name: 'Primary Contact Relation', type: 'string' },
+        { name: 'Diagnosis', type: 'string' },
+        { name: 'Secondary Diagnosis', type: 'string' },
+        { name: 'Symptoms', type: 'string' },
+        { name: 'Medical History', type: 'string' },
+        { name: 'Medications', type: 'string' },
+        { name: 'Allergies', type: 'string' },
+        { name: 'Prognosis', type: 'string' },
+        { name: 'Hospice Nurse', type: 'string' },
+        { name: 'Social Worker', type: 'string' },
+        { name: 'Doula', type: 'string' },
+        { name: 'Medi-Cal ID', type: 'string' },
+        { name: 'Intake Staff', type: 'string' },
+        { name: 'Priority', type: 'enum', values: ['Standard', 'High', 'Urgent'] },
+        { name: 'Dose Level', type: 'enum', values: ['Regular Dose', 'High Dose'] },
+        { name: 'Special Needs', type: 'string' },
+        { name: 'Notes', type: 'string' }
+    ]),
+    'Call Log': [
+        { name: 'Date', type: 'date', aliases: ['date'] },
+        { name: 'Time', type: 'string', aliases: ['time'] },
+        { name: 'Person contact', type: 'string', aliases: ['personContact'] },
+        { name: 'Number', type: 'phone', aliases: ['number'] },
+        { name: 'In / Out', type: 'enum', values: ['incoming', 'outgoing'], aliases: ['direction'] },
+        { name: 'Patient', type: 'string', aliases: ['patient'] },
+        { name: 'Outcome', type: 'string', aliases: ['outcome'] },
+        { name: 'Referral?', type: 'enum', values: ['yes', 'no'], aliases: ['referral'] },
+        { name: 'Source?', type: 'string', aliases: ['source'] },
+        { name: 'Patient ID', type: 'string', aliases: ['patientId'] },
+        { name: 'Logged By', type: 'string', aliases: ['loggedBy'] }
+    ],
+    'Consulting Docs': [
+        { name: 'Name', type: 'string', required: true, aliases: ['name'] },
+        { name: 'Company', type: 'string', aliases: ['company'] },
+        { name: 'License Number', type: 'string', required: true, aliases: ['licenseNumber'] },
+        { name: 'Address', type: 'string', aliases: ['address'] },
+        { name: 'Phone Number', type: 'phone', aliases: ['phoneNumber'] },
+        { name: 'Active?', type: 'enum', values: ['Yes', 'No'], aliases: ['active'] }
+    ],
+    'Vendors': [
+        { name: 'Vendor ID', type: 'string', aliases: ['vendorId'] },
+        { name: 'Company Name', type: 'string', required: true, aliases: ['companyName'] },
+        { name: 'Category', type: 'string', aliases: ['category'] },
+        { name: 'Service Type', type: 'string', aliases: ['serviceType'] },
+        { name: 'Contact Person', type: 'string', aliases: ['contactPerson'] },
+        { name: 'Phone', type: 'phone', aliases: ['phone'] },
+        { name: 'Email', type: 'email', aliases: ['email'] },
+        { name: 'Address', type: 'string', aliases: ['address'] },
+        { name: 'Website', type: 'string', aliases: ['website'] },
+        { name: 'Notes', type: 'string', aliases: ['notes'] },
+        { name: 'Rating', type: 'number', min: 0, max: 5, aliases: ['rating'] },
+        { name: 'Last Contact', type: 'date', aliases: ['lastContact'] },
+        { name: 'Status', type: 'enum', values: ['Active', 'Inactive'], aliases: ['status'] }
+    ],
+    'PatientVendors': [
+        { name: 'Assignment ID', type: 'string', aliases: ['id'] },
+        { name: 'Patient ID', type: 'string', aliases: ['patientId'] },
+        { name: 'Vendor ID', type: 'string', required: true, aliases: ['vendorId'] },
+        { name: 'Service Type', type: 'string', aliases: ['serviceType'] },
+        { name: 'Status', type: 'enum', values: ['Requested', 'Scheduled', 'In Progress', 'Completed', 'Cancelled'], aliases: ['status'] },
+        { name: 'Order Date', type: 'date', aliases: ['orderDate'] },
+        { name: 'Service Date', type: 'date', aliases: ['serviceDate'] },
+        { name: 'Completed Date', type: 'date', aliases: ['completedDate'] },
+        { name: 'Cost', type: 'number', min: 0, aliases: ['cost'] },
+        { name: 'Notes', type: 'string', aliases: ['notes'] },
+        { name: 'Assigned By', type: 'string', aliases: ['assignedBy'] },
+        { name: 'Rating', type: 'integer', min: 1, max: 5, aliases: ['rating'] },
+        { name: 'Feedback', type: 'string', aliases: ['feedback'] }
+    ],
+    'VendorContacts': [
+        { name: 'Contact ID', type: 'string', aliases: ['id'] },
+        { name: 'Vendor ID', type: 'string', aliases: ['vendorId'] },
+        { name: 'Date', type: 'date', aliases: ['date'] },
+        { name: 'Type', type: 'enum', values: ['Call', 'Email', 'Order', 'Meeting', 'Other'], required: true, aliases: ['type'] },
+        { name: 'Patient ID', type: 'string', aliases: ['patientId'] },
+        { name: 'Summary', type: 'string', aliases: ['summary'] },
+        { name: 'Logged By', type: 'string', aliases: ['loggedBy'] }
+    ],
+    'Past patient Outreach': [
+        { name: 'Patient Name', type: 'string', aliases: ['patientName'] },
+        { name: 'Recipient', type: 'string', aliases: ['recipient'] },
+        { name: 'Relationship', type: 'string', aliases: ['relationship'] },
+        { name: 'Contact Email', type: 'email', aliases: ['contactEmail'] },
+        { name: 'Contact Number', type: 'phone', aliases: ['contactNumber'] },
+        { name: 'Something to mention', type: 'string', aliases: ['notes'] },
+        { name: 'Last contact date', type: 'date', aliases: ['lastContactDate'] },
+        { name: 'Date Sent', type: 'date', aliases: ['dateSent'] },
+        { name: 'Response', type: 'string', aliases: ['response'] },
+        { name: 'Outreach ID', type: 'string', aliases: ['id'] }
+    ]
+};
+
+/**
+ * Find a column definition by header name or alias (header match ignores case)
+ */
+function findColumn(sheetName, key) {
+    const columns = SHEET_SCHEMAS[sheetName] || [];
+    return columns.find(c => c.name === key) ||
+        columns.find(c => (c.aliases || []).includes(key)) ||
+        columns.find(c => c.name.toLowerCase() === String(key).toLowerCase()) ||
+        null;
+}
+
+/**
+ * Whether a value counts as empty for required checks
+ */
+function isEmptyValue(value) {
+    return value === null || value === undefined || String(value).trim() === '';
+}
+
+/**
+ * Turn an Excel serial, MM/DD/YYYY, M/D/YYYY or YYYY-MM-DD value into a Date.
+ * Returns null when the value is not a real calendar date.
+ */
+function parseDateValue(value) {
+    if (value instanceof Date) return isNaN(value) ? null : value;
+    const text = String(value).trim();
+
+    if (/^\d{5}(\.\d+)?$/.test(text)) {
+        const serialDate = new Date(Math.round((Number(text) - 25569) * 86400000));
+        return new Date(serialDate.getUTCFullYear(), serialDate.getUTCMonth(), serialDate.getUTCDate());
+    }
+
+    let match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    let year, month, day;
+    if (match) {
+        [, month, day, year] = match.map(Number);
+    } else if ((match = text.match(/^(\d{4})-(\d{2})-(\d{2})/))) {
+        [, year, month, day] = match.map(Number);
+    } else {
+        return null;
+    }
+
+    const date = new Date(year, month - 1, day);
+    return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+}
+
+/**
+ * Format a Date as MM/DD/YYYY
+ */
+function formatDateValue(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${pad(date.getMonth() + 1)}/${pad(date.getDate())}/${date.getFullYear()}`;
+}
+
+/**
+ * Coerce one value to its column type.
+ * Returns { value } on success or { error } with a message for the user.
+ */
+function coerceValue(column, value) {
+    if (isEmptyValue(value)) {
+        return column.required ? { error: 'is required' } : { value: null };
+    }
+    const text = String(value).trim();
+
+    switch (column.type) {
+        case 'date': {
+            const date = parseDateValue(value);
+            return date ? { value: formatDateValue(date) } : { error: 'must be a date (MM/DD/YYYY)' };
+        }
+        case 'number':
+        case 'integer': {
+            const number = Number(text.replace(/[$,]/g, ''));
+            if (isNaN(number)) return { error: 'must be a number' };
+            if (column.type === 'integer' && !Number.isInteger(number)) return { error: 'must be a whole number' };
+            if (column.min !== undefined && number < column.min) return { error: `must be at least ${column.min}` };
+            if (column.max !== undefined && number > column.max) return { error: `must be at most ${column.max}` };
+            return { value: number };
+        }
+        case 'enum': {
+            // Checkboxes send true/false for yes/no columns
+            const choice = typeof value === 'boolean' ? (value ? 'yes' : 'no') : text;
+            const match = column.values.find(v => v.toLowerCase() === choice.toLowerCase());
+            return match ? { value: match } : { error: `must be one of: ${column.values.join(', ')}` };
+        }
+        case 'email':
+            return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text) ? { value: text } : { error: 'must be a valid email address' };
+        case 'phone': {
+            // Numbers without an area code and extensions ("x12", "ext. 12") are
+            // already in the sheets, so they are accepted and flagged by the dashboard
+            const number = text.replace(/\s*(ext\.?|x|#)\s*\d+$/i, '');
+            const digits = number.replace(/\D/g, '').length;
+            return digits >= 7 && digits <= 15 && !/[a-z]/i.test(number) ? { value: text } : { error: 'must be a phone number' };
+        }
+        default:
+            return { value: text };
+    }
+}
+
+/**
+ * Validate and coerce values being written to a sheet. Keys may be headers or
+ * aliases; keys the schema doesn't know are passed through untouched.
+ * Unless `partial` is set (for updates), required columns must be present.
+ * Returns { values, errors } where errors is [{ field, column, message }].
+ */
+function validateRecord(sheetName, input, { partial = false } = {}) {
+    const values = {};
+    const errors = [];
+    const seen = new Set();
+
+    Object.entries(input || {}).forEach(([field, value]) => {
+        const column = findColumn(sheetName, field);
+        if (!column) {
+            values[field] = value;
+            return;
+        }
+        seen.add(column.name);
+        const result = coerceValue(column, value);
+        if (result.error) {
+            errors.push({ field, column: column.name, message: `${column.name} ${result.error}` });
+        } else {
+            values[field] = result.value;
+        }
+    });
+
+    if (!partial) {
+        (SHEET_SCHEMAS[sheetName] || [])
+            .filter(column => column.required && !seen.has(column.name))
+            .forEach(column => {
+                const field = (column.aliases && column.aliases[0]) || column.name;
+                errors.push({ field, column: column.name, message: `${column.name} is required` });
+            });
+    }
+
+    return { values, errors };
+}
+
+/**
+ * Coerce a row read from a sheet, keyed by header. Values that don't fit their
+ * column are left as they are so nothing typed into the workbook is lost.
+ */
+function coerceRecord(sheetName, record) {
+    if (!SHEET_SCHEMAS[sheetName]) return record;
+    const coerced = { ...record };
+    Object.entries(record).forEach(([key, value]) => {
+        const column = findColumn(sheetName, key);
+        if (!column || isEmptyValue(value)) return;
+        const result = coerceValue({ ...column, required: false }, value);
+        if (!result.error) coerced[key] = result.value;
+    });
+    return coerced;
+}
+
+/**
+ * Build the error thrown when a write fails validation
+ */
+function validationError(errors) {
+    const err = new Error(errors.map(e => e.message).join('; '));
+    err.code = 'VALIDATION_FAILED';
+    err.errors = errors;
+    return err;
+}
+
+module.exports = {
+    SHEET_SCHEMAS,
+    findColumn,
+    parseDateValue,
+    formatDateValue,
+    validateRecord,
+    coerceRecord,
+    validationError
+};
@@ -1,7 +1,63 @@
 // server.js - Local development server using Express
 
 const express = require('express');
-const { authorize, readActiveTab, readVendorsTab, readChatTab, addChatMessage, writeActiveTab } = require('./sync');
+const session = require('express-session');
+const crypto = require('crypto');
+const {
+    authorize,
+    readActiveTab,
+    readVendorsTab,
+    readChatTab,
+    listSheets,
+    readSheet,
+    addChatMessage,
+    readChatThreads,
+    markChatThreadRead,
+    writeActiveTab,
+    getPatientById,
+    updatePatient,
+    deletePatient,
+    findDuplicatePatients,
+    listDuplicatePatients,
+    mergePatients,
+    previewImport,
+    importPatients,
+    readTimelineTab,
+    readPatientTasks,
+    writePatientTasks,
+    readWorkflows,
+    writeWorkflow,
+    deleteWorkflow,
+    validateWorkflow,
+    readClosedTab,
+    archivePatient,
+    restorePatient,
+    deleteArchivedPatient,
+    readAuditLog,
+    readCallLogTab,
+    addCallLogEntry,
+    readConsultingDocs,
+    addConsultingDoc,
+    updateConsultingDoc,
+    addVendor,
+    updateVendor,
+    readPatientVendors,
+    assignPatientVendor,
+    updatePatientVendor,
+    removePatientVendor,
+    readVendorContacts,
+    logVendorContact,
+    readOutreachTab,
+    markOutreachSent,
+    recordOutreachResponse,
+    DEFAULT_OUTREACH_INTERVAL_DAYS,
+    readUsers,
+    setUserPin,
+    authenticateUser,
+    MIN_PIN_LENGTH,
+    getRolePermissions
+} = require('./sync');
+const PatientModel = require('./public/patient-model');
 
 const app = express();
 const port = 3000;
@@ -14,6 +70,182 @@ app.use('/forms', express.static('forms'));
 
 app.use(express.json());
 
+// Session cookies for signed-in team members. Set SESSION_SECRET in .env so
+// sessions survive a server restart.
+if (!process.env.SESSION_SECRET) {
+    console.warn('SESSION_SECRET is not set - everyone will need to sign in again after a restart');
+}
+app.use(session({
+    secret: process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex'),
+    resave: false,
+    saveUninitialized: false,
+    cookie: {
+        httpOnly: true,
+        sameSite: 'lax',
+        maxAge: 12 * 60 * 60 * 1000 // 12 hours
+    }
+}));
+
+// Display name of the signed-in user, recorded as the actor for writes
+function getRequestUser(req) {
+    return req.session.user ? req.session.user.displayName : 'Unknown';
+}
+
+// Check whether the signed-in user's role grants a permission
+function hasPermission(req, permission) {
+    return Boolean(req.session.user) && getRolePermissions(req.session.user.role).includes(permission);
+}
+
+// Middleware: reject the request with 403 unless the user's role grants the permission
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (!hasPermission(req, permission)) {
+            return res.status(403).json({ error: `Your role does not allow this action (${permission})` });
+        }
+        next();
+    };
+}
+
+// Patient fields that only billing-capable roles may change, under any of
+// their names in the patient model (the form's paymentStatus sets PAID)
+function isBillingField(key) {
+    const def = PatientModel.findField(key);
+    return key === 'paymentStatus' || (def !== null && ['invoiceAmount', 'paid'].includes(def.field));
+}
+
+// Billing fields given a value in new patient data (a blank one writes nothing)
+function billingFieldsIn(data) {
+    return Object.keys(data || {}).filter(key =>
+        isBillingField(key) && data[key] !== undefined && data[key] !== null && String(data[key]).trim() !== ''
+    );
+}
+
+const BILLING_FORBIDDEN = { error: 'Your role does not allow editing invoice fields (billing:edit)' };
+
+// API endpoint for the login screen's user list
+app.get('/api/users', async (req, res) => {
+    try {
+        const users = await readUsers();
+        res.json(users.filter(u => u.active).map(({ username, displayName, hasPin }) => ({ username, displayName, hasPin })));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to read users' });
+    }
+});
+
+// Failed sign-ins per client and username. After MAX_LOGIN_FAILURES within
+// LOGIN_LOCKOUT_MS further attempts are refused until the window passes.
+const MAX_LOGIN_FAILURES = 5;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+const loginFailures = new Map();
+
+function loginThrottleKey(req, username) {
+    return `${req.ip}|${String(username).toLowerCase()}`;
+}
+
+// Milliseconds until this client may try the username again, or 0
+function loginRetryAfter(key) {
+    const entry = loginFailures.get(key);
+    if (!entry) return 0;
+    const wait = entry.first + LOGIN_LOCKOUT_MS - Date.now();
+    if (wait <= 0) {
+        loginFailures.delete(key);
+        return 0;
+    }
+    return entry.count >= MAX_LOGIN_FAILURES ? wait : 0;
+}
+
+function recordLoginFailure(key) {
+    const entry = loginFailures.get(key);
+    if (entry) {
+        entry.count++;
+    } else {
+        loginFailures.set(key, { count: 1, first: Date.now() });
+    }
+}
+
+// Sign in with username and PIN. PINs are set with setUserPin.js or by an admin;
+// an account without one cannot sign in.
+app.post('/api/login', async (req, res) => {
+    const { username, pin } = req.body || {};
+    if (!username || !pin) {
+        return res.status(400).json({ error: 'Username and PIN are required' });
+    }
+    const throttleKey = loginThrottleKey(req, username);
+    const retryAfter = loginRetryAfter(throttleKey);
+    if (retryAfter) {
+        res.set('Retry-After', String(Math.ceil(retryAfter / 1000)));
+        return res.status(429).json({ error: `Too many failed sign-ins. Try again in ${Math.ceil(retryAfter / 60000)} minutes.` });
+    }
+    try {
+        const user = await authenticateUser(username, pin);
+        if (!user) {
+            recordLoginFailure(throttleKey);
+            return res.status(401).json({ error: 'Invalid username or PIN' });
+        }
+        loginFailures.delete(throttleKey);
+
+        // New session ID on sign-in so an earlier cookie cannot be reused
+        req.session.regenerate(err => {
+            if (err) {
+                console.error(err);
+                return res.status(500).json({ error: 'Failed to start session' });
+            }
+            req.session.user = user;
+            res.json({ success: true, user: { ...user, permissions: getRolePermissions(user.role) } });
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to sign in' });
+    }
+});
+
+// Set or reset a team member's PIN (admins only)
+app.put('/api/users/:username/pin', requirePermission('users:edit'), async (req, res) => {
+    const { pin } = req.body || {};
+    if (!pin || String(pin).length < MIN_PIN_LENGTH) {
+        return res.status(400).json({ error: `PIN must be at least ${MIN_PIN_LENGTH} characters` });
+    }
+    try {
+        const updated = await setUserPin(req.params.username, String(pin));
+        if (!updated) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to set PIN' });
+    }
+});
+
+// Sign out and drop the session
+app.post('/api/logout', (req, res) => {
+    req.session.destroy(err => {
+        if (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Failed to sign out' });
+        }
+        res.clearCookie('connect.sid');
+        res.json({ success: true });
+    });
+});
+
+// API endpoint for the signed-in user
+app.get('/api/session', (req, res) => {
+    if (!req.session.user) {
+        return res.status(401).json({ error: 'Not signed in' });
+    }
+    res.json({ user: { ...req.session.user, permissions: getRolePermissions(req.session.user.role) } });
+});
+
+// Everything else under /api requires a signed-in user
+app.use('/api', (req, res, next) => {
+    if (!req.session.user) {
+        return res.status(401).json({ error: 'Not signed in' });
+    }
+    next();
+});
+
 // Example API endpoint for reading Active tab
 app.get('/api/read-active', async (req, res) => {
     const { spreadsheetId } = req.query;
@@ -44,14 +276,178 @@ app.get('/api/read-vendors', async (req, res) => {
     }
 });
 
+// API endpoint for adding a vendor. The Vendor ID comes from the URL when given,
+// otherwise the next one in the sheet's sequence is assigned.
+app.post('/api/vendors{/:id}', requirePermission('vendors:edit'), async (req, res) => {
+    try {
+        const vendor = { ...(req.body || {}) };
+        if (req.params.id) {
+            vendor.vendorId = req.params.id;
+        }
+        const saved = await addVendor(vendor);
+        res.json({ success: true, vendor: saved });
+    } catch (err) {
+        if (err.code === 'DUPLICATE_VENDOR') {
+            return res.status(409).json({ error: err.message });
+        }
+        if (err.code === 'VALIDATION_FAILED') {
+            return res.status(422).json({ error: 'Some fields are invalid', errors: err.errors });
+        }
+        console.error(err);
+        res.status(500).json({ error: 'Failed to add vendor' });
+    }
+});
+
+// API endpoint for editing a vendor, keyed by Vendor ID
+app.put('/api/vendors/:id', requirePermission('vendors:edit'), async (req, res) => {
+    try {
+        const updates = req.body || {};
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: 'No fields to update' });
+        }
+        const vendor = await updateVendor(req.params.id, updates);
+        if (!vendor) {
+            return res.status(404).json({ error: 'Vendor not found' });
+        }
+        res.json({ success: true, vendor });
+    } catch (err) {
+        if (err.code === 'VALIDATION_FAILED') {
+            return res.status(422).json({ error: 'Some fields are invalid', errors: err.errors });
+        }
+        console.error(err);
+        res.status(500).json({ error: 'Failed to update vendor' });
+    }
+});
+
+// API endpoint for deactivating a vendor. The row stays in the sheet marked Inactive.
+app.delete('/api/vendors/:id', requirePermission('vendors:edit'), async (req, res) => {
+    try {
+        const vendor = await updateVendor(req.params.id, { status: 'Inactive' });
+        if (!vendor) {
+            return res.status(404).json({ error: 'Vendor not found' });
+        }
+        res.json({ success: true, vendor });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to deactivate vendor' });
+    }
+});
+
+// API endpoint for the patients a vendor is serving, newest order first
+app.get('/api/vendors/:id/patients', async (req, res) => {
+    try {
+        const assignments = await readPatientVendors({ vendorId: req.params.id });
+        res.json(assignments);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to read vendor patients' });
+    }
+});
+
+// API endpoint for a vendor's contact history, newest first
+app.get('/api/vendors/:id/contacts', async (req, res) => {
+    try {
+        const contacts = await readVendorContacts(req.params.id);
+        res.json(contacts);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to read vendor contacts' });
+    }
+});
+
+// API endpoint for logging a call, email or other contact with a vendor. Nothing on the vendor row
+// changes; its Last Contact is worked out from these entries when vendors are read
+app.post('/api/vendors/:id/contacts', requirePermission('vendors:edit'), async (req, res) => {
+    try {
+        const contact = await logVendorContact(req.params.id, req.body || {}, getRequestUser(req));
+        if (!contact) {
+            return res.status(404).json({ error: 'Vendor not found' });
+        }
+        res.json({ success: true, contact });
+    } catch (err) {
+        if (err.code === 'VALIDATION_FAILED') {
+            return res.status(422).json({ error: 'Some fields are invalid', errors: err.errors });
+        }
+        console.error(err);
+        res.status(500).json({ error: 'Failed to log vendor contact' });
+    }
+});
+
+// API endpoint for the vendors assigned to a patient, newest order first
+app.get('/api/patients/:id/vendors', async (req, res) => {
+    try {
+        const assignments = await readPatientVendors({ patientId: req.params.id });
+        res.json(assignments);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to read patient vendors' });
+    }
+});
+
+// API endpoint for assigning a vendor to a patient; the signed-in user is recorded as Assigned By
+app.post('/api/patients/:id/vendors', requirePermission('patients:edit'), async (req, res) => {
+    try {
+        const assignment = await assignPatientVendor(req.params.id, req.body || {}, getRequestUser(req));
+        if (!assignment) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+        res.json({ success: true, assignment });
+    } catch (err) {
+        if (err.code === 'UNKNOWN_VENDOR') {
+            return res.status(400).json({ error: err.message });
+        }
+        if (err.code === 'VALIDATION_FAILED') {
+            return res.status(422).json({ error: 'Some fields are invalid', errors: err.errors });
+        }
+        console.error(err);
+        res.status(500).json({ error: 'Failed to assign vendor' });
+    }
+});
+
+// API endpoint for updating a vendor assignment's status, dates, cost or notes
+app.put('/api/patient-vendors/:id', requirePermission('patients:edit'), async (req, res) => {
+    try {
+        const updates = req.body || {};
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: 'No fields to update' });
+        }
+        const assignment = await updatePatientVendor(req.params.id, updates);
+        if (!assignment) {
+            return res.status(404).json({ error: 'Vendor assignment not found' });
+        }
+        res.json({ success: true, assignment });
+    } catch (err) {
+        if (err.code === 'VALIDATION_FAILED') {
+            return res.status(422).json({ error: 'Some fields are invalid', errors: err.errors });
+        }
+        console.error(err);
+        res.status(500).json({ error: 'Failed to update vendor assignment' });
+    }
+});
+
+// API endpoint for removing a vendor assignment entered by mistake
+app.delete('/api/patient-vendors/:id', requirePermission('patients:edit'), async (req, res) => {
+    try {
+        const removed = await removePatientVendor(req.params.id);
+        if (!removed) {
+            return res.status(404).json({ error: 'Vendor assignment not found' });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to remove vendor assignment' });
+    }
+});
+
 // API endpoint for reading Chat tab
 app.get('/api/read-chat', async (req, res) => {
-    const { spreadsheetId, user } = req.query;
+    const { spreadsheetId, thread } = req.query;
     if (!spreadsheetId) {
         return res.status(400).json({ error: 'spreadsheetId is required' });
     }
     try {
-        const data = await readChatTab(spreadsheetId, user);
+        // Only the signed-in user's messages; `thread` narrows them to one conversation (see /api/chat/threads)
+        const data = await readChatTab(spreadsheetId, getRequestUser(req), thread);
         res.json(data);
     } catch (err) {
         console.error(err);
@@ -59,38 +455,642 @@ app.get('/api/read-chat', async (req, res) => {
     }
 });
 
-// API endpoint for adding chat message
+// Conversations of the signed-in user, newest first, with unread counts
+app.get('/api/chat/threads', async (req, res) => {
+    try {
+        res.json(await readChatThreads(getRequestUser(req)));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to read chat threads' });
+    }
+});
+
+// Mark a conversation read for the signed-in user
+app.post('/api/chat/threads/:thread/read', async (req, res) => {
+    try {
+        res.json(await markChatThreadRead(getRequestUser(req), req.params.thread));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to mark chat thread read' });
+    }
+});
+
+// Open chat event streams, each with the signed-in user it belongs to
+const chatStreams = new Set();
+
+// Push a new chat message to the connected participants
+function broadcastChatMessage(message) {
+    const event = `event: message\ndata: ${JSON.stringify(message)}\n\n`;
+    chatStreams.forEach(stream => {
+        if (String(message.Participants || '').includes(`<${stream.user}>`)) {
+            stream.res.write(event);
+        }
+    });
+}
+
+// Server-Sent Events stream of new chat messages the signed-in user takes part in
+app.get('/api/chat/stream', (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const stream = { res, user: getRequestUser(req) };
+    chatStreams.add(stream);
+
+    // A comment every so often stops proxies from closing an idle stream
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        chatStreams.delete(stream);
+    });
+});
+
+// API endpoint for adding chat message; it is pushed to connected participants
 app.post('/api/add-chat-message', express.json(), async (req, res) => {
     try {
-        const { sender, message, type, participants, tags } = req.body;
-        if (!sender || !message) {
-            return res.status(400).json({ error: 'User and message are required' });
+        const { message, type, participants, tags, parentId } = req.body;
+        if (!message) {
+            return res.status(400).json({ error: 'Message is required' });
         }
-        const result = await addChatMessage({ sender, message, type, participants, tags });
+        const result = await addChatMessage({ sender: getRequestUser(req), message, type, participants, tags, parentId });
+        broadcastChatMessage(result.message);
         res.json(result);
     } catch (err) {
+        if (err.code === 'UNKNOWN_PARENT') {
+            return res.status(400).json({ error: err.message });
+        }
         console.error(err);
         res.status(500).json({ error: 'Failed to add chat message' });
     }
 });
 
-// API endpoint for saving patient to Active tab
-app.post('/api/save-patient', async (req, res) => {
+// API endpoint for saving patient to Active tab. Fields are checked against the
+// Active schema (schema.js); invalid ones get 422 with an `errors` list per field.
+app.post('/api/save-patient', requirePermission('patients:edit'), async (req, res) => {
     try {
-        const patientData = req.body;
-        if (!patientData.patientName) {
-            return res.status(400).json({ error: 'Patient name is required' });
+        if (billingFieldsIn(req.body).length > 0 && !hasPermission(req, 'billing:edit')) {
+            return res.status(403).json(BILLING_FORBIDDEN);
         }
-        const result = await writeActiveTab(patientData);
+        const result = await writeActiveTab(req.body || {}, getRequestUser(req));
         res.json(result);
     } catch (err) {
+        if (err.code === 'VALIDATION_FAILED') {
+            return res.status(422).json({ error: 'Some fields are invalid', errors: err.errors });
+        }
         console.error('Error saving patient:', err);
         res.status(500).json({ error: 'Failed to save patient data' });
     }
 });
 
-// TODO: Add more endpoints for write, search, etc.
+// API endpoint for reading a single patient by ID
+app.get('/api/patients/:id', async (req, res) => {
+    try {
+        const patient = await getPatientById(req.params.id);
+        if (!patient) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+        res.json(patient);
+    } catch (err) {
+        console.error('Error reading patient:', err);
+        res.status(500).json({ error: 'Failed to read patient data' });
+    }
+});
+
+// API endpoint for updating a patient row in place (PUT and PATCH both merge the given fields).
+// The `version` the edit was based on is required (428 without it); a stale version gets 409 with the current row.
+async function handlePatientUpdate(req, res) {
+    try {
+        const { version, ...updates } = req.body || {};
+        // Every update names the version it was based on, so a stale copy can't overwrite a newer save
+        if (version === undefined || version === null || version === '') {
+            return res.status(428).json({ error: 'version is required; send the version of the patient being edited' });
+        }
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: 'No fields to update' });
+        }
+        // Invoice fields need billing permission; everything else needs patient edit permission
+        const fields = Object.keys(updates);
+        if (fields.some(isBillingField) && !hasPermission(req, 'billing:edit')) {
+            return res.status(403).json(BILLING_FORBIDDEN);
+        }
+        if (fields.some(f => !isBillingField(f)) && !hasPermission(req, 'patients:edit')) {
+            return res.status(403).json({ error: 'Your role does not allow this action (patients:edit)' });
+        }
+        const patient = await updatePatient(req.params.id, updates, getRequestUser(req), version);
+        if (!patient) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+        res.json({ success: true, patient });
+    } catch (err) {
+        if (err.code === 'VERSION_CONFLICT') {
+            return res.status(409).json({ error: 'This patient was changed by someone else', current: err.current });
+        }
+        if (err.code === 'VALIDATION_FAILED') {
+            return res.status(422).json({ error: 'Some fields are invalid', errors: err.errors });
+        }
+        console.error('Error updating patient:', err);
+        res.status(500).json({ error: 'Failed to update patient data' });
+    }
+}
+
+app.put('/api/patients/:id', handlePatientUpdate);
+app.patch('/api/patients/:id', handlePatientUpdate);
+
+// API endpoint for deleting a patient from the Active tab
+app.delete('/api/patients/:id', requirePermission('patients:delete'), async (req, res) => {
+    try {
+        const patient = await deletePatient(req.params.id, getRequestUser(req));
+        if (!patient) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+        res.json({ success: true, patient });
+    } catch (err) {
+        console.error('Error deleting patient:', err);
+        res.status(500).json({ error: 'Failed to delete patient data' });
+    }
+});
+
+// API endpoint for merging a duplicate into this patient. Body: { mergeId, values },
+// where values are the fields picked for the surviving record. The duplicate's row
+// is removed and its timeline, chat tags and call log entries move to this ID.
+app.post('/api/patients/:id/merge', requirePermission('patients:delete'), async (req, res) => {
+    try {
+        const { mergeId, values } = req.body || {};
+        if (!mergeId) {
+            return res.status(400).json({ error: 'mergeId is required' });
+        }
+        if (String(mergeId) === String(req.params.id)) {
+            return res.status(400).json({ error: 'A patient cannot be merged into itself' });
+        }
+        if (billingFieldsIn(values).length > 0 && !hasPermission(req, 'billing:edit')) {
+            return res.status(403).json(BILLING_FORBIDDEN);
+        }
+        const result = await mergePatients(req.params.id, mergeId, values, getRequestUser(req));
+        if (!result) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+        res.json({ success: true, ...result });
+    } catch (err) {
+        if (err.code === 'VALIDATION_FAILED') {
+            return res.status(422).json({ error: 'Some fields are invalid', errors: err.errors });
+        }
+        console.error('Error merging patients:', err);
+        res.status(500).json({ error: 'Failed to merge patients' });
+    }
+});
+
+// API endpoint for reading a patient's change history from the AuditLog tab
+app.get('/api/patients/:id/history', async (req, res) => {
+    try {
+        const history = await readAuditLog(req.params.id);
+        res.json(history);
+    } catch (err) {
+        console.error('Error reading patient history:', err);
+        res.status(500).json({ error: 'Failed to read patient history' });
+    }
+});
+
+// API endpoint for reading task progress for every patient
+app.get('/api/read-timeline', async (req, res) => {
+    try {
+        const data = await readTimelineTab();
+        res.json(data);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to read timeline data' });
+    }
+});
+
+// API endpoint for reading a patient's timeline task progress
+app.get('/api/patients/:id/tasks', async (req, res) => {
+    try {
+        const timeline = await readPatientTasks(req.params.id);
+        if (!timeline) {
+            return res.status(404).json({ error: 'No tasks saved for this patient' });
+        }
+        res.json(timeline);
+    } catch (err) {
+        console.error('Error reading patient tasks:', err);
+        res.status(500).json({ error: 'Failed to read patient tasks' });
+    }
+});
+
+// API endpoint for saving a patient's timeline task progress
+app.put('/api/patients/:id/tasks', requirePermission('patients:edit'), async (req, res) => {
+    try {
+        const { tasks } = req.body || {};
+        if (!Array.isArray(tasks)) {
+            return res.status(400).json({ error: 'tasks must be an array' });
+        }
+        const result = await writePatientTasks(req.params.id, tasks);
+        if (!result) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+        res.json({ success: true, ...result });
+    } catch (err) {
+        console.error('Error saving patient tasks:', err);
+        res.status(500).json({ error: 'Failed to save patient tasks' });
+    }
+});
+
+// API endpoint for listing workflow templates
+app.get('/api/workflows', async (req, res) => {
+    try {
+        const data = await readWorkflows();
+        res.json(data);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to read workflow templates' });
+    }
+});
+
+// API endpoint for creating or replacing a workflow template.
+// `isNew` marks a new template, which must not take over an existing ID.
+app.put('/api/workflows/:id', requirePermission('workflows:edit'), async (req, res) => {
+    try {
+        const errors = validateWorkflow(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid workflow template', details: errors });
+        }
+        const workflow = await writeWorkflow(req.params.id, req.body, { create: Boolean(req.body.isNew) });
+        res.json({ success: true, workflow });
+    } catch (err) {
+        if (err.code === 'DUPLICATE_WORKFLOW') {
+            return res.status(409).json({ error: 'A workflow template with this name already exists' });
+        }
+        console.error('Error saving workflow:', err);
+        res.status(500).json({ error: 'Failed to save workflow template' });
+    }
+});
+
+// API endpoint for deleting a workflow template
+app.delete('/api/workflows/:id', requirePermission('workflows:edit'), async (req, res) => {
+    try {
+        const deleted = await deleteWorkflow(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Workflow template not found' });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        if (err.code === 'LAST_TEMPLATE') {
+            return res.status(409).json({ error: 'The only workflow template cannot be deleted' });
+        }
+        console.error('Error deleting workflow:', err);
+        res.status(500).json({ error: 'Failed to delete workflow template' });
+    }
+});
+
+// API endpoint for reading archived patients from the Closed tab
+app.get('/api/read-closed', async (req, res) => {
+    try {
+        const data = await readClosedTab();
+        res.json(data);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to read archived patients' });
+    }
+});
+
+// Move a patient from Active to Closed
+app.post('/api/patients/:id/archive', requirePermission('patients:archive'), async (req, res) => {
+    const { archivedReason } = req.body || {};
+    try {
+        const patient = await archivePatient(req.params.id, { archivedBy: getRequestUser(req), archivedReason });
+        if (!patient) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+        res.json({ success: true, patient });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to archive patient' });
+    }
+});
+
+// Move an archived patient from Closed back to Active
+app.post('/api/archived-patients/:id/restore', requirePermission('patients:archive'), async (req, res) => {
+    try {
+        const patient = await restorePatient(req.params.id, getRequestUser(req));
+        if (!patient) {
+            return res.status(404).json({ error: 'Archived patient not found' });
+        }
+        res.json({ success: true, patient });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to restore patient' });
+    }
+});
+
+// Permanently delete an archived patient
+app.delete('/api/archived-patients/:id', requirePermission('patients:delete'), async (req, res) => {
+    try {
+        const patient = await deleteArchivedPatient(req.params.id, getRequestUser(req));
+        if (!patient) {
+            return res.status(404).json({ error: 'Archived patient not found' });
+        }
+        res.json({ success: true, patient });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to delete archived patient' });
+    }
+});
+
+// API endpoint for reading the call log, optionally only calls linked to one patient
+app.get('/api/call-log', async (req, res) => {
+    try {
+        const calls = await readCallLogTab(req.query.patientId);
+        res.json(calls);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to read call log' });
+    }
+});
+
+// API endpoint for logging a call; the signed-in user is recorded as Logged By
+app.post('/api/call-log', requirePermission('patients:edit'), async (req, res) => {
+    try {
+        const entry = req.body || {};
+        if (!entry.personContact && !entry.number) {
+            return res.status(400).json({ error: 'A contact name or number is required' });
+        }
+        const call = await addCallLogEntry(entry, getRequestUser(req));
+        res.json({ success: true, call });
+    } catch (err) {
+        if (err.code === 'VALIDATION_FAILED') {
+            return res.status(422).json({ error: 'Some fields are invalid', errors: err.errors });
+        }
+        console.error(err);
+        res.status(500).json({ error: 'Failed to log call' });
+    }
+});
+
+// API endpoint for the consulting doctors directory, with each doctor's active patients
+app.get('/api/consulting-docs', async (req, res) => {
+    try {
+        const doctors = await readConsultingDocs();
+        res.json(doctors);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to read consulting doctors' });
+    }
+});
+
+// API endpoint for adding a consulting doctor
+app.post('/api/consulting-docs', requirePermission('docs:edit'), async (req, res) => {
+    try {
+        const doctor = req.body || {};
+        const saved = await addConsultingDoc(doctor);
+        res.json({ success: true, doctor: saved });
+    } catch (err) {
+        if (err.code === 'DUPLICATE_LICENSE') {
+            return res.status(409).json({ error: err.message });
+        }
+        if (err.code === 'VALIDATION_FAILED') {
+            return res.status(422).json({ error: 'Some fields are invalid', errors: err.errors });
+        }
+        console.error(err);
+        res.status(500).json({ error: 'Failed to add consulting doctor' });
+    }
+});
+
+// API endpoint for editing or deactivating a consulting doctor, keyed by license number
+app.put('/api/consulting-docs/:license', requirePermission('docs:edit'), async (req, res) => {
+    try {
+        const updates = req.body || {};
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: 'No fields to update' });
+        }
+        const doctor = await updateConsultingDoc(req.params.license, updates);
+        if (!doctor) {
+            return res.status(404).json({ error: 'Consulting doctor not found' });
+        }
+        res.json({ success: true, doctor });
+    } catch (err) {
+        if (err.code === 'DUPLICATE_LICENSE') {
+            return res.status(409).json({ error: err.message });
+        }
+        if (err.code === 'VALIDATION_FAILED') {
+            return res.status(422).json({ error: 'Some fields are invalid', errors: err.errors });
+        }
+        console.error(err);
+        res.status(500).json({ error: 'Failed to update consulting doctor' });
+    }
+});
+
+// API endpoint for past patient outreach; entries not contacted within intervalDays are marked due
+app.get('/api/outreach', async (req, res) => {
+    try {
+        const intervalDays = req.query.intervalDays === undefined
+            ? DEFAULT_OUTREACH_INTERVAL_DAYS
+            : Number(req.query.intervalDays);
+        if (!Number.isInteger(intervalDays) || intervalDays < 1) {
+            return res.status(400).json({ error: 'intervalDays must be a whole number of days' });
+        }
+        const entries = await readOutreachTab(intervalDays);
+        res.json({ intervalDays, entries });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to read outreach data' });
+    }
+});
+
+// API endpoint for marking an outreach message as sent today
+app.post('/api/outreach/:id/sent', requirePermission('patients:edit'), async (req, res) => {
+    try {
+        const entry = await markOutreachSent(req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: 'Outreach contact not found' });
+        }
+        res.json({ success: true, entry });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to mark outreach sent' });
+    }
+});
+
+// API endpoint for recording a family's response to outreach
+app.post('/api/outreach/:id/response', requirePermission('patients:edit'), async (req, res) => {
+    try {
+        const { response } = req.body || {};
+        if (!response || !String(response).trim()) {
+            return res.status(400).json({ error: 'Response is required' });
+        }
+        const entry = await recordOutreachResponse(req.params.id, response);
+        if (!entry) {
+            return res.status(404).json({ error: 'Outreach contact not found' });
+        }
+        res.json({ success: true, entry });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to record outreach response' });
+    }
+});
+
+// API endpoint listing every workbook tab with its row count
+app.get('/api/sheets', async (req, res) => {
+    try {
+        const sheets = await listSheets();
+        res.json(sheets);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to list sheets' });
+    }
+});
+
+// API endpoint for reading any tab as objects keyed by header, a page at a time
+// (?page=1&pageSize=50, pageSize up to 500)
+app.get('/api/sheets/:name', async (req, res) => {
+    try {
+        const page = req.query.page === undefined ? 1 : Number(req.query.page);
+        const pageSize = req.query.pageSize === undefined ? 50 : Number(req.query.pageSize);
+        if (!Number.isInteger(page) || page < 1) {
+            return res.status(400).json({ error: 'page must be a whole number of 1 or more' });
+        }
+        if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 500) {
+            return res.status(400).json({ error: 'pageSize must be a whole number from 1 to 500' });
+        }
+
+        const sheet = await readSheet(req.params.name);
+        if (!sheet) {
+            return res.status(404).json({ error: `Sheet "${req.params.name}" not found` });
+        }
+
+        const total = sheet.rows.length;
+        res.json({
+            name: sheet.name,
+            headers: sheet.headers,
+            page,
+            pageSize,
+            total,
+            totalPages: Math.ceil(total / pageSize),
+            rows: sheet.rows.slice((page - 1) * pageSize, page * pageSize)
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to read sheet' });
+    }
+});
+
+// API endpoint for checking a new patient against the Active tab before saving.
+// Query: patientName, dob, phone (any of them), and excludeId to skip a patient's own row.
+app.get('/api/duplicates/check', async (req, res) => {
+    try {
+        const { patientName, dob, phone, excludeId } = req.query;
+        if (!patientName && !dob && !phone) {
+            return res.status(400).json({ error: 'patientName, dob or phone is required' });
+        }
+        const matches = await findDuplicatePatients({ patientName, dob, phone }, excludeId || null);
+        res.json({ matches });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to check for duplicate patients' });
+    }
+});
+
+// API endpoint listing pairs of Active patients that look like the same person
+app.get('/api/duplicates', async (req, res) => {
+    try {
+        const pairs = await listDuplicatePatients();
+        res.json({ pairs });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to list duplicate patients' });
+    }
+});
+
+// The import wizard uploads the file itself as the request body (up to 10 MB)
+const importUpload = express.raw({ type: () => true, limit: '10mb' });
+
+/**
+ * Read import options from the query string: fileName, sheet, mapping (a JSON
+ * array of patient fields per column), and rows / confirmedDuplicates as
+ * comma separated row numbers. Returns { error } when something can't be read.
+ */
+function parseImportOptions(query) {
+    const numbers = (value) => String(value || '').split(',').map(n => n.trim()).filter(Boolean).map(Number);
+    let mapping;
+    if (query.mapping) {
+        try {
+            mapping = JSON.parse(query.mapping);
+        } catch (err) {
+            return { error: 'mapping must be a JSON array' };
+        }
+        if (!Array.isArray(mapping)) {
+            return { error: 'mapping must be a JSON array' };
+        }
+    }
+    const rows = numbers(query.rows);
+    const confirmedDuplicates = numbers(query.confirmedDuplicates);
+    if ([...rows, ...confirmedDuplicates].some(n => !Number.isInteger(n))) {
+        return { error: 'rows must be comma separated row numbers' };
+    }
+    return { fileName: query.fileName, sheetName: query.sheet, mapping, rows, confirmedDuplicates };
+}
+
+// API endpoint for previewing an .xlsx or .csv import: detected column mapping,
+// plus validation errors and likely duplicates for each row. Nothing is saved.
+app.post('/api/import/preview', requirePermission('patients:edit'), importUpload, async (req, res) => {
+    try {
+        const options = parseImportOptions(req.query);
+        if (options.error) {
+            return res.status(400).json({ error: options.error });
+        }
+        if (!options.fileName || !Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ error: 'Upload a file and give its fileName' });
+        }
+        const preview = await previewImport(req.body, options.fileName, options);
+        res.json(preview);
+    } catch (err) {
+        if (err.code === 'UNSUPPORTED_FILE') {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error(err);
+        res.status(500).json({ error: 'Failed to preview import' });
+    }
+});
+
+// API endpoint for importing the selected rows of an uploaded file into the Active tab
+app.post('/api/import', requirePermission('patients:edit'), importUpload, async (req, res) => {
+    try {
+        const options = parseImportOptions(req.query);
+        if (options.error) {
+            return res.status(400).json({ error: options.error });
+        }
+        if (!options.fileName || !Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ error: 'Upload a file and give its fileName' });
+        }
+        if (options.rows.length === 0) {
+            return res.status(400).json({ error: 'Select at least one row to import' });
+        }
+        // Invoice columns can only be imported by billing-capable roles; others skip them in the mapping
+        if (!hasPermission(req, 'billing:edit')) {
+            const preview = await previewImport(req.body, options.fileName, options);
+            const billing = preview.rows.some(row => options.rows.includes(row.rowNumber) && billingFieldsIn(row.values).length > 0);
+            if (billing) {
+                return res.status(403).json({ error: 'Your role does not allow importing invoice fields (billing:edit); skip those columns' });
+            }
+        }
+        const result = await importPatients(req.body, options.fileName, options, getRequestUser(req));
+        res.json({ success: true, ...result });
+    } catch (err) {
+        if (err.code === 'UNSUPPORTED_FILE') {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error(err);
+        res.status(500).json({ error: 'Failed to import patients' });
+    }
+});
+
+// TODO: Add more endpoints for search, etc.
+
+// Listen only when run directly; the tests load the app and pick their own port
+if (require.main === module) {
+    app.listen(port, () => {
+        console.log(`Server running at http://localhost:${port}`);
+    });
+}
 
-app.listen(port, () => {
-    console.log(`Server running at http://localhost:${port}`);
-}); 
\ No newline at end of file
+module.exports = app; 
\ No newline at end of file
@@ -0,0 +1,36 @@
+// setUserPin.js - Set or reset a team member's dashboard PIN
+// Usage: node setUserPin.js <username> <pin>
+//   e.g. node setUserPin.js dr-moore 4821
+// Stop the server first: this writes the workbook directly, outside the server's
+// write queue, and a save the server makes at the same time can be lost. While
+// the server is running, an admin can use PUT /api/users/:username/pin instead.
+
+const { readUsers, setUserPin } = require('./sync');
+
+async function main() {
+    const [username, pin] = process.argv.slice(2);
+
+    if (!username || !pin) {
+        const users = await readUsers();
+        console.log('Usage: node setUserPin.js <username> <pin>');
+        console.log('Stop the server before running this. While it is running, an admin');
+        console.log('can reset a PIN with PUT /api/users/:username/pin instead.');
+        console.log('Users:');
+        users.forEach(u => console.log(`   - ${u.username} (${u.displayName})${u.hasPin ? '' : ' - no PIN yet'}`));
+        process.exit(1);
+    }
+
+    try {
+        const updated = await setUserPin(username, pin);
+        if (!updated) {
+            console.error(`❌ No user named "${username}" in the Users tab`);
+            process.exit(1);
+        }
+        console.log(`✅ PIN updated for ${username}`);
+    } catch (error) {
+        console.error('❌ Error setting PIN:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
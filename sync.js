@@ -2,15 +2,20 @@
 
 const { google } = require('googleapis');
 const fs = require('fs').promises;
+const fsSync = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 require('dotenv').config();
 const XLSX = require('xlsx');
+const { parseDateValue, formatDateValue, validateRecord, coerceRecord, validationError } = require('./schema');
+const PatientModel = require('./public/patient-model');
 
 // Cache for Excel data to prevent repeated file reads
 let dataCache = {
     active: null,
     vendors: null,
     chat: null,
+    sheets: null, // every tab as { headers, rows }, keyed by sheet name
     lastModified: null,
     cacheTimeout: 30000 // 30 seconds cache
 };
@@ -59,12 +64,81 @@ async function getNewToken(oAuth2Client) {
     throw new Error('Please authorize the app and save the token to token.json manually.');
 }
 
+// Every exported function that reads or writes the workbook runs one call at a
+// time through this queue, so two requests never interleave a read-modify-write
+// and a reader never sees a save half done
+let writeQueue = Promise.resolve();
+
+/**
+ * Wrap a function so its calls run one at a time through the write queue
+ */
+function serializeWrites(fn) {
+    return (...args) => {
+        const run = writeQueue.then(() => fn(...args));
+        // A failed write must not stall the writes queued behind it
+        writeQueue = run.catch(() => {});
+        return run;
+    };
+}
+
+// The workbook every tab is read from and saved to. WORKBOOK_PATH points the
+// server (and the tests) at another copy.
+const WORKBOOK_PATH = process.env.WORKBOOK_PATH
+    ? path.resolve(process.env.WORKBOOK_PATH)
+    : path.join(__dirname, 'Dashboard Clone.xlsx');
+
+// Rolling copies of the workbook taken before each save, kept beside it
+const BACKUP_DIR = path.join(path.dirname(WORKBOOK_PATH), 'backups');
+const BACKUP_COUNT = parseInt(process.env.WORKBOOK_BACKUP_COUNT, 10) || 20;
+
+/**
+ * Copy the current workbook into the backups folder and prune the oldest copies.
+ * A failed backup is logged but does not block the save.
+ */
+function backupWorkbook(filePath) {
+    try {
+        if (!fsSync.existsSync(filePath)) return;
+        fsSync.mkdirSync(BACKUP_DIR, { recursive: true });
+
+        const baseName = path.basename(filePath, '.xlsx');
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        fsSync.copyFileSync(filePath, path.join(BACKUP_DIR, `${baseName} ${stamp}.xlsx`));
+
+        // ISO timestamps sort oldest first
+        const backups = fsSync.readdirSync(BACKUP_DIR)
+            .filter(name => name.startsWith(`${baseName} `) && name.endsWith('.xlsx'))
+            .sort();
+        backups.slice(0, Math.max(0, backups.length - BACKUP_COUNT)).forEach(name => {
+            fsSync.unlinkSync(path.join(BACKUP_DIR, name));
+        });
+    } catch (err) {
+        console.error('Error backing up workbook:', err.message);
+    }
+}
+
+/**
+ * Save a workbook atomically: write a temp file beside it, back up the current
+ * file, then rename the temp file over it. A crash mid-write leaves the previous
+ * workbook intact instead of a half-written one.
+ */
+function saveWorkbook(workbook, filePath) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    try {
+        fsSync.writeFileSync(tempPath, XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+        backupWorkbook(filePath);
+        fsSync.renameSync(tempPath, filePath);
+    } catch (err) {
+        fsSync.rmSync(tempPath, { force: true });
+        throw err;
+    }
+}
+
 // Cache management functions
 async function isCacheValid() {
     if (!dataCache.lastModified) return false;
     
     const now = Date.now();
-    const filePath = path.join(__dirname, 'Dashboard Clone.xlsx');
+    const filePath = WORKBOOK_PATH;
     
     try {
         const stats = await fs.stat(filePath);
@@ -82,12 +156,36 @@ function clearCache() {
     dataCache.active = null;
     dataCache.vendors = null;
     dataCache.chat = null;
+    dataCache.sheets = null;
     dataCache.lastModified = null;
     console.log('Cache cleared - next request will reload data');
 }
 
+/**
+ * Whether a header cell is empty, like the Active sheet's separator columns
+ */
+function isBlankHeader(header) {
+    return header === null || header === undefined || String(header).trim() === '';
+}
+
+/**
+ * Convert sheet rows (header row first) into objects keyed by header.
+ * Columns without a header are skipped.
+ */
+function sheetRowsToObjects(rows) {
+    const headers = rows[0] || [];
+    return rows.slice(1).map(row => {
+        const obj = {};
+        headers.forEach((header, i) => {
+            if (isBlankHeader(header)) return;
+            obj[header] = row[i] !== undefined ? row[i] : null;
+        });
+        return obj;
+    });
+}
+
 async function loadExcelData() {
-    const localFilePath = path.join(__dirname, 'Dashboard Clone.xlsx');
+    const localFilePath = WORKBOOK_PATH;
     
     try {
         // Check if file exists
@@ -98,58 +196,35 @@ async function loadExcelData() {
         const workbook = XLSX.readFile(localFilePath);
         console.log('Available sheets:', workbook.SheetNames);
         
-        // Get all sheets
-        const activeSheet = workbook.Sheets['Active'];
-        const vendorsSheet = workbook.Sheets['Vendors'];
-        const chatSheet = workbook.Sheets['Chat'];
+        // Make sure every Active row carries a durable ID before it is handed out
+        assignMissingPatientIds(workbook, localFilePath);
+        assignMissingChatIds(workbook, localFilePath);
+        
+        // Parse every tab generically; Active, Vendors and Chat are also cached under their own keys
+        const sheets = {};
+        workbook.SheetNames.forEach(name => {
+            const rows = XLSX.utils.sheet_to_json(workbook.Sheets[name], {header: 1, defval: null});
+            sheets[name] = { headers: rows[0] || [], rows: sheetRowsToObjects(rows).map(row => coerceRecord(name, row)) };
+        });
         
-        if (!activeSheet) {
+        if (!sheets['Active']) {
             throw new Error('Active sheet not found in local file. Available sheets: ' + workbook.SheetNames.join(', '));
         }
         
-        // Process Active sheet
-        const activeRows = XLSX.utils.sheet_to_json(activeSheet, {header: 1, defval: null});
-        const activeHeaders = activeRows[0];
-        const activeData = activeRows.slice(1).map(row => {
-            const obj = {};
-            activeHeaders.forEach((header, i) => {
-                obj[header] = row[i] !== undefined ? row[i] : null;
-            });
+        const activeData = sheets['Active'].rows.map(row => {
+            // Expose the sheet ID under the field name the client keys everything by
+            const obj = { ...row, id: row.ti };
+            obj.version = rowVersion(obj);
             return obj;
         });
-        
-        // Process Vendors sheet
-        let vendorsData = [];
-        if (vendorsSheet) {
-            const vendorsRows = XLSX.utils.sheet_to_json(vendorsSheet, {header: 1, defval: null});
-            const vendorsHeaders = vendorsRows[0];
-            vendorsData = vendorsRows.slice(1).map(row => {
-                const obj = {};
-                vendorsHeaders.forEach((header, i) => {
-                    obj[header] = row[i] !== undefined ? row[i] : null;
-                });
-                return obj;
-            });
-        }
-        
-        // Process Chat sheet
-        let chatData = [];
-        if (chatSheet) {
-            const chatRows = XLSX.utils.sheet_to_json(chatSheet, {header: 1, defval: null});
-            const chatHeaders = chatRows[0];
-            chatData = chatRows.slice(1).map(row => {
-                const obj = {};
-                chatHeaders.forEach((header, i) => {
-                    obj[header] = row[i] !== undefined ? row[i] : null;
-                });
-                return obj;
-            });
-        }
+        const vendorsData = sheets['Vendors'] ? withVendorStats(sheets['Vendors'].rows, sheets) : [];
+        const chatData = sheets['Chat'] ? sheets['Chat'].rows : [];
         
         // Update cache
         dataCache.active = activeData;
         dataCache.vendors = vendorsData;
         dataCache.chat = chatData;
+        dataCache.sheets = sheets;
         dataCache.lastModified = Date.now();
         
         console.log(`Cached ${activeData.length} active patients, ${vendorsData.length} vendors, ${chatData.length} chat messages`);
@@ -164,6 +239,64 @@ async function loadExcelData() {
     }
 }
 
+/**
+ * Generate a patient ID that is not already in use. Other sheets pass their own prefix.
+ */
+function generatePatientId(existingIds, prefix = 'PAT') {
+    let id;
+    do {
+        id = `${prefix}-${Date.now().toString(36).toUpperCase()}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+    } while (existingIds.has(id));
+    existingIds.add(id);
+    return id;
+}
+
+/**
+ * Check whether a sheet row has any content at all
+ */
+function isBlankRow(row) {
+    return !row || row.every(cell => cell === null || cell === undefined || cell === '');
+}
+
+/**
+ * Backfill the `ti` column of the Active sheet so every row has a unique ID.
+ * Rows with a missing or duplicated ID get a new one and the workbook is saved.
+ * Returns true when the file was rewritten.
+ */
+function assignMissingPatientIds(workbook, localFilePath) {
+    const worksheet = workbook.Sheets['Active'];
+    if (!worksheet) return false;
+
+    const rows = XLSX.utils.sheet_to_json(worksheet, {header: 1, defval: null});
+    const headers = rows[0] || [];
+    const idIndex = headers.indexOf('ti');
+    if (idIndex === -1) return false;
+
+    const existingIds = new Set();
+    let assigned = 0;
+
+    for (let i = 1; i < rows.length; i++) {
+        if (isBlankRow(rows[i])) continue;
+
+        const current = rows[i][idIndex];
+        const id = current === null || current === undefined ? '' : String(current).trim();
+        if (id && !existingIds.has(id)) {
+            existingIds.add(id);
+            continue;
+        }
+
+        rows[i][idIndex] = generatePatientId(existingIds);
+        assigned++;
+    }
+
+    if (assigned === 0) return false;
+
+    workbook.Sheets['Active'] = XLSX.utils.aoa_to_sheet(rows);
+    saveWorkbook(workbook, localFilePath);
+    console.log(`Assigned IDs to ${assigned} Active patients`);
+    return true;
+}
+
 async function readActiveTab(spreadsheetId) {
     try {
         // Check if cache is valid
@@ -200,29 +333,102 @@ async function readVendorsTab(spreadsheetId) {
     }
 }
 
-async function readChatTab(spreadsheetId, currentUser = null) {
+// Chat sheet columns by field name. Message ID and Parent ID are added and
+// backfilled by the dashboard so replies can point at the message they answer.
+const CHAT_FIELDS = {
+    timestamp: 'Timestamp',
+    type: 'Type',
+    participants: 'Participants',
+    sender: 'Sender',
+    message: 'Message',
+    status: 'Status',
+    tags: 'Tags',
+    id: 'Message ID',
+    parentId: 'Parent ID'
+};
+
+/**
+ * Get the Chat rows and field columns, adding the Message ID and Parent ID
+ * columns and backfilling message IDs. Returns { rows, columns, changed }.
+ */
+function getChatRows(workbook) {
+    const worksheet = workbook.Sheets['Chat'];
+    const rows = worksheet ? XLSX.utils.sheet_to_json(worksheet, {header: 1, defval: null}) : [];
+    if (rows.length === 0) rows.push(Object.values(CHAT_FIELDS));
+
+    let changed = false;
+    const headers = rows[0];
+    Object.entries(fieldColumns(headers, CHAT_FIELDS)).forEach(([field, i]) => {
+        if (i !== -1) return;
+        headers.push(CHAT_FIELDS[field]);
+        changed = true;
+    });
+    const columns = fieldColumns(headers, CHAT_FIELDS);
+
+    const existingIds = new Set();
+    rows.slice(1).forEach(row => {
+        if (isBlankRow(row)) return;
+        const id = row[columns.id] === null || row[columns.id] === undefined ? '' : String(row[columns.id]).trim();
+        if (id && !existingIds.has(id)) {
+            existingIds.add(id);
+            return;
+        }
+        row[columns.id] = generatePatientId(existingIds, 'MSG');
+        changed = true;
+    });
+
+    return { rows, columns, changed };
+}
+
+/**
+ * Backfill chat message IDs so every message can be replied to.
+ * Returns true when the file was rewritten.
+ */
+function assignMissingChatIds(workbook, localFilePath) {
+    if (!workbook.Sheets['Chat']) return false;
+
+    const { rows, changed } = getChatRows(workbook);
+    if (!changed) return false;
+
+    setSheetRows(workbook, 'Chat', rows);
+    saveWorkbook(workbook, localFilePath);
+    console.log('Assigned IDs to chat messages');
+    return true;
+}
+
+/**
+ * Names in a Participants cell such as "<Alyssa><Dr. Moore>"
+ */
+function chatParticipantNames(participants) {
+    return (String(participants || '').match(/<([^>]+)>/g) || []).map(name => name.slice(1, -1).trim());
+}
+
+/**
+ * The conversation a message belongs to: its participant set, sorted and
+ * comma separated ("Alyssa,Christa"). Accepts a Participants cell or a
+ * comma separated list of names, so `?thread=Christa,Alyssa` works too.
+ */
+function chatThreadId(participants) {
+    const text = String(participants || '');
+    const names = text.includes('<') ? chatParticipantNames(text) : text.split(',').map(name => name.trim());
+    return [...new Set(names.filter(Boolean))].sort().join(',');
+}
+
+/**
+ * Read chat messages, each with its `threadId`. Pass a user to only get the
+ * messages they take part in, and/or a thread ID to get one conversation.
+ */
+async function readChatTab(spreadsheetId, currentUser = null, thread = null) {
     try {
-        // Check if cache is valid
+        // Check if cache is valid, otherwise load fresh data
         if (await isCacheValid()) {
             console.log('Using cached Chat data');
-            let data = dataCache.chat || [];
-            
-            // Filter messages based on current user if specified
-            if (currentUser) {
-                data = data.filter(message => {
-                    const participants = message.Participants || '';
-                    return participants.includes(`<${currentUser}>`);
-                });
-            }
-            
-            console.log(`Processed ${data.length} chat messages${currentUser ? ` for ${currentUser}` : ''}`);
-            return data;
+        } else {
+            await loadExcelData();
         }
-        
-        // Load fresh data
-        await loadExcelData();
-        let data = dataCache.chat || [];
-        
+
+        let data = (dataCache.chat || []).map(message => ({ ...message, threadId: chatThreadId(message.Participants) }));
+
         // Filter messages based on current user if specified
         if (currentUser) {
             data = data.filter(message => {
@@ -230,63 +436,279 @@ async function readChatTab(spreadsheetId, currentUser = null) {
                 return participants.includes(`<${currentUser}>`);
             });
         }
-        
-        console.log(`Processed ${data.length} chat messages${currentUser ? ` for ${currentUser}` : ''}`);
+        if (thread) {
+            const threadId = chatThreadId(thread);
+            data = data.filter(message => message.threadId === threadId);
+        }
+
+        console.log(`Processed ${data.length} chat messages${currentUser ? ` for ${currentUser}` : ''}${thread ? ` in ${thread}` : ''}`);
         return data;
-        
+
     } catch (err) {
         console.error('Error reading Chat tab:', err);
         throw new Error(`Failed to read Chat tab: ${err.message}`);
     }
 }
 
+// ChatReads sheet: the newest message each user has read in each conversation
+const CHAT_READ_FIELDS = {
+    user: 'User',
+    threadId: 'Thread ID',
+    lastRead: 'Last Read'
+};
+
+/**
+ * Summarize a user's conversations, most recent first: participants, the last
+ * message, how many messages there are and how many from others are unread.
+ */
+async function readChatThreads(user) {
+    try {
+        const messages = await readChatTab(null, user);
+        const sheets = await getCachedSheets();
+        const reads = sheets['ChatReads'] ? sheets['ChatReads'].rows : [];
+        const lastRead = {};
+        reads.filter(r => r['User'] === user).forEach(r => { lastRead[r['Thread ID']] = String(r['Last Read'] || ''); });
+
+        const threads = {};
+        messages.forEach(message => {
+            const thread = threads[message.threadId] || (threads[message.threadId] = {
+                threadId: message.threadId,
+                participants: message.threadId.split(','),
+                messageCount: 0,
+                unreadCount: 0,
+                lastMessage: null
+            });
+            thread.messageCount++;
+            if (message.Sender !== user && String(message.Timestamp || '') > (lastRead[message.threadId] || '')) {
+                thread.unreadCount++;
+            }
+            if (!thread.lastMessage || String(message.Timestamp || '') >= String(thread.lastMessage.Timestamp || '')) {
+                thread.lastMessage = message;
+            }
+        });
+
+        return Object.values(threads)
+            .map(thread => ({
+                ...thread,
+                // One participant is a personal note, two a direct message, more a group
+                type: thread.participants.length === 1 ? 'NOTE' : thread.participants.length === 2 ? 'DM' : 'GM'
+            }))
+            .sort((a, b) => String(b.lastMessage.Timestamp || '').localeCompare(String(a.lastMessage.Timestamp || '')));
+    } catch (err) {
+        console.error('Error reading chat threads:', err);
+        throw new Error(`Failed to read chat threads: ${err.message}`);
+    }
+}
+
+/**
+ * Mark a conversation read up to its newest message for a user.
+ * Returns { threadId, lastRead }.
+ */
+async function markChatThreadRead(user, thread) {
+    const localFilePath = WORKBOOK_PATH;
+
+    try {
+        const threadId = chatThreadId(thread);
+        const messages = await readChatTab(null, null, threadId);
+        const lastRead = messages.reduce((latest, m) => (String(m.Timestamp || '') > latest ? String(m.Timestamp) : latest), '');
+
+        const workbook = XLSX.readFile(localFilePath);
+        const worksheet = workbook.Sheets['ChatReads'];
+        const rows = worksheet ? XLSX.utils.sheet_to_json(worksheet, {header: 1, defval: null}) : [];
+        if (rows.length === 0) rows.push(Object.values(CHAT_READ_FIELDS));
+        const columns = fieldColumns(rows[0], CHAT_READ_FIELDS);
+
+        let row = rows.find((r, i) => i > 0 && r[columns.user] === user && r[columns.threadId] === threadId);
+        if (!row) {
+            row = new Array(rows[0].length).fill(null);
+            row[columns.user] = user;
+            row[columns.threadId] = threadId;
+            rows.push(row);
+        }
+        row[columns.lastRead] = lastRead;
+
+        setSheetRows(workbook, 'ChatReads', rows);
+        saveWorkbook(workbook, localFilePath);
+        clearCache();
+
+        return { threadId, lastRead };
+    } catch (err) {
+        console.error('Error marking chat thread read:', err);
+        throw new Error(`Failed to mark chat thread read: ${err.message}`);
+    }
+}
+
+// Tabs that hold credentials or private messages and are never served by the
+// generic sheet reader; chat is only read through the participant-filtered chat API
+const PRIVATE_SHEETS = ['Users', 'Chat', 'ChatReads'];
+
+/**
+ * Find a readable tab by name, ignoring case. Returns null for unknown or private tabs.
+ */
+function findSheetName(sheets, name) {
+    const match = Object.keys(sheets).find(sheetName => sheetName.toLowerCase() === String(name).toLowerCase());
+    return match && !PRIVATE_SHEETS.includes(match) ? match : null;
+}
+
+/**
+ * Get every parsed tab, from the cache when it is still fresh
+ */
+async function getCachedSheets() {
+    if (!(await isCacheValid()) || !dataCache.sheets) {
+        await loadExcelData();
+    }
+    return dataCache.sheets;
+}
+
+/**
+ * List the workbook's tabs with how many non-blank data rows each has
+ */
+async function listSheets() {
+    try {
+        const sheets = await getCachedSheets();
+        return Object.entries(sheets)
+            .filter(([name]) => !PRIVATE_SHEETS.includes(name))
+            .map(([name, sheet]) => ({
+                name,
+                rowCount: sheet.rows.filter(row => !isBlankRow(Object.values(row))).length
+            }));
+    } catch (err) {
+        console.error('Error listing sheets:', err);
+        throw new Error(`Failed to list sheets: ${err.message}`);
+    }
+}
+
+/**
+ * Read any tab as { name, headers, rows } with one object per non-blank row,
+ * keyed by header. Returns null when the tab does not exist.
+ */
+async function readSheet(name) {
+    try {
+        const sheets = await getCachedSheets();
+        const sheetName = findSheetName(sheets, name);
+        if (!sheetName) {
+            return null;
+        }
+        const { headers, rows } = sheets[sheetName];
+        return {
+            name: sheetName,
+            headers,
+            rows: rows.filter(row => !isBlankRow(Object.values(row)))
+        };
+    } catch (err) {
+        console.error(`Error reading ${name} tab:`, err);
+        throw new Error(`Failed to read ${name} tab: ${err.message}`);
+    }
+}
+
+/**
+ * Append a message to the Chat sheet. A reply (`parentId`) always goes to the
+ * participants of the message it answers, so it stays in that conversation;
+ * an unknown parent throws an error with code 'UNKNOWN_PARENT'.
+ * Returns { success, timestamp, message } with the saved row keyed by header.
+ */
 async function addChatMessage(messageData) {
-    const localFilePath = path.join(__dirname, 'Dashboard Clone.xlsx');
+    const localFilePath = WORKBOOK_PATH;
     
     try {
         // Read existing file
         const workbook = XLSX.readFile(localFilePath);
-        const worksheet = workbook.Sheets['Chat'];
-        
-        if (!worksheet) {
+        if (!workbook.Sheets['Chat']) {
             throw new Error('Chat sheet not found');
         }
+        const { rows, columns } = getChatRows(workbook);
         
-        // Convert to array of arrays
-        const rows = XLSX.utils.sheet_to_json(worksheet, {header: 1, defval: null});
+        const sender = messageData.sender || messageData.user || 'Unknown';
+        let participants = messageData.participants || `<${sender}>`;
+        if (messageData.parentId) {
+            const parent = rows.find((row, i) => i > 0 && String(row[columns.id] || '') === String(messageData.parentId));
+            if (!parent) {
+                const unknown = new Error(`Message ${messageData.parentId} not found`);
+                unknown.code = 'UNKNOWN_PARENT';
+                throw unknown;
+            }
+            participants = parent[columns.participants];
+        }
+        // The sender is always part of the conversation
+        if (!chatParticipantNames(participants).includes(sender)) {
+            participants = `<${sender}>${participants}`;
+        }
         
-        // Add new message (Chat headers: Timestamp, Type, Participants, Sender, Message, Status, Tags)
         const timestamp = new Date().toISOString().replace(/[-:T.]/g, '').slice(0, 14);
-        const newRow = [
+        const values = {
             timestamp,
-            messageData.type || 'GM',
-            messageData.participants || `<${messageData.sender || messageData.user}>`,
-            messageData.sender || messageData.user || 'Unknown',
-            messageData.message,
-            'active',
-            messageData.tags || ''
-        ];
+            type: messageData.type || 'GM',
+            participants,
+            sender,
+            message: messageData.message,
+            status: 'active',
+            tags: messageData.tags || '',
+            id: generatePatientId(new Set(rows.slice(1).map(row => String(row[columns.id] || ''))), 'MSG'),
+            parentId: messageData.parentId || ''
+        };
         
+        const newRow = new Array(rows[0].length).fill(null);
+        Object.entries(columns).forEach(([field, i]) => {
+            newRow[i] = values[field];
+        });
         rows.push(newRow);
         
-        // Convert back to worksheet
-        const newWorksheet = XLSX.utils.aoa_to_sheet(rows);
-        workbook.Sheets['Chat'] = newWorksheet;
-        
         // Write back to file
-        XLSX.writeFile(workbook, localFilePath);
+        setSheetRows(workbook, 'Chat', rows);
+        saveWorkbook(workbook, localFilePath);
+        clearCache();
         
         console.log('Chat message added successfully');
-        return { success: true, timestamp };
+        // The saved row keyed by header, as /api/read-chat returns it
+        const message = sheetRowsToObjects([rows[0], newRow])[0];
+        return { success: true, timestamp, message: { ...message, threadId: chatThreadId(participants) } };
         
     } catch (error) {
-        console.error('Error adding chat message:', error);
+        if (error.code !== 'UNKNOWN_PARENT') {
+            console.error('Error adding chat message:', error);
+        }
         throw error;
     }
 }
 
-async function writeActiveTab(patientData) {
-    const localFilePath = path.join(__dirname, 'Dashboard Clone.xlsx');
+/**
+ * Append a validated patient to already-loaded Active rows and record it in the
+ * AuditLog. The caller writes the workbook. Returns the new patient ID.
+ */
+function appendActivePatient(workbook, rows, headers, patientData, user) {
+    // Assign a new ID that does not collide with any existing row
+    const idIndex = headers.indexOf('ti');
+    const existingIds = new Set(
+        idIndex === -1 ? [] : rows.slice(1).map(row => row[idIndex]).filter(Boolean).map(String)
+    );
+    const patientId = generatePatientId(existingIds);
+    
+    // Everything typed at intake is kept, so add columns for fields the sheet lacks
+    addMissingActiveColumns(rows, headers, patientData);
+    
+    // Cells are placed by header name (public/patient-model.js), so the
+    // column order and the blank separator columns don't matter
+    const newRow = PatientModel.buildSheetRow(headers, {
+        paid: 'no',
+        ...patientData,
+        id: patientId,
+        date: formatDateValue(new Date())
+    });
+    
+    // Add the new row to the data
+    rows.push(newRow);
+    appendAuditEntries(workbook, patientId, user, 'create', diffRowForAudit(headers, [], newRow));
+    return patientId;
+}
+
+async function writeActiveTab(patientData, user) {
+    const localFilePath = WORKBOOK_PATH;
+    
+    const { values, errors } = validateRecord('Active', patientData);
+    if (errors.length > 0) {
+        throw validationError(errors);
+    }
+    patientData = values;
     
     try {
         // Read the existing Excel file
@@ -301,52 +723,7 @@ async function writeActiveTab(patientData) {
         const rows = XLSX.utils.sheet_to_json(worksheet, {header: 1, defval: null});
         const headers = rows[0] || [];
         
-        // Map patient intake data to Excel columns matching exact order
-        // Headers: ti, Date, Patient Name, DOB, Age, City, Phone Number, Email, 
-        // 1st request, 2nd request, CP Doctor, CP Completed, RXNT Info, WR, Hospice, 
-        // Prescription Submit, [empty], invoice amount, PAID, Check list, Ingestion Date, 
-        // Ingestion Location, TTS (Minutes), TTD (Minutes), Consent Received, Medical Records,
-        // Physician follow up form, EOLOA State, Death Certificate, All Records in DRC, 
-        // [empty], Riverside EOLOA, Referred From
-        
-        const newRow = [
-            '',                                                // ti
-            new Date().toLocaleDateString('en-US'),           // Date
-            patientData.patientName || '',                    // Patient Name
-            patientData.dob || '',                            // DOB
-            patientData.age || '',                            // Age
-            patientData.city || '',                           // City
-            patientData.phone || '',                          // Phone Number
-            patientData.email || '',                          // Email
-            '',                                                // 1st request
-            '',                                                // 2nd request
-            patientData.cpDoctor || '',                       // CP Doctor
-            '',                                                // CP Completed
-            '',                                                // RXNT Info
-            '',                                                // WR
-            patientData.hospice || '',                        // Hospice
-            '',                                                // Prescription Submit
-            '',                                                // [empty column]
-            patientData.invoiceAmount || '',                  // invoice amount
-            patientData.paymentStatus === 'Paid' ? 'yes' : 'no', // PAID
-            patientData.checklistStatus === 'Complete' ? 'complete' : '', // Check list
-            patientData.intakeDate || '',                     // Ingestion Date
-            '',                                                // Ingestion Location
-            '',                                                // TTS (Minutes)
-            '',                                                // TTD (Minutes)
-            '',                                                // Consent Received
-            '',                                                // Medical Records
-            '',                                                // Physician follow up form
-            '',                                                // EOLOA State
-            '',                                                // Death Certificate
-            '',                                                // All Records in DRC
-            '',                                                // [empty column]
-            '',                                                // Riverside EOLOA
-            patientData.referringPhysician || ''              // Referred From
-        ];
-        
-        // Add the new row to the data
-        rows.push(newRow);
+        const patientId = appendActivePatient(workbook, rows, headers, patientData, user);
         
         // Create a new worksheet from the updated data
         const newWorksheet = XLSX.utils.aoa_to_sheet(rows);
@@ -355,13 +732,13 @@ async function writeActiveTab(patientData) {
         workbook.Sheets['Active'] = newWorksheet;
         
         // Write back to file
-        XLSX.writeFile(workbook, localFilePath);
+        saveWorkbook(workbook, localFilePath);
         
         // Clear cache since data was modified
         clearCache();
         
         console.log('Successfully added patient to Active tab:', patientData.patientName);
-        return { success: true, message: 'Patient added to Excel file' };
+        return { success: true, message: 'Patient added to Excel file', id: patientId };
         
     } catch (err) {
         console.error('Error writing to Excel file:', err);
@@ -369,4 +746,2633 @@ async function writeActiveTab(patientData) {
     }
 }
 
-module.exports = { authorize, readActiveTab, readVendorsTab, readChatTab, addChatMessage, writeActiveTab }; 
\ No newline at end of file
+/**
+ * Version of a patient row for optimistic concurrency. Rows saved before
+ * versioning have no Version cell and count as version 1.
+ */
+function rowVersion(obj) {
+    return Number(obj.Version) || 1;
+}
+
+/**
+ * Convert a sheet row array into an object keyed by header
+ */
+function rowToObject(headers, row) {
+    let obj = {};
+    headers.forEach((header, i) => {
+        if (isBlankHeader(header)) return;
+        obj[header] = row[i] !== undefined ? row[i] : null;
+    });
+    obj = coerceRecord('Active', obj);
+    if ('ti' in obj) {
+        obj.id = obj.ti;
+        obj.version = rowVersion(obj);
+    }
+    return obj;
+}
+
+/**
+ * Translate an update payload (sheet headers or form field names) into
+ * header-keyed cell values for the Active sheet. Unknown fields are skipped.
+ */
+function mapActiveUpdates(headers, updates) {
+    // The ID and version columns are owned by the server and never rewritten
+    const fields = PatientModel.toFieldValues(updates);
+    delete fields.id;
+    delete fields.version;
+    return PatientModel.toSheetValues(headers, fields);
+}
+
+/**
+ * Add header cells for patient fields the Active sheet has no column for yet.
+ * New columns go past the widest row so no existing cell ends up under them.
+ * Returns the headers that were added.
+ */
+function addMissingActiveColumns(rows, headers, data) {
+    const missing = PatientModel.missingHeaders(headers, data);
+    if (missing.length > 0) {
+        const width = Math.max(headers.length, ...rows.map(row => row.length));
+        while (headers.length < width) headers.push(null);
+        headers.push(...missing);
+    }
+    return missing;
+}
+
+/**
+ * Load the Active sheet as raw rows, along with the workbook it came from
+ */
+function loadActiveSheetRows(localFilePath) {
+    const workbook = XLSX.readFile(localFilePath);
+    const worksheet = workbook.Sheets['Active'];
+
+    if (!worksheet) {
+        throw new Error('Active sheet not found in local file');
+    }
+
+    const rows = XLSX.utils.sheet_to_json(worksheet, {header: 1, defval: null});
+    const headers = rows[0] || [];
+    return { workbook, rows, headers };
+}
+
+/**
+ * Find the row index of a patient in the Active sheet by the `ti` ID column
+ */
+function findActiveRowIndex(rows, headers, patientId) {
+    const idIndex = headers.indexOf('ti');
+    if (idIndex === -1 || patientId === undefined || patientId === null || patientId === '') {
+        return -1;
+    }
+    // Row 0 holds the headers
+    for (let i = 1; i < rows.length; i++) {
+        const cell = rows[i][idIndex];
+        if (cell !== null && cell !== undefined && String(cell) === String(patientId)) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Read a single patient from the Active tab by ID.
+ * Returns null when no row matches.
+ */
+async function getPatientById(patientId) {
+    try {
+        const patients = await readActiveTab();
+        return patients.find(p => p.ti !== null && p.ti !== undefined && String(p.ti) === String(patientId)) || null;
+    } catch (err) {
+        console.error('Error reading patient:', err);
+        throw new Error(`Failed to read patient: ${err.message}`);
+    }
+}
+
+/**
+ * Rewrite a patient's row in the Active tab in place and bump its version.
+ * When the row has moved on since expectedVersion (or no version is given),
+ * nothing is written and an error with code 'VERSION_CONFLICT' and the
+ * current row is thrown. Returns the updated patient, or null when no row matches.
+ */
+async function updatePatient(patientId, updates, user, expectedVersion) {
+    const localFilePath = WORKBOOK_PATH;
+
+    const { values, errors } = validateRecord('Active', updates, { partial: true });
+    if (errors.length > 0) {
+        throw validationError(errors);
+    }
+
+    try {
+        const { workbook, rows, headers } = loadActiveSheetRows(localFilePath);
+
+        const rowIndex = findActiveRowIndex(rows, headers, patientId);
+        if (rowIndex === -1) {
+            return null;
+        }
+
+        const row = rows[rowIndex];
+        const current = rowToObject(headers, row);
+        if (expectedVersion === undefined || expectedVersion === null || Number(expectedVersion) !== current.version) {
+            const conflict = new Error(`Patient ${patientId} is at version ${current.version}, not ${expectedVersion}`);
+            conflict.code = 'VERSION_CONFLICT';
+            conflict.current = current;
+            throw conflict;
+        }
+
+        addMissingActiveColumns(rows, headers, values);
+        const mapped = mapActiveUpdates(headers, values);
+        const before = row.slice();
+        Object.entries(mapped).forEach(([header, value]) => {
+            // Leave cells alone when only their format differs (e.g. an Excel date serial)
+            if (String(current[header] ?? '') === String(value ?? '')) return;
+            row[headers.indexOf(header)] = value === undefined ? null : value;
+        });
+
+        const changes = diffRowForAudit(headers, before, row);
+        if (changes.length > 0) {
+            if (!headers.includes('Version')) headers.push('Version');
+            row[headers.indexOf('Version')] = current.version + 1;
+        }
+
+        workbook.Sheets['Active'] = XLSX.utils.aoa_to_sheet(rows);
+        appendAuditEntries(workbook, patientId, user, 'update', changes);
+        saveWorkbook(workbook, localFilePath);
+
+        // Clear cache since data was modified
+        clearCache();
+
+        console.log(`Updated patient ${patientId}:`, Object.keys(mapped).join(', ') || 'no matching fields');
+        return rowToObject(headers, row);
+
+    } catch (err) {
+        if (err.code === 'VERSION_CONFLICT') {
+            throw err;
+        }
+        console.error('Error updating patient:', err);
+        throw new Error(`Failed to update patient: ${err.message}`);
+    }
+}
+
+/**
+ * Remove a patient's row from the Active tab.
+ * Returns the removed patient, or null when no row matches.
+ */
+async function deletePatient(patientId, user) {
+    const localFilePath = WORKBOOK_PATH;
+
+    try {
+        const { workbook, rows, headers } = loadActiveSheetRows(localFilePath);
+
+        const rowIndex = findActiveRowIndex(rows, headers, patientId);
+        if (rowIndex === -1) {
+            return null;
+        }
+
+        const [removed] = rows.splice(rowIndex, 1);
+
+        workbook.Sheets['Active'] = XLSX.utils.aoa_to_sheet(rows);
+        appendAuditEntries(workbook, patientId, user, 'delete', [{ field: 'Status', oldValue: 'Active', newValue: 'Deleted' }]);
+        saveWorkbook(workbook, localFilePath);
+
+        // Clear cache since data was modified
+        clearCache();
+
+        console.log(`Deleted patient ${patientId} from Active tab`);
+        return rowToObject(headers, removed);
+
+    } catch (err) {
+        console.error('Error deleting patient:', err);
+        throw new Error(`Failed to delete patient: ${err.message}`);
+    }
+}
+
+// AuditLog sheet layout: append-only, one row per changed field
+const AUDIT_HEADERS = ['Timestamp', 'Patient ID', 'Field', 'Old Value', 'New Value', 'User', 'Action'];
+
+/**
+ * Normalize a cell value for the audit log so blanks compare equal
+ */
+function auditValue(value) {
+    return value === null || value === undefined ? '' : String(value);
+}
+
+/**
+ * Build audit entries for every cell that differs between two versions of a row.
+ * Untitled columns are skipped since they cannot be named in the log.
+ */
+function diffRowForAudit(headers, before, after) {
+    const changes = [];
+    headers.forEach((header, i) => {
+        if (!header || header === 'ti' || header === 'Version') return;
+        const oldValue = auditValue(before[i]);
+        const newValue = auditValue(after[i]);
+        if (oldValue !== newValue) {
+            changes.push({ field: header, oldValue, newValue });
+        }
+    });
+    return changes;
+}
+
+/**
+ * Append entries to the AuditLog sheet of an already-loaded workbook.
+ * The caller writes the workbook, so the change and its audit rows are saved together.
+ */
+function appendAuditEntries(workbook, patientId, user, action, changes) {
+    if (changes.length === 0) return;
+
+    const worksheet = workbook.Sheets['AuditLog'];
+    const rows = worksheet ? XLSX.utils.sheet_to_json(worksheet, {header: 1, defval: null}) : [];
+    if (rows.length === 0) rows.push(AUDIT_HEADERS.slice());
+
+    const timestamp = new Date().toISOString();
+    changes.forEach(change => {
+        rows.push([timestamp, String(patientId), change.field, change.oldValue, change.newValue, user || 'Unknown', action]);
+    });
+
+    setSheetRows(workbook, 'AuditLog', rows);
+}
+
+/**
+ * Read the audit history for a patient, oldest first
+ */
+async function readAuditLog(patientId) {
+    const localFilePath = WORKBOOK_PATH;
+
+    try {
+        const workbook = XLSX.readFile(localFilePath);
+        const worksheet = workbook.Sheets['AuditLog'];
+        if (!worksheet) {
+            return [];
+        }
+
+        const rows = XLSX.utils.sheet_to_json(worksheet, {header: 1, defval: null});
+        return rows.slice(1)
+            .filter(row => row[1] !== null && String(row[1]) === String(patientId))
+            .map(row => ({
+                timestamp: row[0],
+                patientId: String(row[1]),
+                field: row[2],
+                oldValue: auditValue(row[3]),
+                newValue: auditValue(row[4]),
+                user: row[5],
+                action: row[6]
+            }));
+    } catch (err) {
+        console.error('Error reading AuditLog tab:', err);
+        throw new Error(`Failed to read AuditLog tab: ${err.message}`);
+    }
+}
+
+// Timeline sheet layout: one row per patient, task tree stored as JSON
+const TIMELINE_HEADERS = ['Patient ID', 'Tasks', 'Last Modified'];
+
+/**
+ * Get the Timeline sheet rows, starting a fresh header row if the sheet does not exist yet
+ */
+function getTimelineRows(workbook) {
+    const worksheet = workbook.Sheets['Timeline'];
+    if (!worksheet) {
+        return [TIMELINE_HEADERS.slice()];
+    }
+    const rows = XLSX.utils.sheet_to_json(worksheet, {header: 1, defval: null});
+    return rows.length > 0 ? rows : [TIMELINE_HEADERS.slice()];
+}
+
+/**
+ * Convert a Timeline row into { patientId, tasks, lastModified }
+ */
+function parseTimelineRow(row) {
+    let tasks = [];
+    try {
+        tasks = row[1] ? JSON.parse(row[1]) : [];
+    } catch (err) {
+        console.error(`Invalid task data in Timeline sheet for patient ${row[0]}:`, err.message);
+    }
+    return {
+        patientId: String(row[0]),
+        tasks,
+        lastModified: row[2] || null
+    };
+}
+
+/**
+ * Read task progress for every patient from the Timeline sheet
+ */
+async function readTimelineTab() {
+    const localFilePath = WORKBOOK_PATH;
+
+    try {
+        const workbook = XLSX.readFile(localFilePath);
+        const rows = getTimelineRows(workbook);
+        return rows.slice(1)
+            .filter(row => row[0] !== null && row[0] !== undefined && row[0] !== '')
+            .map(parseTimelineRow);
+    } catch (err) {
+        console.error('Error reading Timeline tab:', err);
+        throw new Error(`Failed to read Timeline tab: ${err.message}`);
+    }
+}
+
+/**
+ * Read task progress for a single patient.
+ * Returns null when nothing has been saved for the patient yet.
+ */
+async function readPatientTasks(patientId) {
+    const timelines = await readTimelineTab();
+    return timelines.find(t => t.patientId === String(patientId)) || null;
+}
+
+/**
+ * Save a patient's full task tree to the Timeline sheet, replacing any previous copy.
+ * Returns null when the patient is not in the Active sheet.
+ */
+async function writePatientTasks(patientId, tasks) {
+    const localFilePath = WORKBOOK_PATH;
+
+    try {
+        const { workbook, rows: activeRows, headers: activeHeaders } = loadActiveSheetRows(localFilePath);
+        if (findActiveRowIndex(activeRows, activeHeaders, patientId) === -1) {
+            return null;
+        }
+
+        const rows = getTimelineRows(workbook);
+        const lastModified = new Date().toISOString();
+        const newRow = [String(patientId), JSON.stringify(tasks), lastModified];
+
+        const rowIndex = rows.findIndex((row, i) => i > 0 && row[0] !== null && String(row[0]) === String(patientId));
+        if (rowIndex === -1) {
+            rows.push(newRow);
+        } else {
+            rows[rowIndex] = newRow;
+        }
+
+        const newWorksheet = XLSX.utils.aoa_to_sheet(rows);
+        if (workbook.Sheets['Timeline']) {
+            workbook.Sheets['Timeline'] = newWorksheet;
+        } else {
+            XLSX.utils.book_append_sheet(workbook, newWorksheet, 'Timeline');
+        }
+
+        saveWorkbook(workbook, localFilePath);
+
+        console.log(`Saved timeline tasks for patient ${patientId}`);
+        return { patientId: String(patientId), tasks, lastModified };
+
+    } catch (err) {
+        console.error('Error writing Timeline tab:', err);
+        throw new Error(`Failed to write Timeline tab: ${err.message}`);
+    }
+}
+
+// Workflows sheet layout: one row per template, steps stored as JSON
+const WORKFLOW_HEADERS = ['Workflow ID', 'Name', 'Steps', 'Default', 'Last Modified'];
+const DEFAULT_WORKFLOW_PATH = path.join(__dirname, 'defaultWorkflow.json');
+const COMPLETION_RULES = ['all', 'any-of'];
+
+/**
+ * Load the built-in workflow used until a template has been saved to the Workflows sheet
+ */
+async function loadDefaultWorkflow() {
+    const content = await fs.readFile(DEFAULT_WORKFLOW_PATH, 'utf8');
+    return JSON.parse(content);
+}
+
+/**
+ * Check a workflow template and return a list of problems (empty when valid)
+ */
+function validateWorkflow(workflow) {
+    const errors = [];
+    if (!workflow || typeof workflow !== 'object') {
+        return ['Workflow must be an object'];
+    }
+    if (!workflow.name) errors.push('Workflow name is required');
+    if (!Array.isArray(workflow.steps) || workflow.steps.length === 0) {
+        errors.push('Workflow needs at least one step');
+        return errors;
+    }
+
+    const stepIds = new Set();
+    workflow.steps.forEach((step, i) => {
+        const label = `Step ${i + 1}`;
+        if (!step.id) errors.push(`${label}: id is required`);
+        if (!step.name) errors.push(`${label}: name is required`);
+        if (step.id && stepIds.has(step.id)) errors.push(`${label}: duplicate id "${step.id}"`);
+        stepIds.add(step.id);
+
+        if (!Array.isArray(step.subtasks)) {
+            errors.push(`${label}: subtasks must be a list`);
+            return;
+        }
+        step.subtasks.forEach((subtask, j) => {
+            if (!subtask.name) errors.push(`${label}, subtask ${j + 1}: name is required`);
+            if (subtask.completion && !COMPLETION_RULES.includes(subtask.completion)) {
+                errors.push(`${label}, subtask ${j + 1}: unknown completion rule "${subtask.completion}"`);
+            }
+            (subtask.subSubtasks || []).forEach((item, k) => {
+                if (!item.name) errors.push(`${label}, subtask ${j + 1}, item ${k + 1}: name is required`);
+            });
+        });
+    });
+
+    // Mirrors must point at a step in the same workflow
+    workflow.steps.forEach((step, i) => {
+        if (step.mirrors && !stepIds.has(step.mirrors)) {
+            errors.push(`Step ${i + 1}: mirrors unknown step "${step.mirrors}"`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Read all workflow templates. Falls back to the built-in template when none are saved.
+ */
+async function readWorkflows() {
+    const localFilePath = WORKBOOK_PATH;
+
+    try {
+        const workbook = XLSX.readFile(localFilePath);
+        const worksheet = workbook.Sheets['Workflows'];
+        const rows = worksheet ? XLSX.utils.sheet_to_json(worksheet, {header: 1, defval: null}) : [];
+
+        const workflows = rows.slice(1)
+            .filter(row => row[0])
+            .map(row => {
+                let steps = [];
+                try {
+                    steps = JSON.parse(row[2] || '[]');
+                } catch (err) {
+                    console.error(`Invalid steps in Workflows sheet for ${row[0]}:`, err.message);
+                }
+                return {
+                    id: String(row[0]),
+                    name: row[1] || String(row[0]),
+                    steps,
+                    isDefault: String(row[3]).toLowerCase() === 'yes',
+                    lastModified: row[4] || null
+                };
+            });
+
+        if (workflows.length === 0) {
+            return [await loadDefaultWorkflow()];
+        }
+        // Exactly one template drives new timelines
+        if (!workflows.some(w => w.isDefault)) {
+            workflows[0].isDefault = true;
+        }
+        return workflows;
+
+    } catch (err) {
+        console.error('Error reading Workflows tab:', err);
+        throw new Error(`Failed to read Workflows tab: ${err.message}`);
+    }
+}
+
+/**
+ * Write the full list of workflow templates to the Workflows sheet
+ */
+function writeWorkflowRows(workbook, localFilePath, workflows) {
+    const rows = [WORKFLOW_HEADERS.slice()];
+    workflows.forEach(w => {
+        rows.push([w.id, w.name, JSON.stringify(w.steps), w.isDefault ? 'yes' : 'no', w.lastModified || '']);
+    });
+
+    const newWorksheet = XLSX.utils.aoa_to_sheet(rows);
+    if (workbook.Sheets['Workflows']) {
+        workbook.Sheets['Workflows'] = newWorksheet;
+    } else {
+        XLSX.utils.book_append_sheet(workbook, newWorksheet, 'Workflows');
+    }
+    saveWorkbook(workbook, localFilePath);
+}
+
+/**
+ * Create or replace a workflow template. Marking it default clears the flag on the others.
+ * With `create` set, an existing template with the same ID is never replaced
+ * (error code 'DUPLICATE_WORKFLOW').
+ */
+async function writeWorkflow(workflowId, workflow, { create = false } = {}) {
+    const localFilePath = WORKBOOK_PATH;
+
+    try {
+        const workflows = await readWorkflows();
+        if (create && workflows.some(w => w.id === String(workflowId))) {
+            const err = new Error(`Workflow template ${workflowId} already exists`);
+            err.code = 'DUPLICATE_WORKFLOW';
+            throw err;
+        }
+        const saved = {
+            id: String(workflowId),
+            name: workflow.name,
+            steps: workflow.steps,
+            isDefault: Boolean(workflow.isDefault),
+            lastModified: new Date().toISOString()
+        };
+
+        const index = workflows.findIndex(w => w.id === saved.id);
+        if (index === -1) {
+            workflows.push(saved);
+        } else {
+            workflows[index] = saved;
+        }
+        if (saved.isDefault) {
+            workflows.forEach(w => { w.isDefault = w.id === saved.id; });
+        }
+
+        const workbook = XLSX.readFile(localFilePath);
+        writeWorkflowRows(workbook, localFilePath, workflows);
+
+        console.log(`Saved workflow template ${saved.id}`);
+        return saved;
+
+    } catch (err) {
+        if (err.code === 'DUPLICATE_WORKFLOW') throw err;
+        console.error('Error writing Workflows tab:', err);
+        throw new Error(`Failed to write Workflows tab: ${err.message}`);
+    }
+}
+
+/**
+ * Remove a workflow template. Returns false when it does not exist.
+ * The last remaining template cannot be removed (error code 'LAST_TEMPLATE').
+ */
+async function deleteWorkflow(workflowId) {
+    const localFilePath = WORKBOOK_PATH;
+
+    try {
+        const workflows = await readWorkflows();
+        const index = workflows.findIndex(w => w.id === String(workflowId));
+        if (index === -1) {
+            return false;
+        }
+        if (workflows.length === 1) {
+            const last = new Error('Cannot delete the only workflow template');
+            last.code = 'LAST_TEMPLATE';
+            throw last;
+        }
+
+        const [removed] = workflows.splice(index, 1);
+        if (removed.isDefault) {
+            workflows[0].isDefault = true;
+        }
+
+        const workbook = XLSX.readFile(localFilePath);
+        writeWorkflowRows(workbook, localFilePath, workflows);
+
+        console.log(`Deleted workflow template ${workflowId}`);
+        return true;
+
+    } catch (err) {
+        if (err.code === 'LAST_TEMPLATE') {
+            throw err;
+        }
+        console.error('Error deleting workflow:', err);
+        throw new Error(`Failed to delete workflow: ${err.message}`);
+    }
+}
+
+// Closed sheet: archived patients, laid out like Active plus who/when/why columns
+const ARCHIVE_HEADERS = ['Archived Date', 'Archived By', 'Archived Reason'];
+// Active headers that are named differently on the Closed sheet
+const CLOSED_HEADER_ALIASES = { 'DOB': 'DOB / Age' };
+const ACTIVE_HEADER_ALIASES = { 'DOB / Age': 'DOB' };
+
+/**
+ * Find the nth (1-based) occurrence of a header. Both sheets repeat blank and
+ * untitled headers, so columns are matched by name and position among equal names.
+ */
+function nthHeaderIndex(headers, header, nth) {
+    let seen = 0;
+    for (let i = 0; i < headers.length; i++) {
+        const current = headers[i] === undefined ? null : headers[i];
+        if (current === header && ++seen === nth) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Copy a row from one sheet layout to another by header name.
+ * With addMissing, headers the target lacks are appended to it so no data is dropped;
+ * otherwise those cells are left behind.
+ */
+function remapRow(fromHeaders, row, toHeaders, aliases, addMissing) {
+    const newRow = new Array(toHeaders.length).fill(null);
+    const occurrences = new Map();
+
+    fromHeaders.forEach((header, i) => {
+        const target = header === null || header === undefined ? null : (aliases[header] || header);
+        const nth = (occurrences.get(target) || 0) + 1;
+        occurrences.set(target, nth);
+
+        const value = row[i] !== undefined ? row[i] : null;
+        let index = nthHeaderIndex(toHeaders, target, nth);
+        if (index === -1) {
+            if (!addMissing || value === null || value === '') return;
+            toHeaders.push(target);
+            index = toHeaders.length - 1;
+        }
+        newRow[index] = value;
+    });
+
+    return newRow;
+}
+
+/**
+ * Load the Closed sheet rows, adding the ID and archive columns it needs and
+ * backfilling IDs for rows that were closed before patients had IDs.
+ * Returns { rows, headers, changed } where changed means the sheet should be saved.
+ */
+function loadClosedSheetRows(workbook) {
+    const worksheet = workbook.Sheets['Closed'];
+    const rows = worksheet ? XLSX.utils.sheet_to_json(worksheet, {header: 1, defval: null}) : [];
+    if (rows.length === 0) rows.push([]);
+
+    const headers = rows[0];
+    let changed = !worksheet;
+    ['ti', ...ARCHIVE_HEADERS].forEach(header => {
+        if (!headers.includes(header)) {
+            headers.push(header);
+            changed = true;
+        }
+    });
+
+    // IDs must be unique across both sheets so a restored patient never collides
+    const existingIds = new Set();
+    if (workbook.Sheets['Active']) {
+        const activeRows = XLSX.utils.sheet_to_json(workbook.Sheets['Active'], {header: 1, defval: null});
+        const activeIdIndex = (activeRows[0] || []).indexOf('ti');
+        activeRows.slice(1).forEach(row => {
+            if (activeIdIndex !== -1 && row[activeIdIndex]) existingIds.add(String(row[activeIdIndex]));
+        });
+    }
+
+    const idIndex = headers.indexOf('ti');
+    for (let i = 1; i < rows.length; i++) {
+        if (isBlankRow(rows[i])) continue;
+
+        const current = rows[i][idIndex];
+        const id = current === null || current === undefined ? '' : String(current).trim();
+        if (id && !existingIds.has(id)) {
+            existingIds.add(id);
+            continue;
+        }
+        rows[i][idIndex] = generatePatientId(existingIds);
+        changed = true;
+    }
+
+    return { rows, headers, changed };
+}
+
+/**
+ * Replace a sheet's contents, creating the sheet if the workbook lacks it
+ */
+function setSheetRows(workbook, sheetName, rows) {
+    const newWorksheet = XLSX.utils.aoa_to_sheet(rows);
+    if (workbook.Sheets[sheetName]) {
+        workbook.Sheets[sheetName] = newWorksheet;
+    } else {
+        XLSX.utils.book_append_sheet(workbook, newWorksheet, sheetName);
+    }
+}
+
+/**
+ * Convert a Closed row into a patient object with archive metadata and saved task progress
+ */
+function closedRowToObject(headers, row, timelines) {
+    const patient = rowToObject(headers, row);
+    patient.archivedDate = patient['Archived Date'] || null;
+    patient.archivedBy = patient['Archived By'] || null;
+    patient.archivedReason = patient['Archived Reason'] || null;
+
+    const timeline = timelines.find(t => t.patientId === String(patient.id));
+    patient.tasks = timeline ? timeline.tasks : null;
+    return patient;
+}
+
+/**
+ * Read archived patients from the Closed tab
+ */
+async function readClosedTab() {
+    const localFilePath = WORKBOOK_PATH;
+
+    try {
+        const workbook = XLSX.readFile(localFilePath);
+        const { rows, headers, changed } = loadClosedSheetRows(workbook);
+
+        if (changed) {
+            setSheetRows(workbook, 'Closed', rows);
+            saveWorkbook(workbook, localFilePath);
+            console.log('Added IDs and archive columns to Closed tab');
+        }
+
+        const timelines = getTimelineRows(workbook).slice(1).map(parseTimelineRow);
+        return rows.slice(1)
+            .filter(row => !isBlankRow(row))
+            .map(row => closedRowToObject(headers, row, timelines));
+
+    } catch (err) {
+        console.error('Error reading Closed tab:', err);
+        throw new Error(`Failed to read Closed tab: ${err.message}`);
+    }
+}
+
+/**
+ * Move a patient from the Active tab to the Closed tab, recording who archived
+ * it, when and why. The Timeline row is keyed by patient ID, so task progress
+ * stays attached. Returns the archived patient, or null when no row matches.
+ */
+async function archivePatient(patientId, { archivedBy, archivedReason } = {}) {
+    const localFilePath = WORKBOOK_PATH;
+
+    try {
+        const { workbook, rows, headers } = loadActiveSheetRows(localFilePath);
+
+        const rowIndex = findActiveRowIndex(rows, headers, patientId);
+        if (rowIndex === -1) {
+            return null;
+        }
+
+        const closed = loadClosedSheetRows(workbook);
+        const [activeRow] = rows.splice(rowIndex, 1);
+        const closedRow = remapRow(headers, activeRow, closed.headers, CLOSED_HEADER_ALIASES, true);
+
+        closedRow[closed.headers.indexOf('Archived Date')] = new Date().toISOString();
+        closedRow[closed.headers.indexOf('Archived By')] = archivedBy || 'Unknown';
+        closedRow[closed.headers.indexOf('Archived Reason')] = archivedReason || '';
+        closed.rows.push(closedRow);
+
+        setSheetRows(workbook, 'Active', rows);
+        setSheetRows(workbook, 'Closed', closed.rows);
+        appendAuditEntries(workbook, patientId, archivedBy, 'archive', [
+            { field: 'Status', oldValue: 'Active', newValue: 'Closed' },
+            { field: 'Archived Reason', oldValue: '', newValue: archivedReason || '' }
+        ].filter(change => change.oldValue !== change.newValue));
+        saveWorkbook(workbook, localFilePath);
+
+        // Clear cache since data was modified
+        clearCache();
+
+        console.log(`Archived patient ${patientId} to Closed tab`);
+        const timelines = getTimelineRows(workbook).slice(1).map(parseTimelineRow);
+        return closedRowToObject(closed.headers, closedRow, timelines);
+
+    } catch (err) {
+        console.error('Error archiving patient:', err);
+        throw new Error(`Failed to archive patient: ${err.message}`);
+    }
+}
+
+/**
+ * Find the row index of a patient in the Closed sheet by ID
+ */
+function findClosedRowIndex(closed, patientId) {
+    const idIndex = closed.headers.indexOf('ti');
+    return closed.rows.findIndex((row, i) => i > 0 && row[idIndex] !== null && row[idIndex] !== undefined && String(row[idIndex]) === String(patientId));
+}
+
+/**
+ * Move a patient from the Closed tab back to the Active tab under the same ID.
+ * Archive metadata is dropped. Returns the restored patient, or null when no row matches.
+ */
+async function restorePatient(patientId, user) {
+    const localFilePath = WORKBOOK_PATH;
+
+    try {
+        const { workbook, rows, headers } = loadActiveSheetRows(localFilePath);
+        const closed = loadClosedSheetRows(workbook);
+
+        const rowIndex = findClosedRowIndex(closed, patientId);
+        if (rowIndex === -1) {
+            return null;
+        }
+
+        const [closedRow] = closed.rows.splice(rowIndex, 1);
+        const activeRow = remapRow(closed.headers, closedRow, headers, ACTIVE_HEADER_ALIASES, false);
+        rows.push(activeRow);
+
+        setSheetRows(workbook, 'Active', rows);
+        setSheetRows(workbook, 'Closed', closed.rows);
+        appendAuditEntries(workbook, patientId, user, 'restore', [{ field: 'Status', oldValue: 'Closed', newValue: 'Active' }]);
+        saveWorkbook(workbook, localFilePath);
+
+        // Clear cache since data was modified
+        clearCache();
+
+        console.log(`Restored patient ${patientId} to Active tab`);
+        return rowToObject(headers, activeRow);
+
+    } catch (err) {
+        console.error('Error restoring patient:', err);
+        throw new Error(`Failed to restore patient: ${err.message}`);
+    }
+}
+
+/**
+ * Permanently remove an archived patient from the Closed tab, along with
+ * their saved task progress. Returns the removed patient, or null when no row matches.
+ */
+async function deleteArchivedPatient(patientId, user) {
+    const localFilePath = WORKBOOK_PATH;
+
+    try {
+        const workbook = XLSX.readFile(localFilePath);
+        const closed = loadClosedSheetRows(workbook);
+
+        const rowIndex = findClosedRowIndex(closed, patientId);
+        if (rowIndex === -1) {
+            return null;
+        }
+
+        const [removed] = closed.rows.splice(rowIndex, 1);
+        setSheetRows(workbook, 'Closed', closed.rows);
+        appendAuditEntries(workbook, patientId, user, 'delete', [{ field: 'Status', oldValue: 'Closed', newValue: 'Deleted' }]);
+
+        if (workbook.Sheets['Timeline']) {
+            const timelineRows = getTimelineRows(workbook)
+                .filter((row, i) => i === 0 || row[0] === null || String(row[0]) !== String(patientId));
+            setSheetRows(workbook, 'Timeline', timelineRows);
+        }
+
+        saveWorkbook(workbook, localFilePath);
+
+        console.log(`Deleted archived patient ${patientId}`);
+        return rowToObject(closed.headers, removed);
+
+    } catch (err) {
+        console.error('Error deleting archived patient:', err);
+        throw new Error(`Failed to delete archived patient: ${err.message}`);
+    }
+}
+
+// Call Log sheet: one row per phone call. The original columns are kept as they
+// are in the workbook; Patient ID and Logged By are added the first time a call is logged.
+const CALL_LOG_FIELDS = {
+    date: 'Date',
+    time: 'Time',
+    personContact: 'Person contact',
+    number: 'Number',
+    direction: 'In / Out',
+    patient: 'Patient',
+    outcome: 'Outcome',
+    referral: 'Referral?',
+    source: 'Source?',
+    patientId: 'Patient ID',
+    loggedBy: 'Logged By'
+};
+
+/**
+ * Match hand-typed headers loosely so "In/Out" and "In / Out" or "Referral" and
+ * "Referral?" are the same column
+ */
+function looseHeaderKey(header) {
+    return String(header || '').toLowerCase().replace(/[^a-z]/g, '');
+}
+
+/**
+ * Find the column index of each field in a header row (-1 when missing).
+ * `fields` maps field names to the header each is stored under.
+ */
+function fieldColumns(headers, fields) {
+    const keys = headers.map(looseHeaderKey);
+    const columns = {};
+    Object.entries(fields).forEach(([field, header]) => {
+        columns[field] = keys.indexOf(looseHeaderKey(header));
+    });
+    return columns;
+}
+
+/**
+ * Show a sheet date (Excel serial or typed) as MM/DD/YYYY; unreadable values pass through
+ */
+function sheetDate(value) {
+    if (value === null || value === undefined || value === '') return '';
+    const date = parseDateValue(value);
+    return date ? formatDateValue(date) : String(value).trim();
+}
+
+/**
+ * Milliseconds for sorting by a sheet date, with unreadable dates first
+ */
+function sheetDateTime(value) {
+    const date = value ? parseDateValue(value) : null;
+    return date ? date.getTime() : 0;
+}
+
+/**
+ * Convert a Call Log row into a call object keyed by dashboard field name
+ */
+function parseCallLogRow(row, columns, index) {
+    const call = { id: index };
+    Object.entries(columns).forEach(([field, i]) => {
+        const value = i === -1 ? null : row[i];
+        call[field] = value === null || value === undefined ? '' : String(value).trim();
+    });
+    call.date = sheetDate(call.date);
+    return call;
+}
+
+/**
+ * Read every logged call, newest first. Pass a patient ID to only get calls linked to that patient.
+ */
+async function readCallLogTab(patientId) {
+    const localFilePath = WORKBOOK_PATH;
+
+    try {
+        const workbook = XLSX.readFile(localFilePath);
+        const worksheet = workbook.Sheets['Call Log'];
+        if (!worksheet) {
+            return [];
+        }
+
+        const rows = XLSX.utils.sheet_to_json(worksheet, {header: 1, defval: null});
+        if (rows.length === 0) {
+            return [];
+        }
+
+        const columns = fieldColumns(rows[0], CALL_LOG_FIELDS);
+        let calls = rows.slice(1)
+            .map((row, i) => isBlankRow(row) ? null : parseCallLogRow(row, columns, i + 1))
+            .filter(Boolean);
+
+        if (patientId) {
+            calls = calls.filter(call => call.patientId === String(patientId));
+        }
+
+        return calls.sort((a, b) => (sheetDateTime(b.date) - sheetDateTime(a.date)) || b.time.localeCompare(a.time));
+    } catch (err) {
+        console.error('Error reading Call Log tab:', err);
+        throw new Error(`Failed to read Call Log tab: ${err.message}`);
+    }
+}
+
+/**
+ * Append a call to the Call Log sheet, creating the sheet or its Patient ID and
+ * Logged By columns if they are missing. Returns the saved call.
+ */
+async function addCallLogEntry(entry, user) {
+    const localFilePath = WORKBOOK_PATH;
+
+    const { values: validated, errors } = validateRecord('Call Log', entry);
+    if (errors.length > 0) {
+        throw validationError(errors);
+    }
+
+    try {
+        const workbook = XLSX.readFile(localFilePath);
+        const worksheet = workbook.Sheets['Call Log'];
+        const rows = worksheet ? XLSX.utils.sheet_to_json(worksheet, {header: 1, defval: null}) : [];
+        if (rows.length === 0) rows.push(Object.values(CALL_LOG_FIELDS));
+
+        const headers = rows[0];
+        let columns = fieldColumns(headers, CALL_LOG_FIELDS);
+        Object.entries(columns).forEach(([field, i]) => {
+            if (i === -1) headers.push(CALL_LOG_FIELDS[field]);
+        });
+        columns = fieldColumns(headers, CALL_LOG_FIELDS);
+
+        const now = new Date();
+        const values = {
+            ...validated,
+            date: validated.date || formatDateValue(now),
+            time: validated.time || now.toTimeString().slice(0, 5),
+            loggedBy: user || 'Unknown'
+        };
+
+        const row = new Array(headers.length).fill(null);
+        Object.entries(columns).forEach(([field, i]) => {
+            const value = values[field];
+            row[i] = value === undefined || value === null || value === '' ? null : String(value);
+        });
+        rows.push(row);
+
+        setSheetRows(workbook, 'Call Log', rows);
+        saveWorkbook(workbook, localFilePath);
+
+        console.log(`Logged ${values.direction || ''} call with ${values.personContact || values.number}`);
+        return parseCallLogRow(row, columns, rows.length - 1);
+
+    } catch (err) {
+        console.error('Error adding call log entry:', err);
+        throw new Error(`Failed to add call log entry: ${err.message}`);
+    }
+}
+
+// Consulting Docs sheet: one row per consulting physician, keyed by License Number
+const DOCTOR_FIELDS = {
+    name: 'Name',
+    company: 'Company',
+    licenseNumber: 'License Number',
+    address: 'Address',
+    phoneNumber: 'Phone Number',
+    active: 'Active?'
+};
+
+/**
+ * Split a doctor's name into lowercase words without the "Dr." title
+ */
+function doctorNameWords(name) {
+    return String(name || '').toLowerCase()
+        .replace(/^\s*dr\.?\s+/, '')
+        .split(/[^a-z]+/)
+        .filter(Boolean);
+}
+
+/**
+ * Whether a CP Doctor cell refers to this doctor. The column holds either the
+ * full name ("Dr. Lisa Green") or just a surname ("Andzel").
+ */
+function doctorMatchesName(doctorName, cpDoctor) {
+    const doctor = doctorNameWords(doctorName);
+    const cp = doctorNameWords(cpDoctor);
+    if (doctor.length === 0 || cp.length === 0) return false;
+    if (cp.join(' ') === doctor.join(' ')) return true;
+    return cp.length === 1 && cp[0] === doctor[doctor.length - 1];
+}
+
+/**
+ * Compare license numbers ignoring case and spacing
+ */
+function sameLicense(a, b) {
+    return String(a || '').replace(/\s+/g, '').toUpperCase() === String(b || '').replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Convert a Consulting Docs row into a doctor object
+ */
+function parseDoctorRow(row, columns) {
+    const doctor = {};
+    Object.entries(columns).forEach(([field, i]) => {
+        const value = i === -1 ? null : row[i];
+        doctor[field] = value === null || value === undefined ? '' : String(value).trim();
+    });
+    // Blank counts as active so doctors added by hand without the column still show up
+    doctor.active = !/^(no|n|false|inactive)$/i.test(doctor.active);
+    return doctor;
+}
+
+/**
+ * Get the Consulting Docs rows and field columns, adding any missing headers
+ */
+function getConsultingDocRows(workbook) {
+    const worksheet = workbook.Sheets['Consulting Docs'];
+    const rows = worksheet ? XLSX.utils.sheet_to_json(worksheet, {header: 1, defval: null}) : [];
+    if (rows.length === 0) rows.push(Object.values(DOCTOR_FIELDS));
+
+    const headers = rows[0];
+    Object.entries(fieldColumns(headers, DOCTOR_FIELDS)).forEach(([field, i]) => {
+        if (i === -1) headers.push(DOCTOR_FIELDS[field]);
+    });
+    return { rows, columns: fieldColumns(headers, DOCTOR_FIELDS) };
+}
+
+/**
+ * Write doctor fields into a Consulting Docs row
+ */
+function fillDoctorRow(row, columns, doctor) {
+    Object.entries(columns).forEach(([field, i]) => {
+        if (!(field in doctor)) return;
+        let value = doctor[field];
+        if (field === 'active') value = value === false || /^no$/i.test(String(value)) ? 'No' : 'Yes';
+        row[i] = value === undefined || value === null || value === '' ? null : String(value).trim();
+    });
+}
+
+/**
+ * Read the consulting doctors directory. Each doctor lists the active patients
+ * whose CP Doctor column names them, as `patients` and `patientCount`.
+ */
+async function readConsultingDocs() {
+    const localFilePath = WORKBOOK_PATH;
+
+    try {
+        const workbook = XLSX.readFile(localFilePath);
+        if (!workbook.Sheets['Consulting Docs']) {
+            return [];
+        }
+        const { rows, columns } = getConsultingDocRows(workbook);
+
+        // Patients are linked by ID, so backfill any the Active sheet is missing
+        if (assignMissingPatientIds(workbook, localFilePath)) {
+            clearCache();
+        }
+
+        const activeRows = workbook.Sheets['Active']
+            ? XLSX.utils.sheet_to_json(workbook.Sheets['Active'], {header: 1, defval: null})
+            : [];
+        const activeHeaders = activeRows[0] || [];
+        const patients = activeRows.slice(1)
+            .filter(row => !isBlankRow(row))
+            .map(row => rowToObject(activeHeaders, row));
+
+        return rows.slice(1)
+            .filter(row => !isBlankRow(row))
+            .map(row => {
+                const doctor = parseDoctorRow(row, columns);
+                doctor.patients = patients
+                    .filter(p => doctorMatchesName(doctor.name, p['CP Doctor']))
+                    .map(p => ({ id: p.id, name: p['Patient Name'] }));
+                doctor.patientCount = doctor.patients.length;
+                return doctor;
+            });
+    } catch (err) {
+        console.error('Error reading Consulting Docs tab:', err);
+        throw new Error(`Failed to read Consulting Docs tab: ${err.message}`);
+    }
+}
+
+/**
+ * Add a doctor to the Consulting Docs sheet. Throws an error with code
+ * 'DUPLICATE_LICENSE' when the license number is already listed.
+ */
+async function addConsultingDoc(doctor) {
+    const localFilePath = WORKBOOK_PATH;
+
+    const { values, errors } = validateRecord('Consulting Docs', doctor);
+    if (errors.length > 0) {
+        throw validationError(errors);
+    }
+    doctor = values;
+
+    try {
+        const workbook = XLSX.readFile(localFilePath);
+        const { rows, columns } = getConsultingDocRows(workbook);
+
+        if (rows.slice(1).some(row => sameLicense(row[columns.licenseNumber], doctor.licenseNumber))) {
+            const duplicate = new Error(`License ${doctor.licenseNumber} is already in the directory`);
+            duplicate.code = 'DUPLICATE_LICENSE';
+            throw duplicate;
+        }
+
+        const row = new Array(rows[0].length).fill(null);
+        fillDoctorRow(row, columns, { active: true, ...doctor });
+        rows.push(row);
+
+        setSheetRows(workbook, 'Consulting Docs', rows);
+        saveWorkbook(workbook, localFilePath);
+        clearCache();
+
+        console.log(`Added consulting doctor ${doctor.name} (${doctor.licenseNumber})`);
+        return parseDoctorRow(row, columns);
+
+    } catch (err) {
+        if (err.code === 'DUPLICATE_LICENSE') {
+            throw err;
+        }
+        console.error('Error adding consulting doctor:', err);
+        throw new Error(`Failed to add consulting doctor: ${err.message}`);
+    }
+}
+
+/**
+ * Update a doctor's row, found by license number. Deactivate by sending
+ * { active: false }. Returns null when no doctor has that license.
+ */
+async function updateConsultingDoc(licenseNumber, updates) {
+    const localFilePath = WORKBOOK_PATH;
+
+    const { values, errors } = validateRecord('Consulting Docs', updates, { partial: true });
+    if (errors.length > 0) {
+        throw validationError(errors);
+    }
+    updates = values;
+
+    try {
+        const workbook = XLSX.readFile(localFilePath);
+        const { rows, columns } = getConsultingDocRows(workbook);
+
+        const rowIndex = rows.findIndex((row, i) => i > 0 && sameLicense(row[columns.licenseNumber], licenseNumber));
+        if (rowIndex === -1) {
+            return null;
+        }
+
+        if (updates.licenseNumber && !sameLicense(updates.licenseNumber, licenseNumber) &&
+            rows.slice(1).some(row => sameLicense(row[columns.licenseNumber], updates.licenseNumber))) {
+            const duplicate = new Error(`License ${updates.licenseNumber} is already in the directory`);
+            duplicate.code = 'DUPLICATE_LICENSE';
+            throw duplicate;
+        }
+
+        const row = rows[rowIndex];
+        fillDoctorRow(row, columns, updates);
+
+        setSheetRows(workbook, 'Consulting Docs', rows);
+        saveWorkbook(workbook, localFilePath);
+        clearCache();
+
+        console.log(`Updated consulting doctor ${licenseNumber}:`, Object.keys(updates).join(', '));
+        return parseDoctorRow(row, columns);
+
+    } catch (err) {
+        if (err.code === 'DUPLICATE_LICENSE') {
+            throw err;
+        }
+        console.error('Error updating consulting doctor:', err);
+        throw new Error(`Failed to update consulting doctor: ${err.message}`);
+    }
+}
+
+// Vendors sheet columns by field name. Vendors are keyed by Vendor ID and are
+// deactivated (Status Inactive) rather than removed.
+const VENDOR_FIELDS = {
+    vendorId: 'Vendor ID',
+    companyName: 'Company Name',
+    category: 'Category',
+    serviceType: 'Service Type',
+    contactPerson: 'Contact Person',
+    phone: 'Phone',
+    email: 'Email',
+    address: 'Address',
+    website: 'Website',
+    notes: 'Notes',
+    rating: 'Rating',
+    lastContact: 'Last Contact',
+    status: 'Status'
+};
+
+/**
+ * Get the Vendors rows and field columns, adding any missing headers
+ */
+function getVendorRows(workbook) {
+    const worksheet = workbook.Sheets['Vendors'];
+    const rows = worksheet ? XLSX.utils.sheet_to_json(worksheet, {header: 1, defval: null}) : [];
+    if (rows.length === 0) rows.push(Object.values(VENDOR_FIELDS));
+
+    const headers = rows[0];
+    Object.entries(fieldColumns(headers, VENDOR_FIELDS)).forEach(([field, i]) => {
+        if (i === -1) headers.push(VENDOR_FIELDS[field]);
+    });
+    return { rows, columns: fieldColumns(headers, VENDOR_FIELDS) };
+}
+
+/**
+ * Find a vendor's row by Vendor ID, ignoring case (-1 when missing)
+ */
+function findVendorRowIndex(rows, columns, vendorId) {
+    const key = String(vendorId || '').trim().toUpperCase();
+    return rows.findIndex((row, i) => i > 0 && key !== '' &&
+        String(row[columns.vendorId] || '').trim().toUpperCase() === key);
+}
+
+/**
+ * Next free ID in the sheet's V001, V002... sequence
+ */
+function nextVendorId(rows, columns) {
+    const highest = rows.slice(1).reduce((max, row) => {
+        const match = String(row[columns.vendorId] || '').match(/^V(\d+)$/i);
+        return match ? Math.max(max, Number(match[1])) : max;
+    }, 0);
+    return `V${String(highest + 1).padStart(3, '0')}`;
+}
+
+/**
+ * Write vendor fields into a Vendors row
+ */
+function fillVendorRow(row, columns, vendor) {
+    Object.entries(columns).forEach(([field, i]) => {
+        if (!(field in vendor)) return;
+        const value = vendor[field];
+        row[i] = value === undefined || value === null || value === '' ? null : value;
+    });
+}
+
+/**
+ * Convert a Vendors row into the header-keyed object readVendorsTab returns
+ */
+function vendorRowToObject(headers, row) {
+    return coerceRecord('Vendors', sheetRowsToObjects([headers, row])[0]);
+}
+
+/**
+ * Fill in each vendor's scorecard from the VendorContacts and PatientVendors
+ * sheets: Last Contact is the newest logged contact and Rating the average of
+ * closed services' ratings. Vendors with no contacts or ratings yet keep what
+ * the sheet says. Also adds contactCount, ratingCount, openServices and
+ * completedServices.
+ */
+function withVendorStats(vendors, sheets) {
+    const vendorKey = value => String(value || '').trim().toUpperCase();
+    const contacts = sheets['VendorContacts'] ? sheets['VendorContacts'].rows : [];
+    const services = sheets['PatientVendors'] ? sheets['PatientVendors'].rows : [];
+
+    return vendors.map(vendor => {
+        const id = vendorKey(vendor['Vendor ID']);
+        const vendorContacts = contacts.filter(c => id && vendorKey(c['Vendor ID']) === id);
+        const vendorServices = services.filter(s => id && vendorKey(s['Vendor ID']) === id);
+        const ratings = vendorServices.map(s => Number(s['Rating'])).filter(rating => rating > 0);
+
+        const latest = vendorContacts.reduce((newest, c) =>
+            (sheetDateTime(c['Date']) > sheetDateTime(newest) ? c['Date'] : newest), null);
+
+        return {
+            ...vendor,
+            'Last Contact': latest ? sheetDate(latest) : vendor['Last Contact'],
+            'Rating': ratings.length > 0
+                ? Math.round(ratings.reduce((sum, r) => sum + r, 0) / ratings.length * 10) / 10
+                : vendor['Rating'],
+            contactCount: vendorContacts.length,
+            ratingCount: ratings.length,
+            openServices: vendorServices.filter(s => !CLOSED_SERVICE_STATUSES.includes(s['Status'])).length,
+            completedServices: vendorServices.filter(s => s['Status'] === 'Completed').length
+        };
+    });
+}
+
+/**
+ * Add a vendor to the Vendors sheet. A Vendor ID is assigned unless one is
+ * given; a taken ID throws an error with code 'DUPLICATE_VENDOR'.
+ */
+async function addVendor(vendor) {
+    const localFilePath = WORKBOOK_PATH;
+
+    const { values, errors } = validateRecord('Vendors', vendor);
+    if (errors.length > 0) {
+        throw validationError(errors);
+    }
+    vendor = values;
+
+    try {
+        const workbook = XLSX.readFile(localFilePath);
+        const { rows, columns } = getVendorRows(workbook);
+
+        if (vendor.vendorId && findVendorRowIndex(rows, columns, vendor.vendorId) !== -1) {
+            const duplicate = new Error(`Vendor ID ${vendor.vendorId} is already in use`);
+            duplicate.code = 'DUPLICATE_VENDOR';
+            throw duplicate;
+        }
+
+        const row = new Array(rows[0].length).fill(null);
+        fillVendorRow(row, columns, { status: 'Active', ...vendor, vendorId: vendor.vendorId || nextVendorId(rows, columns) });
+        rows.push(row);
+
+        setSheetRows(workbook, 'Vendors', rows);
+        saveWorkbook(workbook, localFilePath);
+        clearCache();
+
+        console.log(`Added vendor ${vendor.companyName} (${row[columns.vendorId]})`);
+        return vendorRowToObject(rows[0], row);
+
+    } catch (err) {
+        if (err.code === 'DUPLICATE_VENDOR') {
+            throw err;
+        }
+        console.error('Error adding vendor:', err);
+        throw new Error(`Failed to add vendor: ${err.message}`);
+    }
+}
+
+/**
+ * Update a vendor's row, found by Vendor ID. The ID itself can't be changed,
+ * and Rating and Last Contact are ignored because withVendorStats derives
+ * them; deactivate by sending { status: 'Inactive' }. Returns null when no
+ * vendor has that ID.
+ */
+async function updateVendor(vendorId, updates) {
+    const localFilePath = WORKBOOK_PATH;
+
+    const { values, errors } = validateRecord('Vendors', updates, { partial: true });
+    if (errors.length > 0) {
+        throw validationError(errors);
+    }
+    const changes = values;
+    delete changes.vendorId;
+    delete changes.rating;
+    delete changes.lastContact;
+
+    try {
+        const workbook = XLSX.readFile(localFilePath);
+        const { rows, columns } = getVendorRows(workbook);
+
+        const rowIndex = findVendorRowIndex(rows, columns, vendorId);
+        if (rowIndex === -1) {
+            return null;
+        }
+
+        const row = rows[rowIndex];
+        fillVendorRow(row, columns, changes);
+
+        setSheetRows(workbook, 'Vendors', rows);
+        saveWorkbook(workbook, localFilePath);
+        clearCache();
+
+        console.log(`Updated vendor ${vendorId}:`, Object.keys(changes).join(', '));
+        return vendorRowToObject(rows[0], row);
+
+    } catch (err) {
+        console.error('Error updating vendor:', err);
+        throw new Error(`Failed to update vendor: ${err.message}`);
+    }
+}
+
+// PatientVendors sheet: one row per service a vendor provides to a patient,
+// linking the Active `ti` ID to a Vendor ID. Created on the first assignment.
+const PATIENT_VENDOR_FIELDS = {
+    id: 'Assignment ID',
+    patientId: 'Patient ID',
+    vendorId: 'Vendor ID',
+    serviceType: 'Service Type',
+    status: 'Status',
+    orderDate: 'Order Date',
+    serviceDate: 'Service Date',
+    completedDate: 'Completed Date',
+    cost: 'Cost',
+    notes: 'Notes',
+    assignedBy: 'Assigned By',
+    rating: 'Rating',
+    feedback: 'Feedback'
+};
+
+// Services in these states are closed and can be given a rating and feedback
+const CLOSED_SERVICE_STATUSES = ['Completed', 'Cancelled'];
+
+/**
+ * Errors for rating or feedback sent for a service that isn't closed yet
+ */
+function serviceFeedbackErrors(status, values) {
+    if (CLOSED_SERVICE_STATUSES.includes(status)) return [];
+    return ['rating', 'feedback']
+        .filter(field => values[field] !== undefined && values[field] !== null && values[field] !== '')
+        .map(field => ({
+            field,
+            column: PATIENT_VENDOR_FIELDS[field],
+            message: `${PATIENT_VENDOR_FIELDS[field]} can only be given once the service is Completed or Cancelled`
+        }));
+}
+
+/**
+ * Get the PatientVendors rows and field columns, adding any missing headers
+ */
+function getPatientVendorRows(workbook) {
+    const worksheet = workbook.Sheets['PatientVendors'];
+    const rows = worksheet ? XLSX.utils.sheet_to_json(worksheet, {header: 1, defval: null}) : [];
+    if (rows.length === 0) rows.push(Object.values(PATIENT_VENDOR_FIELDS));
+
+    const headers = rows[0];
+    Object.entries(fieldColumns(headers, PATIENT_VENDOR_FIELDS)).forEach(([field, i]) => {
+        if (i === -1) headers.push(PATIENT_VENDOR_FIELDS[field]);
+    });
+    return { rows, columns: fieldColumns(headers, PATIENT_VENDOR_FIELDS) };
+}
+
+/**
+ * Convert a PatientVendors row into an assignment object
+ */
+function parsePatientVendorRow(row, columns) {
+    const assignment = {};
+    Object.entries(columns).forEach(([field, i]) => {
+        const value = i === -1 ? null : row[i];
+        assignment[field] = value === null || value === undefined ? '' : String(value).trim();
+    });
+    assignment.orderDate = sheetDate(assignment.orderDate);
+    assignment.serviceDate = sheetDate(assignment.serviceDate);
+    assignment.completedDate = sheetDate(assignment.completedDate);
+    assignment.cost = assignment.cost === '' || isNaN(Number(assignment.cost)) ? assignment.cost : Number(assignment.cost);
+    assignment.rating = assignment.rating === '' || isNaN(Number(assignment.rating)) ? assignment.rating : Number(assignment.rating);
+    return assignment;
+}
+
+/**
+ * Write assignment fields into a PatientVendors row. Marking a service
+ * Completed fills in today's date unless one is given.
+ */
+function fillPatientVendorRow(row, columns, assignment) {
+    const values = { ...assignment };
+    if (values.status === 'Completed' && !values.completedDate && !row[columns.completedDate]) {
+        values.completedDate = formatDateValue(new Date());
+    }
+    Object.entries(columns).forEach(([field, i]) => {
+        if (!(field in values)) return;
+        const value = values[field];
+        row[i] = value === undefined || value === null || value === '' ? null : value;
+    });
+}
+
+/**
+ * Read vendor assignments, newest order first, with each vendor's company name
+ * and each patient's name filled in. Filter by `patientId` and/or `vendorId`.
+ */
+async function readPatientVendors({ patientId, vendorId } = {}) {
+    const localFilePath = WORKBOOK_PATH;
+
+    try {
+        const workbook = XLSX.readFile(localFilePath);
+        if (!workbook.Sheets['PatientVendors']) {
+            return [];
+        }
+        const { rows, columns } = getPatientVendorRows(workbook);
+
+        const vendorNames = {};
+        const vendors = getVendorRows(workbook);
+        vendors.rows.slice(1).forEach(row => {
+            const id = String(row[vendors.columns.vendorId] || '').trim().toUpperCase();
+            if (id) vendorNames[id] = row[vendors.columns.companyName] || '';
+        });
+
+        const patientNames = {};
+        const activeRows = workbook.Sheets['Active']
+            ? XLSX.utils.sheet_to_json(workbook.Sheets['Active'], {header: 1, defval: null})
+            : [];
+        const activeHeaders = activeRows[0] || [];
+        activeRows.slice(1)
+            .filter(row => !isBlankRow(row))
+            .map(row => rowToObject(activeHeaders, row))
+            .forEach(p => { patientNames[p.id] = p['Patient Name']; });
+
+        return rows.slice(1)
+            .filter(row => !isBlankRow(row))
+            .map(row => parsePatientVendorRow(row, columns))
+            .filter(a => !patientId || a.patientId === String(patientId))
+            .filter(a => !vendorId || a.vendorId.toUpperCase() === String(vendorId).trim().toUpperCase())
+            .map(a => ({
+                ...a,
+                vendorName: vendorNames[a.vendorId.toUpperCase()] || '',
+                // Patients who have since been archived or merged away have no Active row
+                patientName: patientNames[a.patientId] || ''
+            }))
+            .sort((a, b) => sheetDateTime(b.orderDate) - sheetDateTime(a.orderDate));
+    } catch (err) {
+        console.error('Error reading PatientVendors tab:', err);
+        throw new Error(`Failed to read patient vendors: ${err.message}`);
+    }
+}
+
+/**
+ * Assign a vendor to an active patient. Throws an error with code
+ * 'UNKNOWN_VENDOR' when the Vendor ID isn't in the Vendors sheet.
+ * Returns the saved assignment, or null when the patient doesn't exist.
+ */
+async function assignPatientVendor(patientId, assignment, user) {
+    const localFilePath = WORKBOOK_PATH;
+
+    const { values, errors } = validateRecord('PatientVendors', assignment);
+    errors.push(...serviceFeedbackErrors(values.status || 'Requested', values));
+    if (errors.length > 0) {
+        throw validationError(errors);
+    }
+
+    try {
+        const { workbook, rows: activeRows, headers: activeHeaders } = loadActiveSheetRows(localFilePath);
+        if (findActiveRowIndex(activeRows, activeHeaders, patientId) === -1) {
+            return null;
+        }
+
+        const vendors = getVendorRows(workbook);
+        const vendorIndex = findVendorRowIndex(vendors.rows, vendors.columns, values.vendorId);
+        if (vendorIndex === -1) {
+            const unknown = new Error(`Vendor ${values.vendorId} is not in the Vendors sheet`);
+            unknown.code = 'UNKNOWN_VENDOR';
+            throw unknown;
+        }
+        const vendorRow = vendors.rows[vendorIndex];
+
+        const { rows, columns } = getPatientVendorRows(workbook);
+        const existingIds = new Set(rows.slice(1).map(row => String(row[columns.id] || '')));
+
+        const row = new Array(rows[0].length).fill(null);
+        fillPatientVendorRow(row, columns, {
+            status: 'Requested',
+            orderDate: formatDateValue(new Date()),
+            serviceType: vendorRow[vendors.columns.serviceType] || '',
+            ...values,
+            id: generatePatientId(existingIds, 'PV'),
+            patientId: String(patientId),
+            vendorId: vendorRow[vendors.columns.vendorId],
+            assignedBy: user || 'Unknown'
+        });
+        rows.push(row);
+        setSheetRows(workbook, 'PatientVendors', rows);
+
+        // Placing the order counts as a contact with the vendor
+        const serviceType = row[columns.serviceType];
+        appendVendorContact(workbook, {
+            vendorId: row[columns.vendorId],
+            date: row[columns.orderDate],
+            type: 'Order',
+            patientId: String(patientId),
+            summary: serviceType ? `Ordered ${serviceType}` : 'Ordered service',
+            loggedBy: user || 'Unknown'
+        });
+
+        saveWorkbook(workbook, localFilePath);
+        clearCache();
+
+        console.log(`Assigned vendor ${values.vendorId} to patient ${patientId}`);
+        return {
+            ...parsePatientVendorRow(row, columns),
+            vendorName: vendorRow[vendors.columns.companyName] || ''
+        };
+
+    } catch (err) {
+        if (err.code === 'UNKNOWN_VENDOR') {
+            throw err;
+        }
+        console.error('Error assigning vendor:', err);
+        throw new Error(`Failed to assign vendor: ${err.message}`);
+    }
+}
+
+/**
+ * Update a vendor assignment's status, dates, cost or notes. The patient and
+ * vendor can't be changed; remove the assignment and add a new one instead.
+ * Returns null when no assignment has that ID.
+ */
+async function updatePatientVendor(assignmentId, updates) {
+    const localFilePath = WORKBOOK_PATH;
+
+    const { values, errors } = validateRecord('PatientVendors', updates, { partial: true });
+    if (errors.length > 0) {
+        throw validationError(errors);
+    }
+    const changes = values;
+    ['id', 'patientId', 'vendorId', 'assignedBy'].forEach(field => delete changes[field]);
+
+    try {
+        const workbook = XLSX.readFile(localFilePath);
+        const { rows, columns } = getPatientVendorRows(workbook);
+
+        const rowIndex = rows.findIndex((row, i) => i > 0 && String(row[columns.id] || '') === String(assignmentId));
+        if (rowIndex === -1) {
+            return null;
+        }
+
+        const row = rows[rowIndex];
+        const feedbackErrors = serviceFeedbackErrors(changes.status || row[columns.status], changes);
+        if (feedbackErrors.length > 0) {
+            throw validationError(feedbackErrors);
+        }
+        fillPatientVendorRow(row, columns, changes);
+
+        setSheetRows(workbook, 'PatientVendors', rows);
+        saveWorkbook(workbook, localFilePath);
+        clearCache();
+
+        console.log(`Updated vendor assignment ${assignmentId}:`, Object.keys(changes).join(', '));
+        return parsePatientVendorRow(row, columns);
+
+    } catch (err) {
+        if (err.code === 'VALIDATION_FAILED') {
+            throw err;
+        }
+        console.error('Error updating vendor assignment:', err);
+        throw new Error(`Failed to update vendor assignment: ${err.message}`);
+    }
+}
+
+/**
+ * Remove a vendor assignment entered by mistake. Returns false when no
+ * assignment has that ID.
+ */
+async function removePatientVendor(assignmentId) {
+    const localFilePath = WORKBOOK_PATH;
+
+    try {
+        const workbook = XLSX.readFile(localFilePath);
+        if (!workbook.Sheets['PatientVendors']) {
+            return false;
+        }
+        const { rows, columns } = getPatientVendorRows(workbook);
+
+        const rowIndex = rows.findIndex((row, i) => i > 0 && String(row[columns.id] || '') === String(assignmentId));
+        if (rowIndex === -1) {
+            return false;
+        }
+        rows.splice(rowIndex, 1);
+
+        setSheetRows(workbook, 'PatientVendors', rows);
+        saveWorkbook(workbook, localFilePath);
+        clearCache();
+
+        console.log(`Removed vendor assignment ${assignmentId}`);
+        return true;
+
+    } catch (err) {
+        console.error('Error removing vendor assignment:', err);
+        throw new Error(`Failed to remove vendor assignment: ${err.message}`);
+    }
+}
+
+// VendorContacts sheet: every call, email or order with a vendor. Vendors'
+// Last Contact is derived from it (see withVendorStats).
+const VENDOR_CONTACT_FIELDS = {
+    id: 'Contact ID',
+    vendorId: 'Vendor ID',
+    date: 'Date',
+    type: 'Type',
+    patientId: 'Patient ID',
+    summary: 'Summary',
+    loggedBy: 'Logged By'
+};
+
+/**
+ * Get the VendorContacts rows and field columns, adding any missing headers
+ */
+function getVendorContactRows(workbook) {
+    const worksheet = workbook.Sheets['VendorContacts'];
+    const rows = worksheet ? XLSX.utils.sheet_to_json(worksheet, {header: 1, defval: null}) : [];
+    if (rows.length === 0) rows.push(Object.values(VENDOR_CONTACT_FIELDS));
+
+    const headers = rows[0];
+    Object.entries(fieldColumns(headers, VENDOR_CONTACT_FIELDS)).forEach(([field, i]) => {
+        if (i === -1) headers.push(VENDOR_CONTACT_FIELDS[field]);
+    });
+    return { rows, columns: fieldColumns(headers, VENDOR_CONTACT_FIELDS) };
+}
+
+/**
+ * Convert a VendorContacts row into a contact object
+ */
+function parseVendorContactRow(row, columns) {
+    const contact = {};
+    Object.entries(columns).forEach(([field, i]) => {
+        const value = i === -1 ? null : row[i];
+        contact[field] = value === null || value === undefined ? '' : String(value).trim();
+    });
+    contact.date = sheetDate(contact.date);
+    return contact;
+}
+
+/**
+ * Append a contact to the VendorContacts sheet of an already-loaded workbook,
+ * creating the sheet if needed. Returns the saved contact.
+ */
+function appendVendorContact(workbook, contact) {
+    const { rows, columns } = getVendorContactRows(workbook);
+    const existingIds = new Set(rows.slice(1).map(row => String(row[columns.id] || '')));
+
+    const row = new Array(rows[0].length).fill(null);
+    Object.entries(columns).forEach(([field, i]) => {
+        const value = field === 'id' ? generatePatientId(existingIds, 'VC') : contact[field];
+        row[i] = value === undefined || value === null || value === '' ? null : String(value);
+    });
+    rows.push(row);
+
+    setSheetRows(workbook, 'VendorContacts', rows);
+    return parseVendorContactRow(row, columns);
+}
+
+/**
+ * Read a vendor's contact history, newest first
+ */
+async function readVendorContacts(vendorId) {
+    const localFilePath = WORKBOOK_PATH;
+
+    try {
+        const workbook = XLSX.readFile(localFilePath);
+        if (!workbook.Sheets['VendorContacts']) {
+            return [];
+        }
+        const { rows, columns } = getVendorContactRows(workbook);
+        const key = String(vendorId || '').trim().toUpperCase();
+
+        return rows.slice(1)
+            .filter(row => !isBlankRow(row))
+            .map(row => parseVendorContactRow(row, columns))
+            .filter(contact => contact.vendorId.toUpperCase() === key)
+            .sort((a, b) => sheetDateTime(b.date) - sheetDateTime(a.date));
+    } catch (err) {
+        console.error('Error reading VendorContacts tab:', err);
+        throw new Error(`Failed to read vendor contacts: ${err.message}`);
+    }
+}
+
+/**
+ * Log a call, email or other contact with a vendor; the date defaults to today.
+ * Returns the saved contact, or null when no vendor has that ID.
+ */
+async function logVendorContact(vendorId, contact, user) {
+    const localFilePath = WORKBOOK_PATH;
+
+    const { values, errors } = validateRecord('VendorContacts', contact);
+    if (errors.length > 0) {
+        throw validationError(errors);
+    }
+
+    try {
+        const workbook = XLSX.readFile(localFilePath);
+        const vendors = getVendorRows(workbook);
+        const vendorIndex = findVendorRowIndex(vendors.rows, vendors.columns, vendorId);
+        if (vendorIndex === -1) {
+            return null;
+        }
+
+        const saved = appendVendorContact(workbook, {
+            ...values,
+            vendorId: vendors.rows[vendorIndex][vendors.columns.vendorId],
+            date: values.date || formatDateValue(new Date()),
+            loggedBy: user || 'Unknown'
+        });
+        saveWorkbook(workbook, localFilePath);
+        clearCache();
+
+        console.log(`Logged ${saved.type} with vendor ${saved.vendorId}`);
+        return saved;
+
+    } catch (err) {
+        console.error('Error logging vendor contact:', err);
+        throw new Error(`Failed to log vendor contact: ${err.message}`);
+    }
+}
+
+// Past patient Outreach sheet: one row per family member to stay in touch with.
+// Outreach ID is added and backfilled so rows can be updated from the dashboard.
+const OUTREACH_FIELDS = {
+    id: 'Outreach ID',
+    patientName: 'Patient Name',
+    recipient: 'Recipient',
+    relationship: 'Relationship',
+    contactEmail: 'Contact Email',
+    contactNumber: 'Contact Number',
+    notes: 'Something To Mention',
+    lastContactDate: 'Last Contact Date',
+    dateSent: 'Date Sent',
+    response: 'Response'
+};
+
+// How long after the last contact a family comes back into the outreach queue
+const DEFAULT_OUTREACH_INTERVAL_DAYS = Number(process.env.OUTREACH_INTERVAL_DAYS) || 90;
+
+/**
+ * Get the outreach rows and field columns, adding the Outreach ID column and
+ * backfilling IDs. Returns { rows, columns, changed }.
+ */
+function getOutreachRows(workbook) {
+    const worksheet = workbook.Sheets['Past patient Outreach'];
+    const rows = worksheet ? XLSX.utils.sheet_to_json(worksheet, {header: 1, defval: null}) : [];
+    if (rows.length === 0) rows.push(Object.values(OUTREACH_FIELDS).slice(1));
+
+    let changed = false;
+    const headers = rows[0];
+    if (fieldColumns(headers, OUTREACH_FIELDS).id === -1) {
+        headers.push(OUTREACH_FIELDS.id);
+        changed = true;
+    }
+    const columns = fieldColumns(headers, OUTREACH_FIELDS);
+
+    const existingIds = new Set();
+    rows.slice(1).forEach(row => {
+        if (isBlankRow(row)) return;
+        const id = row[columns.id] === null || row[columns.id] === undefined ? '' : String(row[columns.id]).trim();
+        if (id && !existingIds.has(id)) {
+            existingIds.add(id);
+            return;
+        }
+        row[columns.id] = generatePatientId(existingIds, 'OUT');
+        changed = true;
+    });
+
+    return { rows, columns, changed };
+}
+
+/**
+ * Convert an outreach row into an object, with sheet dates as MM/DD/YYYY and
+ * placeholders like "n/a" treated as blank
+ */
+function parseOutreachRow(row, columns) {
+    const entry = {};
+    Object.entries(columns).forEach(([field, i]) => {
+        const value = i === -1 ? null : row[i];
+        const text = value === null || value === undefined ? '' : String(value).trim();
+        entry[field] = /^n\/?a$/i.test(text) ? '' : text;
+    });
+    entry.lastContactDate = sheetDate(entry.lastContactDate);
+    entry.dateSent = sheetDate(entry.dateSent);
+    return entry;
+}
+
+/**
+ * Whole days between a sheet date and today, or null when the date is unreadable
+ */
+function daysSince(value, today = new Date()) {
+    const date = value ? parseDateValue(value) : null;
+    if (!date) return null;
+    return Math.floor((today.getTime() - date.getTime()) / 86400000);
+}
+
+/**
+ * Read every outreach contact. Each entry gets `lastContact` (the later of Last
+ * Contact Date and Date Sent), `daysSinceContact`, and `due` when that is older
+ * than intervalDays or the family has never been contacted.
+ */
+async function readOutreachTab(intervalDays = DEFAULT_OUTREACH_INTERVAL_DAYS) {
+    const localFilePath = WORKBOOK_PATH;
+
+    try {
+        const workbook = XLSX.readFile(localFilePath);
+        if (!workbook.Sheets['Past patient Outreach']) {
+            return [];
+        }
+
+        const { rows, columns, changed } = getOutreachRows(workbook);
+        if (changed) {
+            setSheetRows(workbook, 'Past patient Outreach', rows);
+            saveWorkbook(workbook, localFilePath);
+            clearCache();
+        }
+
+        return rows.slice(1)
+            .filter(row => !isBlankRow(row))
+            .map(row => {
+                const entry = parseOutreachRow(row, columns);
+                entry.lastContact = [entry.lastContactDate, entry.dateSent]
+                    .filter(date => sheetDateTime(date) > 0)
+                    .sort((a, b) => sheetDateTime(a) - sheetDateTime(b))
+                    .pop() || '';
+                entry.daysSinceContact = daysSince(entry.lastContact);
+                entry.due = entry.daysSinceContact === null || entry.daysSinceContact >= intervalDays;
+                return entry;
+            });
+    } catch (err) {
+        console.error('Error reading Past patient Outreach tab:', err);
+        throw new Error(`Failed to read Past patient Outreach tab: ${err.message}`);
+    }
+}
+
+/**
+ * Apply field changes to one outreach row, found by Outreach ID.
+ * Returns the updated entry, or null when no row matches.
+ */
+function updateOutreachRow(outreachId, changes) {
+    const localFilePath = WORKBOOK_PATH;
+    const workbook = XLSX.readFile(localFilePath);
+    const { rows, columns } = getOutreachRows(workbook);
+
+    const row = rows.find((r, i) => i > 0 && String(r[columns.id]) === String(outreachId));
+    if (!row) {
+        return null;
+    }
+
+    Object.entries(changes).forEach(([field, value]) => {
+        if (columns[field] === undefined || columns[field] === -1) return;
+        row[columns[field]] = value === '' ? null : value;
+    });
+
+    setSheetRows(workbook, 'Past patient Outreach', rows);
+    saveWorkbook(workbook, localFilePath);
+    clearCache();
+    return parseOutreachRow(row, columns);
+}
+
+/**
+ * Record that an outreach message went out today. Both dates move to today and
+ * any earlier response is cleared while waiting to hear back.
+ */
+async function markOutreachSent(outreachId) {
+    try {
+        const today = formatDateValue(new Date());
+        const entry = updateOutreachRow(outreachId, { dateSent: today, lastContactDate: today, response: '' });
+        if (entry) console.log(`Marked outreach ${outreachId} sent`);
+        return entry;
+    } catch (err) {
+        console.error('Error marking outreach sent:', err);
+        throw new Error(`Failed to mark outreach sent: ${err.message}`);
+    }
+}
+
+/**
+ * Record the family's response to the last outreach message
+ */
+async function recordOutreachResponse(outreachId, response) {
+    try {
+        const entry = updateOutreachRow(outreachId, { response: String(response).trim() });
+        if (entry) console.log(`Recorded outreach ${outreachId} response`);
+        return entry;
+    } catch (err) {
+        console.error('Error recording outreach response:', err);
+        throw new Error(`Failed to record outreach response: ${err.message}`);
+    }
+}
+
+// Duplicate detection: names this similar (0 to 1) are flagged on their own, and
+// looser name matches are flagged when the date of birth or phone number matches too
+const DUPLICATE_NAME_THRESHOLD = 0.85;
+const DUPLICATE_LOOSE_NAME_THRESHOLD = 0.6;
+
+/**
+ * Name words in a fixed order, so "Johnson, Sarah" and "sarah johnson" compare equal
+ */
+function nameKey(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z\s]/g, ' ').split(/\s+/).filter(Boolean).sort().join(' ');
+}
+
+/**
+ * Number of single-character edits that turn one string into the other
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+            current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * How alike two patient names are, from 0 (nothing alike) to 1 (the same words)
+ */
+function nameSimilarity(a, b) {
+    const keyA = nameKey(a);
+    const keyB = nameKey(b);
+    if (!keyA || !keyB) return 0;
+    return 1 - editDistance(keyA, keyB) / Math.max(keyA.length, keyB.length);
+}
+
+/**
+ * The last ten digits of a phone number, or '' when it is too short to compare
+ */
+function phoneDigits(value) {
+    const digits = String(value || '').replace(/\D/g, '');
+    return digits.length >= 10 ? digits.slice(-10) : '';
+}
+
+/**
+ * A date of birth as MM/DD/YYYY, or '' when it can't be read
+ */
+function dobKey(value) {
+    const date = value === null || value === undefined || value === '' ? null : parseDateValue(value);
+    return date ? formatDateValue(date) : '';
+}
+
+/**
+ * Compare two patients (keyed by form field names or sheet headers).
+ * Returns { score, reasons } when they look like the same person, otherwise null.
+ */
+function duplicateMatch(a, b) {
+    const first = PatientModel.toFieldValues(a);
+    const second = PatientModel.toFieldValues(b);
+
+    const similarity = nameSimilarity(first.patientName, second.patientName);
+    const sameDob = dobKey(first.dob) !== '' && dobKey(first.dob) === dobKey(second.dob);
+    const samePhone = phoneDigits(first.phone) !== '' && phoneDigits(first.phone) === phoneDigits(second.phone);
+
+    const isMatch = similarity >= DUPLICATE_NAME_THRESHOLD ||
+        (similarity >= DUPLICATE_LOOSE_NAME_THRESHOLD && (sameDob || samePhone)) ||
+        (sameDob && samePhone);
+    if (!isMatch) return null;
+
+    const reasons = [];
+    if (similarity >= DUPLICATE_LOOSE_NAME_THRESHOLD) reasons.push(`similar name (${Math.round(similarity * 100)}%)`);
+    if (sameDob) reasons.push('same date of birth');
+    if (samePhone) reasons.push('same phone number');
+    const score = similarity * 0.5 + (sameDob ? 0.3 : 0) + (samePhone ? 0.2 : 0);
+    return { score: Math.round(score * 100) / 100, reasons };
+}
+
+/**
+ * Find Active patients that look like the given one (by name, DOB and phone),
+ * best match first. Pass excludeId to leave a patient's own row out.
+ */
+async function findDuplicatePatients(candidate, excludeId = null) {
+    try {
+        const patients = await readActiveTab();
+        return patients
+            .filter(patient => excludeId === null || String(patient.ti) !== String(excludeId))
+            .map(patient => {
+                const match = duplicateMatch(candidate, patient);
+                return match ? { patient, ...match } : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score);
+    } catch (err) {
+        console.error('Error finding duplicate patients:', err);
+        throw new Error(`Failed to find duplicate patients: ${err.message}`);
+    }
+}
+
+/**
+ * List every pair of Active patients that look like the same person, best match first
+ */
+async function listDuplicatePatients() {
+    try {
+        const patients = await readActiveTab();
+        const pairs = [];
+        patients.forEach((first, i) => {
+            patients.slice(i + 1).forEach(second => {
+                const match = duplicateMatch(first, second);
+                if (match) pairs.push({ patients: [first, second], ...match });
+            });
+        });
+        return pairs.sort((a, b) => b.score - a.score);
+    } catch (err) {
+        console.error('Error listing duplicate patients:', err);
+        throw new Error(`Failed to list duplicate patients: ${err.message}`);
+    }
+}
+
+/**
+ * Combine two saved task trees: an item is complete if it was complete in
+ * either, and steps only the other patient had are added at the end
+ */
+function mergeTaskTrees(kept, merged) {
+    const sameItem = (a, b) => (a.id && a.id === b.id) || (!a.id && a.name === b.name);
+    const combine = (items, others) => (items || []).map(item => {
+        const other = (others || []).find(o => sameItem(item, o));
+        if (!other) return item;
+        const combined = { ...item, complete: Boolean(item.complete || other.complete) };
+        if ('value' in item || 'value' in other) combined.value = item.value || other.value || '';
+        if (item.subtasks) combined.subtasks = combine(item.subtasks, other.subtasks);
+        if (item.subSubtasks) combined.subSubtasks = combine(item.subSubtasks, other.subSubtasks);
+        return combined;
+    });
+
+    const result = combine(kept, merged);
+    (merged || []).forEach(task => {
+        if (!result.some(t => sameItem(t, task))) result.push(task);
+    });
+    return result;
+}
+
+/**
+ * Point timeline progress, chat tags, call log entries and vendor services at
+ * another patient ID in an already-loaded workbook. Returns what was moved.
+ */
+function repointPatientReferences(workbook, fromId, toId) {
+    const repointed = { timeline: false, chatMessages: 0, calls: 0, vendorServices: 0 };
+
+    // Timeline progress: move it over, or combine it with the surviving patient's
+    const timelineRows = getTimelineRows(workbook);
+    const fromIndex = timelineRows.findIndex((row, i) => i > 0 && String(row[0]) === fromId);
+    if (fromIndex !== -1) {
+        const toIndex = timelineRows.findIndex((row, i) => i > 0 && String(row[0]) === toId);
+        if (toIndex === -1) {
+            timelineRows[fromIndex][0] = toId;
+        } else {
+            const tasks = mergeTaskTrees(parseTimelineRow(timelineRows[toIndex]).tasks, parseTimelineRow(timelineRows[fromIndex]).tasks);
+            timelineRows[toIndex] = [toId, JSON.stringify(tasks), new Date().toISOString()];
+            timelineRows.splice(fromIndex, 1);
+        }
+        setSheetRows(workbook, 'Timeline', timelineRows);
+        repointed.timeline = true;
+    }
+
+    // Chat tags are comma separated; swap the old ID wherever it appears as a tag
+    if (workbook.Sheets['Chat']) {
+        const rows = XLSX.utils.sheet_to_json(workbook.Sheets['Chat'], {header: 1, defval: null});
+        const tagsIndex = (rows[0] || []).indexOf('Tags');
+        if (tagsIndex !== -1) {
+            rows.slice(1).forEach(row => {
+                const tags = String(row[tagsIndex] || '').split(',').map(tag => tag.trim());
+                if (!tags.includes(fromId)) return;
+                row[tagsIndex] = tags.map(tag => (tag === fromId ? toId : tag)).join(', ');
+                repointed.chatMessages++;
+            });
+            if (repointed.chatMessages > 0) setSheetRows(workbook, 'Chat', rows);
+        }
+    }
+
+    // Calls logged against the old patient
+    if (workbook.Sheets['Call Log']) {
+        const rows = XLSX.utils.sheet_to_json(workbook.Sheets['Call Log'], {header: 1, defval: null});
+        const patientIdIndex = fieldColumns(rows[0] || [], CALL_LOG_FIELDS).patientId;
+        if (patientIdIndex !== -1) {
+            rows.slice(1).forEach(row => {
+                if (String(row[patientIdIndex] ?? '') !== fromId) return;
+                row[patientIdIndex] = toId;
+                repointed.calls++;
+            });
+            if (repointed.calls > 0) setSheetRows(workbook, 'Call Log', rows);
+        }
+    }
+
+    // Vendor services ordered for the old patient
+    if (workbook.Sheets['PatientVendors']) {
+        const { rows, columns } = getPatientVendorRows(workbook);
+        rows.slice(1).forEach(row => {
+            if (String(row[columns.patientId] ?? '') !== fromId) return;
+            row[columns.patientId] = toId;
+            repointed.vendorServices++;
+        });
+        if (repointed.vendorServices > 0) setSheetRows(workbook, 'PatientVendors', rows);
+    }
+
+    return repointed;
+}
+
+/**
+ * Merge one Active patient into another. `values` holds the field values picked
+ * for the surviving record; the other row is removed and its timeline progress,
+ * chat tags, call log entries and vendor services are re-pointed to the surviving ID,
+ * all in one save.
+ * Returns { patient, repointed }, or null when either patient is missing.
+ */
+async function mergePatients(keepId, mergeId, values, user) {
+    const localFilePath = WORKBOOK_PATH;
+
+    const { values: fields, errors } = validateRecord('Active', values || {}, { partial: true });
+    if (errors.length > 0) {
+        throw validationError(errors);
+    }
+
+    try {
+        const { workbook, rows, headers } = loadActiveSheetRows(localFilePath);
+
+        const keepIndex = findActiveRowIndex(rows, headers, keepId);
+        const mergeIndex = findActiveRowIndex(rows, headers, mergeId);
+        if (keepIndex === -1 || mergeIndex === -1) {
+            return null;
+        }
+
+        const row = rows[keepIndex];
+        const current = rowToObject(headers, row);
+        addMissingActiveColumns(rows, headers, fields);
+        const before = row.slice();
+        Object.entries(mapActiveUpdates(headers, fields)).forEach(([header, value]) => {
+            row[headers.indexOf(header)] = value === undefined ? null : value;
+        });
+        const changes = diffRowForAudit(headers, before, row);
+        if (!headers.includes('Version')) headers.push('Version');
+        row[headers.indexOf('Version')] = current.version + 1;
+
+        rows.splice(mergeIndex, 1);
+        workbook.Sheets['Active'] = XLSX.utils.aoa_to_sheet(rows);
+
+        const repointed = repointPatientReferences(workbook, String(mergeId), String(keepId));
+        appendAuditEntries(workbook, keepId, user, 'update', changes);
+        appendAuditEntries(workbook, keepId, user, 'merge', [{ field: 'Merged From', oldValue: '', newValue: String(mergeId) }]);
+        appendAuditEntries(workbook, mergeId, user, 'merge', [{ field: 'Merged Into', oldValue: '', newValue: String(keepId) }]);
+        saveWorkbook(workbook, localFilePath);
+
+        // Clear cache since data was modified
+        clearCache();
+
+        console.log(`Merged patient ${mergeId} into ${keepId}`);
+        return { patient: rowToObject(headers, row), repointed };
+
+    } catch (err) {
+        console.error('Error merging patients:', err);
+        throw new Error(`Failed to merge patients: ${err.message}`);
+    }
+}
+
+/**
+ * Read the rows of an uploaded .xlsx, .xls or .csv file from its first sheet
+ * (or the named one). CSV cells are kept as typed so zip codes and phone
+ * numbers keep their leading zeros. Throws with code 'UNSUPPORTED_FILE' when
+ * the file can't be read.
+ */
+function readImportFile(buffer, fileName, sheetName) {
+    const unsupported = (message) => {
+        const err = new Error(message);
+        err.code = 'UNSUPPORTED_FILE';
+        return err;
+    };
+    if (!/\.(xlsx|xls|csv)$/i.test(fileName || '')) {
+        throw unsupported('Only .xlsx, .xls and .csv files can be imported');
+    }
+
+    let workbook;
+    try {
+        workbook = XLSX.read(buffer, { type: 'buffer', raw: /\.csv$/i.test(fileName) });
+    } catch (err) {
+        throw unsupported(`${fileName} could not be read as a spreadsheet`);
+    }
+    const name = sheetName && workbook.SheetNames.includes(sheetName) ? sheetName : workbook.SheetNames[0];
+    const rows = name ? XLSX.utils.sheet_to_json(workbook.Sheets[name], {header: 1, defval: null}) : [];
+    return { sheetNames: workbook.SheetNames, sheetName: name, headers: rows[0] || [], rows: rows.slice(1) };
+}
+
+/**
+ * The patient field each import column goes into, or null to skip it. Uses the
+ * given mapping where it names a known field, otherwise matches the header
+ * through the patient model. IDs and versions are never imported.
+ */
+function resolveImportMapping(headers, mapping) {
+    const importable = (field) => {
+        const def = field ? PatientModel.findField(field) : null;
+        return def && def.field === field && field !== 'id' && field !== 'version' ? field : null;
+    };
+    return headers.map((header, i) => {
+        if (Array.isArray(mapping) && i < mapping.length) {
+            return importable(mapping[i]);
+        }
+        if (isBlankHeader(header)) return null;
+        const def = PatientModel.findField(header);
+        return def ? importable(def.field) : null;
+    });
+}
+
+/**
+ * Check every row of an import file without saving anything. Each row gets its
+ * spreadsheet row number, the values it would be saved with, validation errors
+ * and likely duplicates among active patients or earlier rows of the file.
+ * Options: `mapping` (patient field or null per column) and `sheetName`.
+ */
+async function previewImport(buffer, fileName, { mapping, sheetName } = {}) {
+    try {
+        const file = readImportFile(buffer, fileName, sheetName);
+        const columns = resolveImportMapping(file.headers, mapping);
+        const patients = await readActiveTab();
+
+        const rows = [];
+        file.rows.forEach((cells, i) => {
+            if (isBlankRow(cells)) return;
+
+            const record = {};
+            columns.forEach((field, c) => {
+                const cell = cells[c];
+                if (field && cell !== null && cell !== undefined && String(cell).trim() !== '') {
+                    record[field] = cell;
+                }
+            });
+            const { values, errors } = validateRecord('Active', record);
+
+            const duplicates = [];
+            patients.forEach(patient => {
+                const match = duplicateMatch(values, patient);
+                if (match) duplicates.push({ id: patient.ti, name: patient['Patient Name'], reasons: match.reasons });
+            });
+            rows.forEach(earlier => {
+                const match = duplicateMatch(values, earlier.values);
+                if (match) duplicates.push({ row: earlier.rowNumber, name: earlier.values.patientName, reasons: match.reasons });
+            });
+
+            // Spreadsheet row numbers: the header is row 1
+            rows.push({ rowNumber: i + 2, values, errors, duplicates });
+        });
+
+        return {
+            fileName,
+            sheetNames: file.sheetNames,
+            sheetName: file.sheetName,
+            headers: file.headers,
+            mapping: columns,
+            rows
+        };
+    } catch (err) {
+        if (err.code === 'UNSUPPORTED_FILE') {
+            throw err;
+        }
+        console.error('Error previewing import:', err);
+        throw new Error(`Failed to preview import: ${err.message}`);
+    }
+}
+
+/**
+ * Add the selected rows of an import file to the Active sheet in a single save,
+ * the same way the intake form adds a patient. Invalid rows are skipped, and so
+ * are likely duplicates unless their row number is in `confirmedDuplicates`.
+ * Options are those of previewImport plus `rows` (row numbers to import).
+ * Returns { imported: [{ rowNumber, id }], skipped: [{ rowNumber, reason, ... }] }.
+ */
+async function importPatients(buffer, fileName, options = {}, user) {
+    const localFilePath = WORKBOOK_PATH;
+    const selected = (options.rows || []).map(Number);
+    const confirmed = (options.confirmedDuplicates || []).map(Number);
+
+    try {
+        const preview = await previewImport(buffer, fileName, options);
+        const { workbook, rows, headers } = loadActiveSheetRows(localFilePath);
+
+        const imported = [];
+        const skipped = [];
+        preview.rows.filter(row => selected.includes(row.rowNumber)).forEach(row => {
+            if (row.errors.length > 0) {
+                skipped.push({ rowNumber: row.rowNumber, reason: 'invalid', errors: row.errors });
+                return;
+            }
+            // Rows of the same file only count as duplicates when they are imported too
+            const duplicates = row.duplicates.filter(d => d.id || selected.includes(d.row));
+            if (duplicates.length > 0 && !confirmed.includes(row.rowNumber)) {
+                skipped.push({ rowNumber: row.rowNumber, reason: 'duplicate', duplicates });
+                return;
+            }
+            const id = appendActivePatient(workbook, rows, headers, row.values, user);
+            imported.push({ rowNumber: row.rowNumber, id });
+        });
+
+        if (imported.length > 0) {
+            workbook.Sheets['Active'] = XLSX.utils.aoa_to_sheet(rows);
+            saveWorkbook(workbook, localFilePath);
+
+            // Clear cache since data was modified
+            clearCache();
+        }
+
+        console.log(`Imported ${imported.length} patient(s) from ${fileName}, skipped ${skipped.length}`);
+        return { imported, skipped };
+
+    } catch (err) {
+        if (err.code === 'UNSUPPORTED_FILE') {
+            throw err;
+        }
+        console.error('Error importing patients:', err);
+        throw new Error(`Failed to import patients: ${err.message}`);
+    }
+}
+
+// Users sheet layout: one row per team member, PINs stored as scrypt hashes
+const USER_HEADERS = ['Username', 'Display Name', 'PIN Hash', 'PIN Salt', 'Active', 'Role'];
+const DEFAULT_USERS = [
+    { username: 'alyssa', displayName: 'Alyssa', role: 'admin' },
+    { username: 'dr-moore', displayName: 'Dr. Moore', role: 'physician' },
+    { username: 'christa', displayName: 'Christa', role: 'coordinator' },
+    { username: 'amber', displayName: 'Amber', role: 'billing' },
+    { username: 'donnie', displayName: 'Donnie', role: 'coordinator' }
+];
+const MIN_PIN_LENGTH = 4;
+
+// What each role may do. Roles are assigned in the Role column of the Users sheet.
+const ROLE_PERMISSIONS = {
+    admin: ['patients:edit', 'patients:archive', 'patients:delete', 'billing:edit', 'workflows:edit', 'docs:edit', 'vendors:edit', 'users:edit'],
+    physician: ['patients:edit', 'patients:archive'],
+    coordinator: ['patients:edit', 'patients:archive', 'workflows:edit', 'docs:edit', 'vendors:edit'],
+    billing: ['billing:edit']
+};
+const DEFAULT_ROLE = 'coordinator';
+
+/**
+ * List the permissions granted to a role (unknown roles get none)
+ */
+function getRolePermissions(role) {
+    return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * Hash a PIN or password with the given salt
+ */
+function hashPin(pin, salt) {
+    return crypto.scryptSync(String(pin), salt, 64).toString('hex');
+}
+
+/**
+ * Get the Users sheet rows, seeding the team roster (without PINs) if the sheet does not exist yet.
+ * Returns { rows, created }
+ */
+function getUserRows(workbook) {
+    const worksheet = workbook.Sheets['Users'];
+    if (worksheet) {
+        const rows = XLSX.utils.sheet_to_json(worksheet, {header: 1, defval: null});
+        // Sheets created before roles existed lack the Role column
+        if (rows[0] && !rows[0].includes('Role')) {
+            rows[0].push('Role');
+        }
+        return { rows, created: false };
+    }
+    const rows = [USER_HEADERS.slice()];
+    DEFAULT_USERS.forEach(user => rows.push([user.username, user.displayName, '', '', 'yes', user.role]));
+    return { rows, created: true };
+}
+
+/**
+ * Convert a Users row into the public user shape (never includes the hash)
+ */
+function parseUserRow(row) {
+    const roster = DEFAULT_USERS.find(u => u.username === String(row[0]));
+    return {
+        username: String(row[0]),
+        displayName: row[1] || String(row[0]),
+        hasPin: Boolean(row[2]),
+        active: row[4] !== 'no',
+        role: row[5] || (roster ? roster.role : DEFAULT_ROLE)
+    };
+}
+
+/**
+ * Read the team roster from the Users sheet
+ */
+async function readUsers() {
+    const localFilePath = WORKBOOK_PATH;
+
+    try {
+        const workbook = XLSX.readFile(localFilePath);
+        const { rows, created } = getUserRows(workbook);
+
+        if (created) {
+            setSheetRows(workbook, 'Users', rows);
+            saveWorkbook(workbook, localFilePath);
+            console.log('Created Users tab with the team roster');
+        }
+
+        return rows.slice(1)
+            .filter(row => row[0])
+            .map(parseUserRow);
+    } catch (err) {
+        console.error('Error reading Users tab:', err);
+        throw new Error(`Failed to read Users tab: ${err.message}`);
+    }
+}
+
+/**
+ * Set (or reset) a user's PIN. Returns false when the user does not exist.
+ */
+async function setUserPin(username, pin) {
+    const localFilePath = WORKBOOK_PATH;
+
+    if (!pin || String(pin).length < MIN_PIN_LENGTH) {
+        throw new Error(`PIN must be at least ${MIN_PIN_LENGTH} characters`);
+    }
+
+    try {
+        const workbook = XLSX.readFile(localFilePath);
+        const { rows } = getUserRows(workbook);
+
+        const row = rows.find((r, i) => i > 0 && r[0] !== null && String(r[0]) === String(username));
+        if (!row) {
+            return false;
+        }
+
+        const salt = crypto.randomBytes(16).toString('hex');
+        row[2] = hashPin(pin, salt);
+        row[3] = salt;
+
+        setSheetRows(workbook, 'Users', rows);
+        saveWorkbook(workbook, localFilePath);
+
+        console.log(`Set PIN for user ${username}`);
+        return true;
+
+    } catch (err) {
+        console.error('Error setting user PIN:', err);
+        throw new Error(`Failed to set user PIN: ${err.message}`);
+    }
+}
+
+/**
+ * Check a username and PIN against the Users sheet.
+ * Returns { username, displayName, role } on success, or null.
+ */
+async function authenticateUser(username, pin) {
+    const localFilePath = WORKBOOK_PATH;
+
+    try {
+        const workbook = XLSX.readFile(localFilePath);
+        const { rows } = getUserRows(workbook);
+
+        const row = rows.find((r, i) => i > 0 && r[0] !== null && String(r[0]) === String(username));
+        if (!row || !row[2] || !row[3] || row[4] === 'no') {
+            return null;
+        }
+
+        const expected = Buffer.from(String(row[2]), 'hex');
+        const actual = Buffer.from(hashPin(pin || '', String(row[3])), 'hex');
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+
+        const user = parseUserRow(row);
+        return { username: user.username, displayName: user.displayName, role: user.role };
+
+    } catch (err) {
+        console.error('Error authenticating user:', err);
+        throw new Error(`Failed to authenticate user: ${err.message}`);
+    }
+}
+
+// Every function that touches the workbook is exported through the write queue;
+// only pure helpers and constants are exported as they are
+module.exports = {
+    authorize,
+    readActiveTab: serializeWrites(readActiveTab),
+    readVendorsTab: serializeWrites(readVendorsTab),
+    readChatTab: serializeWrites(readChatTab),
+    listSheets: serializeWrites(listSheets),
+    readSheet: serializeWrites(readSheet),
+    addChatMessage: serializeWrites(addChatMessage),
+    readChatThreads: serializeWrites(readChatThreads),
+    markChatThreadRead: serializeWrites(markChatThreadRead),
+    writeActiveTab: serializeWrites(writeActiveTab),
+    getPatientById: serializeWrites(getPatientById),
+    updatePatient: serializeWrites(updatePatient),
+    deletePatient: serializeWrites(deletePatient),
+    findDuplicatePatients: serializeWrites(findDuplicatePatients),
+    listDuplicatePatients: serializeWrites(listDuplicatePatients),
+    mergePatients: serializeWrites(mergePatients),
+    previewImport: serializeWrites(previewImport),
+    importPatients: serializeWrites(importPatients),
+    readTimelineTab: serializeWrites(readTimelineTab),
+    readPatientTasks: serializeWrites(readPatientTasks),
+    writePatientTasks: serializeWrites(writePatientTasks),
+    readWorkflows: serializeWrites(readWorkflows),
+    writeWorkflow: serializeWrites(writeWorkflow),
+    deleteWorkflow: serializeWrites(deleteWorkflow),
+    validateWorkflow,
+    readClosedTab: serializeWrites(readClosedTab),
+    archivePatient: serializeWrites(archivePatient),
+    restorePatient: serializeWrites(restorePatient),
+    deleteArchivedPatient: serializeWrites(deleteArchivedPatient),
+    readAuditLog: serializeWrites(readAuditLog),
+    readCallLogTab: serializeWrites(readCallLogTab),
+    addCallLogEntry: serializeWrites(addCallLogEntry),
+    readConsultingDocs: serializeWrites(readConsultingDocs),
+    addConsultingDoc: serializeWrites(addConsultingDoc),
+    updateConsultingDoc: serializeWrites(updateConsultingDoc),
+    addVendor: serializeWrites(addVendor),
+    updateVendor: serializeWrites(updateVendor),
+    readPatientVendors: serializeWrites(readPatientVendors),
+    assignPatientVendor: serializeWrites(assignPatientVendor),
+    updatePatientVendor: serializeWrites(updatePatientVendor),
+    removePatientVendor: serializeWrites(removePatientVendor),
+    readVendorContacts: serializeWrites(readVendorContacts),
+    logVendorContact: serializeWrites(logVendorContact),
+    readOutreachTab: serializeWrites(readOutreachTab),
+    markOutreachSent: serializeWrites(markOutreachSent),
+    recordOutreachResponse: serializeWrites(recordOutreachResponse),
+    DEFAULT_OUTREACH_INTERVAL_DAYS,
+    readUsers: serializeWrites(readUsers),
+    setUserPin: serializeWrites(setUserPin),
+    authenticateUser: serializeWrites(authenticateUser),
+    MIN_PIN_LENGTH,
+    getRolePermissions
+}; 
\ No newline at end of file
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateRecord, parseDateValue } = require('../schema');
+
+test('dates are stored as MM/DD/YYYY', () => {
+    const { values, errors } = validateRecord('Active', { 'Patient Name': 'Test', DOB: '1950-03-07' });
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(values.DOB, '03/07/1950');
+});
+
+test('impossible dates are rejected', () => {
+    assert.strictEqual(parseDateValue('02/30/2024'), null);
+    const { errors } = validateRecord('Active', { DOB: '02/30/2024' }, { partial: true });
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].message, 'DOB must be a date (MM/DD/YYYY)');
+});
+
+test('numbers accept currency formatting and respect min and max', () => {
+    assert.strictEqual(validateRecord('Active', { 'invoice amount': '$1,250.50' }, { partial: true }).values['invoice amount'], 1250.5);
+    assert.strictEqual(validateRecord('Active', { 'invoice amount': '-5' }, { partial: true }).errors[0].message, 'invoice amount must be at least 0');
+    assert.strictEqual(validateRecord('Vendors', { rating: 6 }, { partial: true }).errors[0].message, 'Rating must be at most 5');
+    assert.strictEqual(validateRecord('Active', { Age: '70.5' }, { partial: true }).errors[0].message, 'Age must be a whole number');
+});
+
+test('enums match case-insensitively and take checkbox booleans', () => {
+    assert.strictEqual(validateRecord('Active', { Priority: 'urgent' }, { partial: true }).values.Priority, 'Urgent');
+    assert.strictEqual(validateRecord('Active', { PAID: true }, { partial: true }).values.PAID, 'yes');
+    assert.strictEqual(validateRecord('Active', { Priority: 'Soon' }, { partial: true }).errors.length, 1);
+});
+
+test('phone numbers allow extensions and short local numbers but not letters', () => {
+    ['(555) 123-4567', '555-1234', '555-123-4567 x12', '+44 20 7946 0958 ext. 3'].forEach(phone => {
+        assert.deepStrictEqual(validateRecord('Active', { 'Phone Number': phone }, { partial: true }).errors, [], phone);
+    });
+    ['12345', 'call me', '555-CALL-NOW', '1234567890123456'].forEach(phone => {
+        const { errors } = validateRecord('Active', { 'Phone Number': phone }, { partial: true });
+        assert.strictEqual(errors[0] && errors[0].message, 'Phone Number must be a phone number', phone);
+    });
+});
+
+test('emails must look like an address', () => {
+    assert.strictEqual(validateRecord('Vendors', { email: 'not-an-email' }, { partial: true }).errors.length, 1);
+    assert.deepStrictEqual(validateRecord('Vendors', { email: 'ops@example.com' }, { partial: true }).errors, []);
+});
+
+test('required columns are checked unless the update is partial', () => {
+    const { errors } = validateRecord('Vendors', { phone: '555-123-4567' });
+    assert.deepStrictEqual(errors, [{ field: 'companyName', column: 'Company Name', message: 'Company Name is required' }]);
+    assert.deepStrictEqual(validateRecord('Vendors', { phone: '555-123-4567' }, { partial: true }).errors, []);
+    assert.strictEqual(validateRecord('Vendors', { companyName: '  ' }, { partial: true }).errors[0].message, 'Company Name is required');
+});
+
+test('aliases map to their column and unknown keys pass through', () => {
+    const { values, errors } = validateRecord('Call Log', { date: '1/2/2025', direction: 'Incoming', somethingElse: 'kept' }, { partial: true });
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(values, { date: '01/02/2025', direction: 'incoming', somethingElse: 'kept' });
+});
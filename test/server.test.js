@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Work on a copy so the real workbook is never written
+const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alydash-test-'));
+process.env.WORKBOOK_PATH = path.join(scratchDir, 'Dashboard Clone.xlsx');
+fs.copyFileSync(path.join(__dirname, '..', 'Dashboard Clone.xlsx'), process.env.WORKBOOK_PATH);
+
+const { setUserPin } = require('../sync');
+const app = require('../server');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    await setUserPin('alyssa', '1111');  // admin
+    await setUserPin('christa', '3333'); // coordinator
+    await setUserPin('amber', '2222');   // billing
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.after(() => {
+    server.close();
+    fs.rmSync(scratchDir, { recursive: true, force: true });
+});
+
+/**
+ * Sign in and return a request helper that sends the session cookie
+ */
+async function signIn(username, pin) {
+    const response = await fetch(`${baseUrl}/api/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, pin })
+    });
+    assert.strictEqual(response.status, 200);
+    const cookie = response.headers.get('set-cookie').split(';')[0];
+
+    return async (method, url, body) => {
+        const res = await fetch(`${baseUrl}${url}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', Cookie: cookie },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: res.status, body: await res.json() };
+    };
+}
+
+test('a wrong PIN is refused', async () => {
+    const response = await fetch(`${baseUrl}/api/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: 'alyssa', pin: '9999' })
+    });
+    assert.strictEqual(response.status, 401);
+});
+
+test('patient updates need the version they were based on', async () => {
+    const admin = await signIn('alyssa', '1111');
+    const [patient] = (await admin('GET', '/api/read-active?spreadsheetId=local')).body;
+
+    const missing = await admin('PATCH', `/api/patients/${patient.id}`, { Notes: 'no version' });
+    assert.strictEqual(missing.status, 428);
+
+    const saved = await admin('PATCH', `/api/patients/${patient.id}`, { Notes: 'first', version: patient.version });
+    assert.strictEqual(saved.status, 200);
+    assert.strictEqual(saved.body.patient.version, patient.version + 1);
+
+    const stale = await admin('PATCH', `/api/patients/${patient.id}`, { Notes: 'second', version: patient.version });
+    assert.strictEqual(stale.status, 409);
+    assert.strictEqual(stale.body.current.Notes, 'first');
+
+    const invalid = await admin('PATCH', `/api/patients/${patient.id}`, { DOB: 'someday', version: patient.version + 1 });
+    assert.strictEqual(invalid.status, 422);
+});
+
+test('invoice fields need billing:edit and other fields need patients:edit', async () => {
+    const coordinator = await signIn('christa', '3333');
+    const billing = await signIn('amber', '2222');
+    const [patient] = (await coordinator('GET', '/api/read-active?spreadsheetId=local')).body;
+
+    const invoiceByCoordinator = await coordinator('PATCH', `/api/patients/${patient.id}`, { 'invoice amount': 500, version: patient.version });
+    assert.strictEqual(invoiceByCoordinator.status, 403);
+
+    const notesByBilling = await billing('PATCH', `/api/patients/${patient.id}`, { Notes: 'billing note', version: patient.version });
+    assert.strictEqual(notesByBilling.status, 403);
+
+    const invoiceByBilling = await billing('PATCH', `/api/patients/${patient.id}`, { 'invoice amount': 500, version: patient.version });
+    assert.strictEqual(invoiceByBilling.status, 200);
+
+    // A new patient carrying an invoice amount is refused the same way
+    const newWithInvoice = await coordinator('POST', '/api/save-patient', { patientName: 'Test Patient', invoiceAmount: 500 });
+    assert.strictEqual(newWithInvoice.status, 403);
+});
+
+test('routes check the role before doing anything', async () => {
+    const billing = await signIn('amber', '2222');
+    const coordinator = await signIn('christa', '3333');
+
+    assert.strictEqual((await billing('POST', '/api/call-log', { personContact: 'Test' })).status, 403);
+    assert.strictEqual((await coordinator('PUT', '/api/users/amber/pin', { pin: '4444' })).status, 403);
+    assert.strictEqual((await coordinator('DELETE', '/api/patients/PAT-NOPE-000000')).status, 403);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Work on a copy so the real workbook is never written
+const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alydash-test-'));
+process.env.WORKBOOK_PATH = path.join(scratchDir, 'Dashboard Clone.xlsx');
+fs.copyFileSync(path.join(__dirname, '..', 'Dashboard Clone.xlsx'), process.env.WORKBOOK_PATH);
+test.after(() => fs.rmSync(scratchDir, { recursive: true, force: true }));
+
+const { readActiveTab, updatePatient, getRolePermissions } = require('../sync');
+
+test('roles get their permissions and unknown roles get none', () => {
+    assert.ok(getRolePermissions('admin').includes('users:edit'));
+    assert.ok(getRolePermissions('coordinator').includes('workflows:edit'));
+    assert.ok(!getRolePermissions('coordinator').includes('billing:edit'));
+    assert.deepStrictEqual(getRolePermissions('billing'), ['billing:edit']);
+    assert.deepStrictEqual(getRolePermissions('intern'), []);
+});
+
+test('updatePatient writes only against the current version', async () => {
+    const [patient] = await readActiveTab();
+
+    await assert.rejects(updatePatient(patient.id, { Notes: 'no version' }, 'Test'),
+        err => err.code === 'VERSION_CONFLICT' && err.current.version === patient.version);
+    await assert.rejects(updatePatient(patient.id, { Notes: 'stale' }, 'Test', patient.version + 1),
+        err => err.code === 'VERSION_CONFLICT');
+
+    const updated = await updatePatient(patient.id, { Notes: 'current' }, 'Test', patient.version);
+    assert.strictEqual(updated.Notes, 'current');
+    assert.strictEqual(updated.version, patient.version + 1);
+
+    // The copy the first edit was based on is now stale
+    await assert.rejects(updatePatient(patient.id, { Notes: 'late' }, 'Test', patient.version),
+        err => err.code === 'VERSION_CONFLICT' && err.current.Notes === 'current');
+});
+
+test('updatePatient validates fields and returns null for an unknown patient', async () => {
+    const [patient] = await readActiveTab();
+    await assert.rejects(updatePatient(patient.id, { DOB: 'someday' }, 'Test', patient.version),
+        err => err.code === 'VALIDATION_FAILED' && err.errors[0].column === 'DOB');
+    assert.strictEqual(await updatePatient('PAT-NOPE-000000', { Notes: 'x' }, 'Test', 1), null);
+});